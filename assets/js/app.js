@@ -24,9 +24,15 @@ import {Socket} from "phoenix"
 import {LiveSocket} from "phoenix_live_view"
 import {hooks as colocatedHooks} from "phoenix-colocated/langler"
 import WordTooltip from "./hooks/word_tooltip"
+import ReaderKeyboard from "./hooks/reader_keyboard"
+import ReaderSettings from "./hooks/reader_settings"
 import CopyToClipboard from "./hooks/copy_to_clipboard"
 import ArticleStickyHeader from "./hooks/article_sticky_header"
 import ChatAutoScroll from "./hooks/chat_auto_scroll"
+import CorrectionDiff from "./hooks/correction_diff"
+import QuizResults from "./hooks/quiz_results"
+import ReplyAudio from "./hooks/reply_audio"
+import VoiceRecorder from "./hooks/voice_recorder"
 import ChatMenuDropdown from "./hooks/chat_menu_dropdown"
 import StudySession from "./hooks/study_session"
 import ChatDrawerState from "./hooks/chat_drawer_state"
@@ -83,10 +89,16 @@ const ChatShortcut = {
 const hooks = {
   ...colocatedHooks,
   WordTooltip,
+  ReaderKeyboard,
+  ReaderSettings,
   WordCardToggle,
   CopyToClipboard,
   ArticleStickyHeader,
   ChatAutoScroll,
+  CorrectionDiff,
+  QuizResults,
+  ReplyAudio,
+  VoiceRecorder,
   ChatMenuDropdown,
   StudySession,
   ChatDrawerState,
@@ -109,6 +121,25 @@ topbar.config({barColors: {0: "#29d"}, shadowColor: "rgba(0, 0, 0, .3)"})
 window.addEventListener("phx:page-loading-start", _info => topbar.show(300))
 window.addEventListener("phx:page-loading-stop", _info => topbar.hide())
 
+// Start a browser download for files prepared by background jobs (deck exports)
+window.addEventListener("phx:download", ({detail}) => {
+  if (!detail?.url) return
+  const link = document.createElement("a")
+  link.href = detail.url
+  link.download = ""
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+})
+
+// Bring a panel the server just opened into view (offline quizzes)
+window.addEventListener("phx:scroll-into-view", ({detail}) => {
+  const el = detail?.id && document.getElementById(detail.id)
+  if (!el) return
+  const reduceMotion = window.matchMedia("(prefers-reduced-motion: reduce)").matches
+  el.scrollIntoView({behavior: reduceMotion ? "auto" : "smooth", block: "start"})
+})
+
 // connect if there are any LiveViews on the page
 liveSocket.connect()
 
@@ -1,5 +1,10 @@
 const clamp = (value, min = 0, max = 1) => Math.min(Math.max(value, min), max)
 
+// How often the reading position is reported while the reader scrolls
+const POSITION_REPORT_MS = 2000
+
+const prefersReducedMotion = () => window.matchMedia("(prefers-reduced-motion: reduce)").matches
+
 const ArticleStickyHeader = {
   mounted() {
     this.readerSelector = this.el.dataset.articleTarget
@@ -15,9 +20,32 @@ const ArticleStickyHeader = {
 
     this.handleScroll = this.handleScroll.bind(this)
     this.handleResize = this.handleResize.bind(this)
+    // Only scrolling by the reader moves the saved position, so opening an
+    // article doesn't reset it to the top
+    this.hasScrolled = false
+    this.onScroll = () => {
+      this.hasScrolled = true
+      this.handleScroll()
+    }
+    this.onClick = event => {
+      const resumeButton = event.target.closest("[data-reader-resume]")
+      if (resumeButton) this.resumeAt(resumeButton.dataset.readerResume)
+    }
+    this.onVisibilityChange = () => {
+      if (document.visibilityState === "hidden") this.reportPosition()
+    }
+    // Reader settings move the article without resizing the window
+    this.onLayoutChanged = () =>
+      requestAnimationFrame(() => {
+        this.measureArticle()
+        this.handleScroll()
+      })
 
-    window.addEventListener("scroll", this.handleScroll, {passive: true})
+    window.addEventListener("scroll", this.onScroll, {passive: true})
     window.addEventListener("resize", this.handleResize)
+    this.el.addEventListener("click", this.onClick)
+    document.addEventListener("visibilitychange", this.onVisibilityChange)
+    window.addEventListener("reader:layout-changed", this.onLayoutChanged)
 
     if (this.readerEl && typeof ResizeObserver !== "undefined") {
       this.readerResizeObserver = new ResizeObserver(() => {
@@ -28,10 +56,18 @@ const ArticleStickyHeader = {
     }
 
     this.handleScroll()
+
+    if (this.el.dataset.resumeOnLoad) {
+      requestAnimationFrame(() => this.resumeAt(this.el.dataset.resumeOnLoad))
+    }
   },
   destroyed() {
-    window.removeEventListener("scroll", this.handleScroll)
+    window.removeEventListener("scroll", this.onScroll)
     window.removeEventListener("resize", this.handleResize)
+    this.el.removeEventListener("click", this.onClick)
+    document.removeEventListener("visibilitychange", this.onVisibilityChange)
+    window.removeEventListener("reader:layout-changed", this.onLayoutChanged)
+    clearTimeout(this.reportTimer)
     if (this.readerResizeObserver) {
       this.readerResizeObserver.disconnect()
     }
@@ -102,7 +138,7 @@ const ArticleStickyHeader = {
     this.updateProgress(scrollY)
   },
   updateProgress(scrollY) {
-    if (!this.readerEl || !this.progressFill) return
+    if (!this.readerEl) return
 
     const articleTop = this.articleTop ?? 0
     const articleBottom = this.articleBottom ?? articleTop + 1
@@ -111,7 +147,47 @@ const ArticleStickyHeader = {
     const denominator = Math.max(end - start, 1)
     const progress = clamp((scrollY - start) / denominator)
 
-    this.progressFill.style.transform = `scaleX(${progress})`
+    this.progress = progress
+    if (this.progressFill) this.progressFill.style.transform = `scaleX(${progress})`
+    if (this.hasScrolled) this.schedulePositionReport()
+  },
+  schedulePositionReport() {
+    if (this.reportTimer) return
+    this.reportTimer = setTimeout(() => {
+      this.reportTimer = null
+      this.reportPosition()
+    }, POSITION_REPORT_MS)
+  },
+  reportPosition() {
+    if (!this.hasScrolled) return
+    const sentence = this.topmostSentence()
+    if (!sentence) return
+
+    const sentenceId = sentence.dataset.sentenceId
+    const progress = Math.round((this.progress ?? 0) * 100) / 100
+    const key = `${sentenceId}:${progress}`
+    if (key === this.lastReported) return
+
+    this.lastReported = key
+    this.pushEvent("save_reading_position", {sentence_id: sentenceId, progress})
+  },
+  // The first sentence whose bottom is below the sticky header
+  topmostSentence() {
+    const top = this.isStuck ? this.el.getBoundingClientRect().bottom : 0
+    const sentences = this.readerEl.querySelectorAll("[data-sentence-id]")
+    return Array.from(sentences).find(sentence => sentence.getBoundingClientRect().bottom > top)
+  },
+  resumeAt(sentenceId) {
+    if (!this.readerEl || !sentenceId) return
+    const sentence = this.readerEl.querySelector(`[data-sentence-id="${CSS.escape(sentenceId)}"]`)
+    if (!sentence) return
+
+    const controls = this.el.querySelector(".article-meta__controls")
+    const headerOffset = (controls ? controls.offsetHeight : 0) + 24
+    window.scrollTo({
+      top: sentence.getBoundingClientRect().top + window.scrollY - headerOffset,
+      behavior: prefersReducedMotion() ? "auto" : "smooth",
+    })
   },
 }
 
@@ -3,6 +3,12 @@ export default {
     this.audioUrl = this.el.dataset.audioUrl
     this.currentSentenceIdx = 0
     this.sentences = JSON.parse(this.el.dataset.sentences || "[]")
+    // Per-sentence {start, end, words: [[start, end], ...]} from TTS alignment, if available
+    this.timingsData = this.el.dataset.timings || "[]"
+    this.timings = JSON.parse(this.timingsData)
+    this.timingFrame = null
+    this.shadowing = this.readShadowingSettings()
+    this.shadowingLoop = null
     this.subtitlesVisible = true
     this.playbackRate = parseFloat(this.el.dataset.playbackRate || "1.0")
     this.isPlaying = false
@@ -43,19 +49,24 @@ export default {
           console.log("[AudioPlayer] onplay")
           this.isPlaying = true
           this.updatePlayButton()
+          this.startTimingLoop()
           this.pushEvent("audio_playing", {})
         },
         onpause: () => {
           console.log("[AudioPlayer] onpause")
           this.isPlaying = false
           this.updatePlayButton()
+          this.stopTimingLoop()
           this.saveListeningPosition(true)
           this.pushEvent("audio_paused", {})
         },
         onend: () => {
           console.log("[AudioPlayer] onend")
           this.isPlaying = false
+          this.stopTimingLoop()
+          this.cancelShadowing()
           this.currentSentenceIdx = 0
+          this.clearActiveWord()
           this.saveListeningPosition(true)
           this.pushEvent("audio_ended", {})
         },
@@ -147,6 +158,7 @@ export default {
           if (duration > 0) {
             const targetTime = (sliderValue / 100) * duration
             console.log("[AudioPlayer] Seeking to:", targetTime)
+            this.cancelShadowing()
             this.seek(targetTime)
             // Update time display immediately
             this.updateTimeDisplay()
@@ -165,6 +177,23 @@ export default {
         }
         volumeSlider.addEventListener("input", this.volumeSliderInputHandler)
       }
+
+      // Clicking a subtitle seeks to it, or starts looping it in shadowing mode.
+      // Subtitles live outside the hook element, so delegate from the document.
+      this.subtitleClickHandler = (e) => {
+        const sentenceEl = e.target.closest("#subtitles-container [data-sentence-index]")
+        if (!sentenceEl) return
+
+        const idx = parseInt(sentenceEl.dataset.sentenceIndex, 10)
+        if (!Number.isInteger(idx)) return
+
+        if (this.shadowing.enabled) {
+          this.startShadowing(idx)
+        } else {
+          this.seekToSentence(idx)
+        }
+      }
+      document.addEventListener("click", this.subtitleClickHandler)
     } else {
       console.warn("[AudioPlayer] No audioUrl provided")
     }
@@ -181,6 +210,11 @@ export default {
     if (this.subtitleInterval) {
       clearInterval(this.subtitleInterval)
     }
+    this.stopTimingLoop()
+    this.cancelShadowing()
+    if (this.subtitleClickHandler) {
+      document.removeEventListener("click", this.subtitleClickHandler)
+    }
     if (this.savePositionInterval) {
       clearInterval(this.savePositionInterval)
     }
@@ -216,6 +250,18 @@ export default {
   syncSubtitles() {
     if (!this.sound || !this.sentences || this.sentences.length === 0) return
 
+    // While shadowing, the loop decides which sentence is active
+    if (this.shadowingLoop) {
+      if (this.hasTimings()) this.highlightActiveWord(this.getCurrentTime())
+      return
+    }
+
+    if (this.hasTimings()) {
+      this.syncSubtitlesFromTimings()
+      return
+    }
+
+    // No alignment data for this audio: estimate the sentence from progress
     const currentTime = this.sound.seek() || 0
     const totalDuration = this.sound.duration() || 1
     
@@ -277,6 +323,226 @@ export default {
     }
   },
 
+  hasTimings() {
+    return this.timings.length > 0 && this.timings.length === this.sentences.length
+  },
+
+  syncSubtitlesFromTimings() {
+    const currentTime = this.getCurrentTime()
+    const idx = this.findTimingIndex(this.timings, currentTime, timing => timing.start)
+
+    if (idx !== this.currentSentenceIdx) {
+      this.currentSentenceIdx = idx
+      this.pushEvent("sentence_changed", {index: idx})
+      this.scrollToActiveSentence()
+    }
+
+    this.highlightActiveWord(currentTime)
+  },
+
+  // Index of the last entry that starts at or before `time` (entries are sorted by start)
+  findTimingIndex(entries, time, startOf) {
+    let low = 0
+    let high = entries.length - 1
+    let found = 0
+
+    while (low <= high) {
+      const mid = (low + high) >> 1
+      if (startOf(entries[mid]) <= time) {
+        found = mid
+        low = mid + 1
+      } else {
+        high = mid - 1
+      }
+    }
+
+    return found
+  },
+
+  highlightActiveWord(time) {
+    const timing = this.timings[this.currentSentenceIdx]
+    const words = timing?.words || []
+    let wordIdx = -1
+
+    if (words.length > 0 && time >= words[0][0] && time <= timing.end) {
+      wordIdx = this.findTimingIndex(words, time, word => word[0])
+    }
+
+    const container = document.querySelector("#subtitles-container")
+    if (!container) return
+
+    const target =
+      wordIdx >= 0
+        ? container.querySelector(
+            `#sentence-${this.currentSentenceIdx} [data-word-index="${wordIdx}"]`
+          )
+        : null
+
+    // LiveView patches reset the attribute, so this is re-applied on every tick
+    container.querySelectorAll('[data-word-active="true"]').forEach(el => {
+      if (el !== target) el.removeAttribute("data-word-active")
+    })
+
+    if (target && target.dataset.wordActive !== "true") {
+      target.dataset.wordActive = "true"
+    }
+  },
+
+  clearActiveWord() {
+    const container = document.querySelector("#subtitles-container")
+    if (!container) return
+
+    container.querySelectorAll('[data-word-active="true"]').forEach(el => {
+      el.removeAttribute("data-word-active")
+    })
+  },
+
+  // Word highlighting and shadowing loops need finer resolution than the
+  // 500ms UI polling interval
+  startTimingLoop() {
+    if (this.timingFrame) return
+    if (!this.hasTimings() && !this.shadowingLoop) return
+
+    const tick = () => {
+      this.syncSubtitles()
+      this.checkShadowingLoop()
+      this.timingFrame = requestAnimationFrame(tick)
+    }
+
+    this.timingFrame = requestAnimationFrame(tick)
+  },
+
+  stopTimingLoop() {
+    if (this.timingFrame) {
+      cancelAnimationFrame(this.timingFrame)
+      this.timingFrame = null
+    }
+  },
+
+  readShadowingSettings() {
+    const repeats = parseInt(this.el.dataset.shadowingRepeats || "3", 10)
+    const pauseSeconds = parseFloat(this.el.dataset.shadowingPause || "2")
+
+    return {
+      enabled: this.el.dataset.shadowing === "true",
+      repeats: Number.isInteger(repeats) && repeats > 0 ? repeats : 3,
+      pauseSeconds: Number.isFinite(pauseSeconds) && pauseSeconds >= 0 ? pauseSeconds : 2
+    }
+  },
+
+  // Start/end seconds of a sentence, from alignment data or estimated by character weight
+  sentenceRange(idx) {
+    if (idx < 0 || idx >= this.sentences.length) return null
+
+    if (this.hasTimings()) {
+      const timing = this.timings[idx]
+      return {start: timing.start, end: timing.end}
+    }
+
+    const duration = this.getDuration()
+    const lengths = this.sentences.map(s => s.content?.length || 0)
+    const totalChars = lengths.reduce((sum, length) => sum + length, 0)
+    if (duration <= 0 || totalChars === 0) return null
+
+    const charsBefore = lengths.slice(0, idx).reduce((sum, length) => sum + length, 0)
+    return {
+      start: (charsBefore / totalChars) * duration,
+      end: ((charsBefore + lengths[idx]) / totalChars) * duration
+    }
+  },
+
+  setActiveSentence(idx) {
+    if (idx === this.currentSentenceIdx) return
+
+    this.currentSentenceIdx = idx
+    this.pushEvent("sentence_changed", {index: idx})
+    this.scrollToActiveSentence()
+  },
+
+  seekToSentence(idx) {
+    const range = this.sentenceRange(idx)
+    if (!range) return
+
+    this.cancelShadowing()
+    this.seek(range.start)
+    this.setActiveSentence(idx)
+    this.updateTimeDisplay()
+    this.updateSeekSlider()
+  },
+
+  startShadowing(idx) {
+    const range = this.sentenceRange(idx)
+    if (!range) return
+
+    this.cancelShadowing()
+    this.shadowingLoop = {idx, range, repeat: 1, timer: null}
+    this.seek(range.start)
+    this.setActiveSentence(idx)
+    this.updateShadowingStatus()
+
+    if (this.isPlaying) {
+      this.startTimingLoop()
+    } else {
+      this.play()
+    }
+  },
+
+  // Called every frame: at the end of the looped sentence, pause so the
+  // learner can repeat it aloud, then replay or advance to the next one
+  checkShadowingLoop() {
+    const loop = this.shadowingLoop
+    if (!loop || loop.timer || !this.isPlaying) return
+    if (this.getCurrentTime() < loop.range.end) return
+
+    this.pause()
+    loop.timer = setTimeout(() => {
+      loop.timer = null
+      this.continueShadowing(loop)
+    }, this.shadowing.pauseSeconds * 1000)
+  },
+
+  continueShadowing(loop) {
+    if (this.shadowingLoop !== loop) return
+
+    if (loop.repeat < this.shadowing.repeats) {
+      loop.repeat += 1
+      this.seek(loop.range.start)
+      this.updateShadowingStatus()
+      this.play()
+    } else if (loop.idx + 1 < this.sentences.length) {
+      this.startShadowing(loop.idx + 1)
+    } else {
+      this.cancelShadowing()
+    }
+  },
+
+  cancelShadowing() {
+    if (this.shadowingLoop?.timer) {
+      clearTimeout(this.shadowingLoop.timer)
+    }
+    this.shadowingLoop = null
+    this.updateShadowingStatus()
+  },
+
+  updateShadowingStatus() {
+    const status = this.el.querySelector("#shadowing-status")
+    if (!status) return
+
+    const loop = this.shadowingLoop
+    if (loop) {
+      // The translated template comes from the server with {placeholders}
+      const values = {sentence: loop.idx + 1, repeat: loop.repeat, repeats: this.shadowing.repeats}
+      status.textContent = (status.dataset.statusTemplate || "").replace(
+        /\{(\w+)\}/g,
+        (match, key) => values[key] ?? match,
+      )
+      status.classList.remove("hidden")
+    } else {
+      status.textContent = ""
+      status.classList.add("hidden")
+    }
+  },
+
   handleEvent(event, payload) {
     console.log("[AudioPlayer] handleEvent:", event, payload)
     switch (event) {
@@ -317,6 +583,19 @@ export default {
       this.el.removeAttribute("data-action")
     }
 
+    // Timings arrive later when the audio is generated after mount
+    const timingsData = this.el.dataset.timings || "[]"
+    if (timingsData !== this.timingsData) {
+      this.timingsData = timingsData
+      this.timings = JSON.parse(timingsData)
+    }
+
+    // Pick up shadowing settings saved from the LiveView form
+    this.shadowing = this.readShadowingSettings()
+    if (!this.shadowing.enabled) {
+      this.cancelShadowing()
+    }
+
     // Update playback rate if it changed in LiveView
     const newRate = parseFloat(this.el.dataset.playbackRate || this.playbackRate)
     if (newRate !== this.playbackRate && this.sound) {
@@ -340,6 +619,16 @@ export default {
 
   togglePlay() {
     console.log("[AudioPlayer] togglePlay() called - isPlaying:", this.isPlaying, "sound:", !!this.sound)
+
+    // Pressing play during a shadowing pause skips the rest of the pause
+    const loop = this.shadowingLoop
+    if (loop?.timer) {
+      clearTimeout(loop.timer)
+      loop.timer = null
+      this.continueShadowing(loop)
+      return
+    }
+
     if (this.isPlaying) {
       this.pause()
     } else {
@@ -466,6 +755,7 @@ export default {
 
   skipBackward() {
     if (!this.sound) return
+    this.cancelShadowing()
     const currentTime = this.getCurrentTime()
     const newTime = Math.max(0, currentTime - 10)
     this.seek(newTime)
@@ -475,6 +765,7 @@ export default {
 
   skipForward() {
     if (!this.sound) return
+    this.cancelShadowing()
     const currentTime = this.getCurrentTime()
     const duration = this.getDuration()
     const newTime = Math.min(duration, currentTime + 10)
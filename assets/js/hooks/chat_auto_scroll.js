@@ -1,18 +1,123 @@
+// How close to the bottom (in px) still counts as "pinned" to the latest message
+const PINNED_THRESHOLD = 48
+// Start fetching older messages a little before the top is reached
+const HISTORY_MARGIN = "200px 0px 0px 0px"
+
 const ChatAutoScroll = {
   mounted() {
+    this.pinned = true
+    this.scrolledUp = false
+    this.loadingHistory = false
+    this.lastScrollTop = this.el.scrollTop
+    // We keep the viewport in place ourselves when history is prepended
+    this.el.style.overflowAnchor = "none"
+
+    this.onScroll = () => {
+      const scrollTop = this.el.scrollTop
+      // Only scrolling up unpins, so our own smooth scrolls never do
+      if (scrollTop < this.lastScrollTop) {
+        this.scrolledUp = true
+        this.pinned = this.isNearBottom()
+      } else if (this.isNearBottom()) {
+        this.pinned = true
+      }
+      if (this.pinned) this.hidePill()
+      this.lastScrollTop = scrollTop
+    }
+    this.el.addEventListener("scroll", this.onScroll, {passive: true})
+
+    this.onClick = event => {
+      if (!event.target.closest("[data-new-messages-pill]")) return
+      this.hidePill()
+      this.scrollToBottom("smooth")
+    }
+    this.el.addEventListener("click", this.onClick)
+
+    this.observer = new IntersectionObserver(
+      entries => {
+        entries.forEach(entry => {
+          this.sentinelVisible = entry.isIntersecting
+        })
+        this.maybeLoadHistory()
+      },
+      {root: this.el, rootMargin: HISTORY_MARGIN},
+    )
+    this.observeSentinel()
+
     this.queueScroll("auto")
 
     this.handleEvent("chat:scroll-bottom", payload => {
+      if (payload?.if_pinned && !this.pinned) {
+        this.showPill()
+        return
+      }
+
       const behavior = payload?.instant ? "auto" : "smooth"
       this.queueScroll(behavior)
     })
   },
   updated() {
+    this.observeSentinel()
+
+    if (this.restoreFromBottom != null) {
+      // Older messages were prepended: keep the same messages in view
+      this.el.scrollTop = this.el.scrollHeight - this.restoreFromBottom
+      this.lastScrollTop = this.el.scrollTop
+      this.restoreFromBottom = null
+    }
+
     if (this.pendingScroll) {
       this.scrollToBottom(this.pendingScroll)
       this.pendingScroll = null
+    } else if (this.el.querySelector("[data-streaming]")) {
+      // Follow a streaming reply, unless the user scrolled up to read
+      if (this.pinned) {
+        this.scrollToBottom("auto")
+      } else {
+        this.showPill()
+      }
     }
   },
+  destroyed() {
+    this.observer.disconnect()
+    this.el.removeEventListener("scroll", this.onScroll)
+    this.el.removeEventListener("click", this.onClick)
+  },
+  observeSentinel() {
+    const sentinel = this.el.querySelector("[data-history-sentinel]")
+    if (sentinel === this.sentinel) return
+
+    if (this.sentinel) this.observer.unobserve(this.sentinel)
+    this.sentinel = sentinel
+    this.sentinelVisible = false
+    if (sentinel) this.observer.observe(sentinel)
+  },
+  maybeLoadHistory() {
+    if (!this.sentinel || !this.sentinelVisible || this.loadingHistory) return
+    // Wait for the user to scroll up, unless there is nothing to scroll yet
+    const scrollable = this.el.scrollHeight > this.el.clientHeight
+    if (scrollable && !this.scrolledUp) return
+
+    this.loadingHistory = true
+    this.restoreFromBottom = this.el.scrollHeight - this.el.scrollTop
+    this.pushEventTo(this.el, "load_older_messages", {}, () => {
+      // The page (if any) has been rendered by now
+      this.loadingHistory = false
+      this.restoreFromBottom = null
+      // The sentinel may still be in view after a short page
+      requestAnimationFrame(() => this.maybeLoadHistory())
+    })
+  },
+  isNearBottom() {
+    const {scrollTop, scrollHeight, clientHeight} = this.el
+    return scrollHeight - scrollTop - clientHeight <= PINNED_THRESHOLD
+  },
+  showPill() {
+    this.el.querySelector("[data-new-messages-pill]")?.classList.remove("hidden")
+  },
+  hidePill() {
+    this.el.querySelector("[data-new-messages-pill]")?.classList.add("hidden")
+  },
   queueScroll(behavior = "smooth") {
     this.pendingScroll = behavior
     this.scrollToBottom(behavior)
@@ -0,0 +1,105 @@
+// Underline colour per error category
+const CATEGORY_CLASSES = {
+  grammar: "decoration-error",
+  spelling: "decoration-warning",
+  vocabulary: "decoration-info",
+  punctuation: "decoration-secondary",
+  style: "decoration-accent",
+}
+
+const element = (tag, className, text) => {
+  const el = document.createElement(tag)
+  if (className) el.className = className
+  if (text != null) el.textContent = text
+  return el
+}
+
+// Renders the user's message as an inline diff of its corrections, each with
+// its explanation on hover (or focus) and a button to save it as a card
+const CorrectionDiff = {
+  mounted() {
+    this.render()
+
+    this.onClick = event => {
+      const button = event.target.closest("[data-save-correction]")
+      if (!button || button.disabled) return
+
+      button.disabled = true
+      const payload = {
+        message_id: Number(this.el.dataset.messageId),
+        index: Number(button.dataset.saveCorrection),
+      }
+      this.pushEventTo(this.el, "save_correction_card", payload, reply => {
+        button.disabled = Boolean(reply?.saved)
+        if (reply?.saved) button.textContent = this.el.dataset.savedLabel
+      })
+    }
+    this.el.addEventListener("click", this.onClick)
+  },
+  destroyed() {
+    this.el.removeEventListener("click", this.onClick)
+  },
+  render() {
+    const target = this.el.querySelector("[data-correction-diff]")
+    if (!target) return
+
+    let corrections
+    try {
+      corrections = JSON.parse(this.el.dataset.corrections || "[]")
+    } catch (error) {
+      console.error("Unable to read corrections", error)
+      return
+    }
+
+    // Offsets count code points, as the server does
+    const chars = Array.from(this.el.dataset.text || "")
+    const fragment = document.createDocumentFragment()
+    let position = 0
+
+    corrections.forEach((correction, index) => {
+      if (correction.offset < position) return
+      const end = correction.offset + correction.length
+      fragment.append(chars.slice(position, correction.offset).join(""))
+      fragment.append(this.buildCorrection(correction, chars.slice(correction.offset, end), index))
+      position = end
+    })
+    fragment.append(chars.slice(position).join(""))
+
+    target.replaceChildren(fragment)
+  },
+  buildCorrection(correction, original, index) {
+    const wrapper = element("span", "group relative inline")
+    wrapper.tabIndex = 0
+    wrapper.dataset.category = correction.category
+
+    const underline = CATEGORY_CLASSES[correction.category] || CATEGORY_CLASSES.grammar
+    wrapper.append(
+      element("del", "text-base-content/50", original.join("")),
+      element(
+        "ins",
+        `ml-0.5 font-semibold underline decoration-wavy decoration-2 ${underline}`,
+        correction.replacement,
+      ),
+    )
+
+    const tooltip = element(
+      "span",
+      "invisible opacity-0 group-hover:visible group-hover:opacity-100 group-focus-within:visible group-focus-within:opacity-100 absolute bottom-full left-0 z-20 flex w-60 flex-col gap-2 rounded-xl border border-base-300 bg-base-100 p-3 text-xs shadow-xl transition",
+    )
+    tooltip.setAttribute("role", "tooltip")
+    tooltip.append(
+      element("span", "badge badge-ghost badge-sm capitalize", correction.category),
+      element("span", "whitespace-normal text-base-content/80", correction.explanation),
+    )
+
+    const save = element("button", "btn btn-primary btn-xs self-start", this.el.dataset.saveLabel)
+    save.type = "button"
+    save.dataset.saveCorrection = index
+    tooltip.append(save)
+
+    wrapper.append(tooltip)
+    return wrapper
+  },
+}
+
+export default CorrectionDiff
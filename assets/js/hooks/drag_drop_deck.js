@@ -1,112 +1,544 @@
+// Moving cards between decks and reordering them within a deck, built on
+// pointer events so it works the same with a mouse, a pen or a finger, plus a
+// keyboard alternative.
+//
+//   Mouse / pen      press and drag a row onto another deck, or between rows
+//                    of its own deck to reorder
+//   Touch            long-press a row to pick it up, then drag
+//   Alt or Ctrl      copy instead of move when dropping
+//   Space            pick up the focused row (and the rest of the selection)
+//   Arrow keys       choose the target deck
+//   Enter            drop onto the chosen deck
+//   Escape           put the cards back
+//   Alt+↑/↓          move the focused row up or down within its deck
+//
+// Rows (DraggableWord) run the drag and tell the deck under the pointer about
+// it through `deck:dragenter`, `deck:dragleave`, `deck:drop` and
+// `deck:reorder` events; decks (DeckDropZone) highlight themselves and push
+// `move_word_between_decks` or `reorder_deck_cards`.
+
+const ZONE_SELECTOR = '[phx-hook="DeckDropZone"]';
+const INTERACTIVE_SELECTOR = "button, a, input, select, textarea";
+const ANNOUNCER_ID = "deck-move-announcer";
+
+const LONG_PRESS_MS = 450;
+// How far a mouse or pen has to move before a press becomes a drag, and how
+// far a finger may wander before a long-press is treated as a scroll instead
+const DRAG_THRESHOLD_PX = 6;
+// Distance from the top or bottom of the viewport where dragging scrolls
+const EDGE_PX = 60;
+const MAX_SCROLL_STEP_PX = 18;
+
+const ZONE_IDLE_CLASSES = ["ring-2", "ring-dashed", "ring-primary/30"];
+const ZONE_ACTIVE_CLASSES = ["ring-2", "ring-primary", "bg-primary/5"];
+// Line above or below the row a reordered card would land next to
+const SLOT_BEFORE_CLASS = "shadow-[inset_0_2px_0_var(--color-primary)]";
+const SLOT_AFTER_CLASS = "shadow-[inset_0_-2px_0_var(--color-primary)]";
+
+// Row the last plain or ctrl/cmd click landed on, where shift-click ranges start
+let selectionAnchorId = null;
+// The drag in progress, if any; there is only ever one
+let drag = null;
+
+/**
+ * Card rows (words and custom cards) of a deck, in display order
+ */
+const cardRows = (deckId) =>
+  Array.from(
+    document.querySelectorAll(`[data-card-type][data-deck-id="${deckId}"]`)
+  );
+
+const selectedRows = (deckId) =>
+  cardRows(deckId).filter((row) => row.dataset.selected === "true");
+
+const cardOf = (row) => ({ type: row.dataset.cardType, id: row.dataset.wordId });
+
+const targetZones = (fromDeckId) =>
+  Array.from(document.querySelectorAll(ZONE_SELECTOR)).filter(
+    (zone) => zone.dataset.deckId !== fromDeckId
+  );
+
+const cardsLabel = (count) => (count === 1 ? "1 card" : `${count} cards`);
+
+function announce(message) {
+  const announcer = document.getElementById(ANNOUNCER_ID);
+  if (!announcer) return;
+  // Clear first so repeating the same message is still read out
+  announcer.textContent = "";
+  requestAnimationFrame(() => {
+    announcer.textContent = message;
+  });
+}
+
+function buildGhost(row, count) {
+  const ghost = document.createElement("div");
+  ghost.className =
+    "fixed left-0 top-0 z-50 pointer-events-none flex items-center gap-2 rounded-lg border-2 border-primary bg-base-100 px-3 py-2 text-sm font-medium shadow-lg";
+  ghost.textContent = row.querySelector("td.font-medium")?.textContent.trim() || "";
+
+  if (count > 1) {
+    const badge = document.createElement("span");
+    badge.className = "badge badge-primary badge-sm";
+    badge.textContent = cardsLabel(count);
+    ghost.appendChild(badge);
+  }
+
+  document.body.appendChild(ghost);
+  return ghost;
+}
+
 /**
- * DraggableWord hook - Makes word/card rows draggable
+ * Picks up `row` (with the rest of the selection when it is selected).
+ * `point` is the pointer position, or null for a keyboard drag.
+ */
+function startDrag(row, point) {
+  const fromDeckId = row.dataset.deckId;
+  const rows = row.dataset.selected === "true" ? selectedRows(fromDeckId) : [row];
+
+  drag = {
+    rows,
+    fromDeckId,
+    cards: rows.map(cardOf),
+    ghost: point ? buildGhost(row, rows.length) : null,
+    target: null,
+    slot: null,
+    point,
+    scrollFrame: null,
+  };
+
+  // Add dragging state
+  rows.forEach((r) => r.classList.add("opacity-50", "bg-base-200"));
+  // Show the decks cards can be dropped on
+  targetZones(fromDeckId).forEach((zone) =>
+    zone.classList.add(...ZONE_IDLE_CLASSES)
+  );
+
+  if (point) {
+    moveDrag(point);
+    drag.scrollFrame = requestAnimationFrame(autoScroll);
+  }
+}
+
+function moveDrag(point) {
+  drag.point = point;
+  drag.ghost.style.transform = `translate(${point.x + 12}px, ${point.y + 12}px)`;
+
+  const zone = document.elementFromPoint(point.x, point.y)?.closest(ZONE_SELECTOR);
+
+  if (zone && zone.dataset.deckId === drag.fromDeckId) {
+    setTarget(null);
+    setSlot(reorderSlot(point));
+  } else {
+    setSlot(null);
+    setTarget(zone || null);
+  }
+}
+
+// Where in its own deck the dragged cards would go: next to the row of the
+// same kind under the pointer, before or after it depending on which half
+function reorderSlot(point) {
+  const type = drag.cards[0].type;
+  if (drag.cards.some((card) => card.type !== type)) return null;
+
+  const row = document
+    .elementFromPoint(point.x, point.y)
+    ?.closest(`[data-card-type="${type}"][data-deck-id="${drag.fromDeckId}"]`);
+  if (!row || drag.rows.includes(row)) return null;
+
+  const { top, height } = row.getBoundingClientRect();
+  return { row, after: point.y > top + height / 2 };
+}
+
+function setSlot(slot) {
+  const current = drag.slot;
+  if (current?.row === slot?.row && current?.after === slot?.after) return;
+
+  if (current) markSlot(current, false);
+  drag.slot = slot;
+  if (slot) markSlot(slot, true);
+}
+
+function markSlot({ row, after }, on) {
+  const slotClass = after ? SLOT_AFTER_CLASS : SLOT_BEFORE_CLASS;
+  row
+    .querySelectorAll("td")
+    .forEach((cell) => cell.classList.toggle(slotClass, on));
+}
+
+/**
+ * Ids of the deck's cards of the slot row's kind once `rows` are moved into
+ * `slot`
+ */
+function reorderedIds({ row, after }, rows, deckId) {
+  const type = row.dataset.cardType;
+  const others = cardRows(deckId).filter(
+    (r) => r.dataset.cardType === type && !rows.includes(r)
+  );
+
+  others.splice(others.indexOf(row) + (after ? 1 : 0), 0, ...rows);
+  return { type, ids: others.map((r) => r.dataset.wordId) };
+}
+
+function setTarget(zone) {
+  if (zone === drag.target) return;
+  drag.target?.dispatchEvent(new CustomEvent("deck:dragleave"));
+  drag.target = zone;
+  zone?.dispatchEvent(new CustomEvent("deck:dragenter"));
+}
+
+// Scrolls the page while the pointer is held near its top or bottom edge
+function autoScroll() {
+  if (!drag?.point) return;
+
+  const { y } = drag.point;
+  const bottomEdge = window.innerHeight - EDGE_PX;
+  let step = 0;
+
+  if (y < EDGE_PX) {
+    step = -Math.ceil(((EDGE_PX - y) / EDGE_PX) * MAX_SCROLL_STEP_PX);
+  } else if (y > bottomEdge) {
+    step = Math.ceil(((y - bottomEdge) / EDGE_PX) * MAX_SCROLL_STEP_PX);
+  }
+
+  if (step !== 0) {
+    window.scrollBy(0, step);
+    // The deck under the pointer changes as the page moves
+    moveDrag(drag.point);
+  }
+
+  drag.scrollFrame = requestAnimationFrame(autoScroll);
+}
+
+/**
+ * Ends the drag, dropping the cards on the current target when `drop` is set.
+ */
+function endDrag({ drop, copy = false }) {
+  const { rows, fromDeckId, cards, ghost, target, slot, scrollFrame } = drag;
+  drag = null;
+
+  cancelAnimationFrame(scrollFrame);
+  ghost?.remove();
+  if (slot) markSlot(slot, false);
+  rows.forEach((r) => r.classList.remove("opacity-50", "bg-base-200"));
+  document.querySelectorAll(ZONE_SELECTOR).forEach((zone) => {
+    zone.classList.remove(...ZONE_IDLE_CLASSES, ...ZONE_ACTIVE_CLASSES);
+  });
+
+  if (drop && target) {
+    target.dispatchEvent(
+      new CustomEvent("deck:drop", { detail: { fromDeckId, cards, copy } })
+    );
+  } else if (drop && slot) {
+    const detail = reorderedIds(slot, rows, fromDeckId);
+    slot.row
+      .closest(ZONE_SELECTOR)
+      ?.dispatchEvent(new CustomEvent("deck:reorder", { detail }));
+  }
+}
+
+/**
+ * DraggableWord hook - Makes word/card rows selectable and movable.
+ * Click selects a row, ctrl/cmd-click toggles it and shift-click selects a
+ * range (on touch screens a tap toggles); moving a selected row moves the
+ * whole selection.
  */
 const DraggableWord = {
   mounted() {
-    this.el.addEventListener("dragstart", (e) => {
-      const wordId = this.el.dataset.wordId;
-      const deckId = this.el.dataset.deckId;
-      const cardType = this.el.dataset.cardType || "word";
-
-      // Set drag data
-      e.dataTransfer.setData(
-        "application/json",
-        JSON.stringify({
-          wordId,
-          fromDeckId: deckId,
-          cardType,
-        })
-      );
-      e.dataTransfer.effectAllowed = "move";
-
-      // Create ghost element
-      const ghost = this.el.cloneNode(true);
-      ghost.classList.add(
-        "bg-base-100",
-        "shadow-lg",
-        "rounded-lg",
-        "p-2",
-        "border-2",
-        "border-primary"
-      );
-      ghost.style.width = `${this.el.offsetWidth}px`;
-      document.body.appendChild(ghost);
-      e.dataTransfer.setDragImage(ghost, 20, 20);
-      setTimeout(() => ghost.remove(), 0);
-
-      // Add dragging state
-      this.el.classList.add("opacity-50", "bg-base-200");
-
-      // Notify other decks to show drop zones
-      document.querySelectorAll("[data-deck-id]").forEach((deck) => {
-        if (deck.dataset.deckId !== deckId) {
-          deck.classList.add("ring-2", "ring-dashed", "ring-primary/30");
-        }
-      });
+    this.press = null;
+    this.suppressClick = false;
+    this.lastPointerType = "mouse";
+    this.keyboardTargets = null;
+
+    this.el.addEventListener("click", (e) => this.handleClick(e));
+    this.el.addEventListener("pointerdown", (e) => this.handlePointerDown(e));
+    this.el.addEventListener("pointermove", (e) => this.handlePointerMove(e));
+    this.el.addEventListener("pointerup", (e) => this.handlePointerUp(e));
+    this.el.addEventListener("pointercancel", () => this.cancelPress());
+    this.el.addEventListener("keydown", (e) => this.handleKeyDown(e));
+    this.el.addEventListener("blur", () => {
+      if (this.keyboardTargets) this.cancelKeyboardDrag();
     });
 
-    this.el.addEventListener("dragend", (e) => {
-      this.el.classList.remove("opacity-50", "bg-base-200");
-      document.querySelectorAll("[data-deck-id]").forEach((deck) => {
-        deck.classList.remove(
-          "ring-2",
-          "ring-dashed",
-          "ring-primary/30",
-          "ring-primary",
-          "bg-primary/5"
-        );
-      });
+    // Once a card is picked up the finger drags it instead of the page
+    this.el.addEventListener(
+      "touchmove",
+      (e) => {
+        if (this.press?.dragging) e.preventDefault();
+      },
+      { passive: false }
+    );
+    // Keep the long-press from opening the browser's context menu
+    this.el.addEventListener("contextmenu", (e) => {
+      if (this.press) e.preventDefault();
+    });
+  },
+
+  destroyed() {
+    if (drag && (this.press?.dragging || this.keyboardTargets)) {
+      endDrag({ drop: false });
+    }
+    clearTimeout(this.press?.timer);
+  },
+
+  handleClick(e) {
+    // Let the row's own buttons work
+    if (e.target.closest(INTERACTIVE_SELECTOR)) return;
+
+    if (this.suppressClick) {
+      this.suppressClick = false;
+      return;
+    }
+
+    const deckId = this.el.dataset.deckId;
+    const rows = cardRows(deckId);
+    const selected = selectedRows(deckId);
+    const anchor = rows.find((row) => row.id === selectionAnchorId);
+    let selection;
+
+    if (e.shiftKey && anchor) {
+      const [start, end] = [rows.indexOf(anchor), rows.indexOf(this.el)].sort(
+        (a, b) => a - b
+      );
+      selection = rows.slice(start, end + 1);
+      window.getSelection()?.removeAllRanges();
+    } else if (e.ctrlKey || e.metaKey || this.lastPointerType === "touch") {
+      selection = selected.includes(this.el)
+        ? selected.filter((row) => row !== this.el)
+        : [...selected, this.el];
+      selectionAnchorId = this.el.id;
+    } else {
+      const onlyThis = selected.length === 1 && selected[0] === this.el;
+      selection = onlyThis ? [] : [this.el];
+      selectionAnchorId = this.el.id;
+    }
+
+    this.pushEvent("select_cards", {
+      deck_id: deckId,
+      cards: selection.map(cardOf),
     });
   },
+
+  handlePointerDown(e) {
+    this.lastPointerType = e.pointerType;
+    if (!e.isPrimary || e.button !== 0 || drag) return;
+    if (e.target.closest(INTERACTIVE_SELECTOR)) return;
+
+    this.press = {
+      pointerId: e.pointerId,
+      type: e.pointerType,
+      origin: { x: e.clientX, y: e.clientY },
+      point: { x: e.clientX, y: e.clientY },
+      dragging: false,
+      timer: null,
+    };
+
+    if (e.pointerType === "touch") {
+      this.press.timer = setTimeout(() => this.pickUp(), LONG_PRESS_MS);
+    }
+  },
+
+  handlePointerMove(e) {
+    if (!this.press || e.pointerId !== this.press.pointerId) return;
+
+    this.press.point = { x: e.clientX, y: e.clientY };
+
+    if (this.press.dragging) {
+      moveDrag(this.press.point);
+      return;
+    }
+
+    const { origin } = this.press;
+    const distance = Math.hypot(e.clientX - origin.x, e.clientY - origin.y);
+    if (distance < DRAG_THRESHOLD_PX) return;
+
+    if (this.press.type === "touch") {
+      // Moving before the long-press fires is a scroll, not a drag
+      this.cancelPress();
+    } else {
+      this.pickUp();
+    }
+  },
+
+  handlePointerUp(e) {
+    if (!this.press || e.pointerId !== this.press.pointerId) return;
+
+    if (this.press.dragging) {
+      // The click that follows the release is part of the drag
+      this.suppressClick = true;
+      this.press = null;
+      endDrag({ drop: true, copy: e.altKey || e.ctrlKey });
+    } else {
+      this.cancelPress();
+    }
+  },
+
+  pickUp() {
+    if (!this.press || drag) return;
+
+    clearTimeout(this.press.timer);
+    this.press.dragging = true;
+    this.el.setPointerCapture?.(this.press.pointerId);
+    if (this.press.type === "touch") navigator.vibrate?.(10);
+
+    startDrag(this.el, this.press.point);
+  },
+
+  cancelPress() {
+    if (!this.press) return;
+
+    clearTimeout(this.press.timer);
+    if (this.press.dragging) endDrag({ drop: false });
+    this.press = null;
+  },
+
+  handleKeyDown(e) {
+    if (e.target !== this.el) return;
+
+    if (!this.keyboardTargets) {
+      if (e.key === " " && !drag) {
+        e.preventDefault();
+        this.startKeyboardDrag();
+      } else if (e.altKey && (e.key === "ArrowUp" || e.key === "ArrowDown")) {
+        e.preventDefault();
+        this.nudge(e.key === "ArrowUp" ? -1 : 1);
+      }
+      return;
+    }
+
+    switch (e.key) {
+      case "ArrowDown":
+      case "ArrowRight":
+        e.preventDefault();
+        this.chooseKeyboardTarget(1);
+        break;
+      case "ArrowUp":
+      case "ArrowLeft":
+        e.preventDefault();
+        this.chooseKeyboardTarget(-1);
+        break;
+      case "Enter":
+      case " ":
+        e.preventDefault();
+        this.dropKeyboardDrag(e.altKey || e.ctrlKey);
+        break;
+      case "Escape":
+        e.preventDefault();
+        // Don't let the same key clear the selection as well
+        e.stopPropagation();
+        this.cancelKeyboardDrag();
+        break;
+      case "Tab":
+        this.cancelKeyboardDrag();
+        break;
+    }
+  },
+
+  // Moves the focused row one place up or down among the deck's rows of its kind
+  nudge(step) {
+    const deckId = this.el.dataset.deckId;
+    const rows = cardRows(deckId).filter(
+      (row) => row.dataset.cardType === this.el.dataset.cardType
+    );
+    const next = rows.indexOf(this.el) + step;
+    if (next < 0 || next >= rows.length) return;
+
+    const slot = { row: rows[next], after: step > 0 };
+    const detail = reorderedIds(slot, [this.el], deckId);
+    // Reordering the rows can drop focus, so take it back once the deck is patched
+    detail.onDone = () => this.el.focus();
+
+    this.el
+      .closest(ZONE_SELECTOR)
+      ?.dispatchEvent(new CustomEvent("deck:reorder", { detail }));
+    announce(`Moved to position ${next + 1} of ${rows.length}.`);
+  },
+
+  startKeyboardDrag() {
+    const targets = targetZones(this.el.dataset.deckId);
+
+    if (targets.length === 0) {
+      announce("There is no other deck to move cards to.");
+      return;
+    }
+
+    startDrag(this.el, null);
+    this.keyboardTargets = { zones: targets, index: -1 };
+
+    announce(
+      `Picked up ${cardsLabel(drag.cards.length)}. Use the arrow keys to choose a deck, Enter to drop, Escape to cancel.`
+    );
+  },
+
+  chooseKeyboardTarget(step) {
+    const { zones, index } = this.keyboardTargets;
+    const next =
+      index === -1 && step < 0
+        ? zones.length - 1
+        : (index + step + zones.length) % zones.length;
+    const zone = zones[next];
+
+    this.keyboardTargets.index = next;
+    setTarget(zone);
+    zone.scrollIntoView({ block: "nearest", behavior: "smooth" });
+    announce(`${zone.dataset.deckName}, deck ${next + 1} of ${zones.length}`);
+  },
+
+  dropKeyboardDrag(copy) {
+    if (!drag.target) {
+      announce("Choose a deck with the arrow keys first.");
+      return;
+    }
+
+    const deckName = drag.target.dataset.deckName;
+    const count = drag.cards.length;
+    this.keyboardTargets = null;
+    endDrag({ drop: true, copy });
+    announce(`${copy ? "Copying" : "Moving"} ${cardsLabel(count)} to ${deckName}.`);
+  },
+
+  cancelKeyboardDrag() {
+    this.keyboardTargets = null;
+    endDrag({ drop: false });
+    announce("Move cancelled.");
+  },
 };
 
 /**
- * DeckDropZone hook - Makes deck cards accept dropped words/cards
+ * DeckDropZone hook - Makes deck cards accept cards moved onto them and
+ * saves the order of cards reordered within them.
  */
 const DeckDropZone = {
   mounted() {
-    this.el.addEventListener("dragover", (e) => {
-      e.preventDefault();
-      e.dataTransfer.dropEffect = "move";
+    this.el.addEventListener("deck:dragenter", () => {
+      // Replace dashed ring with solid ring while targeted
+      this.el.classList.remove(...ZONE_IDLE_CLASSES);
+      this.el.classList.add(...ZONE_ACTIVE_CLASSES);
+    });
 
-      // Replace dashed ring with solid ring on hover
-      this.el.classList.remove("ring-dashed", "ring-primary/30");
-      this.el.classList.add("ring-2", "ring-primary", "bg-primary/5");
+    this.el.addEventListener("deck:dragleave", () => {
+      this.el.classList.remove(...ZONE_ACTIVE_CLASSES);
+      this.el.classList.add(...ZONE_IDLE_CLASSES);
     });
 
-    this.el.addEventListener("dragleave", (e) => {
-      // Only remove if actually leaving the drop zone
-      if (!this.el.contains(e.relatedTarget)) {
-        this.el.classList.remove("ring-primary", "bg-primary/5");
-        this.el.classList.add("ring-dashed", "ring-primary/30");
-      }
+    this.el.addEventListener("deck:drop", (e) => {
+      const { fromDeckId, cards, copy } = e.detail;
+
+      this.pushEvent("move_word_between_decks", {
+        from_deck_id: fromDeckId,
+        to_deck_id: this.el.dataset.deckId,
+        cards,
+        copy,
+      });
     });
 
-    this.el.addEventListener("drop", (e) => {
-      e.preventDefault();
-      this.el.classList.remove(
-        "ring-2",
-        "ring-dashed",
-        "ring-primary/30",
-        "ring-primary",
-        "bg-primary/5"
-      );
+    this.el.addEventListener("deck:reorder", (e) => {
+      const { type, ids, onDone } = e.detail;
 
-      try {
-        const data = JSON.parse(e.dataTransfer.getData("application/json"));
-        const toDeckId = this.el.dataset.deckId;
-
-        if (data.fromDeckId !== toDeckId) {
-          this.pushEvent("move_word_between_decks", {
-            word_id: data.wordId,
-            from_deck_id: data.fromDeckId,
-            to_deck_id: toDeckId,
-            card_type: data.cardType,
-          });
-        }
-      } catch (err) {
-        console.error("Drop error:", err);
-      }
+      this.pushEvent(
+        "reorder_deck_cards",
+        { deck_id: this.el.dataset.deckId, type, ids },
+        () => onDone?.()
+      );
     });
   },
 };
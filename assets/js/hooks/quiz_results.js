@@ -0,0 +1,141 @@
+const SCORE_ANIMATION_MS = 900
+const HIGHLIGHT_MS = 2500
+const HIGHLIGHT_CLASSES = ["ring-2", "ring-primary", "bg-primary/10", "rounded-lg"]
+
+// Compares sentences ignoring case, spacing and punctuation
+const normalize = text => (text || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "")
+
+const prefersReducedMotion = () =>
+  window.matchMedia?.("(prefers-reduced-motion: reduce)").matches
+
+// Results of an article quiz in the chat drawer: counts up the score, steps
+// through the questions one at a time, jumps to the article sentence a
+// question is about and adds the vocabulary of missed questions to study
+const QuizResults = {
+  mounted() {
+    this.index = 0
+    this.addedCount = null
+
+    this.onClick = event => {
+      if (event.target.closest("[data-quiz-prev]")) this.showQuestion(this.index - 1)
+      else if (event.target.closest("[data-quiz-next]")) this.showQuestion(this.index + 1)
+
+      const sentenceButton = event.target.closest("[data-quiz-sentence]")
+      if (sentenceButton) this.jumpToSentence(sentenceButton.dataset.quizSentence)
+
+      const addButton = event.target.closest("[data-quiz-add-vocabulary]")
+      if (addButton && !addButton.disabled) this.addMissedVocabulary(addButton)
+    }
+    this.el.addEventListener("click", this.onClick)
+
+    this.render()
+    this.animateScore()
+  },
+  updated() {
+    // The server re-renders the results, so re-apply what the hook changed
+    this.render()
+  },
+  destroyed() {
+    this.el.removeEventListener("click", this.onClick)
+    cancelAnimationFrame(this.scoreFrame)
+    clearTimeout(this.highlightTimeout)
+  },
+  render() {
+    this.showQuestion(this.index)
+    this.markMissingSentences()
+    this.renderAddedVocabulary()
+  },
+  questions() {
+    return Array.from(this.el.querySelectorAll("[data-quiz-question]"))
+  },
+  showQuestion(index) {
+    const nav = this.el.querySelector("[data-quiz-nav]")
+    if (!nav) return
+
+    const questions = this.questions()
+    this.index = Math.min(Math.max(index, 0), questions.length - 1)
+    questions.forEach((question, i) => question.classList.toggle("hidden", i !== this.index))
+
+    nav.querySelector("[data-quiz-prev]").disabled = this.index === 0
+    nav.querySelector("[data-quiz-next]").disabled = this.index === questions.length - 1
+    nav.querySelector("[data-quiz-position]").textContent =
+      `Question ${this.index + 1} of ${questions.length}`
+  },
+  animateScore() {
+    const score = Number(this.el.dataset.score)
+    const maxScore = Number(this.el.dataset.maxScore)
+    const container = this.el.querySelector("[data-quiz-score]")
+    const [badge, percentage] = container ? container.children : []
+    if (!badge || !percentage || !(maxScore > 0) || prefersReducedMotion()) return
+
+    const start = performance.now()
+    const step = now => {
+      const progress = Math.min((now - start) / SCORE_ANIMATION_MS, 1)
+      // Ease out, so the count slows down as it reaches the score
+      const eased = 1 - Math.pow(1 - progress, 3)
+      const current = Math.round(score * eased)
+
+      badge.textContent = `${current}/${maxScore}`
+      percentage.textContent = `${Math.round((current / maxScore) * 1000) / 10}%`
+      if (progress < 1) this.scoreFrame = requestAnimationFrame(step)
+    }
+    this.scoreFrame = requestAnimationFrame(step)
+  },
+  findSentence(quote) {
+    const target = normalize(quote)
+    if (!target) return null
+
+    const sentences = Array.from(document.querySelectorAll("[data-reader-sentence]"))
+    return (
+      sentences.find(sentence => normalize(sentence.textContent).includes(target)) ||
+      // The quote may span more than one sentence of the article
+      sentences.find(sentence => {
+        const text = normalize(sentence.textContent)
+        return text.length > 20 && target.includes(text)
+      })
+    )
+  },
+  markMissingSentences() {
+    this.el.querySelectorAll("[data-quiz-sentence]").forEach(button => {
+      const found = Boolean(this.findSentence(button.dataset.quizSentence))
+      button.disabled = !found
+      if (!found) button.title = "This sentence isn't on the page"
+    })
+  },
+  jumpToSentence(quote) {
+    const sentence = this.findSentence(quote)
+    if (!sentence) return
+
+    sentence.scrollIntoView({behavior: prefersReducedMotion() ? "auto" : "smooth", block: "center"})
+
+    if (this.highlighted) this.highlighted.classList.remove(...HIGHLIGHT_CLASSES)
+    clearTimeout(this.highlightTimeout)
+    this.highlighted = sentence
+    sentence.classList.add(...HIGHLIGHT_CLASSES)
+    this.highlightTimeout = setTimeout(() => {
+      sentence.classList.remove(...HIGHLIGHT_CLASSES)
+      this.highlighted = null
+    }, HIGHLIGHT_MS)
+  },
+  addMissedVocabulary(button) {
+    button.disabled = true
+    this.pushEventTo(this.el, "add_missed_vocabulary", {}, reply => {
+      if (reply?.added == null) {
+        button.disabled = false
+        return
+      }
+      this.addedCount = reply.added
+      this.renderAddedVocabulary()
+    })
+  },
+  renderAddedVocabulary() {
+    const button = this.el.querySelector("[data-quiz-add-vocabulary]")
+    if (!button || this.addedCount == null) return
+
+    button.disabled = true
+    button.textContent =
+      this.addedCount === 1 ? "Added 1 word to study" : `Added ${this.addedCount} words to study`
+  },
+}
+
+export default QuizResults
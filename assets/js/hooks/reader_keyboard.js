@@ -0,0 +1,245 @@
+import {
+  cancelSelection,
+  closeTooltip,
+  extendSelection,
+  finalizeSelection,
+  hasSelection,
+  lookupToken,
+  triggerTooltipAction,
+  tooltipOpen,
+} from "./word_tooltip"
+
+// Keyboard navigation for the article reader. The reader itself holds focus
+// and points aria-activedescendant at the current token, so LiveView patches
+// to individual tokens never steal focus. Lookups opened from the keyboard
+// move focus into the tooltip dialog, which hands it back on Escape.
+//
+//   ←/→ or h/l       previous / next word
+//   ↑/↓ or k/j       previous / next sentence
+//   Shift+←/→ (H/L)  extend a phrase selection within the sentence
+//   Enter            look up the word (or the selected phrase)
+//   a                add the looked-up word to study
+//   1-3              rate it Hard / Good / Easy
+//   Escape           cancel the selection or close the lookup
+
+const TOKEN_SELECTOR = "[data-word][data-sentence-id]"
+const FOCUS_CLASS = "reader-token-focus"
+
+const MOVES = {
+  ArrowRight: 1,
+  l: 1,
+  ArrowLeft: -1,
+  h: -1,
+}
+
+const SENTENCE_MOVES = {
+  ArrowDown: 1,
+  j: 1,
+  ArrowUp: -1,
+  k: -1,
+}
+
+const RATINGS = {1: "hard", 2: "good", 3: "easy"}
+
+const ReaderKeyboard = {
+  mounted() {
+    this.focusedId = null
+    this.announcer = document.getElementById(this.el.dataset.announcer)
+    // Translated messages from the server, with {placeholders}
+    this.messages = JSON.parse(this.el.dataset.announcements || "{}")
+
+    this.onKeyDown = event => this.handleKeyDown(event)
+    this.onFocus = () => {
+      if (!this.currentToken()) this.focusToken(this.firstVisibleToken())
+    }
+    // Keep the keyboard position in step with pointer lookups
+    this.onClick = event => {
+      const token = event.target.closest(TOKEN_SELECTOR)
+      if (token && this.el.contains(token)) this.focusToken(token, {announce: false})
+    }
+
+    this.el.addEventListener("keydown", this.onKeyDown)
+    this.el.addEventListener("focus", this.onFocus)
+    // Capture phase: the token hook stops the click from bubbling
+    this.el.addEventListener("click", this.onClick, true)
+
+    this.handleEvent("word-added", payload => {
+      if (this.tracks(payload)) this.announce(this.message("added"))
+    })
+    this.handleEvent("word-removed", payload => {
+      if (this.tracks(payload)) this.announce(this.message("removed"))
+    })
+  },
+
+  updated() {
+    // Patches reset client-side attributes, so put the focus ring back
+    this.applyFocus()
+  },
+
+  destroyed() {
+    this.el.removeEventListener("keydown", this.onKeyDown)
+    this.el.removeEventListener("focus", this.onFocus)
+    this.el.removeEventListener("click", this.onClick, true)
+  },
+
+  tokens() {
+    return Array.from(this.el.querySelectorAll(TOKEN_SELECTOR))
+  },
+
+  currentToken() {
+    return this.focusedId ? document.getElementById(this.focusedId) : null
+  },
+
+  firstVisibleToken() {
+    const tokens = this.tokens()
+    return tokens.find(token => token.getBoundingClientRect().top >= 0) || tokens[0]
+  },
+
+  handleKeyDown(event) {
+    if (event.target !== this.el) return
+    if (event.metaKey || event.ctrlKey || event.altKey) return
+
+    const key = event.key.length === 1 ? event.key.toLowerCase() : event.key
+    const current = this.currentToken() || this.firstVisibleToken()
+    if (!current) return
+
+    this.applyFocus()
+
+    if (key in MOVES) {
+      event.preventDefault()
+      if (event.shiftKey) {
+        this.extendTo(current, MOVES[key])
+      } else {
+        this.moveBy(current, MOVES[key])
+      }
+      return
+    }
+
+    if (key in SENTENCE_MOVES && !event.shiftKey) {
+      event.preventDefault()
+      this.moveSentence(current, SENTENCE_MOVES[key])
+      return
+    }
+
+    switch (key) {
+      case "Enter":
+        event.preventDefault()
+        if (!finalizeSelection()) lookupToken(current)
+        return
+
+      case "Escape":
+        if (hasSelection()) {
+          cancelSelection()
+          this.announce(this.message("selection_cancelled"))
+        } else if (tooltipOpen()) {
+          closeTooltip()
+        }
+        return
+
+      case "a":
+        event.preventDefault()
+        if (!triggerTooltipAction("add-to-study")) {
+          this.announce(this.message(tooltipOpen() ? "already_studied" : "look_up_first"))
+        }
+        return
+
+      case "1":
+      case "2":
+      case "3": {
+        event.preventDefault()
+        const quality = RATINGS[key]
+        if (triggerTooltipAction("rate-word", quality)) {
+          this.announce(this.message(`rated_${quality}`))
+        } else {
+          this.announce(this.message("rate_unstudied"))
+        }
+        return
+      }
+    }
+  },
+
+  moveBy(current, step) {
+    if (hasSelection()) cancelSelection()
+    const tokens = this.tokens()
+    const next = tokens[tokens.indexOf(current) + step]
+    if (next) this.focusToken(next)
+  },
+
+  moveSentence(current, step) {
+    if (hasSelection()) cancelSelection()
+    const sentences = Array.from(this.el.querySelectorAll("[data-reader-sentence]"))
+    const sentence = current.closest("[data-reader-sentence]")
+    const target = sentences[sentences.indexOf(sentence) + step]
+    const first = target && target.querySelector(TOKEN_SELECTOR)
+    if (!first) return
+
+    this.focusToken(first, {announce: false})
+    this.announce(
+      this.message("sentence", {
+        number: sentences.indexOf(target) + 1,
+        count: sentences.length,
+        text: target.textContent.trim(),
+      }),
+    )
+  },
+
+  extendTo(current, step) {
+    const tokens = this.tokens()
+    const next = tokens[tokens.indexOf(current) + step]
+    if (!next || next.dataset.sentenceId !== current.dataset.sentenceId) {
+      this.announce(this.message("phrase_crosses_sentences"))
+      return
+    }
+
+    if (extendSelection(current, next)) {
+      this.focusToken(next, {announce: false})
+      const selected = Array.from(this.el.querySelectorAll(".phrase-selection-highlight"))
+      const phrase = selected.map(el => el.dataset.word).join(" ")
+      this.announce(this.message("selected", {phrase}))
+    }
+  },
+
+  focusToken(token, {announce = true} = {}) {
+    if (!token) return
+    const previous = this.currentToken()
+    if (previous && previous !== token && tooltipOpen() && !hasSelection()) closeTooltip()
+
+    this.focusedId = token.id
+    this.applyFocus()
+    token.scrollIntoView({block: "nearest", inline: "nearest"})
+    if (announce) this.announce(token.dataset.phrase || token.dataset.word)
+  },
+
+  applyFocus() {
+    this.el.querySelectorAll(`.${FOCUS_CLASS}`).forEach(el => {
+      if (el.id !== this.focusedId) el.classList.remove(FOCUS_CLASS)
+    })
+
+    const token = this.currentToken()
+    if (token) {
+      token.classList.add(FOCUS_CLASS)
+      this.el.setAttribute("aria-activedescendant", token.id)
+    } else {
+      this.el.removeAttribute("aria-activedescendant")
+    }
+  },
+
+  tracks(payload) {
+    return Boolean(payload.dom_id) && Boolean(this.el.querySelector(`[id="${payload.dom_id}"]`))
+  },
+
+  message(key, values = {}) {
+    return (this.messages[key] || "").replace(/\{(\w+)\}/g, (match, name) => values[name] ?? match)
+  },
+
+  announce(message) {
+    if (!this.announcer || !message) return
+    // Clear first so repeating the same message is still read out
+    this.announcer.textContent = ""
+    requestAnimationFrame(() => {
+      this.announcer.textContent = message
+    })
+  },
+}
+
+export default ReaderKeyboard
@@ -0,0 +1,31 @@
+// Applies the reader settings form to the article as soon as a control
+// changes, ahead of the server saving them. Kept in sync with reader_style/1
+// in LanglerWeb.ArticleLive.Show
+const ReaderSettings = {
+  mounted() {
+    this.onInput = () => this.apply()
+    this.el.addEventListener("input", this.onInput)
+  },
+  destroyed() {
+    this.el.removeEventListener("input", this.onInput)
+  },
+  apply() {
+    const reader = document.getElementById(this.el.dataset.readerTarget)
+    if (!reader) return
+
+    const data = new FormData(this.el)
+    const scale = Number(data.get("reader[reader_font_scale]")) / 100
+    const sentenceLines = data.getAll("reader[reader_sentence_per_line]").includes("true")
+
+    reader.dataset.readerFont = data.get("reader[reader_font]")
+    reader.dataset.readerWidth = data.get("reader[reader_width]")
+    reader.toggleAttribute("data-reader-sentence-lines", sentenceLines)
+    reader.style.setProperty("--reader-font-scale", scale)
+    reader.style.setProperty("--line-height-reading", data.get("reader[reader_line_height]"))
+
+    // Lets the sticky header and the word tooltip measure the new layout
+    window.dispatchEvent(new CustomEvent("reader:layout-changed"))
+  },
+}
+
+export default ReaderSettings
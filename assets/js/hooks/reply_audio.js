@@ -0,0 +1,99 @@
+const SKIP_SECONDS = 10
+
+// Only one reply is read aloud at a time
+let currentPlayer = null
+
+// Reads a chat reply aloud with the same controls as AudioPlayer. The audio is
+// generated on request, so it is only loaded once the reply is first played.
+const ReplyAudio = {
+  mounted() {
+    this.isPlaying = false
+    this.rate = 1.0
+
+    this.onClick = event => {
+      if (event.target.closest(".audio-play-button")) this.togglePlay()
+      else if (event.target.closest(".audio-skip-back-button")) this.skip(-SKIP_SECONDS)
+      else if (event.target.closest(".audio-skip-forward-button")) this.skip(SKIP_SECONDS)
+    }
+    this.el.addEventListener("click", this.onClick)
+
+    this.onRateChange = event => {
+      if (!event.target.matches(".audio-rate-select")) return
+      this.rate = parseFloat(event.target.value) || 1.0
+      this.sound?.rate(this.rate)
+    }
+    this.el.addEventListener("change", this.onRateChange)
+
+    if (this.el.dataset.autoplay === "true") this.play()
+  },
+  destroyed() {
+    this.el.removeEventListener("click", this.onClick)
+    this.el.removeEventListener("change", this.onRateChange)
+    if (currentPlayer === this) currentPlayer = null
+    this.sound?.unload()
+  },
+  async loadSound() {
+    if (this.sound) return this.sound
+
+    // Dynamic import - only loads when a reply is played
+    const howlerModule = await import("howler")
+    const Howl = howlerModule?.Howl ?? howlerModule?.default?.Howl
+    if (!Howl) {
+      console.error("[ReplyAudio] Unable to resolve Howl constructor from howler module")
+      return null
+    }
+
+    this.sound = new Howl({
+      src: [this.el.dataset.audioUrl],
+      format: ["wav"],
+      html5: true,
+      rate: this.rate,
+      onplay: () => this.setPlaying(true),
+      onpause: () => this.setPlaying(false),
+      onstop: () => this.setPlaying(false),
+      onend: () => this.setPlaying(false),
+      onloaderror: (_id, error) => {
+        console.error("[ReplyAudio] Unable to load reply audio", error)
+        this.setLoading(false)
+        this.sound.unload()
+        this.sound = null
+      },
+    })
+    return this.sound
+  },
+  async play() {
+    if (currentPlayer && currentPlayer !== this) currentPlayer.sound?.pause()
+    currentPlayer = this
+
+    this.setLoading(true)
+    const sound = await this.loadSound()
+    sound?.play()
+  },
+  togglePlay() {
+    if (this.isPlaying) this.sound.pause()
+    else this.play()
+  },
+  skip(seconds) {
+    if (!this.sound) return
+    const duration = this.sound.duration() || 0
+    const position = Math.min(Math.max(this.sound.seek() + seconds, 0), duration)
+    this.sound.seek(position)
+  },
+  setPlaying(isPlaying) {
+    this.isPlaying = isPlaying
+    this.setLoading(false)
+
+    const playButton = this.el.querySelector(".audio-play-button")
+    const iconSpan = playButton?.querySelector("span[class*='hero-']")
+    if (!iconSpan) return
+
+    iconSpan.classList.remove("hero-play", "hero-pause")
+    iconSpan.classList.add(isPlaying ? "hero-pause" : "hero-play")
+    playButton.setAttribute("aria-label", isPlaying ? "Pause" : "Play")
+  },
+  setLoading(isLoading) {
+    this.el.querySelector(".audio-play-button")?.classList.toggle("btn-disabled", isLoading)
+  },
+}
+
+export default ReplyAudio
@@ -1,14 +1,90 @@
+import {checkAnswer} from "../lib/answer_check"
+import {ratingFromQuality, reviewItem} from "../lib/fsrs"
+import {createOfflineReviewStore, offlineStorageSupported} from "../lib/offline_review_store"
+
+// Brief socket blips shouldn't flash the offline UI
+const OFFLINE_GRACE_MS = 2000
+
+const OFFLINE_RATINGS = [
+  {quality: 0, label: "Again", className: "btn-error"},
+  {quality: 2, label: "Hard", className: "btn-warning"},
+  {quality: 3, label: "Good", className: "btn-primary"},
+  {quality: 4, label: "Easy", className: "btn-success"},
+]
+
+const RATING_LABELS = {0: "Again", 2: "Hard", 3: "Good", 4: "Easy"}
+
+const SUGGESTED_CLASSES = ["ring-4", "ring-offset-2", "ring-base-content/40"]
+
+const createEl = (tag, className, text) => {
+  const el = document.createElement(tag)
+  if (className) el.className = className
+  if (text !== undefined) el.textContent = text
+  return el
+}
+
+const formatDue = isoString => {
+  const due = new Date(isoString)
+  const minutes = Math.round((due.getTime() - Date.now()) / 60000)
+  if (minutes < 60) return `${Math.max(minutes, 1)} min`
+  if (minutes < 1440) return `${Math.round(minutes / 60)} h`
+  return `${Math.round(minutes / 1440)} d`
+}
+
 const StudySession = {
   mounted() {
+    this.offline = false
+    this.offlineCards = []
+    this.offlineIndex = 0
+    this.offlineFlipped = false
+    this.pendingCount = 0
+    this.lastScheduled = null
+    this.syncing = false
+    this.answer = null
+    this.answerFormId = null
+    this.cardTiming = null
+    this.fsrsParams = JSON.parse(this.el.dataset.fsrsParams || "{}")
+    this.store =
+      offlineStorageSupported() && this.el.dataset.userId
+        ? createOfflineReviewStore(this.el.dataset.userId)
+        : null
+
+    this.handleEvent("study:prefetch", ({cards}) => {
+      if (!this.store) return
+      this.store.saveCards(cards).catch(err => {
+        console.error("[StudySession] Unable to cache study queue", err)
+      })
+    })
+
     this.onKeyDown = event => {
       // Ignore if user is typing in an input/textarea
       const tag = event.target.tagName
       const isEditable = tag === "INPUT" || tag === "TEXTAREA" || event.target.isContentEditable
       if (isEditable) return
 
+      if (this.offline) {
+        this.handleOfflineKey(event)
+        return
+      }
+
+      // Z or Ctrl/Cmd+Z: undo last rating
+      if ((event.key === "z" || event.key === "Z") && !event.altKey && !event.shiftKey) {
+        event.preventDefault()
+        this.pushEvent("undo_rating", {})
+        return
+      }
+
+      // Enter: accept the suggested rating for a checked typed answer
+      if (event.key === "Enter" && this.answer) {
+        event.preventDefault()
+        this.rateCard(this.answer.quality)
+        return
+      }
+
       // Spacebar: flip card
       if (event.key === " " || event.key === "Spacebar") {
         event.preventDefault()
+        this.markFlipped()
         this.pushEvent("flip_card", {})
         return
       }
@@ -34,6 +110,7 @@ const StudySession = {
             this.pushEvent("rate_card", {
               quality: quality,
               item_id: itemId,
+              ...this.responseTimings(),
             })
           }
         }
@@ -41,11 +118,395 @@ const StudySession = {
     }
 
     window.addEventListener("keydown", this.onKeyDown)
+
+    this.onAnswerSubmit = event => {
+      const form = event.target.closest("[data-answer-form]")
+      if (!form) return
+      event.preventDefault()
+      this.checkTypedAnswer(form)
+    }
+    this.el.addEventListener("submit", this.onAnswerSubmit)
+    this.trackAnswerCard()
+
+    // Rating buttons are pushed from here rather than via phx-click so the
+    // response timings can travel with the rating
+    this.onCardClick = event => {
+      const rateButton = event.target.closest('button[phx-click="rate_card"]')
+      if (rateButton) {
+        event.preventDefault()
+        event.stopPropagation()
+        this.rateCard(rateButton.getAttribute("phx-value-quality"))
+        return
+      }
+
+      if (event.target.closest("#study-card")) this.markFlipped()
+    }
+    this.el.addEventListener("click", this.onCardClick)
+    this.trackCardTiming()
+
+    this.offlinePanel = this.el.querySelector("#study-offline-panel")
+    this.onOfflinePanelClick = event => {
+      const rateButton = event.target.closest("[data-offline-quality]")
+      if (rateButton) {
+        this.rateOffline(Number(rateButton.dataset.offlineQuality))
+        return
+      }
+
+      if (event.target.closest("[data-offline-action='flip']")) {
+        this.flipOffline()
+      }
+    }
+    this.offlinePanel?.addEventListener("click", this.onOfflinePanelClick)
+
+    // Replay anything left over from an earlier offline session
+    this.syncOfflineReviews()
+  },
+
+  updated() {
+    this.trackAnswerCard()
+    this.trackCardTiming()
+  },
+
+  disconnected() {
+    this.syncing = false
+    if (!this.store || this.offlineTimer) return
+
+    this.offlineTimer = setTimeout(() => {
+      this.offlineTimer = null
+      this.enterOfflineMode()
+    }, OFFLINE_GRACE_MS)
+  },
+
+  reconnected() {
+    if (this.offlineTimer) {
+      clearTimeout(this.offlineTimer)
+      this.offlineTimer = null
+    }
+    this.exitOfflineMode()
+    this.syncOfflineReviews()
   },
+
   destroyed() {
     if (this.onKeyDown) {
       window.removeEventListener("keydown", this.onKeyDown)
     }
+    if (this.onAnswerSubmit) {
+      this.el.removeEventListener("submit", this.onAnswerSubmit)
+    }
+    if (this.onCardClick) {
+      this.el.removeEventListener("click", this.onCardClick)
+    }
+    if (this.offlinePanel && this.onOfflinePanelClick) {
+      this.offlinePanel.removeEventListener("click", this.onOfflinePanelClick)
+    }
+    if (this.offlineTimer) {
+      clearTimeout(this.offlineTimer)
+    }
+    this.store?.close()
+  },
+
+  currentItemId() {
+    const ratingButton = this.el.querySelector('button[phx-click="rate_card"][phx-value-item-id]')
+    return ratingButton ? Number(ratingButton.getAttribute("phx-value-item-id")) : null
+  },
+
+  rateCard(quality) {
+    const itemId = this.currentItemId()
+    if (itemId === null) return
+    this.pushEvent("rate_card", {
+      quality: String(quality),
+      item_id: String(itemId),
+      ...this.responseTimings(),
+    })
+  },
+
+  // Restarts the response clock whenever a different card is shown
+  trackCardTiming() {
+    const itemId = this.currentItemId()
+    if (this.cardTiming?.itemId === itemId) return
+    this.cardTiming = {itemId, shownAt: performance.now(), flippedAt: null}
+  },
+
+  markFlipped() {
+    if (this.cardTiming && this.cardTiming.flippedAt === null) {
+      this.cardTiming.flippedAt = performance.now()
+    }
+  },
+
+  responseTimings() {
+    if (!this.cardTiming) return {}
+    const {shownAt, flippedAt} = this.cardTiming
+    const timings = {time_to_rate_ms: Math.round(performance.now() - shownAt)}
+    if (flippedAt !== null) timings.time_to_flip_ms = Math.round(flippedAt - shownAt)
+    return timings
+  },
+
+  // Starts the response timer whenever a new typed-answer card is shown
+  trackAnswerCard() {
+    const form = this.el.querySelector("[data-answer-form]")
+    const formId = form ? form.id : null
+    if (formId === this.answerFormId) return
+
+    this.answerFormId = formId
+    this.answer = null
+    if (form) {
+      this.answerStartedAt = performance.now()
+      form.querySelector("input[name='answer']")?.focus()
+    }
+  },
+
+  checkTypedAnswer(form) {
+    if (this.answer) return
+
+    const input = form.querySelector("input[name='answer']")
+    const result = checkAnswer(input.value, JSON.parse(form.dataset.expected || "[]"), {
+      ignoreAccents: form.dataset.ignoreAccents === "true",
+      elapsedMs: performance.now() - this.answerStartedAt,
+    })
+    if (!result) return
+
+    this.answer = result
+    this.markFlipped()
+    input.readOnly = true
+    input.blur()
+
+    const feedback = document.getElementById(form.dataset.feedbackTarget)
+    if (feedback) this.renderAnswerFeedback(feedback, result)
+    this.highlightSuggestedRating(result.quality)
+  },
+
+  renderAnswerFeedback(container, result) {
+    const diff = createEl("p", "font-mono text-lg tracking-wide break-words")
+    result.ops.forEach(op => {
+      if (op.type === "equal") {
+        diff.append(createEl("span", "text-success", op.char))
+      } else if (op.type === "missing") {
+        diff.append(createEl("ins", "text-warning underline decoration-2", op.char))
+      } else if (op.type === "extra") {
+        diff.append(createEl("del", "text-error line-through", op.char))
+      } else {
+        diff.append(
+          createEl("del", "text-error line-through", op.char),
+          createEl("ins", "text-warning underline decoration-2", op.expected)
+        )
+      }
+    })
+
+    const verdict = result.correct
+      ? "Correct!"
+      : result.accentsOnly
+        ? `Almost — check the accents: ${result.expected}`
+        : `Expected: ${result.expected}`
+
+    container.replaceChildren(
+      diff,
+      createEl("p", "text-sm font-semibold text-base-content/80", verdict),
+      createEl(
+        "p",
+        "text-xs text-base-content/60",
+        `Suggested rating: ${RATING_LABELS[result.quality]}. Press Enter to accept or pick another.`
+      )
+    )
+  },
+
+  highlightSuggestedRating(quality) {
+    this.el.querySelectorAll('button[phx-click="rate_card"]').forEach(button => {
+      const suggested = button.getAttribute("phx-value-quality") === String(quality)
+      SUGGESTED_CLASSES.forEach(cls => button.classList.toggle(cls, suggested))
+    })
+  },
+
+  async enterOfflineMode() {
+    if (this.offline || !this.offlinePanel) return
+
+    try {
+      const [cards, pending] = await Promise.all([
+        this.store.getCards(),
+        this.store.pendingReviews(),
+      ])
+      const pendingIds = new Set(pending.map(review => review.item_id))
+      const currentId = this.currentItemId()
+      const startIdx = cards.findIndex(card => card.id === currentId)
+
+      // Nothing to continue with (session finished or queue never cached)
+      if (startIdx < 0) return
+
+      this.offlineCards = cards.slice(startIdx).filter(card => !pendingIds.has(card.id))
+      this.pendingCount = pending.length
+    } catch (err) {
+      console.error("[StudySession] Unable to load offline queue", err)
+      return
+    }
+
+    this.offline = true
+    this.offlineIndex = 0
+    this.offlineFlipped = false
+    this.lastScheduled = null
+    this.el.querySelector("#study-session-container")?.classList.add("hidden")
+    this.offlinePanel.classList.replace("hidden", "flex")
+    this.renderOffline()
+  },
+
+  exitOfflineMode() {
+    if (!this.offline) return
+
+    this.offline = false
+    this.offlineCards = []
+    this.offlinePanel.replaceChildren()
+    this.offlinePanel.classList.replace("flex", "hidden")
+    this.el.querySelector("#study-session-container")?.classList.remove("hidden")
+  },
+
+  handleOfflineKey(event) {
+    if (event.key === " " || event.key === "Spacebar") {
+      event.preventDefault()
+      this.flipOffline()
+      return
+    }
+
+    const quality = {"1": 0, "2": 2, "3": 3, "4": 4}[event.key]
+    if (quality !== undefined) {
+      event.preventDefault()
+      this.rateOffline(quality)
+    }
+  },
+
+  flipOffline() {
+    if (!this.offlineCards[this.offlineIndex]) return
+    this.offlineFlipped = !this.offlineFlipped
+    this.renderOffline()
+  },
+
+  // Schedules the card locally and queues the rating with its original timestamp
+  async rateOffline(quality) {
+    const card = this.offlineCards[this.offlineIndex]
+    const rating = ratingFromQuality(quality)
+    if (!card || !rating) return
+
+    const now = new Date()
+    const updated = reviewItem(card, rating, this.fsrsParams, now)
+
+    try {
+      await this.store.queueReview({item_id: card.id, quality, reviewed_at: now.toISOString()})
+      await this.store.putCard(updated)
+    } catch (err) {
+      console.error("[StudySession] Unable to queue offline rating", err)
+      return
+    }
+
+    this.pendingCount += 1
+    this.lastScheduled = {word: card.word, due: updated.due_date}
+    this.offlineIndex += 1
+    this.offlineFlipped = false
+    this.renderOffline()
+  },
+
+  syncOfflineReviews() {
+    if (!this.store || this.syncing) return
+
+    this.store
+      .pendingReviews()
+      .then(reviews => {
+        if (reviews.length === 0) return
+
+        this.syncing = true
+        this.pushEvent("sync_offline_reviews", {reviews}, reply => {
+          const ids = (reply?.results || []).map(result => result.id)
+          this.store
+            .removeReviews(ids)
+            .catch(err => console.error("[StudySession] Unable to clear synced ratings", err))
+            .finally(() => {
+              this.syncing = false
+            })
+        })
+      })
+      .catch(err => console.error("[StudySession] Unable to read offline ratings", err))
+  },
+
+  renderOffline() {
+    const card = this.offlineCards[this.offlineIndex]
+    const banner = createEl("div", "alert alert-warning w-full max-w-2xl")
+    banner.setAttribute("role", "status")
+
+    const bannerText = createEl("div", "flex flex-col gap-1")
+    bannerText.append(
+      createEl(
+        "span",
+        "font-semibold",
+        "You're offline. Keep reviewing — ratings are saved on this device."
+      ),
+      createEl(
+        "span",
+        "text-sm",
+        `${this.pendingCount} rating${this.pendingCount === 1 ? "" : "s"} will sync when you reconnect.`
+      )
+    )
+    if (this.lastScheduled) {
+      bannerText.append(
+        createEl(
+          "span",
+          "text-xs opacity-80",
+          `"${this.lastScheduled.word}" is next due in ${formatDue(this.lastScheduled.due)}.`
+        )
+      )
+    }
+    banner.append(bannerText)
+
+    if (!card) {
+      const done = createEl("div", "card bg-base-100 shadow-xl w-full max-w-2xl")
+      const body = createEl("div", "card-body text-center gap-2")
+      body.append(
+        createEl("h2", "text-2xl font-bold text-base-content", "All cached cards reviewed"),
+        createEl(
+          "p",
+          "text-base-content/70",
+          "Your ratings will be synced as soon as the connection is back."
+        )
+      )
+      done.append(body)
+      this.offlinePanel.replaceChildren(banner, done)
+      return
+    }
+
+    const cardEl = createEl("div", "card bg-base-100 shadow-xl w-full max-w-2xl")
+    const body = createEl("div", "card-body items-center gap-4 text-center")
+    const face = createEl("button", "flex flex-col items-center gap-2 w-full cursor-pointer")
+    face.type = "button"
+    face.dataset.offlineAction = "flip"
+    face.append(
+      createEl(
+        "p",
+        "text-xs font-semibold uppercase tracking-widest text-base-content/50",
+        `Card ${this.offlineIndex + 1} of ${this.offlineCards.length}`
+      ),
+      createEl("p", "text-study-word font-semibold text-base-content leading-tight", card.word)
+    )
+
+    if (this.offlineFlipped) {
+      const isPhrase = card.type === "phrase"
+      const answers = isPhrase
+        ? [card.translation || card.definitions[0] || "No translation available"]
+        : card.definitions.length > 0
+          ? card.definitions
+          : ["No definition available"]
+      const list = createEl("ol", "space-y-2 text-sm sm:text-base text-base-content/90 text-left")
+      answers.forEach(answer => list.append(createEl("li", "break-words", answer)))
+      face.append(list)
+    } else {
+      face.append(createEl("p", "text-xs text-base-content/60", "Tap to flip"))
+    }
+
+    const actions = createEl("div", "grid grid-cols-4 gap-2 w-full")
+    OFFLINE_RATINGS.forEach(({quality, label, className}) => {
+      const button = createEl("button", `btn btn-sm ${className}`, label)
+      button.type = "button"
+      button.dataset.offlineQuality = String(quality)
+      actions.append(button)
+    })
+
+    body.append(face, actions)
+    cardEl.append(body)
+    this.offlinePanel.replaceChildren(banner, cardEl)
   },
 }
 
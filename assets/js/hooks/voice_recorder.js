@@ -0,0 +1,95 @@
+// Longest voice message, in seconds, before recording stops by itself
+const MAX_RECORDING_SECONDS = 60
+
+const RECORDING_CLASSES = ["btn-error", "text-error-content", "animate-pulse"]
+
+const preferredMimeType = () =>
+  ["audio/webm;codecs=opus", "audio/ogg;codecs=opus", "audio/mp4"].find(type =>
+    window.MediaRecorder.isTypeSupported?.(type),
+  ) || ""
+
+const toBase64 = blob =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    // Drop the "data:<type>;base64," prefix
+    reader.onload = () => resolve(String(reader.result).split(",", 2)[1] || "")
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+
+// Records a voice message with the microphone and sends it to the chat drawer,
+// which transcribes it into the message input
+const VoiceRecorder = {
+  mounted() {
+    this.supported = Boolean(navigator.mediaDevices?.getUserMedia && window.MediaRecorder)
+    this.renderState()
+    if (!this.supported) return
+
+    this.onClick = () => (this.recorder ? this.stop() : this.start())
+    this.el.addEventListener("click", this.onClick)
+  },
+  updated() {
+    // The server re-renders the button's attributes
+    this.renderState()
+  },
+  destroyed() {
+    if (this.onClick) this.el.removeEventListener("click", this.onClick)
+    this.discard = true
+    this.stop()
+  },
+  async start() {
+    let stream
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({audio: true})
+    } catch (error) {
+      console.error("[VoiceRecorder] Microphone unavailable", error)
+      this.pushEventTo(this.el, "voice_input_failed", {reason: "microphone"})
+      return
+    }
+
+    const mimeType = preferredMimeType()
+    const recorder = new MediaRecorder(stream, mimeType ? {mimeType} : {})
+    const chunks = []
+    this.discard = false
+
+    recorder.ondataavailable = event => {
+      if (event.data.size > 0) chunks.push(event.data)
+    }
+    recorder.onstop = () => {
+      stream.getTracks().forEach(track => track.stop())
+      if (this.discard || chunks.length === 0) return
+      this.send(new Blob(chunks, {type: recorder.mimeType || mimeType}))
+    }
+
+    recorder.start()
+    this.recorder = recorder
+    this.timeout = setTimeout(() => this.stop(), MAX_RECORDING_SECONDS * 1000)
+    this.renderState()
+  },
+  stop() {
+    clearTimeout(this.timeout)
+    if (this.recorder?.state === "recording") this.recorder.stop()
+    this.recorder = null
+    this.renderState()
+  },
+  async send(blob) {
+    try {
+      const audio = await toBase64(blob)
+      this.pushEventTo(this.el, "transcribe_audio", {audio, mime_type: blob.type})
+    } catch (error) {
+      console.error("[VoiceRecorder] Unable to read recording", error)
+    }
+  },
+  renderState() {
+    const recording = Boolean(this.recorder)
+    if (!this.supported) this.el.classList.add("hidden")
+    RECORDING_CLASSES.forEach(cls => this.el.classList.toggle(cls, recording))
+    this.el.setAttribute("aria-pressed", String(recording))
+    this.el.setAttribute(
+      "aria-label",
+      recording ? "Stop recording and transcribe" : "Record a voice message",
+    )
+  },
+}
+
+export default VoiceRecorder
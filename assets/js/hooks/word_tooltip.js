@@ -2,6 +2,9 @@ const TOOLTIP_ID = "word-tooltip"
 
 let activeHook = null
 
+// Token element -> WordTooltip hook, so keyboard navigation can drive lookups
+const hooksByEl = new WeakMap()
+
 // Selection state (shared across all hook instances)
 let selectionState = null
 // { anchorEl, anchorHook, anchorSentenceId, currentEndEl, selectedEls: [], allSentenceTokens: [] }
@@ -13,6 +16,37 @@ const ACTIVE_SELECTION_CLASS = "phrase-selection-highlight"
 const addSelectionClasses = (el) => el.classList.add(ACTIVE_SELECTION_CLASS)
 const removeSelectionClasses = (el) => el.classList.remove(ACTIVE_SELECTION_CLASS)
 
+// Tokens inside a LiveComponent (the chat drawer) carry data-component-id;
+// their events go to that component rather than the parent LiveView
+const findComponentEl = (el, componentId) => {
+  const drawerContainer = el.closest("#chat-drawer-container")
+  if (drawerContainer) {
+    if (drawerContainer.getAttribute("phx-component") === componentId) return drawerContainer
+    const inDrawer = drawerContainer.querySelector(`[phx-component="${componentId}"]`)
+    if (inDrawer) return inDrawer
+  }
+  // Not in drawer, manually traverse up (but stop at drawer container)
+  let current = el.parentElement
+  while (current) {
+    if (current.id === "chat-drawer-container") break
+    if (current.getAttribute && current.getAttribute("phx-component") === componentId) {
+      return current
+    }
+    current = current.parentElement
+  }
+  return document.querySelector(`[phx-component="${componentId}"]`)
+}
+
+const pushTooltipEvent = (hook, eventName, eventData) => {
+  const componentId = hook.el.dataset.componentId
+  const componentEl = componentId && findComponentEl(hook.el, componentId)
+  if (componentEl) {
+    hook.pushEventTo(componentEl, eventName, eventData)
+  } else {
+    hook.pushEvent(eventName, eventData)
+  }
+}
+
 const ensureTooltipEl = () => {
   let existing = document.getElementById(TOOLTIP_ID)
   if (existing) {
@@ -23,8 +57,12 @@ const ensureTooltipEl = () => {
   tooltip.id = TOOLTIP_ID
   tooltip.className =
     "fixed z-[70] w-80 max-w-xs rounded-2xl border border-base-200 bg-base-100/95 p-5 shadow-2xl transition-all duration-200 opacity-0"
-  tooltip.setAttribute("role", "status")
+  tooltip.setAttribute("role", "dialog")
+  tooltip.setAttribute("aria-labelledby", "word-tooltip-title")
+  tooltip.setAttribute("aria-describedby", "word-tooltip-description")
+  tooltip.tabIndex = -1
   tooltip.dataset.actionsBound = "true"
+  tooltip.addEventListener("keydown", handleTooltipKeyDown)
   tooltip.addEventListener("click", event => {
     const addButton = event.target.closest("[data-action='add-to-study']")
     if (addButton) {
@@ -42,42 +80,7 @@ const ensureTooltipEl = () => {
         dom_id: activeHook.el.id,
       }
       
-      // If component-id is set, target the component instead of parent LiveView
-      const componentId = activeHook.el.dataset.componentId
-      if (componentId) {
-        const drawerContainer = activeHook.el.closest("#chat-drawer-container")
-        let componentEl = null
-        if (drawerContainer) {
-          const containerComponentId = drawerContainer.getAttribute("phx-component")
-          if (containerComponentId === componentId) {
-            componentEl = drawerContainer
-          } else {
-            componentEl = drawerContainer.querySelector(`[phx-component="${componentId}"]`)
-          }
-        }
-        if (!componentEl) {
-          // Not in drawer, manually traverse up (but stop at drawer container)
-          let current = activeHook.el.parentElement
-          while (current && !componentEl) {
-            if (current.id === "chat-drawer-container") break
-            if (current.getAttribute && current.getAttribute("phx-component") === componentId) {
-              componentEl = current
-              break
-            }
-            current = current.parentElement
-          }
-        }
-        if (!componentEl) {
-          componentEl = document.querySelector(`[phx-component="${componentId}"]`)
-        }
-        if (componentEl) {
-          activeHook.pushEventTo(componentEl, "add_to_study", eventData)
-        } else {
-          activeHook.pushEvent("add_to_study", eventData)
-        }
-      } else {
-        activeHook.pushEvent("add_to_study", eventData)
-      }
+      pushTooltipEvent(activeHook, "add_to_study", eventData)
       return
     }
 
@@ -95,41 +98,7 @@ const ensureTooltipEl = () => {
         dom_id: activeHook.el.id,
       }
       
-      const componentId = activeHook.el.dataset.componentId
-      if (componentId) {
-        const drawerContainer = activeHook.el.closest("#chat-drawer-container")
-        let componentEl = null
-        if (drawerContainer) {
-          const containerComponentId = drawerContainer.getAttribute("phx-component")
-          if (containerComponentId === componentId) {
-            componentEl = drawerContainer
-          } else {
-            componentEl = drawerContainer.querySelector(`[phx-component="${componentId}"]`)
-          }
-        }
-        if (!componentEl) {
-          // Not in drawer, manually traverse up (but stop at drawer container)
-          let current = activeHook.el.parentElement
-          while (current && !componentEl) {
-            if (current.id === "chat-drawer-container") break
-            if (current.getAttribute && current.getAttribute("phx-component") === componentId) {
-              componentEl = current
-              break
-            }
-            current = current.parentElement
-          }
-        }
-        if (!componentEl) {
-          componentEl = document.querySelector(`[phx-component="${componentId}"]`)
-        }
-        if (componentEl) {
-          activeHook.pushEventTo(componentEl, eventName, eventData)
-        } else {
-          activeHook.pushEvent(eventName, eventData)
-        }
-      } else {
-        activeHook.pushEvent(eventName, eventData)
-      }
+      pushTooltipEvent(activeHook, eventName, eventData)
       return
     }
 
@@ -145,67 +114,36 @@ const ensureTooltipEl = () => {
         dom_id: activeHook.el.id,
       }
       
-      const componentId = activeHook.el.dataset.componentId
-      if (componentId) {
-        const drawerContainer = activeHook.el.closest("#chat-drawer-container")
-        let componentEl = null
-        if (drawerContainer) {
-          const containerComponentId = drawerContainer.getAttribute("phx-component")
-          if (containerComponentId === componentId) {
-            componentEl = drawerContainer
-          } else {
-            componentEl = drawerContainer.querySelector(`[phx-component="${componentId}"]`)
-          }
-        }
-        if (!componentEl) {
-          // Not in drawer, manually traverse up (but stop at drawer container)
-          let current = activeHook.el.parentElement
-          while (current && !componentEl) {
-            if (current.id === "chat-drawer-container") break
-            if (current.getAttribute && current.getAttribute("phx-component") === componentId) {
-              componentEl = current
-              break
-            }
-            current = current.parentElement
-          }
-        }
-        if (!componentEl) {
-          componentEl = document.querySelector(`[phx-component="${componentId}"]`)
-        }
-        if (componentEl) {
-          activeHook.pushEventTo(componentEl, "remove_from_study", eventData)
-        } else {
-          activeHook.pushEvent("remove_from_study", eventData)
-        }
-      } else {
-        activeHook.pushEvent("remove_from_study", eventData)
-      }
+      pushTooltipEvent(activeHook, "remove_from_study", eventData)
+    }
+  })
+  // Verb conjugations are fetched the first time their section is opened.
+  // "toggle" doesn't bubble, hence the capture listener.
+  tooltip.addEventListener("toggle", event => {
+    const details = event.target
+    if (!details.matches || !details.matches("[data-conjugations]") || !activeHook) return
+    const hook = activeHook
+
+    if (details.open && details.dataset.loaded === "false" && !details.dataset.requested) {
+      details.dataset.requested = "true"
+      pushTooltipEvent(hook, "fetch_word_conjugations", {
+        word_id: details.dataset.wordId,
+        dom_id: hook.el.id,
+        form: hook.currentEntry && hook.currentEntry.word,
+      })
     }
+    positionTooltip(tooltip, hook.el)
+  }, true)
+  // Reader settings reflow the article under an open tooltip
+  window.addEventListener("reader:layout-changed", () => {
+    const hook = activeHook
+    if (tooltip.dataset.active !== "true" || !hook) return
+    requestAnimationFrame(() => positionTooltip(tooltip, hook.el))
   })
   document.body.appendChild(tooltip)
   return tooltip
 }
 
-const escapeHtml = text =>
-  text
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#39;")
-
-const buildDefinitions = definitions => {
-  if (!definitions || definitions.length === 0) {
-    return "<p class=\"text-sm text-base-content/70\">Sin definiciones disponibles.</p>"
-  }
-
-  const items = definitions
-    .map(def => `<li class="mb-1 last:mb-0">${escapeHtml(def)}</li>`)
-    .join("")
-
-  return `<ol class="list-decimal pl-4 text-sm text-base-content/80 space-y-1">${items}</ol>`
-}
-
 const positionTooltip = (tooltip, anchor) => {
   const rect = anchor.getBoundingClientRect()
   const tooltipRect = tooltip.getBoundingClientRect()
@@ -237,146 +175,22 @@ const positionTooltip = (tooltip, anchor) => {
   tooltip.style.left = `${left}px`
 }
 
-const ratingButtons = [
-  {label: "Hard", quality: "hard", className: "btn-warning"},
-  {label: "Good", quality: "good", className: "btn-primary"},
-  {label: "Easy", quality: "easy", className: "btn-success"}
-]
+// The entry markup is rendered server-side (LanglerWeb.WordTooltipComponents)
+// with both the tracked and untracked actions; flip between them locally when
+// the word is added to or removed from study
+const setEntryStudied = (tooltip, studied) => {
+  const entry = tooltip.querySelector("[data-tooltip-entry]")
+  if (!entry) return
+  entry.dataset.studied = studied ? "true" : "false"
+  entry.querySelectorAll("[data-show-when]").forEach(el => {
+    const visible = el.dataset.showWhen === (studied ? "studied" : "unstudied")
+    el.classList.toggle("hidden", !visible)
+  })
 
-const renderCornerAction = entry => {
-  // Only show the + button in the corner (not the Tracked indicator)
-  if (!entry.word_id || entry.studied) {
-    return ""
+  // Don't leave focus on a button that just disappeared
+  if (tooltip.contains(document.activeElement) && document.activeElement.offsetParent === null) {
+    tooltip.focus()
   }
-
-  const wrapperClasses =
-    "absolute right-3 top-3 flex h-9 min-w-[2.75rem] items-center justify-center"
-
-  return `<div class="${wrapperClasses}">
-    <button
-      class="btn btn-circle btn-xs btn-primary text-white shadow w-full h-full"
-      data-action="add-to-study"
-      data-word-id="${entry.word_id}"
-      data-translations="${entry.translation || ""}"
-      data-definitions="${(entry.definitions || []).join("||")}"
-      aria-label="Add to study"
-      title="Add to study"
-    >
-      +
-    </button>
-  </div>`
-}
-
-
-const renderActionSection = entry => {
-  if (!entry.word_id) return ""
-
-  const searchQuery = entry.word ? encodeURIComponent(entry.word) : ""
-  const studyPath = searchQuery ? `/study?q=${searchQuery}` : "/study"
-  const viewButton = entry.study_item_id
-    ? `<a
-        class="btn btn-xs btn-ghost border border-base-300/70 text-sm"
-        href="${studyPath}#study-cards"
-      >
-        View card
-      </a>`
-    : ""
-
-  const removeButton = `<button
-    type="button"
-    class="btn btn-xs btn-ghost border border-error/40 text-error"
-    data-action="remove-word"
-    data-word-id="${entry.word_id}"
-  >
-    Remove
-  </button>`
-
-  const ratingBlock = entry.studied
-    ? `<div class="space-y-2 rounded-2xl border border-dashed border-base-300/80 bg-base-200/30 p-3">
-      <p class="text-xs uppercase tracking-widest text-base-content/60">Score difficulty</p>
-      <div class="flex flex-wrap gap-2">
-        ${ratingButtons
-          .map(
-            button => `<button
-                type="button"
-                class="btn btn-xs font-semibold text-white ${button.className}"
-                data-action="rate-word"
-                data-rate-target="existing"
-                data-word-id="${entry.word_id}"
-                data-quality="${button.quality}"
-              >
-                ${button.label}
-              </button>`
-          )
-          .join("")}
-      </div>
-    </div>`
-    : ""
-
-  return `<div class="space-y-3">
-    <div class="flex flex-wrap gap-2">${viewButton}${entry.studied ? removeButton : ""}</div>
-    ${ratingBlock}
-  </div>`
-}
-
-const renderEntry = entry => {
-  const metaParts = [entry.part_of_speech, entry.pronunciation].filter(Boolean)
-  const meta =
-    metaParts.length > 0
-      ? `<p class="text-xs uppercase tracking-wide text-base-content/60">${metaParts.join(" • ")}</p>`
-      : ""
-
-  const phraseBadge = entry.word_type === "phrase"
-    ? `<span class="badge badge-secondary badge-sm">Phrase</span>`
-    : ""
-
-  // Tracked indicator as inline badge
-  const trackedBadge = entry.studied
-    ? `<span class="badge badge-success badge-sm gap-1">
-        <span class="text-xs">Tracked</span>
-        <span class="text-sm leading-none">✓</span>
-      </span>`
-    : ""
-
-  // For phrases, show translation prominently below the word
-  // For regular words, show it in a smaller pill
-  const translation = entry.translation
-    ? entry.word_type === "phrase"
-      ? `<p class="text-sm text-base-content/80">${escapeHtml(entry.translation)}</p>`
-      : `<p class="mt-1 rounded-full bg-primary/10 px-2 py-0.5 text-xs font-semibold text-primary/90 w-fit">${escapeHtml(entry.translation)}</p>`
-    : ""
-
-  const sourceLink = entry.source_url
-    ? `<a href="${entry.source_url}" target="_blank" class="text-xs text-base-content/60 hover:text-primary transition-colors">Wiktionary →</a>`
-    : ""
-
-  const context = entry.context
-    ? `<p class="mt-3 text-xs italic text-base-content/60">&ldquo;${escapeHtml(entry.context)}&rdquo;</p>`
-    : ""
-
-  // Use wider padding when there's a corner action (+ button) to prevent overlap
-  const rightPadding = (!entry.studied && entry.word_id) ? "pr-12" : ""
-
-  return `
-    <div class="relative space-y-3 ${rightPadding}">
-      ${renderCornerAction(entry)}
-      <div class="space-y-1.5">
-        <p class="text-base font-semibold text-base-content">${escapeHtml(entry.word)}</p>
-        <div class="flex items-center gap-2 flex-wrap">
-          ${phraseBadge}
-          ${trackedBadge}
-        </div>
-        ${meta}
-        ${translation}
-      </div>
-      <div>${buildDefinitions(entry.definitions)}</div>
-      <div class="flex items-center justify-between">
-        ${context}
-        ${sourceLink}
-      </div>
-      ${renderActionSection(entry)}
-    </div>
-  `
 }
 
 const renderLoadingSkeleton = () => {
@@ -410,7 +224,81 @@ const renderLoadingSkeleton = () => {
   `
 }
 
+// Element to hand focus back to when a tooltip that took focus closes
+let returnFocusEl = null
+// Set by keyboard lookups so the next entry moves focus into the tooltip
+let focusNextEntry = false
+
+const FOCUSABLE = "a[href], button:not([disabled]), summary, [tabindex]:not([tabindex='-1'])"
+
+const visibleFocusables = tooltip =>
+  Array.from(tooltip.querySelectorAll(FOCUSABLE)).filter(el => el.offsetParent !== null)
+
+const focusTooltip = tooltip => {
+  if (!tooltip.contains(document.activeElement)) {
+    returnFocusEl = document.activeElement
+  }
+  tooltip.focus()
+}
+
+const restoreFocus = () => {
+  const target = returnFocusEl
+  returnFocusEl = null
+  if (target && document.contains(target)) target.focus()
+}
+
+const clickTooltipButton = (tooltip, selector) => {
+  const button = tooltip.querySelector(selector)
+  if (!button || button.offsetParent === null) return false
+  button.click()
+  return true
+}
+
+const TOOLTIP_RATING_KEYS = {1: "hard", 2: "good", 3: "easy"}
+
+// Keeps Tab inside the tooltip while it has focus and offers the same
+// shortcuts as the reader: Escape closes, "a" adds, 1-3 rate
+function handleTooltipKeyDown(event) {
+  const tooltip = event.currentTarget
+  if (event.metaKey || event.ctrlKey || event.altKey) return
+
+  if (event.key === "Escape") {
+    event.preventDefault()
+    hideTooltip(tooltip)
+    activeHook = null
+    return
+  }
+
+  if (event.key === "Tab") {
+    const focusables = visibleFocusables(tooltip)
+    if (focusables.length === 0) {
+      event.preventDefault()
+      return
+    }
+    const first = focusables[0]
+    const last = focusables[focusables.length - 1]
+    const current = document.activeElement
+    if (event.shiftKey && (current === first || current === tooltip)) {
+      event.preventDefault()
+      last.focus()
+    } else if (!event.shiftKey && current === last) {
+      event.preventDefault()
+      first.focus()
+    }
+    return
+  }
+
+  const key = event.key.toLowerCase()
+  if (key === "a" && clickTooltipButton(tooltip, "[data-action='add-to-study']")) {
+    event.preventDefault()
+  } else if (TOOLTIP_RATING_KEYS[key]) {
+    const selector = `[data-action='rate-word'][data-quality='${TOOLTIP_RATING_KEYS[key]}']`
+    if (clickTooltipButton(tooltip, selector)) event.preventDefault()
+  }
+}
+
 const hideTooltip = tooltip => {
+  const hadFocus = tooltip.contains(document.activeElement)
   tooltip.dataset.active = "false"
   tooltip.style.opacity = "0"
   // Optionally hide completely after transition
@@ -419,6 +307,12 @@ const hideTooltip = tooltip => {
       tooltip.style.display = "none"
     }
   }, 150) // Match transition duration
+
+  if (hadFocus) {
+    restoreFocus()
+  } else {
+    returnFocusEl = null
+  }
 }
 
 // Selection mode helper functions
@@ -500,9 +394,10 @@ function handleSelectionOutsideClick(event) {
   // Don't stop propagation - let the element's handleClick run for finalization
 }
 
-const showTooltip = (tooltip, html, anchor) => {
+const showTooltip = (tooltip, html, anchor, {busy = false} = {}) => {
   tooltip.innerHTML = html
   tooltip.dataset.active = "true"
+  tooltip.setAttribute("aria-busy", busy ? "true" : "false")
   
   // Force display and remove opacity class to ensure visibility
   tooltip.style.display = "block"
@@ -529,6 +424,7 @@ const WordTooltip = {
     this.handleWordRated = this.handleWordRated.bind(this)
     this.handleWordRemoved = this.handleWordRemoved.bind(this)
     this.handleWordAdded = this.handleWordAdded.bind(this)
+    this.handleWordConjugations = this.handleWordConjugations.bind(this)
     this.handlePointerDown = this.handlePointerDown.bind(this)
     this.handlePointerUp = this.handlePointerUp.bind(this)
     this.handlePointerCancel = this.handlePointerCancel.bind(this)
@@ -554,8 +450,11 @@ const WordTooltip = {
     this.handleEvent("word-rated", this.handleWordRated)
     this.handleEvent("word-removed", this.handleWordRemoved)
     this.handleEvent("word-added", this.handleWordAdded)
+    this.handleEvent("word-conjugations", this.handleWordConjugations)
+    hooksByEl.set(this.el, this)
   },
   destroyed() {
+    hooksByEl.delete(this.el)
     this.el.removeEventListener("click", this.handleClick)
     this.el.removeEventListener("pointerdown", this.handlePointerDown)
     this.el.removeEventListener("pointerup", this.handlePointerUp)
@@ -620,6 +519,7 @@ const WordTooltip = {
     // Normal single-word lookup
     event.stopPropagation()
     event.preventDefault()
+    focusNextEntry = false
     if (this.pendingTimeout) clearTimeout(this.pendingTimeout)
     this.pendingTimeout = setTimeout(() => this.pushLookup(), 50)
   },
@@ -670,7 +570,7 @@ const WordTooltip = {
     const hook = selectionState.anchorHook
     activeHook = hook
     hook.currentEntry = null
-    showTooltip(hook.tooltipEl, renderLoadingSkeleton(), selectionState.anchorEl)
+    showTooltip(hook.tooltipEl, renderLoadingSkeleton(), selectionState.anchorEl, {busy: true})
     
     // If component-id is set, target the component instead of parent LiveView
     const componentId = selectionState.anchorEl.dataset.componentId
@@ -761,7 +661,12 @@ const WordTooltip = {
       this.el.dataset.wordId = payload.word_id
     }
     this.currentEntry = payload
-    showTooltip(this.tooltipEl, renderEntry(payload), this.el)
+    showTooltip(this.tooltipEl, payload.html || "", this.el)
+
+    if (focusNextEntry) {
+      focusNextEntry = false
+      focusTooltip(this.tooltipEl)
+    }
   },
   handleDocClick(event) {
     // Don't interfere with phrase selection
@@ -792,7 +697,7 @@ const WordTooltip = {
       study_item_id: payload.study_item_id || this.currentEntry.study_item_id,
       fsrs_sleep_until: payload.fsrs_sleep_until || this.currentEntry.fsrs_sleep_until,
     }
-    showTooltip(this.tooltipEl, renderEntry(this.currentEntry), this.el)
+    setEntryStudied(this.tooltipEl, true)
   },
   handleWordRemoved(payload) {
     if (!this.matchesPayload(payload)) return
@@ -804,7 +709,7 @@ const WordTooltip = {
       study_item_id: null,
       fsrs_sleep_until: null,
     }
-    showTooltip(this.tooltipEl, renderEntry(this.currentEntry), this.el)
+    setEntryStudied(this.tooltipEl, false)
   },
   handleWordAdded(payload) {
     if (!this.matchesPayload(payload)) return
@@ -816,7 +721,16 @@ const WordTooltip = {
       study_item_id: payload.study_item_id,
       fsrs_sleep_until: payload.fsrs_sleep_until || this.currentEntry.fsrs_sleep_until,
     }
-    showTooltip(this.tooltipEl, renderEntry(this.currentEntry), this.el)
+    setEntryStudied(this.tooltipEl, true)
+  },
+  handleWordConjugations(payload) {
+    if (payload.dom_id !== this.el.id || activeHook !== this) return
+    const details = this.tooltipEl.querySelector("[data-conjugations]")
+    const body = details && details.querySelector("[data-conjugations-body]")
+    if (!body) return
+    body.innerHTML = payload.html || ""
+    details.dataset.loaded = "true"
+    positionTooltip(this.tooltipEl, this.el)
   },
   pushLookup() {
     // Check if this token is part of a saved phrase
@@ -834,7 +748,7 @@ const WordTooltip = {
 
     activeHook = this
     this.currentEntry = null
-    showTooltip(this.tooltipEl, renderLoadingSkeleton(), this.el)
+    showTooltip(this.tooltipEl, renderLoadingSkeleton(), this.el, {busy: true})
     
     // If component-id is set, target the component instead of parent LiveView
     const componentId = this.el.dataset.componentId
@@ -888,4 +802,63 @@ const WordTooltip = {
   },
 }
 
+// Keyboard entry points used by the ReaderKeyboard hook. They mirror what a
+// click, a modifier-click drag and the tooltip buttons do for pointer input.
+
+export const lookupToken = el => {
+  const hook = hooksByEl.get(el)
+  if (!hook) return false
+  if (hook.pendingTimeout) clearTimeout(hook.pendingTimeout)
+  focusNextEntry = true
+  hook.pushLookup()
+  return true
+}
+
+export const hasSelection = () => selectionState !== null
+
+// Starts a phrase selection at `fromEl` if none is active, then extends it to
+// `toEl`. Selections never cross sentences, same as with the pointer.
+export const extendSelection = (fromEl, toEl) => {
+  if (!selectionState) {
+    const hook = hooksByEl.get(fromEl)
+    if (!hook) return false
+    hook.startSelection()
+  }
+  if (toEl.dataset.sentenceId !== selectionState.anchorSentenceId) return false
+
+  selectionState.currentEndEl = toEl
+  updateSelectionHighlight()
+  return true
+}
+
+export const finalizeSelection = () => {
+  if (!selectionState) return false
+  focusNextEntry = true
+  selectionState.anchorHook.finalizeSelection()
+  return true
+}
+
+export {cancelSelection}
+
+export const tooltipOpen = () => {
+  const tooltip = document.getElementById(TOOLTIP_ID)
+  return Boolean(tooltip && tooltip.dataset.active === "true" && activeHook)
+}
+
+export const closeTooltip = () => {
+  const tooltip = document.getElementById(TOOLTIP_ID)
+  if (tooltip) hideTooltip(tooltip)
+  activeHook = null
+}
+
+// Clicks one of the open tooltip's action buttons; returns false when the
+// tooltip doesn't offer that action (e.g. rating a word that isn't studied)
+export const triggerTooltipAction = (action, quality = null) => {
+  if (!tooltipOpen()) return false
+  const selector = quality
+    ? `[data-action='${action}'][data-quality='${quality}']`
+    : `[data-action='${action}']`
+  return clickTooltipButton(document.getElementById(TOOLTIP_ID), selector)
+}
+
 export default WordTooltip
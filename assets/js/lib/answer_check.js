@@ -0,0 +1,111 @@
+// Grades typed answers for the study session's typed and cloze modes: a
+// character-level diff against the expected form plus a suggested FSRS
+// rating based on correctness and how long the learner took.
+
+// Answers faster than this count as effortless recall
+const FAST_MS = 5000
+// Correct but slower than this suggests the card was a struggle
+const SLOW_MS = 15000
+// Share of characters that must line up for a near miss to count as "Hard"
+const NEAR_MISS = 0.8
+
+const QUALITY = {again: 0, hard: 2, good: 3, easy: 4}
+
+const stripAccents = char => char.normalize("NFD").replace(/\p{M}/gu, "")
+
+const tidy = text => text.normalize("NFC").trim().replace(/\s+/gu, " ")
+
+const charsEqual = (a, b, ignoreAccents) => {
+  const left = a.toLocaleLowerCase()
+  const right = b.toLocaleLowerCase()
+  if (left === right) return true
+  return ignoreAccents && stripAccents(left) === stripAccents(right)
+}
+
+// Levenshtein alignment of the typed answer against the expected form,
+// backtracked into per-character operations for rendering
+export const diffChars = (answer, expected, {ignoreAccents = false} = {}) => {
+  const typed = Array.from(tidy(answer))
+  const target = Array.from(tidy(expected))
+  const rows = typed.length + 1
+  const cols = target.length + 1
+  const cost = Array.from({length: rows}, (_, i) =>
+    Array.from({length: cols}, (_, j) => (i === 0 ? j : j === 0 ? i : 0))
+  )
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const same = charsEqual(typed[i - 1], target[j - 1], ignoreAccents)
+      cost[i][j] = Math.min(
+        cost[i - 1][j - 1] + (same ? 0 : 1),
+        cost[i - 1][j] + 1,
+        cost[i][j - 1] + 1
+      )
+    }
+  }
+
+  const ops = []
+  let i = typed.length
+  let j = target.length
+
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0) {
+      const same = charsEqual(typed[i - 1], target[j - 1], ignoreAccents)
+      if (cost[i][j] === cost[i - 1][j - 1] + (same ? 0 : 1)) {
+        ops.push(
+          same
+            ? {type: "equal", char: target[j - 1]}
+            : {type: "wrong", char: typed[i - 1], expected: target[j - 1]}
+        )
+        i--
+        j--
+        continue
+      }
+    }
+
+    if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+      ops.push({type: "extra", char: typed[i - 1]})
+      i--
+    } else {
+      ops.push({type: "missing", char: target[j - 1]})
+      j--
+    }
+  }
+
+  return {ops: ops.reverse(), distance: cost[typed.length][target.length]}
+}
+
+/**
+ * Compares `answer` with each accepted form in `expected` and returns the
+ * closest match along with a suggested quality score (0, 2, 3 or 4).
+ */
+export const checkAnswer = (answer, expected, {ignoreAccents = false, elapsedMs = 0} = {}) => {
+  const candidates = expected.filter(form => form && form.trim() !== "")
+  if (candidates.length === 0) return null
+
+  const best = candidates
+    .map(form => {
+      const diff = diffChars(answer, form, {ignoreAccents})
+      const length = Math.max(Array.from(tidy(form)).length, Array.from(tidy(answer)).length, 1)
+      // A strict diff that only fails on accents is still worth telling apart
+      const accentsOnly =
+        !ignoreAccents &&
+        diff.distance > 0 &&
+        diffChars(answer, form, {ignoreAccents: true}).distance === 0
+      return {expected: form, ...diff, similarity: 1 - diff.distance / length, accentsOnly}
+    })
+    .reduce((a, b) => (b.distance < a.distance ? b : a))
+
+  const correct = tidy(answer) !== "" && best.distance === 0
+  let quality
+
+  if (correct) {
+    quality = elapsedMs < FAST_MS ? QUALITY.easy : elapsedMs < SLOW_MS ? QUALITY.good : QUALITY.hard
+  } else if (tidy(answer) !== "" && (best.accentsOnly || best.similarity >= NEAR_MISS)) {
+    quality = QUALITY.hard
+  } else {
+    quality = QUALITY.again
+  }
+
+  return {...best, correct, quality}
+}
@@ -0,0 +1,202 @@
+// Client-side port of Langler.Study.FSRS used to schedule reviews while the
+// study session is offline. Keep in sync with lib/langler/study/fsrs.ex so a
+// replayed review lands on the same due date the server would compute.
+
+const QUALITY_FROM_RATING = {again: 0, hard: 2, good: 3, easy: 4}
+const RATING_FROM_QUALITY = {0: "again", 1: "hard", 2: "hard", 3: "good", 4: "easy"}
+
+const DAY_MS = 86_400_000
+
+export const qualityFromRating = rating => QUALITY_FROM_RATING[rating]
+
+export const ratingFromQuality = quality => RATING_FROM_QUALITY[quality]
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max)
+
+const weight = (params, idx, fallback) => params.weights?.[idx] ?? fallback
+
+const qualityDelta = rating => qualityFromRating(rating) - 2
+
+const addMinutes = (now, minutes) => new Date(now.getTime() + Math.trunc(minutes * 60) * 1000)
+
+const addDays = (now, days) => new Date(now.getTime() + days * DAY_MS)
+
+const elapsedDays = (item, now) => {
+  if (!item.last_reviewed_at) return 0
+  const last = new Date(item.last_reviewed_at)
+  return Math.max(0, Math.trunc((now.getTime() - last.getTime()) / DAY_MS))
+}
+
+const retrievability = (item, now) => {
+  if (item.stability == null) return 0.0
+
+  const elapsed = elapsedDays(item, now)
+  if (elapsed === 0) return 0.99
+
+  const decay = -0.5
+  const factor = Math.pow(0.9, 1 / decay) - 1
+  return Math.pow(1 + (factor * elapsed) / item.stability, decay)
+}
+
+export const updateEaseFactor = (current, rating) => {
+  const delta = {again: -0.35, hard: -0.15, good: 0.0, easy: 0.15}[rating]
+  return clamp(current + delta, 1.3, 3.7)
+}
+
+const easeFromDifficulty = difficulty => 3.7 - (difficulty - 1) * ((3.7 - 1.3) / 9)
+
+const initialDifficulty = (rating, params) =>
+  clamp(weight(params, 0, 5.0) + weight(params, 1, 0.3) * qualityDelta(rating), 1.0, 10.0)
+
+const nextDifficulty = (difficulty, rating, params) => {
+  if (difficulty == null) return initialDifficulty(rating, params)
+  const delta = weight(params, 4, 0.15) * (qualityDelta(rating) / 2)
+  return clamp(difficulty + delta, 1.0, 10.0)
+}
+
+const initialStability = (rating, params) =>
+  Math.max(0.5, weight(params, 2, 2.5) + weight(params, 3, 1.2) * qualityDelta(rating))
+
+const growStability = (stability, difficulty, rating, retention, params) => {
+  const retrieval = Math.min(Math.max(retention, 0.01), 0.99)
+
+  const factor =
+    1.0 +
+    Math.exp(weight(params, 5, 0.5)) *
+      (11 - difficulty) *
+      Math.pow(retrieval, -weight(params, 6, 0.3)) *
+      (Math.exp((1 - retrieval) * weight(params, 7, 0.2)) - 1)
+
+  const hardPenalty = rating === "hard" ? weight(params, 8, 0.85) : 1.0
+  const easyBonus = rating === "easy" ? 1.0 + weight(params, 9, 0.15) : 1.0
+
+  return Math.max(0.5, stability * factor * hardPenalty * easyBonus)
+}
+
+const setbackStability = (difficulty, params) =>
+  Math.max(0.3, weight(params, 10, 0.5) * Math.pow(difficulty, -weight(params, 11, 0.5)))
+
+const intervalFromStability = stability =>
+  Math.max(1, Math.round(Math.round(stability * 10) / 10))
+
+const baseLearningResponse = (item, step, due) => ({
+  state: "learning",
+  step,
+  difficulty: item.difficulty,
+  stability: item.stability,
+  interval: 0,
+  due,
+  ease_factor: item.ease_factor ?? 2.5,
+})
+
+const startReview = (rating, params, now) => {
+  const difficulty = initialDifficulty(rating, params)
+  const stability = initialStability(rating, params)
+  const interval = intervalFromStability(stability)
+
+  return {
+    state: "review",
+    step: null,
+    difficulty,
+    stability,
+    interval,
+    due: addDays(now, interval),
+    ease_factor: easeFromDifficulty(difficulty),
+  }
+}
+
+const planLearning = (item, rating, params, now) => {
+  const steps = params.learning_steps || []
+  const totalSteps = Math.max(steps.length, 1)
+  const currentStep = item.step ?? 0
+
+  if (rating === "again") {
+    return baseLearningResponse(item, 0, addMinutes(now, steps[0] ?? 1.0))
+  }
+
+  if (currentStep < totalSteps - 1 && (rating === "hard" || rating === "good")) {
+    const nextStep = currentStep + 1
+    return baseLearningResponse(item, nextStep, addMinutes(now, steps[nextStep] ?? 10.0))
+  }
+
+  return startReview(rating, params, now)
+}
+
+const relearn = (difficulty, params, now, ease) => {
+  const steps = params.relearning_steps || [10.0]
+
+  return {
+    state: "relearning",
+    step: 0,
+    difficulty,
+    stability: setbackStability(difficulty, params),
+    interval: 0,
+    due: addMinutes(now, steps[0] ?? 10.0),
+    ease_factor: ease,
+  }
+}
+
+const planReview = (item, rating, params, now, currentRetrievability) => {
+  const difficulty = nextDifficulty(item.difficulty, rating, params)
+  const ease = updateEaseFactor(item.ease_factor ?? easeFromDifficulty(difficulty), rating)
+  const retention = currentRetrievability ? currentRetrievability : params.desired_retention
+
+  if (rating === "again") return relearn(difficulty, params, now, ease)
+
+  const stability = growStability(
+    item.stability ?? initialStability("good", params),
+    difficulty,
+    rating,
+    retention,
+    params
+  )
+  const interval = intervalFromStability(stability)
+
+  return {
+    state: "review",
+    step: null,
+    difficulty,
+    stability,
+    interval,
+    due: addDays(now, interval),
+    ease_factor: ease,
+  }
+}
+
+/**
+ * Calculates the next review state for a serialized FSRS item, mirroring
+ * `Langler.Study.FSRS.calculate_next_review/3`.
+ */
+export const calculateNextReview = (item, rating, params, now = new Date()) => {
+  const currentRetrievability = retrievability(item, now)
+
+  const result =
+    item.stability != null
+      ? planReview(item, rating, params, now, currentRetrievability)
+      : planLearning(item, rating, params, now)
+
+  return {...result, rating, retrievability: currentRetrievability}
+}
+
+/**
+ * Applies a rating to a serialized item the way `Langler.Study.review_item/3`
+ * does, returning the updated item.
+ */
+export const reviewItem = (item, rating, params, now = new Date()) => {
+  const result = calculateNextReview(item, rating, params, now)
+
+  return {
+    ...item,
+    interval: result.interval,
+    ease_factor: result.ease_factor,
+    due_date: result.due.toISOString(),
+    repetitions: (item.repetitions || 0) + 1,
+    last_reviewed_at: now.toISOString(),
+    stability: result.stability,
+    difficulty: result.difficulty,
+    retrievability: result.retrievability,
+    state: result.state,
+    step: result.step,
+    quality_history: [...(item.quality_history || []), qualityFromRating(rating)],
+  }
+}
@@ -0,0 +1,81 @@
+// IndexedDB persistence for offline study sessions: the prefetched due queue
+// and the ratings recorded while the LiveSocket was disconnected.
+
+const DB_VERSION = 1
+const CARDS = "cards"
+const REVIEWS = "reviews"
+
+const request = req =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+
+const transactionDone = tx =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+
+export const offlineStorageSupported = () =>
+  typeof window !== "undefined" && "indexedDB" in window
+
+// One database per user so a shared browser never replays someone else's ratings
+export const createOfflineReviewStore = userId => {
+  const name = `langler-study-${userId}`
+  let db = null
+
+  const open = async () => {
+    if (db) return db
+
+    const req = window.indexedDB.open(name, DB_VERSION)
+    req.onupgradeneeded = () => {
+      const upgradeDb = req.result
+      if (!upgradeDb.objectStoreNames.contains(CARDS)) {
+        upgradeDb.createObjectStore(CARDS, {keyPath: "id"})
+      }
+      if (!upgradeDb.objectStoreNames.contains(REVIEWS)) {
+        upgradeDb.createObjectStore(REVIEWS, {keyPath: "id", autoIncrement: true})
+      }
+    }
+
+    db = await request(req)
+    return db
+  }
+
+  const write = async (storeName, fn) => {
+    const tx = (await open()).transaction(storeName, "readwrite")
+    fn(tx.objectStore(storeName))
+    return transactionDone(tx)
+  }
+
+  const readAll = async storeName =>
+    request((await open()).transaction(storeName).objectStore(storeName).getAll())
+
+  return {
+    // Replaces the cached queue, remembering the order the server sent it in
+    saveCards: cards =>
+      write(CARDS, store => {
+        store.clear()
+        cards.forEach((card, position) => store.put({...card, position}))
+      }),
+
+    getCards: async () => (await readAll(CARDS)).sort((a, b) => a.position - b.position),
+
+    putCard: card => write(CARDS, store => store.put(card)),
+
+    queueReview: review => write(REVIEWS, store => store.add(review)),
+
+    pendingReviews: () => readAll(REVIEWS),
+
+    removeReviews: ids => write(REVIEWS, store => ids.forEach(id => store.delete(id))),
+
+    close() {
+      if (db) {
+        db.close()
+        db = null
+      }
+    },
+  }
+}
@@ -50,3 +50,6 @@ config :langler, Langler.External.Dictionary.CacheLoader, enabled: false
 config :langler, :study_live_async_fetch_enabled, false
 
 config :appsignal, :config, active: false
+
+config :langler, Langler.STT.Service, adapter: Langler.STT.Adapters.Local
+config :langler, Langler.STT.Adapters.Local, transcript: "Hola, ¿qué tal?"
@@ -27,6 +27,32 @@ defmodule Langler.Accounts do
     |> Repo.insert_or_update()
   end
 
+  @doc """
+  Returns the user's article reader settings, a map of the
+  `UserPreference.reader_fields/0`, with the defaults for users who haven't
+  changed them.
+  """
+  def get_reader_settings(user_id) do
+    (get_user_preference(user_id) || %UserPreference{})
+    |> Map.take(UserPreference.reader_fields())
+  end
+
+  @doc """
+  Saves the reader settings in `params` (string keys, as sent by the reader
+  settings form). Other preferences are left alone.
+  """
+  def update_reader_settings(user, params) when is_map(params) do
+    attrs =
+      for field <- UserPreference.reader_fields(),
+          Map.has_key?(params, Atom.to_string(field)),
+          into: %{},
+          do: {field, params[Atom.to_string(field)]}
+
+    with {:ok, pref} <- upsert_user_preference(user, attrs) do
+      {:ok, Map.take(pref, UserPreference.reader_fields())}
+    end
+  end
+
   ## Current Deck Management
 
   @doc """
@@ -1,6 +1,9 @@
 defmodule Langler.Accounts.UserPreference do
   @moduledoc """
   Ecto schema for user preferences.
+
+  The `reader_*` fields hold the article reader's typography and layout, see
+  `reader_fields/0`.
   """
 
   use Ecto.Schema
@@ -8,11 +11,26 @@ defmodule Langler.Accounts.UserPreference do
 
   alias Langler.Vocabulary.Deck
 
+  @reader_fonts ~w(sans serif dyslexic)
+  @reader_widths ~w(narrow normal wide)
+  @reader_fields [
+    :reader_font,
+    :reader_font_scale,
+    :reader_line_height,
+    :reader_width,
+    :reader_sentence_per_line
+  ]
+
   schema "user_preferences" do
     field :target_language, :string, default: "es"
     field :native_language, :string, default: "en"
     field :ui_locale, :string, default: "en"
     field :use_llm_for_definitions, :boolean, default: false
+    field :reader_font, :string, default: "sans"
+    field :reader_font_scale, :integer, default: 100
+    field :reader_line_height, :float, default: 1.75
+    field :reader_width, :string, default: "normal"
+    field :reader_sentence_per_line, :boolean, default: false
 
     belongs_to :user, Langler.Accounts.User
     belongs_to :current_deck, Deck
@@ -30,8 +48,28 @@ defmodule Langler.Accounts.UserPreference do
       :user_id,
       :current_deck_id,
       :use_llm_for_definitions
+      | @reader_fields
     ])
     |> validate_required([:target_language, :native_language, :user_id])
+    |> validate_inclusion(:reader_font, @reader_fonts)
+    |> validate_number(:reader_font_scale,
+      greater_than_or_equal_to: 80,
+      less_than_or_equal_to: 150
+    )
+    |> validate_number(:reader_line_height,
+      greater_than_or_equal_to: 1.4,
+      less_than_or_equal_to: 2.2
+    )
+    |> validate_inclusion(:reader_width, @reader_widths)
     |> unique_constraint(:user_id)
   end
+
+  @doc "The reader preference fields."
+  def reader_fields, do: @reader_fields
+
+  @doc "The reader font families, `dyslexic` being a dyslexia-friendly one."
+  def reader_fonts, do: @reader_fonts
+
+  @doc "The reader column widths."
+  def reader_widths, do: @reader_widths
 end
@@ -6,6 +6,15 @@ defmodule Langler.Audio do
   alias Langler.Audio.AudioFile
   alias Langler.Repo
 
+  @shadowing_fields [
+    :shadowing_enabled,
+    :shadowing_repeats,
+    :shadowing_pause_seconds,
+    "shadowing_enabled",
+    "shadowing_repeats",
+    "shadowing_pause_seconds"
+  ]
+
   @doc """
   Gets or creates an audio file record for a user and article.
   Returns existing record if found, otherwise creates a pending record.
@@ -40,10 +49,13 @@ defmodule Langler.Audio do
 
   @doc """
   Marks an audio file as ready with file path and metadata.
+
+  `alignment` holds the subtitle timings built by `Langler.TTS.Alignment`,
+  or `nil` when none are available.
   """
-  @spec mark_ready(integer(), integer(), String.t(), integer(), float()) ::
+  @spec mark_ready(integer(), integer(), String.t(), integer(), float(), map() | nil) ::
           {:ok, AudioFile.t()} | {:error, Ecto.Changeset.t()}
-  def mark_ready(user_id, article_id, file_path, file_size, duration_seconds)
+  def mark_ready(user_id, article_id, file_path, file_size, duration_seconds, alignment \\ nil)
       when is_integer(user_id) and is_integer(article_id) and is_binary(file_path) do
     case get_audio_file(user_id, article_id) do
       nil ->
@@ -56,6 +68,7 @@ defmodule Langler.Audio do
           file_path: file_path,
           file_size: file_size,
           duration_seconds: duration_seconds,
+          alignment: alignment,
           error_message: nil
         })
         |> Repo.update()
@@ -100,4 +113,23 @@ defmodule Langler.Audio do
         |> Repo.update()
     end
   end
+
+  @doc """
+  Updates the shadowing loop settings (enabled, repeats per sentence and
+  pause after each repeat) saved alongside the listening position.
+  """
+  @spec update_shadowing_settings(integer(), integer(), map()) ::
+          {:ok, AudioFile.t()} | {:error, Ecto.Changeset.t()} | {:error, :not_found}
+  def update_shadowing_settings(user_id, article_id, attrs)
+      when is_integer(user_id) and is_integer(article_id) and is_map(attrs) do
+    case get_audio_file(user_id, article_id) do
+      nil ->
+        {:error, :not_found}
+
+      audio_file ->
+        audio_file
+        |> AudioFile.changeset(Map.take(attrs, @shadowing_fields))
+        |> Repo.update()
+    end
+  end
 end
@@ -14,6 +14,10 @@ defmodule Langler.Audio.AudioFile do
     field :file_size, :integer
     field :duration_seconds, :float
     field :last_position_seconds, :float, default: 0.0
+    field :shadowing_enabled, :boolean, default: false
+    field :shadowing_repeats, :integer, default: 3
+    field :shadowing_pause_seconds, :float, default: 2.0
+    field :alignment, :map
     field :error_message, :string
 
     timestamps(type: :utc_datetime)
@@ -32,10 +36,22 @@ defmodule Langler.Audio.AudioFile do
       :file_size,
       :duration_seconds,
       :last_position_seconds,
+      :shadowing_enabled,
+      :shadowing_repeats,
+      :shadowing_pause_seconds,
+      :alignment,
       :error_message
     ])
     |> validate_required([:user_id, :article_id, :status])
     |> validate_inclusion(:status, ["pending", "ready", "failed"])
+    |> validate_number(:shadowing_repeats,
+      greater_than_or_equal_to: 1,
+      less_than_or_equal_to: 10
+    )
+    |> validate_number(:shadowing_pause_seconds,
+      greater_than_or_equal_to: 0,
+      less_than_or_equal_to: 30
+    )
     |> unique_constraint([:user_id, :article_id])
   end
 end
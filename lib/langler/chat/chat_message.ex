@@ -1,6 +1,10 @@
 defmodule Langler.Chat.ChatMessage do
   @moduledoc """
   Schema for encrypted chat messages.
+
+  Messages form a tree: each one replies to its `parent`. Editing or
+  regenerating a message adds a sibling, and `active` marks which of the
+  siblings the conversation currently follows.
   """
 
   use Ecto.Schema
@@ -8,11 +12,13 @@ defmodule Langler.Chat.ChatMessage do
 
   schema "chat_messages" do
     belongs_to :chat_session, Langler.Chat.ChatSession
+    belongs_to :parent, __MODULE__
     field :role, :string
     field :encrypted_content, :binary
     field :content_hash, :string
     field :token_count, :integer
     field :metadata, :map
+    field :active, :boolean, default: true
 
     timestamps(type: :utc_datetime)
   end
@@ -28,7 +34,9 @@ defmodule Langler.Chat.ChatMessage do
       :encrypted_content,
       :content_hash,
       :token_count,
-      :metadata
+      :metadata,
+      :parent_id,
+      :active
     ])
     |> validate_required([:chat_session_id, :role, :encrypted_content, :content_hash])
     |> validate_inclusion(:role, ["user", "assistant", "system"])
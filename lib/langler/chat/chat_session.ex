@@ -16,6 +16,9 @@ defmodule Langler.Chat.ChatSession do
     field :target_language, :string
     field :native_language, :string
     field :pinned, :boolean, default: false
+    # Replies point out the mistakes in the user's messages (see Langler.Chat.Corrections)
+    field :correction_mode, :boolean, default: false
+    field :speak_replies, :boolean, default: false
 
     has_many :messages, Langler.Chat.ChatMessage, foreign_key: :chat_session_id
 
@@ -36,7 +39,9 @@ defmodule Langler.Chat.ChatSession do
       :llm_model,
       :target_language,
       :native_language,
-      :pinned
+      :pinned,
+      :correction_mode,
+      :speak_replies
     ])
     |> validate_required([:user_id, :llm_provider, :target_language, :native_language])
     |> validate_inclusion(
@@ -45,6 +50,7 @@ defmodule Langler.Chat.ChatSession do
         "general",
         "article",
         Langler.Quizzes.context_type(),
+        Langler.Quizzes.listening_context_type(),
         "vocabulary",
         "conjugation",
         "grammar"
@@ -0,0 +1,341 @@
+defmodule Langler.Chat.Corrections do
+  @moduledoc """
+  Structured corrections of the user's messages for sessions in correction
+  mode.
+
+  The assistant follows its reply with the mistakes it found in the user's
+  last message:
+  ```
+  BEGIN_CORRECTIONS
+  [{"original": "soy 20 años", "replacement": "tengo 20 años", "category": "grammar",
+    "explanation": "Age uses tener."}]
+  END_CORRECTIONS
+  ```
+
+  `annotate/3` locates each mistake in the user's message, adds LanguageTool's
+  checks and rewrites the block as `{"text": ..., "corrections": [...]}`. The
+  block is part of the reply's content, so it is encrypted with every version
+  of the message. `split/1` reads it back for rendering.
+
+  A correction is a map with `:offset` and `:length` (in code points of the
+  user's message), `:original`, `:replacement`, `:category`, `:explanation`
+  and `:source` (`"llm"` or `"language_tool"`).
+  """
+
+  alias Langler.External.Dictionary.LanguageTool
+  alias Langler.Study
+  alias Langler.Vocabulary
+  alias Langler.Vocabulary.Decks
+
+  require Logger
+
+  @begin_marker "BEGIN_CORRECTIONS"
+  @end_marker "END_CORRECTIONS"
+  @categories ~w(grammar spelling vocabulary punctuation style)
+
+  @type correction :: %{
+          offset: non_neg_integer(),
+          length: non_neg_integer(),
+          original: String.t(),
+          replacement: String.t(),
+          category: String.t(),
+          explanation: String.t(),
+          source: String.t()
+        }
+
+  @doc """
+  Instructions appended to the system prompt of a session in correction mode.
+  """
+  @spec instructions(String.t()) :: String.t()
+  def instructions(native_language) do
+    """
+    Correction mode is on. After every reply, list the mistakes in the user's last message in this exact format:
+
+    #{@begin_marker}
+    [{"original": "<exact text from the user's message>", "replacement": "<corrected text>", "category": "<#{Enum.join(@categories, "|")}>", "explanation": "<short explanation in #{native_language}>"}]
+    #{@end_marker}
+
+    Quote "original" exactly as the user wrote it and keep it as short as possible. Use [] when there are no mistakes.
+    """
+  end
+
+  @doc """
+  Replaces the corrections block of an assistant reply with the corrections
+  located in `text` (the user's message), together with LanguageTool's
+  checks for `language`.
+
+  Returns the reply unchanged, minus any block, when nothing was found.
+  """
+  @spec annotate(String.t(), String.t(), String.t()) :: String.t()
+  def annotate(content, text, language) when is_binary(content) and is_binary(text) do
+    {prose, suggested} = extract(content)
+
+    corrections =
+      text
+      |> locate(suggested)
+      |> merge(language_tool_corrections(text, language))
+
+    if corrections == [] do
+      prose
+    else
+      block = Jason.encode!(%{text: text, corrections: corrections})
+      "#{prose}\n\n#{@begin_marker}\n#{block}\n#{@end_marker}"
+    end
+  end
+
+  @doc """
+  Splits a stored reply into its prose and its corrections.
+
+  Returns `{prose, %{text: text, corrections: [correction]}}`, or
+  `{prose, nil}` when the reply has no corrections. An unfinished block (a
+  reply still streaming, or stopped) is dropped from the prose.
+  """
+  @spec split(String.t()) :: {String.t(), map() | nil}
+  def split(content) when is_binary(content) do
+    case extract_block(content) do
+      {prose, json} -> {prose, decode_annotation(json)}
+      :none -> {strip_unfinished(content), nil}
+    end
+  end
+
+  @doc """
+  Creates a custom study card from a correction, with the user's message on
+  the front and the fix and its explanation on the back.
+  """
+  @spec create_card(integer(), correction(), String.t(), String.t()) ::
+          {:ok, Langler.Vocabulary.CustomCard.t()} | {:error, term()}
+  def create_card(user_id, correction, text, language) do
+    attrs = %{
+      front: String.slice(text, 0, 1000),
+      back:
+        String.slice(
+          "#{correction.original} → #{correction.replacement}\n\n#{correction.explanation}",
+          0,
+          1000
+        ),
+      language: language
+    }
+
+    with {:ok, _deck} <- Vocabulary.get_or_create_default_deck(user_id),
+         {:ok, custom_card} <- Decks.add_new_custom_card_to_decks(user_id, attrs, []),
+         {:ok, _item} <-
+           Study.create_item(%{
+             custom_card_id: custom_card.id,
+             user_id: user_id,
+             due_date: DateTime.utc_now(),
+             state: "learning",
+             step: 0,
+             repetitions: 0
+           }) do
+      {:ok, custom_card}
+    end
+  end
+
+  @doc """
+  Places the corrections suggested by the assistant in `text`.
+
+  Each `"original"` is matched to its first occurrence that doesn't overlap
+  an earlier correction; suggestions that can't be found are dropped.
+  """
+  @spec locate(String.t(), [map()]) :: [correction()]
+  def locate(text, suggested) do
+    suggested
+    |> Enum.reduce([], fn suggestion, located ->
+      with %{"original" => original, "replacement" => replacement}
+           when is_binary(original) and original != "" and is_binary(replacement) <- suggestion,
+           offset when is_integer(offset) <- find_free_offset(text, original, located) do
+        correction = %{
+          offset: offset,
+          length: code_points(original),
+          original: original,
+          replacement: replacement,
+          category: normalize_category(suggestion["category"]),
+          explanation: to_string(suggestion["explanation"] || ""),
+          source: "llm"
+        }
+
+        [correction | located]
+      else
+        _ -> located
+      end
+    end)
+    |> Enum.sort_by(& &1.offset)
+  end
+
+  @doc """
+  Adds the `extra` corrections that don't overlap any of `corrections`.
+  """
+  @spec merge([correction()], [correction()]) :: [correction()]
+  def merge(corrections, extra) do
+    extra
+    |> Enum.reduce(corrections, fn correction, acc ->
+      if Enum.any?(acc, &overlap?(&1, correction)), do: acc, else: [correction | acc]
+    end)
+    |> Enum.sort_by(& &1.offset)
+  end
+
+  @doc """
+  Turns a LanguageTool check response for `text` into corrections.
+
+  LanguageTool counts offsets in UTF-16 code units; they are converted to
+  code points. Matches without a suggested replacement are skipped.
+  """
+  @spec from_language_tool(map(), String.t()) :: [correction()]
+  def from_language_tool(%{"matches" => matches}, text) when is_list(matches) do
+    utf16 = :unicode.characters_to_binary(text, :utf8, :utf16)
+    Enum.flat_map(matches, &language_tool_correction(&1, utf16))
+  end
+
+  def from_language_tool(_response, _text), do: []
+
+  defp language_tool_correction(
+         %{"offset" => offset, "length" => length, "replacements" => [%{"value" => value} | _]} =
+           match,
+         utf16
+       ) do
+    with {:ok, prefix} <- utf16_to_utf8(utf16, 0, offset),
+         {:ok, original} when original != "" <- utf16_to_utf8(utf16, offset, length) do
+      [
+        %{
+          offset: code_points(prefix),
+          length: code_points(original),
+          original: original,
+          replacement: value,
+          category: language_tool_category(get_in(match, ["rule", "category", "id"])),
+          explanation: match["message"] || "",
+          source: "language_tool"
+        }
+      ]
+    else
+      _ -> []
+    end
+  end
+
+  defp language_tool_correction(_match, _utf16), do: []
+
+  defp language_tool_corrections(text, language) do
+    case LanguageTool.check(text, language: language) do
+      {:ok, response} ->
+        from_language_tool(response, text)
+
+      {:error, reason} ->
+        Logger.warning("LanguageTool check failed: #{inspect(reason)}")
+        []
+    end
+  end
+
+  defp extract(content) do
+    case extract_block(content) do
+      {prose, json} ->
+        case Jason.decode(json) do
+          {:ok, suggested} when is_list(suggested) -> {prose, suggested}
+          _ -> {prose, []}
+        end
+
+      :none ->
+        {strip_unfinished(content), []}
+    end
+  end
+
+  defp extract_block(content) do
+    begin_marker = Regex.escape(@begin_marker)
+    end_marker = Regex.escape(@end_marker)
+    regex = Regex.compile!("#{begin_marker}\\s*(.+?)\\s*#{end_marker}", "s")
+
+    case Regex.run(regex, content, return: :index) do
+      [{start, size}, {json_start, json_size}] ->
+        before = binary_part(content, 0, start)
+        rest = binary_part(content, start + size, byte_size(content) - start - size)
+
+        prose =
+          [before, rest]
+          |> Enum.map(&String.trim/1)
+          |> Enum.reject(&(&1 == ""))
+          |> Enum.join("\n\n")
+
+        {prose, binary_part(content, json_start, json_size)}
+
+      nil ->
+        :none
+    end
+  end
+
+  defp strip_unfinished(content) do
+    case String.split(content, @begin_marker, parts: 2) do
+      [prose, _unfinished] -> String.trim_trailing(prose)
+      [prose] -> prose
+    end
+  end
+
+  defp decode_annotation(json) do
+    with {:ok, %{"text" => text, "corrections" => corrections}}
+         when is_binary(text) and is_list(corrections) <- Jason.decode(json) do
+      %{text: text, corrections: Enum.flat_map(corrections, &decode_correction/1)}
+    else
+      _ -> nil
+    end
+  end
+
+  defp decode_correction(%{"offset" => offset, "length" => length} = correction)
+       when is_integer(offset) and is_integer(length) do
+    [
+      %{
+        offset: offset,
+        length: length,
+        original: correction["original"] || "",
+        replacement: correction["replacement"] || "",
+        category: normalize_category(correction["category"]),
+        explanation: correction["explanation"] || "",
+        source: correction["source"] || "llm"
+      }
+    ]
+  end
+
+  defp decode_correction(_correction), do: []
+
+  defp find_free_offset(text, original, located) do
+    text
+    |> :binary.matches(original)
+    |> Enum.map(fn {byte_offset, _size} -> code_points(binary_part(text, 0, byte_offset)) end)
+    |> Enum.find(fn offset ->
+      candidate = %{offset: offset, length: code_points(original)}
+      not Enum.any?(located, &overlap?(&1, candidate))
+    end)
+  end
+
+  defp overlap?(a, b) do
+    a.offset < b.offset + b.length and b.offset < a.offset + a.length
+  end
+
+  # Offsets are in code points, as in JavaScript's Array.from(text)
+  defp code_points(text), do: text |> String.codepoints() |> length()
+
+  defp utf16_to_utf8(utf16, offset, count)
+       when is_integer(offset) and is_integer(count) and offset >= 0 and count >= 0 and
+              (offset + count) * 2 <= byte_size(utf16) do
+    utf16
+    |> binary_part(offset * 2, count * 2)
+    |> :unicode.characters_to_binary(:utf16, :utf8)
+    |> case do
+      text when is_binary(text) -> {:ok, text}
+      _split_surrogate -> :error
+    end
+  end
+
+  defp utf16_to_utf8(_utf16, _offset, _count), do: :error
+
+  defp normalize_category(category) when category in @categories, do: category
+
+  defp normalize_category(category) when is_binary(category) do
+    category = String.downcase(category)
+    if category in @categories, do: category, else: "grammar"
+  end
+
+  defp normalize_category(_category), do: "grammar"
+
+  defp language_tool_category("TYPOS"), do: "spelling"
+  defp language_tool_category("PUNCTUATION"), do: "punctuation"
+  defp language_tool_category("TYPOGRAPHY"), do: "punctuation"
+  defp language_tool_category(id) when id in ["STYLE", "REDUNDANCY", "PLAIN_ENGLISH"], do: "style"
+  defp language_tool_category(_id), do: "grammar"
+end
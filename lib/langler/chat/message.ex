@@ -1,12 +1,29 @@
 defmodule Langler.Chat.Message do
   @moduledoc """
   Context for managing encrypted chat messages.
+
+  Messages are stored as a tree (see `Langler.Chat.ChatMessage`); listing
+  functions return the session's active thread.
   """
 
   import Ecto.Query
   alias Langler.Chat.{ChatMessage, ChatSession, Encryption, TokenCounter}
   alias Langler.Repo
 
+  # Whether sibling `s` comes after the `:message` binding, so that the last
+  # active sibling continues the thread
+  defmacrop later_sibling(s) do
+    quote do
+      fragment(
+        "(?, ?) > (?, ?)",
+        unquote(s).inserted_at,
+        unquote(s).id,
+        parent_as(:message).inserted_at,
+        parent_as(:message).id
+      )
+    end
+  end
+
   @doc """
   Creates a new encrypted message and counts tokens.
 
@@ -37,30 +54,156 @@ defmodule Langler.Chat.Message do
         metadata: metadata
       }
 
+      insert_reply(attrs)
+    end
+  end
+
+  @doc """
+  Inserts a message as the active reply to its parent, making the parent's
+  other replies inactive.
+
+  The parent is `attrs.parent_id` when given (`nil` for a first message),
+  otherwise the last message of the active thread.
+  """
+  @spec insert_reply(map()) :: {:ok, ChatMessage.t()} | {:error, Ecto.Changeset.t()}
+  def insert_reply(%{chat_session_id: session_id} = attrs) do
+    parent_id = Map.get_lazy(attrs, :parent_id, fn -> thread_leaf_id(session_id) end)
+
+    Repo.transaction(fn ->
+      session_id
+      |> siblings_query(parent_id)
+      |> Repo.update_all(set: [active: false])
+
       %ChatMessage{}
-      |> ChatMessage.changeset(attrs)
+      |> ChatMessage.changeset(Map.merge(attrs, %{parent_id: parent_id, active: true}))
       |> Repo.insert()
+      |> case do
+        {:ok, message} -> message
+        {:error, changeset} -> Repo.rollback(changeset)
+      end
+    end)
+  end
+
+  @doc """
+  Lists the messages of a session's active thread, oldest first.
+
+  Starting at the first message, the thread follows the active reply of each
+  message and ends where no reply is active. Each entry is a
+  `{message, branch}` tuple, where `branch` is the message's place among its
+  siblings: `%{index: 2, count: 3, previous_id: id, next_id: id}`.
+  """
+  @spec active_thread(integer()) :: list({ChatMessage.t(), map()})
+  def active_thread(session_id) when is_integer(session_id) do
+    session_id
+    |> active_thread_ids()
+    |> load_thread()
+  end
+
+  @doc """
+  Lists the IDs of a session's active thread (see `active_thread/1`), oldest
+  first, without loading the messages.
+
+  A reply is always stored after its parent, so the IDs ascend along the
+  thread.
+  """
+  @spec active_thread_ids(integer()) :: list(integer())
+  def active_thread_ids(session_id) when is_integer(session_id) do
+    first =
+      from m in ChatMessage,
+        as: :message,
+        where: m.chat_session_id == ^session_id and is_nil(m.parent_id) and m.active,
+        where:
+          not exists(
+            from s in ChatMessage,
+              where: s.chat_session_id == ^session_id and is_nil(s.parent_id) and s.active,
+              where: later_sibling(s)
+          ),
+        select: %{id: m.id}
+
+    replies =
+      from m in ChatMessage,
+        as: :message,
+        join: t in "active_thread",
+        on: m.parent_id == t.id,
+        where: m.active,
+        where:
+          not exists(
+            from s in ChatMessage,
+              where: s.parent_id == parent_as(:message).parent_id and s.active,
+              where: later_sibling(s)
+          ),
+        select: %{id: m.id}
+
+    from(t in "active_thread", order_by: t.id, select: t.id)
+    |> recursive_ctes(true)
+    |> with_cte("active_thread", as: ^union_all(first, ^replies))
+    |> Repo.all()
+  end
+
+  @doc """
+  Returns a message's place among its siblings (see `active_thread/1`).
+  """
+  @spec branch(ChatMessage.t()) :: map()
+  def branch(%ChatMessage{} = message) do
+    siblings =
+      message.chat_session_id
+      |> siblings_query(message.parent_id)
+      |> order_by([m], asc: m.inserted_at, asc: m.id)
+      |> Repo.all()
+
+    branch_info(siblings, Enum.find_index(siblings, &(&1.id == message.id)))
+  end
+
+  @doc """
+  Makes a message the active one among its siblings, so the active thread
+  continues through it.
+  """
+  @spec select_branch(integer(), integer()) :: {:ok, ChatMessage.t()} | {:error, :not_found}
+  def select_branch(session_id, message_id) do
+    case Repo.get_by(ChatMessage, id: message_id, chat_session_id: session_id) do
+      nil ->
+        {:error, :not_found}
+
+      message ->
+        Repo.transaction(fn ->
+          session_id
+          |> siblings_query(message.parent_id)
+          |> Repo.update_all(set: [active: false])
+
+          message
+          |> Ecto.Changeset.change(active: true)
+          |> Repo.update!()
+        end)
+    end
+  end
+
+  @doc """
+  Makes a message inactive, so the active thread ends at its parent.
+  """
+  @spec hide_branch(integer(), integer()) :: {:ok, ChatMessage.t()} | {:error, :not_found}
+  def hide_branch(session_id, message_id) do
+    case Repo.get_by(ChatMessage, id: message_id, chat_session_id: session_id) do
+      nil -> {:error, :not_found}
+      message -> message |> Ecto.Changeset.change(active: false) |> Repo.update()
     end
   end
 
   @doc """
   Lists session messages (decrypted), paginated.
 
-  Returns the most recent messages first (descending by inserted_at).
+  Returns the most recent messages of the active thread first.
   """
   @spec list_session_messages(integer(), integer()) :: list(map())
   def list_session_messages(session_id, limit \\ 10)
       when is_integer(session_id) and is_integer(limit) do
     case get_session_with_user(session_id) do
       {:ok, session} ->
-        messages =
-          ChatMessage
-          |> where(chat_session_id: ^session_id)
-          |> order_by([m], desc: m.inserted_at)
-          |> limit(^limit)
-          |> Repo.all()
-
-        decrypt_messages(messages, session.user_id)
+        session_id
+        |> active_thread_ids()
+        |> Enum.reverse()
+        |> Enum.take(limit)
+        |> load_thread()
+        |> decrypt_messages(session.user_id)
 
       {:error, _} ->
         []
@@ -68,29 +211,23 @@ defmodule Langler.Chat.Message do
   end
 
   @doc """
-  Loads older messages before a given message ID.
+  Loads the messages of the active thread before a given message ID.
+
+  Like `list_session_messages/2`, returns the most recent of them first.
   """
   @spec list_older_messages(integer(), integer(), integer()) :: list(map())
   def list_older_messages(session_id, before_message_id, limit \\ 10)
       when is_integer(session_id) and is_integer(before_message_id) and is_integer(limit) do
     case get_session_with_user(session_id) do
       {:ok, session} ->
-        # Get the timestamp of the "before" message
-        before_message = Repo.get(ChatMessage, before_message_id)
-
-        if before_message && before_message.chat_session_id == session_id do
-          messages =
-            ChatMessage
-            |> where(chat_session_id: ^session_id)
-            |> where([m], m.inserted_at < ^before_message.inserted_at)
-            |> order_by([m], desc: m.inserted_at)
-            |> limit(^limit)
-            |> Repo.all()
-
-          decrypt_messages(messages, session.user_id)
-        else
-          []
-        end
+        session_id
+        |> active_thread_ids()
+        |> Enum.reverse()
+        |> Enum.drop_while(&(&1 != before_message_id))
+        |> Enum.drop(1)
+        |> Enum.take(limit)
+        |> load_thread()
+        |> decrypt_messages(session.user_id)
 
       {:error, _} ->
         []
@@ -113,6 +250,7 @@ defmodule Langler.Chat.Message do
           {:ok, content} ->
             %{
               id: message.id,
+              chat_session_id: message.chat_session_id,
               role: message.role,
               content: content,
               token_count: message.token_count,
@@ -135,9 +273,71 @@ defmodule Langler.Chat.Message do
     end
   end
 
-  defp decrypt_messages(messages, user_id) do
-    messages
-    |> Enum.map(fn message ->
+  defp thread_leaf_id(session_id) do
+    session_id
+    |> active_thread_ids()
+    |> List.last()
+  end
+
+  # Loads the messages with the given IDs, in that order, with their branches
+  defp load_thread([]), do: []
+
+  defp load_thread(ids) do
+    messages =
+      ChatMessage
+      |> where([m], m.id in ^ids)
+      |> Repo.all()
+      |> Map.new(&{&1.id, &1})
+
+    branches = messages |> Map.values() |> branches()
+
+    Enum.map(ids, fn id -> {Map.fetch!(messages, id), Map.fetch!(branches, id)} end)
+  end
+
+  # Branch info of each message, keyed by ID, from the IDs of its siblings
+  defp branches([%ChatMessage{chat_session_id: session_id} | _] = messages) do
+    parent_ids = messages |> Enum.map(& &1.parent_id) |> Enum.reject(&is_nil/1)
+    first? = Enum.any?(messages, &is_nil(&1.parent_id))
+
+    siblings =
+      ChatMessage
+      |> where([m], m.chat_session_id == ^session_id)
+      |> where([m], m.parent_id in ^parent_ids or (^first? and is_nil(m.parent_id)))
+      |> order_by([m], asc: m.inserted_at, asc: m.id)
+      |> select([m], %{id: m.id, parent_id: m.parent_id})
+      |> Repo.all()
+      |> Enum.group_by(& &1.parent_id)
+
+    Map.new(messages, fn message ->
+      replies = Map.fetch!(siblings, message.parent_id)
+      {message.id, branch_info(replies, Enum.find_index(replies, &(&1.id == message.id)))}
+    end)
+  end
+
+  defp branch_info(siblings, index) do
+    %{
+      index: index + 1,
+      count: length(siblings),
+      previous_id: if(index > 0, do: Enum.at(siblings, index - 1).id),
+      next_id:
+        case Enum.at(siblings, index + 1) do
+          nil -> nil
+          next -> next.id
+        end
+    }
+  end
+
+  defp siblings_query(session_id, nil) do
+    where(ChatMessage, [m], m.chat_session_id == ^session_id and is_nil(m.parent_id))
+  end
+
+  defp siblings_query(session_id, parent_id) do
+    where(ChatMessage, [m], m.chat_session_id == ^session_id and m.parent_id == ^parent_id)
+  end
+
+  defp decrypt_messages(thread, user_id) do
+    thread
+    |> Enum.map(fn {message, branch} ->
       case Encryption.decrypt_message(user_id, message.encrypted_content) do
         {:ok, content} ->
           %{
@@ -146,6 +346,8 @@ defmodule Langler.Chat.Message do
             content: content,
             token_count: message.token_count,
             metadata: message.metadata,
+            parent_id: message.parent_id,
+            branch: branch,
             inserted_at: message.inserted_at
           }
 
@@ -8,7 +8,7 @@ defmodule Langler.Chat.Session do
 
   import Ecto.Query
   alias Langler.Accounts.{LlmConfig, User}
-  alias Langler.Chat.{ChatMessage, ChatSession}
+  alias Langler.Chat.{ChatMessage, ChatSession, Message}
   alias Langler.Repo
 
   @doc """
@@ -68,17 +68,22 @@ defmodule Langler.Chat.Session do
   end
 
   @doc """
-  Lists messages for a session.
+  Lists the messages of a session's active thread (see
+  `Langler.Chat.Message.active_thread/1`).
   Returns raw encrypted messages.
   """
   @spec list_session_messages(integer(), keyword()) :: list(ChatMessage.t())
   def list_session_messages(session_id, opts \\ []) do
     limit = Keyword.get(opts, :limit, 50)
 
+    ids =
+      session_id
+      |> Message.active_thread_ids()
+      |> Enum.take(limit)
+
     ChatMessage
-    |> where(chat_session_id: ^session_id)
-    |> order_by([m], asc: m.inserted_at)
-    |> limit(^limit)
+    |> where([m], m.id in ^ids)
+    |> order_by([m], asc: m.id)
     |> Repo.all()
   end
 
@@ -98,6 +103,7 @@ defmodule Langler.Chat.Session do
       case Encryption.decrypt_message(session.user_id, message.encrypted_content) do
         {:ok, content} ->
           %{
+            id: message.id,
             role: message.role,
             content: content,
             token_count: message.token_count,
@@ -106,6 +112,7 @@ defmodule Langler.Chat.Session do
 
         {:error, _reason} ->
           %{
+            id: message.id,
             role: message.role,
             content: "[Unable to decrypt message]",
             token_count: message.token_count,
@@ -116,12 +123,16 @@ defmodule Langler.Chat.Session do
   end
 
   @doc """
-  Adds a message to a session.
+  Adds a message to a session, as the reply to the last message of the
+  active thread.
   Returns the decrypted message map.
+
+  ## Options
+    * `:parent_id` - reply to this message instead (`nil` for a first message)
   """
-  @spec add_message(ChatSession.t(), String.t(), String.t()) ::
+  @spec add_message(ChatSession.t(), String.t(), String.t(), keyword()) ::
           {:ok, map()} | {:error, term()}
-  def add_message(%ChatSession{} = session, role, content)
+  def add_message(%ChatSession{} = session, role, content, opts \\ [])
       when role in ["user", "assistant", "system"] and is_binary(content) do
     alias Langler.Chat.{Encryption, TokenCounter}
 
@@ -129,24 +140,29 @@ defmodule Langler.Chat.Session do
       content_hash = Encryption.hash_content(session.user_id, content)
       token_count = TokenCounter.count_tokens(content)
 
-      attrs = %{
-        chat_session_id: session.id,
-        role: role,
-        encrypted_content: encrypted_content,
-        content_hash: content_hash,
-        token_count: token_count
-      }
-
-      case %ChatMessage{}
-           |> ChatMessage.changeset(attrs)
-           |> Repo.insert() do
-        {:ok, _message} ->
+      attrs =
+        Map.merge(
+          %{
+            chat_session_id: session.id,
+            role: role,
+            encrypted_content: encrypted_content,
+            content_hash: content_hash,
+            token_count: token_count
+          },
+          Map.new(Keyword.take(opts, [:parent_id]))
+        )
+
+      case Message.insert_reply(attrs) do
+        {:ok, message} ->
           # Return decrypted message for immediate display
           {:ok,
            %{
+             id: message.id,
              role: role,
              content: content,
              token_count: token_count,
+             parent_id: message.parent_id,
+             branch: Message.branch(message),
              inserted_at: DateTime.utc_now()
            }}
 
@@ -156,6 +172,50 @@ defmodule Langler.Chat.Session do
     end
   end
 
+  @doc """
+  Edits a user message by adding the new text as a sibling branch, which
+  becomes the active one. The original and its replies are kept.
+  Returns the decrypted new message map.
+  """
+  @spec edit_message(ChatSession.t(), integer(), String.t()) ::
+          {:ok, map()} | {:error, term()}
+  def edit_message(%ChatSession{} = session, message_id, content) when is_binary(content) do
+    case Repo.get_by(ChatMessage, id: message_id, chat_session_id: session.id, role: "user") do
+      nil -> {:error, :not_found}
+      message -> add_message(session, "user", content, parent_id: message.parent_id)
+    end
+  end
+
+  @doc """
+  Switches the conversation to another version of a message.
+  """
+  @spec select_branch(ChatSession.t(), integer()) :: {:ok, ChatMessage.t()} | {:error, term()}
+  def select_branch(%ChatSession{} = session, message_id) do
+    Message.select_branch(session.id, message_id)
+  end
+
+  @doc """
+  Hides a message (and its replies), so the active thread ends at its parent.
+  Used before regenerating a reply; `select_branch/2` brings it back.
+  """
+  @spec hide_branch(ChatSession.t(), integer()) :: {:ok, ChatMessage.t()} | {:error, term()}
+  def hide_branch(%ChatSession{} = session, message_id) do
+    Message.hide_branch(session.id, message_id)
+  end
+
+  @doc """
+  Sums the token counts of all messages in a session.
+  """
+  @spec total_tokens(ChatSession.t()) :: integer()
+  def total_tokens(%ChatSession{id: session_id}) do
+    total =
+      ChatMessage
+      |> where(chat_session_id: ^session_id)
+      |> Repo.aggregate(:sum, :token_count)
+
+    total || 0
+  end
+
   @doc """
   Updates a session title (e.g., from first user message).
   """
@@ -186,6 +246,27 @@ defmodule Langler.Chat.Session do
     |> Repo.update()
   end
 
+  @doc """
+  Toggles correction mode, in which replies come with structured corrections
+  of the user's messages (see `Langler.Chat.Corrections`).
+  """
+  @spec toggle_correction_mode(ChatSession.t()) :: {:ok, ChatSession.t()} | {:error, term()}
+  def toggle_correction_mode(%ChatSession{} = session) do
+    session
+    |> ChatSession.changeset(%{correction_mode: not session.correction_mode})
+    |> Repo.update()
+  end
+
+  @doc """
+  Toggles whether new assistant replies are read aloud as they arrive.
+  """
+  @spec toggle_speak_replies(ChatSession.t()) :: {:ok, ChatSession.t()} | {:error, term()}
+  def toggle_speak_replies(%ChatSession{} = session) do
+    session
+    |> ChatSession.changeset(%{speak_replies: not session.speak_replies})
+    |> Repo.update()
+  end
+
   @doc """
   Deletes a chat session and all its messages.
   """
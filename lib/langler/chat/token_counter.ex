@@ -50,6 +50,33 @@ defmodule Langler.Chat.TokenCounter do
 
   def count_message_tokens(_), do: 0
 
+  @doc """
+  Estimates the usage of a completion the provider did not report usage for,
+  e.g. a streamed reply that was cancelled part way through.
+
+  ## Parameters
+    - `messages`: The prompt messages sent to the provider
+    - `completion`: The (partial) reply received
+
+  ## Returns
+    - A usage map with `:prompt_tokens`, `:completion_tokens` and `:total_tokens`
+  """
+  @spec estimate_usage(list(map()), String.t()) :: %{
+          prompt_tokens: integer(),
+          completion_tokens: integer(),
+          total_tokens: integer()
+        }
+  def estimate_usage(messages, completion) do
+    prompt_tokens = count_message_tokens(messages)
+    completion_tokens = if completion in [nil, ""], do: 0, else: count_tokens(completion)
+
+    %{
+      prompt_tokens: prompt_tokens,
+      completion_tokens: completion_tokens,
+      total_tokens: prompt_tokens + completion_tokens
+    }
+  end
+
   @doc """
   Formats token count for display.
 
@@ -24,6 +24,9 @@ defmodule Langler.Content do
   alias Langler.Repo
   alias Oban
 
+  # Scrolling this far counts as having read the whole article
+  @reading_end_progress 0.98
+
   def list_articles do
     Repo.all(from a in Article, order_by: [desc: a.inserted_at])
   end
@@ -188,6 +191,61 @@ defmodule Langler.Content do
     end
   end
 
+  @doc """
+  Saves the user's reading position in an article: the topmost sentence on
+  screen and the scroll progress (0.0 to 1.0). A sentence from another
+  article is ignored.
+
+  An imported article is marked finished once the progress reaches the end.
+  """
+  def update_reading_position(user_id, article_id, sentence_id, progress)
+      when is_number(progress) do
+    case Repo.get_by(ArticleUser, article_id: article_id, user_id: user_id) do
+      nil ->
+        {:error, :not_found}
+
+      article_user ->
+        progress = progress |> max(0.0) |> min(1.0)
+
+        attrs = %{
+          last_sentence_id: article_sentence_id(article_id, sentence_id),
+          reading_progress: progress,
+          last_read_at: DateTime.utc_now()
+        }
+
+        attrs =
+          if article_user.status == "imported" and progress >= @reading_end_progress do
+            Map.put(attrs, :status, "finished")
+          else
+            attrs
+          end
+
+        update_article_user(article_user, attrs)
+    end
+  end
+
+  defp article_sentence_id(article_id, sentence_id) when is_integer(sentence_id) do
+    Sentence
+    |> where([s], s.id == ^sentence_id and s.article_id == ^article_id)
+    |> select([s], s.id)
+    |> Repo.one()
+  end
+
+  defp article_sentence_id(_article_id, _sentence_id), do: nil
+
+  @doc """
+  Returns the reading progress of the user's started articles among
+  `article_ids`, as a map of article id to progress (0.0 to 1.0).
+  """
+  def reading_progress_by_article(user_id, article_ids) when is_list(article_ids) do
+    ArticleUser
+    |> where([au], au.user_id == ^user_id and au.article_id in ^article_ids)
+    |> where([au], au.reading_progress > 0)
+    |> select([au], {au.article_id, au.reading_progress})
+    |> Repo.all()
+    |> Map.new()
+  end
+
   def ensure_article_user(%Article{} = article, user_id, attrs \\ %{}) do
     defaults = Map.merge(%{article_id: article.id, user_id: user_id}, attrs)
 
@@ -237,6 +295,72 @@ defmodule Langler.Content do
     |> Repo.insert()
   end
 
+  @doc """
+  Finds sentences in the user's library that contain any of `forms` as a
+  whole word (case-insensitive), newest articles first.
+
+  Returns maps with `:sentence_id`, `:content`, `:article_id` and
+  `:article_title`. Archived articles are skipped.
+
+  ## Options
+
+    * `:language` - only search articles in this language
+    * `:exclude_sentence_id` - leave out the sentence the lookup came from
+    * `:limit` - maximum number of sentences (default 3)
+  """
+  def list_example_sentences(user_id, forms, opts \\ []) do
+    case forms_pattern(forms) do
+      nil ->
+        []
+
+      pattern ->
+        limit = Keyword.get(opts, :limit, 3)
+
+        Sentence
+        |> join(:inner, [s], a in assoc(s, :article))
+        |> join(:inner, [_s, a], au in ArticleUser, on: au.article_id == a.id)
+        |> where([_s, _a, au], au.user_id == ^user_id and au.status != "archived")
+        |> where([s], fragment("? ~* ?", s.content, ^pattern))
+        |> maybe_filter_sentence_language(Keyword.get(opts, :language))
+        |> maybe_exclude_sentence(Keyword.get(opts, :exclude_sentence_id))
+        |> order_by([s, _a, au], desc: au.inserted_at, asc: s.position)
+        |> limit(^limit)
+        |> select([s, a], %{
+          sentence_id: s.id,
+          content: s.content,
+          article_id: a.id,
+          article_title: a.title
+        })
+        |> Repo.all()
+    end
+  end
+
+  # Postgres word-boundary regex over the letter-only forms
+  defp forms_pattern(forms) do
+    forms
+    |> List.wrap()
+    |> Enum.filter(&is_binary/1)
+    |> Enum.map(&String.trim/1)
+    |> Enum.filter(&String.match?(&1, ~r/^[\p{L}\p{M}'’-]+$/u))
+    |> Enum.uniq_by(&String.downcase/1)
+    |> case do
+      [] -> nil
+      forms -> "\\m(" <> Enum.join(forms, "|") <> ")\\M"
+    end
+  end
+
+  defp maybe_filter_sentence_language(query, language) when is_binary(language) do
+    where(query, [_s, a], a.language == ^language)
+  end
+
+  defp maybe_filter_sentence_language(query, _language), do: query
+
+  defp maybe_exclude_sentence(query, nil), do: query
+
+  defp maybe_exclude_sentence(query, sentence_id) do
+    where(query, [s], s.id != ^sentence_id)
+  end
+
   @doc """
   Tags an article with topics and confidence scores.
   Replaces any existing topics for the article.
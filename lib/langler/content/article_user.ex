@@ -1,6 +1,10 @@
 defmodule Langler.Content.ArticleUser do
   @moduledoc """
   Ecto schema for article user associations.
+
+  Also remembers where the user is in the article's text: the topmost
+  sentence they had on screen (`last_sentence`) and how far they scrolled
+  (`reading_progress`, from 0.0 to 1.0).
   """
 
   use Ecto.Schema
@@ -8,9 +12,12 @@ defmodule Langler.Content.ArticleUser do
 
   schema "article_users" do
     field :status, :string, default: "imported"
+    field :reading_progress, :float, default: 0.0
+    field :last_read_at, :utc_datetime
 
     belongs_to :article, Langler.Content.Article
     belongs_to :user, Langler.Accounts.User
+    belongs_to :last_sentence, Langler.Content.Sentence
 
     timestamps(type: :utc_datetime)
   end
@@ -18,9 +25,20 @@ defmodule Langler.Content.ArticleUser do
   @doc false
   def changeset(article_user, attrs) do
     article_user
-    |> cast(attrs, [:status, :article_id, :user_id])
+    |> cast(attrs, [
+      :status,
+      :article_id,
+      :user_id,
+      :last_sentence_id,
+      :reading_progress,
+      :last_read_at
+    ])
     |> validate_required([:status, :article_id, :user_id])
     |> validate_inclusion(:status, ["imported", "archived", "finished"])
+    |> validate_number(:reading_progress,
+      greater_than_or_equal_to: 0,
+      less_than_or_equal_to: 1
+    )
     |> unique_constraint([:article_id, :user_id])
   end
 end
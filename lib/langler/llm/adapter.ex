@@ -37,6 +37,23 @@ defmodule Langler.LLM.Adapter do
   @callback chat(messages :: list(message()), config :: config()) ::
               {:ok, chat_response()} | {:error, term()}
 
+  @doc """
+  Sends a chat completion request and streams the reply as it is generated.
+
+  `on_chunk` is called with each piece of text as it arrives. Returning
+  `:halt` cancels the request; the response then holds the partial reply,
+  `cancelled: true` and an estimated usage.
+
+  ## Returns
+    - `{:ok, response}` with the complete (or partial) reply
+    - `{:error, reason}` on failure
+  """
+  @callback stream_chat(
+              messages :: list(message()),
+              config :: config(),
+              on_chunk :: (String.t() -> :cont | :halt)
+            ) :: {:ok, chat_response()} | {:error, term()}
+
   @doc """
   Validates the configuration for this adapter.
 
@@ -48,4 +65,6 @@ defmodule Langler.LLM.Adapter do
     - `{:error, reason}` if invalid
   """
   @callback validate_config(config :: map()) :: {:ok, config()} | {:error, String.t()}
+
+  @optional_callbacks stream_chat: 3
 end
@@ -4,16 +4,21 @@ defmodule Langler.LLM.Adapters.ChatGPT do
 
   Implements the LLM.Adapter behavior for OpenAI's ChatGPT API, providing
   chat functionality with support for multiple languages and conversation contexts.
+  Replies can also be streamed as server-sent events from any OpenAI-compatible
+  endpoint (see `stream_chat/3`).
   """
 
   @behaviour Langler.LLM.Adapter
 
   require Logger
 
+  alias Langler.Chat.TokenCounter
+
   @default_base_url "https://api.openai.com/v1"
   @default_model "gpt-4o-mini"
   @default_temperature 0.7
   @default_max_tokens 2000
+  @empty_stream %{buffer: "", content: "", model: nil, usage: nil, cancelled: false}
 
   # Valid OpenAI models (based on https://platform.openai.com/docs/models)
   # We use a pattern match approach to support models that start with known prefixes
@@ -42,6 +47,19 @@ defmodule Langler.LLM.Adapters.ChatGPT do
     end
   end
 
+  @impl true
+  def stream_chat(messages, config, on_chunk) when is_function(on_chunk, 1) do
+    with {:ok, validated_config} <- validate_config(config),
+         {:ok, stream} <- send_stream_request(messages, validated_config, on_chunk) do
+      if stream.content == "" and not stream.cancelled do
+        Logger.error("ChatGPT stream ended without any content")
+        {:error, :invalid_response}
+      else
+        {:ok, stream_response(stream, messages, validated_config)}
+      end
+    end
+  end
+
   @impl true
   def validate_config(config) when is_map(config) do
     if !Map.has_key?(config, :api_key) or is_nil(config.api_key) or config.api_key == "" do
@@ -104,15 +122,45 @@ defmodule Langler.LLM.Adapters.ChatGPT do
   defp validate_model(_), do: @default_model
 
   defp send_request(messages, config) do
+    messages
+    |> request_options(config, %{})
+    |> Req.post()
+    |> handle_response()
+  end
+
+  defp send_stream_request(messages, config, on_chunk) do
+    into = fn {:data, data}, {req, resp} -> stream_data(data, req, resp, on_chunk) end
+
+    messages
+    |> request_options(config, %{stream: true, stream_options: %{include_usage: true}})
+    |> Keyword.put(:into, into)
+    |> Req.post()
+    |> case do
+      {:ok, %{status: 200} = resp} ->
+        {:ok, Req.Response.get_private(resp, :stream, @empty_stream)}
+
+      {:ok, resp} ->
+        handle_response({:ok, %{resp | body: error_body(resp)}})
+
+      error ->
+        handle_response(error)
+    end
+  end
+
+  defp request_options(messages, config, extra_body) do
     url = "#{config.base_url}/chat/completions"
 
-    body = %{
-      model: config.model,
-      messages: messages,
-      temperature: config.temperature,
-      # Newer models (e.g. gpt-4o) require max_completion_tokens instead of max_tokens
-      max_completion_tokens: config.max_tokens
-    }
+    body =
+      Map.merge(
+        %{
+          model: config.model,
+          messages: messages,
+          temperature: config.temperature,
+          # Newer models (e.g. gpt-4o) require max_completion_tokens instead of max_tokens
+          max_completion_tokens: config.max_tokens
+        },
+        extra_body
+      )
 
     api_key = config.api_key
 
@@ -127,15 +175,17 @@ defmodule Langler.LLM.Adapters.ChatGPT do
 
     Logger.debug("ChatGPT: Sending request to #{url} with model #{config.model}")
 
-    req_opts = [
+    [
       url: url,
       json: body,
       headers: headers,
       retry: false,
       receive_timeout: config.timeout
     ]
+  end
 
-    case Req.post(req_opts) do
+  defp handle_response(result) do
+    case result do
       {:ok, %{status: 200, body: response_body}} ->
         {:ok, response_body}
 
@@ -175,6 +225,94 @@ defmodule Langler.LLM.Adapters.ChatGPT do
     end
   end
 
+  # Collects the server-sent events of a streamed completion in the response's
+  # private data, handing each new piece of text to `on_chunk`
+  defp stream_data(data, req, %{status: 200} = resp, on_chunk) do
+    stream = Req.Response.get_private(resp, :stream, @empty_stream)
+    {events, buffer} = split_events(stream.buffer <> data)
+    payloads = Enum.flat_map(events, &decode_event/1)
+    delta = Enum.map_join(payloads, &delta_content/1)
+
+    stream = %{
+      stream
+      | buffer: buffer,
+        content: stream.content <> delta,
+        model: Enum.find_value(payloads, stream.model, &Map.get(&1, "model")),
+        usage: Enum.find_value(payloads, stream.usage, &Map.get(&1, "usage"))
+    }
+
+    if delta != "" and on_chunk.(delta) == :halt do
+      {:halt, {req, Req.Response.put_private(resp, :stream, %{stream | cancelled: true})}}
+    else
+      {:cont, {req, Req.Response.put_private(resp, :stream, stream)}}
+    end
+  end
+
+  # Error responses aren't event streams; keep the body to report the error
+  defp stream_data(data, req, resp, _on_chunk) do
+    {:cont, {req, Req.Response.update_private(resp, :error_body, data, &(&1 <> data))}}
+  end
+
+  defp split_events(data) do
+    parts = data |> String.replace("\r\n", "\n") |> String.split("\n\n")
+    {Enum.drop(parts, -1), List.last(parts)}
+  end
+
+  defp decode_event(event) do
+    data =
+      event
+      |> String.split("\n")
+      |> Enum.flat_map(fn
+        "data:" <> value -> [String.trim_leading(value)]
+        _ -> []
+      end)
+      |> Enum.join("\n")
+
+    # The closing "[DONE]" event isn't JSON and carries nothing
+    case Jason.decode(data) do
+      {:ok, %{} = payload} -> [payload]
+      _ -> []
+    end
+  end
+
+  defp delta_content(%{"choices" => [%{"delta" => %{"content" => content}} | _]})
+       when is_binary(content),
+       do: content
+
+  defp delta_content(_payload), do: ""
+
+  defp error_body(resp) do
+    body = Req.Response.get_private(resp, :error_body, "")
+
+    case Jason.decode(body) do
+      {:ok, decoded} -> decoded
+      {:error, _} -> body
+    end
+  end
+
+  defp stream_response(stream, messages, config) do
+    usage = stream_usage(stream.usage, messages, stream.content)
+
+    %{
+      content: stream.content,
+      model: stream.model || config.model,
+      token_count: usage.total_tokens,
+      usage: usage,
+      cancelled: stream.cancelled
+    }
+  end
+
+  defp stream_usage(%{"total_tokens" => total_tokens} = usage, _messages, _content) do
+    %{
+      prompt_tokens: Map.get(usage, "prompt_tokens", 0),
+      completion_tokens: Map.get(usage, "completion_tokens", 0),
+      total_tokens: total_tokens
+    }
+  end
+
+  # The usage chunk comes last, so a cancelled stream never receives it
+  defp stream_usage(_usage, messages, content), do: TokenCounter.estimate_usage(messages, content)
+
   defp parse_response(%{"choices" => [%{"message" => %{"content" => content}} | _]} = body) do
     usage = Map.get(body, "usage", %{})
     model = Map.get(body, "model", "unknown")
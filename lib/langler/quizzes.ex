@@ -8,17 +8,23 @@ defmodule Langler.Quizzes do
 
   import Ecto.Query, warn: false
 
-  alias Langler.Quizzes.ArticleQuizAttempt
+  alias Langler.Content.Article
+  alias Langler.Quizzes.{ArticleQuizAttempt, Result}
   alias Langler.Repo
+  alias Langler.Study
+  alias Langler.Vocabulary
 
   # Quiz constants
   @context_type "article_quiz"
+  @listening_context_type "article_listening_quiz"
   @initial_quiz_message "Start the quiz"
   @max_content_length 12_000
 
   @doc """
   Creates a new quiz attempt for a user and article.
 
+  Broadcasts `{:quiz_attempt_created, attempt}` on `attempts_topic/2`.
+
   Returns `{:ok, attempt}` on success or `{:error, changeset}` on validation failure.
   """
   def create_attempt(user_id, article_id, attrs \\ %{}) do
@@ -35,6 +41,24 @@ defmodule Langler.Quizzes do
     %ArticleQuizAttempt{}
     |> ArticleQuizAttempt.changeset(attrs)
     |> Repo.insert()
+    |> tap(fn
+      {:ok, attempt} ->
+        Phoenix.PubSub.broadcast(
+          Langler.PubSub,
+          attempts_topic(user_id, article_id),
+          {:quiz_attempt_created, attempt}
+        )
+
+      _error ->
+        :ok
+    end)
+  end
+
+  @doc """
+  PubSub topic for new quiz attempts of a user on an article.
+  """
+  def attempts_topic(user_id, article_id) do
+    "quiz_attempts:user:#{user_id}:article:#{article_id}"
   end
 
   @doc """
@@ -194,8 +218,124 @@ defmodule Langler.Quizzes do
     end
   end
 
+  @doc """
+  Gets a quiz attempt belonging to a user.
+
+  Returns `nil` if the attempt doesn't exist or belongs to someone else.
+  """
+  def get_attempt_for_user(user_id, attempt_id) do
+    Repo.get_by(ArticleQuizAttempt, id: attempt_id, user_id: user_id)
+  end
+
+  @doc """
+  Percentage score of a scored attempt, or `nil` for a skipped one.
+  """
+  def attempt_percentage(%ArticleQuizAttempt{score: score, max_score: max_score})
+      when is_integer(score) and is_integer(max_score) and max_score > 0 do
+    Float.round(score / max_score * 100, 1)
+  end
+
+  def attempt_percentage(_attempt), do: nil
+
+  @doc """
+  Lists the user's first scored attempt on each article whose difficulty is
+  within `:range` (default 1.0) of `article`'s, oldest first.
+
+  First attempts measure comprehension before any retake, so together they
+  show progress on articles of similar difficulty. Returns maps with
+  `:article_id`, `:title`, `:quiz_type`, `:percentage` and `:completed_at`,
+  at most `:limit` (default 20) of the most recent ones. Returns an empty
+  list when the article's difficulty is unknown.
+  """
+  def similar_difficulty_progress(user_id, %Article{} = article, opts \\ []) do
+    case article.difficulty_score do
+      nil -> []
+      difficulty -> similar_difficulty_attempts(user_id, article.language, difficulty, opts)
+    end
+  end
+
+  defp similar_difficulty_attempts(user_id, language, difficulty, opts) do
+    range = Keyword.get(opts, :range, 1.0)
+    limit = Keyword.get(opts, :limit, 20)
+
+    first_attempts =
+      ArticleQuizAttempt
+      |> where([a], a.user_id == ^user_id and not is_nil(a.score) and a.max_score > 0)
+      |> distinct([a], a.article_id)
+      |> order_by([a], asc: a.article_id, asc: a.attempt_number)
+
+    from(a in subquery(first_attempts),
+      join: article in Article,
+      on: article.id == a.article_id,
+      where: article.language == ^language,
+      where: article.difficulty_score >= ^(difficulty - range),
+      where: article.difficulty_score <= ^(difficulty + range),
+      order_by: [desc: a.completed_at, desc: a.id],
+      limit: ^limit,
+      select: %{
+        article_id: article.id,
+        title: article.title,
+        quiz_type: a.quiz_type,
+        score: a.score,
+        max_score: a.max_score,
+        completed_at: a.completed_at
+      }
+    )
+    |> Repo.all()
+    |> Enum.reverse()
+    |> Enum.map(fn row ->
+      row
+      |> Map.put(:percentage, Float.round(row.score / row.max_score * 100, 1))
+      |> Map.drop([:score, :max_score])
+    end)
+  end
+
+  @doc """
+  The quiz type recorded for a quiz chat session's context type.
+  """
+  def quiz_type_for_context(@listening_context_type), do: "listening"
+  def quiz_type_for_context(_context_type), do: "reading"
+
+  @doc """
+  The chat session context type used to take a quiz of the given type.
+  """
+  def context_type_for_quiz_type("listening"), do: @listening_context_type
+  def context_type_for_quiz_type(_quiz_type), do: @context_type
+
+  @doc """
+  Adds the vocabulary of a quiz's incorrectly answered questions (see
+  `Result.missed_vocabulary/1`) to the user's study list.
+
+  Returns `{:ok, words}` with the words now being studied.
+  """
+  def add_missed_vocabulary(user_id, %Result{} = result, language) do
+    result
+    |> Result.missed_vocabulary()
+    |> Enum.reduce_while({:ok, []}, fn term, {:ok, words} ->
+      type = if String.contains?(term, " "), do: "phrase", else: "word"
+
+      with {:ok, word} <-
+             Vocabulary.get_or_create_word(%{
+               normalized_form: term,
+               language: language,
+               type: type
+             }),
+           {:ok, _item} <- Study.schedule_new_item(user_id, word.id) do
+        {:cont, {:ok, [word | words]}}
+      else
+        {:error, reason} -> {:halt, {:error, reason}}
+      end
+    end)
+    |> case do
+      {:ok, words} -> {:ok, Enum.reverse(words)}
+      error -> error
+    end
+  end
+
   # Constants accessors
   def context_type, do: @context_type
+  def listening_context_type, do: @listening_context_type
+  def context_types, do: [@context_type, @listening_context_type]
   def initial_quiz_message, do: @initial_quiz_message
   def max_content_length, do: @max_content_length
 end
@@ -1,6 +1,9 @@
 defmodule Langler.Quizzes.ArticleQuizAttempt do
   @moduledoc """
   Ecto schema for article quiz attempts.
+
+  `quiz_type` is `"reading"` for quizzes taken from the article and
+  `"listening"` for quizzes taken from the audio player.
   """
 
   use Ecto.Schema
@@ -13,6 +16,7 @@ defmodule Langler.Quizzes.ArticleQuizAttempt do
     field :attempt_number, :integer
     field :score, :integer
     field :max_score, :integer
+    field :quiz_type, :string, default: "reading"
     field :result_json, :map
     field :started_at, :utc_datetime
     field :completed_at, :utc_datetime
@@ -20,6 +24,8 @@ defmodule Langler.Quizzes.ArticleQuizAttempt do
     timestamps(type: :utc_datetime)
   end
 
+  @type t :: %__MODULE__{}
+
   @doc false
   def changeset(attempt, attrs) do
     attempt
@@ -30,6 +36,7 @@ defmodule Langler.Quizzes.ArticleQuizAttempt do
       :attempt_number,
       :score,
       :max_score,
+      :quiz_type,
       :result_json,
       :started_at,
       :completed_at
@@ -38,6 +45,7 @@ defmodule Langler.Quizzes.ArticleQuizAttempt do
     |> validate_number(:attempt_number, greater_than: 0)
     |> validate_number(:score, greater_than_or_equal_to: 0)
     |> validate_number(:max_score, greater_than: 0)
+    |> validate_inclusion(:quiz_type, ["reading", "listening"])
     |> validate_result_json()
     |> foreign_key_constraint(:user_id)
     |> foreign_key_constraint(:article_id)
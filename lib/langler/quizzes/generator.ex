@@ -0,0 +1,274 @@
+defmodule Langler.Quizzes.Generator do
+  @moduledoc """
+  Rule-based comprehension quizzes for users without an LLM.
+
+  `generate/2` builds multiple-choice questions from an article's sentences
+  and their extracted words:
+
+    * cloze - a sentence with one word blanked out
+    * matching - the meaning of an article word, from its translation or
+      first definition
+    * order - the sentence that comes next in the article
+
+  `grade/2` checks the answers and returns the same `Langler.Quizzes.Result`
+  as an LLM-graded quiz, so attempts, the quiz history and the quiz
+  components treat both alike.
+
+  Generation is deterministic: the same sentences and `:seed` give the same
+  questions with the same option order.
+  """
+
+  alias Langler.Content.Sentence
+  alias Langler.Quizzes.Result
+  alias Langler.Vocabulary
+
+  @word_regex ~r/\p{L}[\p{L}\p{M}]*/u
+  @blank "_____"
+  @min_word_length 4
+  @min_cloze_words 5
+  @max_order_length 160
+  @distractor_count 3
+
+  @type question :: %{
+          id: String.t(),
+          type: String.t(),
+          prompt: String.t(),
+          sentence: String.t(),
+          options: [String.t()],
+          answer: String.t(),
+          vocabulary: [String.t()],
+          explanation: String.t()
+        }
+
+  @doc """
+  Generates up to `:count` (default 5) questions from `sentences`, which
+  should have their `word_occurrences` and words preloaded (see
+  `Langler.Content.list_sentences/1`).
+
+  Question types alternate as long as the article has material for them.
+  Returns an empty list for articles too short to quiz.
+  """
+  @spec generate([Sentence.t()], keyword()) :: [question()]
+  def generate(sentences, opts \\ []) do
+    seed = Keyword.get(opts, :seed, 0)
+    count = Keyword.get(opts, :count, 5)
+
+    sentences =
+      sentences
+      |> Enum.sort_by(& &1.position)
+      |> Enum.map(&%{content: String.trim(&1.content || ""), words: occurrence_words(&1)})
+      |> Enum.reject(&(&1.content == ""))
+
+    [
+      cloze_questions(sentences, seed),
+      matching_questions(sentences, seed),
+      order_questions(sentences, seed)
+    ]
+    |> interleave()
+    |> Enum.take(count)
+    |> Enum.with_index(1)
+    |> Enum.map(fn {question, index} -> Map.put(question, :id, "q#{index}") end)
+  end
+
+  @doc """
+  Grades `answers` (a map of question id to the chosen option) and returns
+  the quiz result. Unanswered questions count as wrong.
+  """
+  @spec grade([question()], %{optional(String.t()) => String.t()}) :: Result.t()
+  def grade(questions, answers) when is_list(questions) and is_map(answers) do
+    graded =
+      Enum.map(questions, fn question ->
+        user_answer = Map.get(answers, question.id) || ""
+
+        %{
+          "question" => question.prompt,
+          "user_answer" => user_answer,
+          "correct" => user_answer == question.answer,
+          "explanation" => question.explanation,
+          "correct_answer" => question.answer,
+          "sentence" => question.sentence,
+          "vocabulary" => question.vocabulary
+        }
+      end)
+
+    %Result{
+      score: Enum.count(graded, & &1["correct"]),
+      max_score: length(graded),
+      questions: graded
+    }
+  end
+
+  defp cloze_questions(sentences, seed) do
+    article_words =
+      sentences
+      |> Enum.flat_map(&words(&1.content))
+      |> Enum.filter(&(String.length(&1) >= @min_word_length))
+      |> Enum.uniq_by(&String.downcase/1)
+
+    sentences
+    |> Enum.filter(&(length(words(&1.content)) >= @min_cloze_words))
+    |> shuffle({seed, :cloze})
+    |> Enum.flat_map(fn sentence ->
+      with {:ok, target, vocabulary} <- cloze_target(sentence, seed),
+           sentence_words = MapSet.new(words(sentence.content), &String.downcase/1),
+           distractors =
+             article_words
+             |> Enum.reject(&MapSet.member?(sentence_words, String.downcase(&1)))
+             |> shuffle({seed, target})
+             |> Enum.take(@distractor_count),
+           true <- length(distractors) == @distractor_count do
+        [
+          %{
+            type: "cloze",
+            prompt: "Fill in the blank: #{blank_out(sentence.content, target)}",
+            sentence: sentence.content,
+            options: shuffle([target | distractors], {seed, sentence.content}),
+            answer: target,
+            vocabulary: [vocabulary],
+            explanation: "The sentence reads: “#{sentence.content}”"
+          }
+        ]
+      else
+        _ -> []
+      end
+    end)
+  end
+
+  # Prefers words extracted from the sentence, so the blank tests vocabulary
+  # rather than a name or a filler word
+  defp cloze_target(sentence, seed) do
+    extracted = Map.new(sentence.words, &{&1.normalized_form, &1.lemma})
+
+    candidates =
+      sentence.content
+      |> words()
+      |> Enum.filter(&(String.length(&1) >= @min_word_length))
+      |> Enum.uniq()
+      |> shuffle({seed, sentence.content})
+
+    case Enum.find(candidates, &Map.has_key?(extracted, Vocabulary.normalize_form(&1))) do
+      nil ->
+        case candidates do
+          [target | _] -> {:ok, target, target}
+          [] -> :error
+        end
+
+      target ->
+        {:ok, target, extracted[Vocabulary.normalize_form(target)]}
+    end
+  end
+
+  defp matching_questions(sentences, seed) do
+    entries =
+      sentences
+      |> Enum.flat_map(fn sentence ->
+        Enum.flat_map(sentence.words, fn word ->
+          case meaning(word) do
+            nil -> []
+            meaning -> [%{term: word.lemma, meaning: meaning, sentence: sentence.content}]
+          end
+        end)
+      end)
+      |> Enum.uniq_by(&String.downcase(&1.term))
+
+    meanings = entries |> Enum.map(& &1.meaning) |> Enum.uniq()
+
+    entries
+    |> shuffle({seed, :matching})
+    |> Enum.flat_map(fn entry ->
+      distractors =
+        meanings
+        |> Enum.reject(&(&1 == entry.meaning))
+        |> shuffle({seed, entry.term})
+        |> Enum.take(@distractor_count)
+
+      if length(distractors) == @distractor_count do
+        [
+          %{
+            type: "matching",
+            prompt: "What does “#{entry.term}” mean?",
+            sentence: entry.sentence,
+            options: shuffle([entry.meaning | distractors], {seed, entry.meaning}),
+            answer: entry.meaning,
+            vocabulary: [entry.term],
+            explanation: "“#{entry.term}” means “#{entry.meaning}”."
+          }
+        ]
+      else
+        []
+      end
+    end)
+  end
+
+  defp order_questions(sentences, seed) do
+    contents =
+      sentences
+      |> Enum.map(& &1.content)
+      |> Enum.filter(&(String.length(&1) <= @max_order_length))
+
+    sentences
+    |> Enum.map(& &1.content)
+    |> Enum.chunk_every(2, 1, :discard)
+    |> Enum.filter(fn [_sentence, next] -> String.length(next) <= @max_order_length end)
+    |> shuffle({seed, :order})
+    |> Enum.flat_map(fn [sentence, next] ->
+      distractors =
+        contents
+        |> Enum.reject(&(&1 in [sentence, next]))
+        |> Enum.uniq()
+        |> shuffle({seed, sentence})
+        |> Enum.take(@distractor_count)
+
+      if length(distractors) == @distractor_count do
+        [
+          %{
+            type: "order",
+            prompt: "Which sentence comes right after “#{sentence}”?",
+            sentence: sentence,
+            options: shuffle([next | distractors], {seed, next}),
+            answer: next,
+            vocabulary: [],
+            explanation: "In the article, “#{sentence}” is followed by “#{next}”"
+          }
+        ]
+      else
+        []
+      end
+    end)
+  end
+
+  defp occurrence_words(%Sentence{word_occurrences: occurrences}) when is_list(occurrences) do
+    occurrences
+    |> Enum.map(& &1.word)
+    |> Enum.filter(&(is_map(&1) and is_binary(&1.normalized_form)))
+    |> Enum.map(&Map.put(&1, :lemma, &1.lemma || &1.normalized_form))
+  end
+
+  defp occurrence_words(_sentence), do: []
+
+  defp meaning(word) do
+    [word.translation | List.wrap(word.definitions)]
+    |> Enum.filter(&is_binary/1)
+    |> Enum.map(&String.trim/1)
+    |> Enum.find(&(&1 != "" and String.downcase(&1) != String.downcase(word.lemma)))
+  end
+
+  defp words(text), do: @word_regex |> Regex.scan(text) |> List.flatten()
+
+  defp blank_out(text, word) do
+    Regex.replace(~r/(?<![\p{L}\p{M}])#{Regex.escape(word)}(?![\p{L}\p{M}])/u, text, @blank,
+      global: false
+    )
+  end
+
+  defp shuffle(list, seed), do: Enum.sort_by(list, &:erlang.phash2({seed, &1}))
+
+  defp interleave(lists) do
+    if Enum.all?(lists, &(&1 == [])) do
+      []
+    else
+      heads = Enum.flat_map(lists, &Enum.take(&1, 1))
+      heads ++ interleave(Enum.map(lists, &Enum.drop(&1, 1)))
+    end
+  end
+end
@@ -5,7 +5,17 @@ defmodule Langler.Quizzes.Result do
   Provides a structured way to work with quiz results instead of raw maps.
   """
 
+  @typedoc """
+  A graded question, with string keys as parsed from the LLM's JSON.
+
+  Besides the required keys, a question may carry the `"correct_answer"`,
+  the article `"sentence"` it is about and the article `"vocabulary"` it
+  tests (a list of words or phrases).
+  """
   @type question :: %{
+          optional(:correct_answer) => String.t(),
+          optional(:sentence) => String.t(),
+          optional(:vocabulary) => [String.t()],
           question: String.t(),
           user_answer: String.t(),
           correct: boolean(),
@@ -74,6 +84,21 @@ defmodule Langler.Quizzes.Result do
     end
   end
 
+  @doc """
+  Lists the vocabulary of the incorrectly answered questions, in question
+  order and without duplicates.
+  """
+  def missed_vocabulary(%__MODULE__{questions: questions}) do
+    questions
+    |> List.wrap()
+    |> Enum.reject(&(&1["correct"] == true))
+    |> Enum.flat_map(&List.wrap(&1["vocabulary"]))
+    |> Enum.filter(&is_binary/1)
+    |> Enum.map(&String.trim/1)
+    |> Enum.reject(&(&1 == ""))
+    |> Enum.uniq_by(&String.downcase/1)
+  end
+
   defp valid_question?(%{
          "question" => q,
          "user_answer" => a,
@@ -101,12 +101,12 @@ defmodule Langler.Quizzes.Service do
     Article topics: #{topics}
     Article content:
     #{truncated_content}#{truncation_note}
-
+    #{retake_instructions(assigns)}
     After the user answers all questions, you must provide a quiz result in this exact format:
 
     BEGIN_QUIZ_RESULT
     {"score": <number>, "max_score": <number>, "questions": [
-      {"question": "<question text>", "user_answer": "<user's answer>", "correct": <true/false>, "explanation": "<brief explanation>"},
+      {"question": "<question text>", "user_answer": "<user's answer>", "correct": <true/false>, "correct_answer": "<the expected answer>", "explanation": "<brief explanation>", "sentence": "<the article sentence the question is about, quoted exactly>", "vocabulary": ["<article words or phrases the question tests>"]},
       ...
     ]}
     END_QUIZ_RESULT
@@ -156,12 +156,12 @@ defmodule Langler.Quizzes.Service do
     Article topics: #{topics}
     Article transcript (the text that was read aloud):
     #{truncated_content}#{truncation_note}
-
+    #{retake_instructions(assigns)}
     After the user answers all questions, you must provide a quiz result in this exact format:
 
     BEGIN_QUIZ_RESULT
     {"score": <number>, "max_score": <number>, "questions": [
-      {"question": "<question text>", "user_answer": "<user's answer>", "correct": <true/false>, "explanation": "<brief explanation>"},
+      {"question": "<question text>", "user_answer": "<user's answer>", "correct": <true/false>, "correct_answer": "<the expected answer>", "explanation": "<brief explanation>", "sentence": "<the article sentence the question is about, quoted exactly>", "vocabulary": ["<article words or phrases the question tests>"]},
       ...
     ]}
     END_QUIZ_RESULT
@@ -170,6 +170,55 @@ defmodule Langler.Quizzes.Service do
     """
   end
 
+  @doc """
+  Builds the quiz assigns for retaking `attempt`, to merge into the article
+  assigns given to `start_quiz_session/2`.
+
+  With mode `"same"` the quiz asks the attempt's questions again, in order;
+  with `"fresh"` it asks new ones. Either way the retake keeps the attempt's
+  quiz type.
+  """
+  @spec retake_assigns(Quizzes.ArticleQuizAttempt.t(), String.t()) :: map()
+  def retake_assigns(attempt, mode) do
+    questions =
+      (attempt.result_json || %{})
+      |> Map.get("questions", [])
+      |> Enum.map(& &1["question"])
+      |> Enum.filter(&is_binary/1)
+
+    retake =
+      case mode do
+        "same" -> %{retake_questions: questions}
+        _fresh -> %{previous_questions: questions}
+      end
+
+    Map.put(retake, :context_type, Quizzes.context_type_for_quiz_type(attempt.quiz_type))
+  end
+
+  defp retake_instructions(%{retake_questions: [_ | _] = questions}) do
+    """
+
+    This is a retake. Ask exactly these questions again, one at a time and in this order:
+    #{numbered_list(questions)}
+    """
+  end
+
+  defp retake_instructions(%{previous_questions: [_ | _] = questions}) do
+    """
+
+    The user has taken this quiz before. Ask new questions that differ from these:
+    #{numbered_list(questions)}
+    """
+  end
+
+  defp retake_instructions(_assigns), do: ""
+
+  defp numbered_list(items) do
+    items
+    |> Enum.with_index(1)
+    |> Enum.map_join("\n", fn {item, index} -> "#{index}. #{item}" end)
+  end
+
   @doc """
   Handles quiz result parsing and persistence.
 
@@ -209,7 +258,7 @@ defmodule Langler.Quizzes.Service do
   @spec validate_quiz_session(Langler.Chat.ChatSession.t()) :: :ok | {:error, atom()}
   def validate_quiz_session(%{context_type: context_type, context_id: context_id}) do
     cond do
-      context_type != "article_quiz" -> {:error, :invalid_session_type}
+      context_type not in Quizzes.context_types() -> {:error, :invalid_session_type}
       is_nil(context_id) -> {:error, :missing_article_id}
       true -> :ok
     end
@@ -225,6 +274,7 @@ defmodule Langler.Quizzes.Service do
         attrs = %{
           score: result.score,
           max_score: result.max_score,
+          quiz_type: Quizzes.quiz_type_for_context(session.context_type),
           result_json: Result.to_map(result),
           chat_session_id: session.id,
           started_at: DateTime.utc_now(),
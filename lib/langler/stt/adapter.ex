@@ -0,0 +1,15 @@
+defmodule Langler.STT.Adapter do
+  @moduledoc """
+  Behaviour for STT (Speech-to-Text) adapters.
+  """
+
+  @doc """
+  Transcribes recorded audio.
+  Returns the transcribed text and metadata.
+
+  The config carries the `:api_key`, the recording's `:mime_type` and, when
+  known, the `:language` spoken (an ISO 639-1 code).
+  """
+  @callback transcribe(audio :: binary(), config :: map()) ::
+              {:ok, %{text: String.t(), metadata: map()}} | {:error, term()}
+end
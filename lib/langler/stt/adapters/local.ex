@@ -0,0 +1,20 @@
+defmodule Langler.STT.Adapters.Local do
+  @moduledoc """
+  Speech-to-text adapter that never leaves the machine, for tests and
+  development without an API key.
+
+  Returns the configured transcript for any non-empty recording:
+
+      config :langler, Langler.STT.Adapters.Local, transcript: "Hola"
+  """
+
+  @behaviour Langler.STT.Adapter
+
+  @impl true
+  def transcribe(audio, _config) when is_binary(audio) and audio != "" do
+    config = Application.get_env(:langler, __MODULE__, [])
+    {:ok, %{text: Keyword.get(config, :transcript, ""), metadata: %{adapter: "local"}}}
+  end
+
+  def transcribe(_audio, _config), do: {:error, :empty_audio}
+end
@@ -0,0 +1,98 @@
+defmodule Langler.STT.Adapters.OpenAI do
+  @moduledoc """
+  OpenAI speech-to-text adapter, using the Whisper transcription endpoint.
+
+  The endpoint and extra Req options can be configured with:
+
+      config :langler, Langler.STT.Adapters.OpenAI,
+        endpoint: "https://api.openai.com/v1/audio/transcriptions",
+        req_options: []
+  """
+
+  @behaviour Langler.STT.Adapter
+
+  require Logger
+
+  @default_endpoint "https://api.openai.com/v1/audio/transcriptions"
+  @default_model "whisper-1"
+
+  @impl true
+  def transcribe(audio, config) when is_binary(audio) do
+    with {:ok, api_key} <- fetch_api_key(config),
+         {:ok, body} <- request(audio, api_key, config) do
+      parse_response(body)
+    end
+  end
+
+  defp fetch_api_key(%{api_key: api_key}) when is_binary(api_key) and api_key != "",
+    do: {:ok, api_key}
+
+  defp fetch_api_key(_config), do: {:error, :missing_api_key}
+
+  defp request(audio, api_key, config) do
+    mime_type = Map.get(config, :mime_type, "audio/webm")
+
+    form =
+      [
+        file: {audio, filename: "recording.#{extension(mime_type)}", content_type: mime_type},
+        model: Map.get(config, :model, @default_model),
+        response_format: "json"
+      ] ++ language_field(config)
+
+    request_options =
+      [
+        url: endpoint(),
+        form_multipart: form,
+        auth: {:bearer, api_key},
+        retry: false,
+        receive_timeout: 60_000
+      ] ++ req_options()
+
+    case Req.post(request_options) do
+      {:ok, %{status: 200, body: body}} ->
+        {:ok, body}
+
+      {:ok, %{status: 401}} ->
+        {:error, :invalid_api_key}
+
+      {:ok, %{status: status, body: body}} ->
+        Logger.warning("OpenAI transcription error: status=#{status}, body=#{inspect(body)}")
+        {:error, {:api_error, status}}
+
+      {:error, reason} ->
+        Logger.error("OpenAI transcription request failed: #{inspect(reason)}")
+        {:error, :network_error}
+    end
+  end
+
+  defp parse_response(%{"text" => text} = body) when is_binary(text) do
+    {:ok, %{text: String.trim(text), metadata: Map.take(body, ["language", "duration"])}}
+  end
+
+  defp parse_response(_body), do: {:error, :invalid_response}
+
+  defp language_field(%{language: language}) when is_binary(language) and language != "",
+    do: [language: language]
+
+  defp language_field(_config), do: []
+
+  defp extension(mime_type) do
+    case mime_type |> String.split(";") |> hd() do
+      "audio/ogg" -> "ogg"
+      "audio/mp4" -> "mp4"
+      "audio/mpeg" -> "mp3"
+      "audio/wav" -> "wav"
+      _ -> "webm"
+    end
+  end
+
+  defp endpoint do
+    config = Application.get_env(:langler, __MODULE__, [])
+    Keyword.get(config, :endpoint, @default_endpoint)
+  end
+
+  defp req_options do
+    config = Application.get_env(:langler, __MODULE__, [])
+    Keyword.get(config, :req_options, [])
+  end
+end
@@ -0,0 +1,78 @@
+defmodule Langler.STT.Service do
+  @moduledoc """
+  Service for transcribing recorded speech, such as voice messages in chat.
+
+  Recordings are transcribed with the user's default LLM API key through the
+  configured adapter (OpenAI by default):
+
+      config :langler, Langler.STT.Service, adapter: Langler.STT.Adapters.Local
+
+  Audio is never stored.
+  """
+
+  alias Langler.Accounts.LlmConfig
+  alias Langler.Chat.Encryption
+  alias Langler.Languages
+  alias Langler.STT.Adapters.OpenAI
+
+  require Logger
+
+  # Far more than a minute-long voice message, and below the API's 25 MB limit
+  @max_audio_bytes 10_000_000
+
+  @doc """
+  Transcribes a recording for a user.
+
+  ## Options
+
+    * `:mime_type` - the recording's MIME type (defaults to `"audio/webm"`)
+    * `:language` - the language code spoken, used as a hint
+  """
+  @spec transcribe(integer(), binary(), keyword()) :: {:ok, String.t()} | {:error, term()}
+  def transcribe(user_id, audio, opts \\ []) when is_integer(user_id) and is_binary(audio) do
+    with :ok <- validate_audio(audio),
+         {:ok, config} <- get_stt_config(user_id, opts),
+         {:ok, %{text: text}} <- adapter().transcribe(audio, config) do
+      {:ok, text}
+    else
+      {:error, reason} = error ->
+        Logger.warning("STT transcription failed for user_id=#{user_id}: #{inspect(reason)}")
+        error
+    end
+  end
+
+  @doc """
+  Largest recording accepted by `transcribe/3`, in bytes.
+  """
+  @spec max_audio_bytes() :: pos_integer()
+  def max_audio_bytes, do: @max_audio_bytes
+
+  defp validate_audio(""), do: {:error, :empty_audio}
+
+  defp validate_audio(audio) when byte_size(audio) > @max_audio_bytes,
+    do: {:error, :audio_too_large}
+
+  defp validate_audio(_audio), do: :ok
+
+  defp get_stt_config(user_id, opts) do
+    case LlmConfig.get_default_config(user_id) do
+      nil ->
+        {:error, :no_llm_config}
+
+      config ->
+        with {:ok, api_key} <- Encryption.decrypt_message(user_id, config.encrypted_api_key) do
+          {:ok,
+           %{
+             api_key: api_key,
+             mime_type: Keyword.get(opts, :mime_type, "audio/webm"),
+             language: Languages.to_translate_code(opts[:language])
+           }}
+        end
+    end
+  end
+
+  defp adapter do
+    config = Application.get_env(:langler, __MODULE__, [])
+    Keyword.get(config, :adapter, OpenAI)
+  end
+end
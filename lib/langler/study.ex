@@ -9,7 +9,21 @@ defmodule Langler.Study do
   import Ecto.Query, warn: false
   alias Langler.Repo
 
-  alias Langler.Study.{FSRS, FSRSItem, LevelCache}
+  alias Langler.Study.{FSRS, FSRSItem, FSRSParameters, LevelCache, ReviewLog}
+  alias Langler.Study.FSRS.Optimizer
+  alias Langler.Vocabulary.{CustomCard, Deck, Decks, DeckWord, Word}
+
+  defmacrop median(field) do
+    quote do
+      fragment("percentile_cont(0.5) WITHIN GROUP (ORDER BY ?)", unquote(field))
+    end
+  end
+
+  defmacrop week_of(field) do
+    quote do
+      fragment("date_trunc('week', ?)", unquote(field))
+    end
+  end
 
   @doc """
   Builds study statistics for a list of FSRS items.
@@ -42,8 +56,10 @@ defmodule Langler.Study do
   end
 
   @doc """
-  Checks if an item is due now (due_date is nil or in the past).
+  Checks if an item is due now (due_date is nil or in the past). Suspended
+  items are never due.
   """
+  def due_now?(%{suspended_at: %DateTime{}}, _now), do: false
   def due_now?(%{due_date: nil}, _now), do: true
 
   def due_now?(%{due_date: due}, now) do
@@ -52,7 +68,10 @@ defmodule Langler.Study do
 
   @doc """
   Checks if an item is due today (due_date is nil or before end of day).
+  Suspended items are never due.
   """
+  def due_today?(%{suspended_at: %DateTime{}}, _end_of_day), do: false
+
   def due_today?(item, end_of_day) do
     case item.due_date do
       nil -> true
@@ -104,6 +123,7 @@ defmodule Langler.Study do
     FSRSItem
     |> where([i], i.user_id == ^user_id)
     |> where([i], not is_nil(i.due_date) and i.due_date <= ^reference_datetime)
+    |> where([i], is_nil(i.suspended_at))
     |> order_by([i], asc: i.due_date)
     |> Repo.all()
   end
@@ -114,7 +134,7 @@ defmodule Langler.Study do
   """
   def get_practice_words(user_id, reference_datetime \\ DateTime.utc_now()) do
     FSRSItem
-    |> where([i], i.user_id == ^user_id)
+    |> where([i], i.user_id == ^user_id and is_nil(i.suspended_at))
     |> preload(:word)
     |> Repo.all()
     |> Enum.filter(fn item ->
@@ -139,6 +159,46 @@ defmodule Langler.Study do
     not is_nil(last_quality) and last_quality < 4
   end
 
+  @doc """
+  Orders a queue of word items for a study session according to a deck's
+  study order (see `Langler.Vocabulary.Deck.study_orders/0`):
+
+    * `"due"` - most overdue first
+    * `"deck"` - the deck's card order; needs `deck_id`
+    * `"random"` - shuffled
+    * `"frequency"` - most frequent words first, unranked words last
+
+  Ties keep due order.
+  """
+  def order_study_queue(items, order, deck_id \\ nil)
+
+  def order_study_queue(items, "random", _deck_id), do: Enum.shuffle(items)
+
+  def order_study_queue(items, "deck", deck_id) when is_integer(deck_id) do
+    positions =
+      deck_id
+      |> Decks.deck_word_order()
+      |> Enum.with_index()
+      |> Map.new()
+
+    items
+    |> sort_by_due()
+    |> Enum.sort_by(&nils_last(Map.get(positions, &1.word_id)))
+  end
+
+  def order_study_queue(items, "frequency", _deck_id) do
+    items
+    |> sort_by_due()
+    |> Enum.sort_by(&nils_last(&1.word && &1.word.frequency_rank))
+  end
+
+  def order_study_queue(items, _order, _deck_id), do: sort_by_due(items)
+
+  defp sort_by_due(items), do: Enum.sort_by(items, & &1.due_date, {:asc, DateTime})
+
+  defp nils_last(nil), do: {1, nil}
+  defp nils_last(value), do: {0, value}
+
   def get_item!(id), do: Repo.get!(FSRSItem, id)
 
   def get_item_by_user_and_word(user_id, word_id) do
@@ -193,11 +253,22 @@ defmodule Langler.Study do
     result
   end
 
+  @doc """
+  Applies `rating` to `item`, reschedules it and records the review in the
+  review log.
+
+  ## Options
+
+    * `:now` - the review time (defaults to now)
+    * `:time_to_flip_ms` / `:time_to_rate_ms` - how long the learner took to
+      reveal the answer and to rate the card, measured from when it was shown
+  """
   def review_item(%FSRSItem{} = item, rating, opts \\ []) do
     now = Keyword.get(opts, :now, DateTime.utc_now())
     rating = normalize_rating(rating)
     scheduler_item = to_scheduler_item(item)
-    result = FSRS.calculate_next_review(scheduler_item, rating, now: now)
+    params = fsrs_params_for(item.user_id, item_language(item))
+    result = FSRS.calculate_next_review(scheduler_item, rating, now: now, params: params)
     quality = FSRS.quality_from_rating(rating)
 
     attrs = %{
@@ -213,11 +284,29 @@ defmodule Langler.Study do
       step: result.step
     }
 
+    log_attrs = %{
+      user_id: item.user_id,
+      fsrs_item_id: item.id,
+      rating: Atom.to_string(rating),
+      state: item.state,
+      elapsed_days: elapsed_days(item.last_reviewed_at, now),
+      scheduled_days: result.interval,
+      stability: result.stability,
+      difficulty: result.difficulty,
+      time_to_flip_ms: response_ms(opts, :time_to_flip_ms),
+      time_to_rate_ms: response_ms(opts, :time_to_rate_ms),
+      reviewed_at: now
+    }
+
     result =
-      case append_quality(item, quality, attrs) do
-        {:ok, updated} -> {:ok, Repo.preload(updated, :word)}
-        error -> error
-      end
+      Repo.transaction(fn ->
+        with {:ok, updated} <- append_quality(item, quality, attrs),
+             {:ok, _log} <- log_review(log_attrs) do
+          Repo.preload(updated, :word)
+        else
+          {:error, reason} -> Repo.rollback(reason)
+        end
+      end)
 
     # Invalidate level cache when user reviews an item
     case result do
@@ -228,6 +317,354 @@ defmodule Langler.Study do
     result
   end
 
+  defp log_review(attrs) do
+    %ReviewLog{}
+    |> ReviewLog.changeset(attrs)
+    |> Repo.insert()
+  end
+
+  defp elapsed_days(nil, _now), do: 0
+  defp elapsed_days(last_reviewed_at, now), do: max(DateTime.diff(now, last_reviewed_at, :day), 0)
+
+  # Client timings are advisory; drop anything that can't be a real response time
+  defp response_ms(opts, key) do
+    case Keyword.get(opts, key) do
+      ms when is_integer(ms) and ms >= 0 -> if ms <= ReviewLog.max_response_ms(), do: ms
+      _ -> nil
+    end
+  end
+
+  @doc """
+  Replays review history recorded elsewhere (for example an Anki collection)
+  onto a freshly created `item`, writing one review log per review so the
+  history counts towards FSRS parameter fitting.
+
+  `reviews` are `%{rating: rating, reviewed_at: DateTime}` maps in
+  chronological order, optionally with a `:time_to_rate_ms`.
+
+  ## Options
+
+    * `:params` - the FSRS parameters to replay with (defaults to the user's)
+    * `:schedule` - attributes applied after the replay, such as the due date
+      the other scheduler had already assigned
+  """
+  def replay_history(%FSRSItem{} = item, reviews, opts \\ []) do
+    params =
+      Keyword.get_lazy(opts, :params, fn ->
+        fsrs_params_for(item.user_id, item_language(item))
+      end)
+
+    inserted_at = DateTime.utc_now() |> DateTime.truncate(:second)
+
+    {scheduler_item, last_result, logs} =
+      Enum.reduce(
+        reviews,
+        {to_scheduler_item(item), nil, []},
+        &replay_review(&1, &2, item, params, inserted_at)
+      )
+
+    attrs =
+      item
+      |> replayed_attrs(scheduler_item, last_result, reviews)
+      |> Map.merge(Map.new(Keyword.get(opts, :schedule, %{})))
+
+    result =
+      Repo.transaction(fn ->
+        logs
+        |> Enum.reverse()
+        |> Enum.chunk_every(1_000)
+        |> Enum.each(&Repo.insert_all(ReviewLog, &1))
+
+        case update_item(item, attrs) do
+          {:ok, updated} -> updated
+          {:error, reason} -> Repo.rollback(reason)
+        end
+      end)
+
+    case result do
+      {:ok, _} -> LevelCache.invalidate(item.user_id)
+      _ -> :ok
+    end
+
+    result
+  end
+
+  defp replay_review(review, {scheduler_item, _result, logs}, item, params, inserted_at) do
+    reviewed_at = DateTime.truncate(review.reviewed_at, :second)
+
+    result =
+      FSRS.calculate_next_review(scheduler_item, review.rating, now: reviewed_at, params: params)
+
+    log = %{
+      user_id: item.user_id,
+      fsrs_item_id: item.id,
+      rating: Atom.to_string(review.rating),
+      state: encode_state(scheduler_item.state),
+      elapsed_days: elapsed_days(scheduler_item.last_reviewed_at, reviewed_at),
+      scheduled_days: result.interval,
+      stability: result.stability,
+      difficulty: result.difficulty,
+      time_to_flip_ms: nil,
+      time_to_rate_ms: response_ms(Map.to_list(review), :time_to_rate_ms),
+      reviewed_at: reviewed_at,
+      inserted_at: inserted_at
+    }
+
+    scheduler_item = %{
+      scheduler_item
+      | stability: result.stability,
+        difficulty: result.difficulty,
+        ease_factor: result.ease_factor,
+        interval: result.interval,
+        state: result.state,
+        step: result.step,
+        last_reviewed_at: reviewed_at,
+        elapsed_days: nil,
+        retrievability: nil
+    }
+
+    {scheduler_item, result, [log | logs]}
+  end
+
+  defp replayed_attrs(_item, _scheduler_item, nil, _reviews), do: %{}
+
+  defp replayed_attrs(item, scheduler_item, result, reviews) do
+    %{
+      interval: result.interval,
+      ease_factor: result.ease_factor,
+      due_date: result.due,
+      repetitions: (item.repetitions || 0) + length(reviews),
+      last_reviewed_at: scheduler_item.last_reviewed_at,
+      stability: result.stability,
+      difficulty: result.difficulty,
+      retrievability: result.retrievability,
+      state: encode_state(result.state),
+      step: result.step,
+      quality_history:
+        (item.quality_history || []) ++ Enum.map(reviews, &FSRS.quality_from_rating(&1.rating))
+    }
+  end
+
+  @doc """
+  Replays a review that was recorded while the client was offline.
+
+  The review is applied with its original timestamp so the schedule matches
+  what the learner saw. If the item has already been reviewed at or after
+  `reviewed_at` (for example on another device, or because the same queued
+  review was synced twice), the newer state wins and `{:error, :conflict}`
+  is returned.
+  """
+  def apply_offline_review(user_id, item_id, rating, %DateTime{} = reviewed_at) do
+    # Clients can't schedule reviews in the future, whatever their clock says
+    now = DateTime.utc_now() |> DateTime.truncate(:second)
+    reviewed_at = Enum.min([DateTime.truncate(reviewed_at, :second), now], DateTime)
+
+    case Repo.get_by(FSRSItem, id: item_id, user_id: user_id) do
+      nil ->
+        {:error, :not_found}
+
+      %FSRSItem{} = item ->
+        if reviewed_since?(item, reviewed_at) do
+          {:error, :conflict}
+        else
+          review_item(item, rating, now: reviewed_at)
+        end
+    end
+  end
+
+  @doc """
+  Replays a batch of offline reviews in the order they were recorded.
+
+  Each review is a map with `:item_id`, `:rating` and `:reviewed_at`. Returns
+  the reviews paired with the result of `apply_offline_review/4`.
+  """
+  def apply_offline_reviews(user_id, reviews) when is_list(reviews) do
+    reviews
+    |> Enum.sort_by(& &1.reviewed_at, DateTime)
+    |> Enum.map(fn review ->
+      {review,
+       apply_offline_review(user_id, review.item_id, review.rating, review.reviewed_at)}
+    end)
+  end
+
+  defp reviewed_since?(%FSRSItem{last_reviewed_at: nil}, _reviewed_at), do: false
+
+  defp reviewed_since?(%FSRSItem{last_reviewed_at: last_reviewed_at}, reviewed_at) do
+    DateTime.compare(last_reviewed_at, reviewed_at) != :lt
+  end
+
+  @scheduling_fields [
+    :ease_factor,
+    :interval,
+    :due_date,
+    :repetitions,
+    :quality_history,
+    :last_reviewed_at,
+    :stability,
+    :difficulty,
+    :retrievability,
+    :state,
+    :step
+  ]
+
+  @doc """
+  Reverts a review by restoring the scheduling state captured before it.
+
+  `previous` is the item as it was before `review_item/3` ran. The stored
+  item must still be exactly one review ahead of that snapshot; if it has
+  been reviewed again since (or the review was already undone)
+  `{:error, :stale}` is returned and nothing changes. The review's log entry
+  is removed as well.
+  """
+  def undo_review(%FSRSItem{} = previous) do
+    # The row stays locked from the staleness check to the update, so a
+    # review from another tab or an offline sync can't slip in between
+    result =
+      Repo.transaction(fn ->
+        FSRSItem
+        |> where(id: ^previous.id, user_id: ^previous.user_id)
+        |> lock("FOR UPDATE")
+        |> Repo.one()
+        |> case do
+          nil -> Repo.rollback(:not_found)
+          %FSRSItem{} = current -> restore_review(current, previous)
+        end
+      end)
+
+    case result do
+      {:ok, restored} -> LevelCache.invalidate(restored.user_id)
+      _ -> :ok
+    end
+
+    result
+  end
+
+  defp restore_review(current, previous) do
+    if length(current.quality_history || []) == length(previous.quality_history || []) + 1 do
+      case update_item(current, Map.take(previous, @scheduling_fields)) do
+        {:ok, restored} ->
+          delete_latest_review_log(restored.id)
+          Repo.preload(restored, :word)
+
+        {:error, reason} ->
+          Repo.rollback(reason)
+      end
+    else
+      Repo.rollback(:stale)
+    end
+  end
+
+  defp delete_latest_review_log(item_id) do
+    latest =
+      ReviewLog
+      |> where(fsrs_item_id: ^item_id)
+      |> order_by(desc: :reviewed_at, desc: :id)
+      |> limit(1)
+      |> select([l], l.id)
+
+    Repo.delete_all(from(l in ReviewLog, where: l.id in subquery(latest)))
+  end
+
+  @doc """
+  Suspends the user's items for the selected cards, or lifts the suspension
+  when `suspended` is false. Suspended items keep their progress but are
+  never due.
+
+  `selection` is a map with `:word_ids` and `:custom_card_ids`; cards the user
+  has no item for are skipped. Returns `{:ok, previous}` with the items as
+  they were before, for `restore_items/2`.
+  """
+  def suspend_items(user_id, selection, suspended \\ true) do
+    suspended_at = if suspended, do: DateTime.utc_now() |> DateTime.truncate(:second)
+
+    update_selected_items(user_id, selection, %{suspended_at: suspended_at})
+  end
+
+  @doc """
+  Resets the user's items for the selected cards to brand-new cards that are
+  due now. The review log is kept. Returns `{:ok, previous}` like
+  `suspend_items/3`.
+  """
+  def reset_items(user_id, selection) do
+    update_selected_items(user_id, selection, %{
+      ease_factor: 2.5,
+      interval: 0,
+      due_date: DateTime.utc_now() |> DateTime.truncate(:second),
+      repetitions: 0,
+      quality_history: [],
+      last_reviewed_at: nil,
+      stability: nil,
+      difficulty: nil,
+      retrievability: nil,
+      state: "learning",
+      step: 0,
+      suspended_at: nil
+    })
+  end
+
+  @doc """
+  Puts items back the way they were captured by `suspend_items/3` or
+  `reset_items/2`, in one transaction.
+  """
+  def restore_items(user_id, previous) when is_list(previous) do
+    result =
+      Repo.transaction(fn ->
+        Enum.each(previous, fn %FSRSItem{} = item ->
+          fields = Map.take(item, [:suspended_at | @scheduling_fields])
+
+          from(i in FSRSItem, where: i.id == ^item.id and i.user_id == ^user_id)
+          |> Repo.update_all(set: Keyword.new(fields))
+        end)
+
+        length(previous)
+      end)
+
+    LevelCache.invalidate(user_id)
+    result
+  end
+
+  @doc """
+  Returns the selected cards whose items are suspended, as `{"word", id}` and
+  `{"custom_card", id}` tuples.
+  """
+  def suspended_cards(user_id, selection) do
+    user_id
+    |> selected_items_query(selection)
+    |> where([i], not is_nil(i.suspended_at))
+    |> select([i], {i.word_id, i.custom_card_id})
+    |> Repo.all()
+    |> MapSet.new(fn
+      {nil, custom_card_id} -> {"custom_card", custom_card_id}
+      {word_id, _custom_card_id} -> {"word", word_id}
+    end)
+  end
+
+  defp selected_items_query(user_id, selection) do
+    word_ids = Map.get(selection, :word_ids) || []
+    custom_card_ids = Map.get(selection, :custom_card_ids) || []
+
+    from(i in FSRSItem,
+      where:
+        i.user_id == ^user_id and
+          (i.word_id in ^word_ids or i.custom_card_id in ^custom_card_ids)
+    )
+  end
+
+  defp update_selected_items(user_id, selection, attrs) do
+    query = selected_items_query(user_id, selection)
+
+    result =
+      Repo.transaction(fn ->
+        previous = query |> lock("FOR UPDATE") |> Repo.all()
+        now = DateTime.utc_now() |> DateTime.truncate(:second)
+        Repo.update_all(query, set: attrs |> Map.put(:updated_at, now) |> Keyword.new())
+        previous
+      end)
+
+    LevelCache.invalidate(user_id)
+    result
+  end
+
   def update_item(%FSRSItem{} = item, attrs) do
     item
     |> FSRSItem.changeset(attrs)
@@ -264,6 +701,227 @@ defmodule Langler.Study do
   def normalize_rating("easy"), do: :easy
   def normalize_rating(_), do: :good
 
+  @doc """
+  Summarises how quickly the user recalls cards, using the time-to-rate
+  recorded in the review log.
+
+  Returns a map with:
+  - `:median_ms` / `:reviews` - median response time and number of timed reviews
+  - `:slowest` - the cards with the highest median response time
+  - `:decks` - median response time per deck (word cards only)
+  - `:weekly` - median response time per week over the last `:weeks` weeks
+
+  ## Options
+
+    * `:weeks` - how many weeks the trend covers (default 8)
+    * `:limit` - how many of the slowest cards to return (default 5)
+  """
+  def review_timing_stats(user_id, opts \\ []) do
+    weeks = Keyword.get(opts, :weeks, 8)
+    limit = Keyword.get(opts, :limit, 5)
+    timed = timed_review_logs(user_id)
+
+    {median_ms, reviews} =
+      timed
+      |> select([l], {median(l.time_to_rate_ms), count(l.id)})
+      |> Repo.one()
+
+    %{
+      median_ms: round_ms(median_ms),
+      reviews: reviews,
+      slowest: slowest_cards(timed, limit),
+      decks: deck_timings(timed, user_id),
+      weekly: weekly_timings(timed, weeks)
+    }
+  end
+
+  defp timed_review_logs(user_id) do
+    from(l in ReviewLog, where: l.user_id == ^user_id and not is_nil(l.time_to_rate_ms))
+  end
+
+  defp slowest_cards(timed, limit) do
+    timed
+    |> join(:inner, [l], i in assoc(l, :fsrs_item))
+    |> join(:left, [_l, i], w in assoc(i, :word))
+    |> join(:left, [_l, i, _w], c in assoc(i, :custom_card))
+    |> group_by([_l, i, w, c], [i.id, w.lemma, w.normalized_form, c.front])
+    |> select([l, i, w, c], %{
+      item_id: i.id,
+      label: coalesce(coalesce(w.lemma, w.normalized_form), c.front),
+      median_ms: median(l.time_to_rate_ms),
+      reviews: count(l.id)
+    })
+    |> order_by([l], desc: median(l.time_to_rate_ms))
+    |> limit(^limit)
+    |> Repo.all()
+    |> Enum.map(&Map.update!(&1, :median_ms, fn ms -> round_ms(ms) end))
+  end
+
+  defp deck_timings(timed, user_id) do
+    timed
+    |> join(:inner, [l], i in assoc(l, :fsrs_item))
+    |> join(:inner, [_l, i], dw in DeckWord, on: dw.word_id == i.word_id)
+    |> join(:inner, [_l, _i, dw], d in Deck, on: d.id == dw.deck_id and d.user_id == ^user_id)
+    |> group_by([_l, _i, _dw, d], [d.id, d.name])
+    |> select([l, _i, _dw, d], %{
+      deck_id: d.id,
+      name: d.name,
+      median_ms: median(l.time_to_rate_ms),
+      reviews: count(l.id)
+    })
+    |> order_by([_l, _i, _dw, d], asc: d.name)
+    |> Repo.all()
+    |> Enum.map(&Map.update!(&1, :median_ms, fn ms -> round_ms(ms) end))
+  end
+
+  defp weekly_timings(timed, weeks) do
+    since = DateTime.add(DateTime.utc_now(), -weeks * 7, :day)
+
+    timed
+    |> where([l], l.reviewed_at >= ^since)
+    |> group_by([l], week_of(l.reviewed_at))
+    |> select([l], %{
+      week: week_of(l.reviewed_at),
+      median_ms: median(l.time_to_rate_ms),
+      reviews: count(l.id)
+    })
+    |> order_by([l], asc: week_of(l.reviewed_at))
+    |> Repo.all()
+    |> Enum.map(fn row ->
+      %{row | week: NaiveDateTime.to_date(row.week), median_ms: round_ms(row.median_ms)}
+    end)
+  end
+
+  defp round_ms(nil), do: nil
+  defp round_ms(ms), do: round(ms)
+
+  @doc """
+  Returns the FSRS parameters to schedule `user_id`'s cards in `language`
+  with: the user's fitted weights when they have optimised that language
+  and left personalisation enabled, otherwise the configured defaults.
+  """
+  def fsrs_params_for(user_id, language) do
+    case language && get_fsrs_parameters(user_id, language) do
+      %FSRSParameters{enabled: true, weights: [_ | _] = weights} -> FSRS.params(weights: weights)
+      _ -> FSRS.params()
+    end
+  end
+
+  @doc """
+  Gets the fitted FSRS parameters for a user and language, if any.
+  """
+  def get_fsrs_parameters(user_id, language) do
+    Repo.get_by(FSRSParameters, user_id: user_id, language: language)
+  end
+
+  @doc """
+  Lists the user's fitted FSRS parameters, one per language.
+  """
+  def list_fsrs_parameters(user_id) do
+    FSRSParameters
+    |> where(user_id: ^user_id)
+    |> order_by(asc: :language)
+    |> Repo.all()
+  end
+
+  @doc """
+  Switches between a language's fitted weights and the defaults. The fitted
+  weights are kept either way.
+  """
+  def set_fsrs_parameters_enabled(user_id, language, enabled) when is_boolean(enabled) do
+    case get_fsrs_parameters(user_id, language) do
+      nil ->
+        {:error, :not_found}
+
+      parameters ->
+        parameters
+        |> FSRSParameters.changeset(%{enabled: enabled})
+        |> Repo.update()
+    end
+  end
+
+  @doc """
+  Lists the languages the user has reviewed cards in.
+  """
+  def review_log_languages(user_id) do
+    from(l in ReviewLog, where: l.user_id == ^user_id)
+    |> join_card_language()
+    |> select([_l, _i, w, c], coalesce(w.language, c.language))
+    |> distinct(true)
+    |> Repo.all()
+    |> Enum.reject(&is_nil/1)
+    |> Enum.sort()
+  end
+
+  @doc """
+  Returns the user's review log for `language` as one chronological list of
+  `%{rating: atom, reviewed_at: DateTime}` per card, the input expected by
+  `Langler.Study.FSRS.Optimizer`.
+  """
+  def review_histories(user_id, language) do
+    from(l in ReviewLog, where: l.user_id == ^user_id)
+    |> join_card_language()
+    |> where([_l, _i, w, c], coalesce(w.language, c.language) == ^language)
+    |> order_by([l], asc: l.fsrs_item_id, asc: l.reviewed_at, asc: l.id)
+    |> select([l], {l.fsrs_item_id, l.rating, l.reviewed_at})
+    |> Repo.all()
+    |> Enum.chunk_by(&elem(&1, 0))
+    |> Enum.map(fn reviews ->
+      Enum.map(reviews, fn {_item_id, rating, reviewed_at} ->
+        %{rating: normalize_rating(rating), reviewed_at: reviewed_at}
+      end)
+    end)
+  end
+
+  defp join_card_language(query) do
+    query
+    |> join(:inner, [l], i in assoc(l, :fsrs_item))
+    |> join(:left, [_l, i], w in assoc(i, :word))
+    |> join(:left, [_l, i, _w], c in assoc(i, :custom_card))
+  end
+
+  @doc """
+  Fits FSRS weights to the user's review history in `language` and stores
+  them, replacing any earlier fit. Fitting always starts from the defaults
+  so a poor earlier fit can't compound.
+
+  A new fit is enabled unless the user had switched personalisation off.
+  Returns `{:error, :not_enough_reviews}` when there isn't enough history.
+  Options are passed on to `Langler.Study.FSRS.Optimizer.optimize/3`.
+  """
+  def optimize_fsrs_params(user_id, language, opts \\ []) do
+    histories = review_histories(user_id, language)
+
+    with {:ok, result} <- Optimizer.optimize(histories, FSRS.params(), opts) do
+      existing = get_fsrs_parameters(user_id, language)
+
+      attrs =
+        Map.merge(result, %{
+          user_id: user_id,
+          language: language,
+          enabled: if(existing, do: existing.enabled, else: true),
+          optimized_at: DateTime.utc_now() |> DateTime.truncate(:second)
+        })
+
+      (existing || %FSRSParameters{})
+      |> FSRSParameters.changeset(attrs)
+      |> Repo.insert_or_update()
+    end
+  end
+
+  defp item_language(%FSRSItem{word: %Word{language: language}}), do: language
+  defp item_language(%FSRSItem{custom_card: %CustomCard{language: language}}), do: language
+
+  defp item_language(%FSRSItem{word_id: word_id}) when not is_nil(word_id) do
+    Repo.one(from w in Word, where: w.id == ^word_id, select: w.language)
+  end
+
+  defp item_language(%FSRSItem{custom_card_id: card_id}) when not is_nil(card_id) do
+    Repo.one(from c in CustomCard, where: c.id == ^card_id, select: c.language)
+  end
+
+  defp item_language(_item), do: nil
+
   @doc """
   Gets the user's vocabulary level based on their FSRS study items.
   Returns %{cefr_level: "A1" | "A2" | "B1" | "B2" | "C1" | "C2", numeric_level: float()}
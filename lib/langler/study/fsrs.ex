@@ -53,11 +53,15 @@ defmodule Langler.Study.FSRS do
 
   @doc """
   Calculates the next review state for a given item and rating.
+
+  Pass `:params` to schedule with parameters other than the configured
+  defaults (for example a user's optimised weights) and `:now` to set the
+  review time.
   """
   @spec calculate_next_review(Item.t(), rating(), Keyword.t()) :: map()
   @dialyzer {:nowarn_function, calculate_next_review: 3}
   def calculate_next_review(%Item{} = item, rating, opts \\ []) do
-    params = params()
+    params = Keyword.get_lazy(opts, :params, &params/0)
     now = Keyword.get(opts, :now, DateTime.utc_now())
     {item, _elapsed} = elapsed_days(item, now)
     {_item, retrievability} = retrievability(item, now)
@@ -0,0 +1,219 @@
+defmodule Langler.Study.FSRS.Optimizer do
+  @moduledoc """
+  Fits FSRS weights to a learner's own review history.
+
+  Each card's reviews are replayed through `Langler.Study.FSRS` with a
+  candidate set of weights. Whenever a card that already has a stability is
+  reviewed at least a day after its previous review, the scheduler's
+  predicted recall probability is compared with what actually happened
+  (anything but "again" counts as recalled). The weights that minimise the
+  log loss over those predictions are found with a bounded coordinate
+  search, starting from the current parameters.
+
+  Only the weights the scheduler reads (the first twelve) are tuned; any
+  others are carried over unchanged.
+  """
+
+  alias Langler.Study.FSRS
+  alias Langler.Study.FSRS.{Item, Params}
+
+  # Fewer predictions than this and the fit mostly learns noise
+  @min_reviews 50
+  @rounds 12
+  @initial_step 0.2
+  @min_step 0.01
+
+  # Fallbacks match the ones FSRS uses when a weight is missing
+  @fallback_weights [5.0, 0.3, 2.5, 1.2, 0.15, 0.5, 0.3, 0.2, 0.85, 0.15, 0.5, 0.5]
+
+  # {min, max} for each tuned weight, keeping the scheduler's formulas sane
+  @bounds [
+    {1.0, 10.0},
+    {0.0, 5.0},
+    {0.1, 100.0},
+    {0.0, 100.0},
+    {0.0, 10.0},
+    {-2.0, 3.0},
+    {0.0, 3.0},
+    {0.0, 3.0},
+    {0.1, 1.0},
+    {0.0, 3.0},
+    {0.01, 5.0},
+    {0.0, 3.0}
+  ]
+
+  @type review :: %{rating: FSRS.rating(), reviewed_at: DateTime.t()}
+
+  @type evaluation :: %{
+          samples: non_neg_integer(),
+          log_loss: float() | nil,
+          observed_retention: float() | nil,
+          predicted_retention: float() | nil
+        }
+
+  @doc """
+  Fits weights to `histories`, one chronological list of reviews per card.
+
+  Returns `{:ok, result}` with the fitted `:weights`, the number of
+  predictions they were evaluated on (`:review_count`), the log loss before
+  and after fitting, the observed retention and the mean predicted
+  retention under both the starting and the fitted weights. Returns
+  `{:error, :not_enough_reviews}` when the history is too short to fit.
+
+  ## Options
+
+    * `:min_reviews` - minimum number of predictions required (default #{@min_reviews})
+    * `:rounds` - number of coordinate search rounds (default #{@rounds})
+  """
+  @spec optimize([[review()]], Params.t(), Keyword.t()) ::
+          {:ok, map()} | {:error, :not_enough_reviews}
+  def optimize(histories, %Params{} = params, opts \\ []) do
+    min_reviews = Keyword.get(opts, :min_reviews, @min_reviews)
+    rounds = Keyword.get(opts, :rounds, @rounds)
+    params = %{params | weights: pad_weights(params.weights)}
+    baseline = evaluate(histories, params)
+
+    if baseline.samples < max(min_reviews, 1) do
+      {:error, :not_enough_reviews}
+    else
+      weights = search(histories, params, baseline.log_loss, rounds)
+      fitted = evaluate(histories, %{params | weights: weights})
+
+      {:ok,
+       %{
+         weights: weights,
+         review_count: baseline.samples,
+         log_loss: fitted.log_loss,
+         baseline_log_loss: baseline.log_loss,
+         observed_retention: baseline.observed_retention,
+         predicted_retention: fitted.predicted_retention,
+         default_predicted_retention: baseline.predicted_retention
+       }}
+    end
+  end
+
+  @doc """
+  Replays `histories` with `params` and scores the recall predictions.
+  """
+  @spec evaluate([[review()]], Params.t()) :: evaluation()
+  def evaluate(histories, %Params{} = params) do
+    {count, loss, recalled, predicted} =
+      Enum.reduce(histories, {0, 0.0, 0, 0.0}, fn history, acc ->
+        replay(history, params, acc)
+      end)
+
+    if count == 0 do
+      %{samples: 0, log_loss: nil, observed_retention: nil, predicted_retention: nil}
+    else
+      %{
+        samples: count,
+        log_loss: loss / count,
+        observed_retention: recalled / count,
+        predicted_retention: predicted / count
+      }
+    end
+  end
+
+  defp replay(history, params, acc) do
+    item = %Item{user_id: nil, word_id: nil, state: :learning}
+
+    {_item, acc} =
+      Enum.reduce(history, {item, acc}, fn review, {item, acc} ->
+        acc = score(item, review, acc)
+
+        result =
+          FSRS.calculate_next_review(item, review.rating, now: review.reviewed_at, params: params)
+
+        item = %{
+          item
+          | stability: result.stability,
+            difficulty: result.difficulty,
+            ease_factor: result.ease_factor,
+            interval: result.interval,
+            state: result.state,
+            step: result.step,
+            last_reviewed_at: review.reviewed_at,
+            elapsed_days: nil,
+            retrievability: nil
+        }
+
+        {item, acc}
+      end)
+
+    acc
+  end
+
+  defp score(%Item{stability: nil}, _review, acc), do: acc
+
+  defp score(%Item{} = item, review, {count, loss, recalled, predicted} = acc) do
+    if DateTime.diff(review.reviewed_at, item.last_reviewed_at, :day) < 1 do
+      acc
+    else
+      {_item, probability} = FSRS.retrievability(item, review.reviewed_at)
+      probability = min(max(probability, 0.001), 0.999)
+      recall? = review.rating != :again
+
+      sample_loss =
+        if recall?, do: -:math.log(probability), else: -:math.log(1 - probability)
+
+      {count + 1, loss + sample_loss, recalled + if(recall?, do: 1, else: 0),
+       predicted + probability}
+    end
+  end
+
+  # Bounded coordinate search: nudge one weight at a time, keep any change
+  # that lowers the loss and halve the step once a round stops improving
+  defp search(histories, params, loss, rounds) do
+    {weights, _loss, _step} =
+      Enum.reduce_while(1..rounds, {params.weights, loss, @initial_step}, fn _round, state ->
+        next = search_round(histories, params, state)
+
+        if elem(next, 2) < @min_step, do: {:halt, next}, else: {:cont, next}
+      end)
+
+    weights
+  end
+
+  defp search_round(histories, params, {weights, loss, step}) do
+    {next_weights, next_loss} =
+      @bounds
+      |> Enum.with_index()
+      |> Enum.reduce({weights, loss}, fn {bounds, idx}, best ->
+        improve_weight(histories, params, best, idx, bounds, step)
+      end)
+
+    next_step = if next_loss < loss, do: step, else: step / 2
+    {next_weights, next_loss, next_step}
+  end
+
+  defp improve_weight(histories, params, {weights, loss}, idx, {min, max}, step) do
+    current = Enum.at(weights, idx)
+    delta = step * max(abs(current), 0.1)
+
+    [current + delta, current - delta]
+    |> Enum.map(&(&1 |> max(min) |> min(max)))
+    |> Enum.reject(&(&1 == current))
+    |> Enum.reduce({weights, loss}, fn candidate, {best_weights, best_loss} ->
+      candidate_weights = List.replace_at(best_weights, idx, candidate)
+
+      case evaluate(histories, %{params | weights: candidate_weights}) do
+        %{log_loss: candidate_loss} when candidate_loss < best_loss ->
+          {candidate_weights, candidate_loss}
+
+        _ ->
+          {best_weights, best_loss}
+      end
+    end)
+  end
+
+  defp pad_weights(weights) do
+    tuned = length(@fallback_weights)
+    weights = weights || []
+
+    if length(weights) >= tuned do
+      weights
+    else
+      weights ++ Enum.drop(@fallback_weights, length(weights))
+    end
+  end
+end
@@ -18,6 +18,7 @@ defmodule Langler.Study.FSRSItem do
     field :retrievability, :float
     field :state, :string, default: "learning"
     field :step, :integer
+    field :suspended_at, :utc_datetime
 
     belongs_to :user, Langler.Accounts.User
     belongs_to :word, Langler.Vocabulary.Word
@@ -41,6 +42,7 @@ defmodule Langler.Study.FSRSItem do
       :retrievability,
       :state,
       :step,
+      :suspended_at,
       :user_id,
       :word_id,
       :custom_card_id
@@ -0,0 +1,53 @@
+defmodule Langler.Study.FSRSParameters do
+  @moduledoc """
+  Ecto schema for FSRS weights fitted to one user's review history in one
+  language.
+
+  Alongside the weights it keeps the evaluation from the last optimisation
+  run (log loss and retention figures) so the settings screen can compare
+  the personalised model with the defaults. When `enabled` is false the
+  defaults are used for scheduling but the fitted weights are kept.
+  """
+
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  schema "fsrs_parameters" do
+    field :language, :string
+    field :weights, {:array, :float}, default: []
+    field :enabled, :boolean, default: true
+    field :review_count, :integer, default: 0
+    field :log_loss, :float
+    field :baseline_log_loss, :float
+    field :observed_retention, :float
+    field :predicted_retention, :float
+    field :default_predicted_retention, :float
+    field :optimized_at, :utc_datetime
+
+    belongs_to :user, Langler.Accounts.User
+
+    timestamps(type: :utc_datetime)
+  end
+
+  @doc false
+  def changeset(parameters, attrs) do
+    parameters
+    |> cast(attrs, [
+      :language,
+      :weights,
+      :enabled,
+      :review_count,
+      :log_loss,
+      :baseline_log_loss,
+      :observed_retention,
+      :predicted_retention,
+      :default_predicted_retention,
+      :optimized_at,
+      :user_id
+    ])
+    |> validate_required([:language, :weights, :user_id])
+    |> validate_length(:weights, min: 1)
+    |> unique_constraint([:user_id, :language])
+    |> assoc_constraint(:user)
+  end
+end
@@ -0,0 +1,70 @@
+defmodule Langler.Study.ReviewLog do
+  @moduledoc """
+  Ecto schema for the review history of FSRS items.
+
+  One row is written per review. Besides the rating and the schedule it
+  produced, it keeps how long the learner took to flip and to rate the card
+  so recall speed can be analysed and FSRS parameters fitted to the user.
+  """
+
+  use Ecto.Schema
+  import Ecto.Changeset
+
+  @ratings ~w(again hard good easy)
+
+  # Anything longer was almost certainly an abandoned tab, not recall time
+  @max_response_ms 600_000
+
+  schema "review_logs" do
+    field :rating, :string
+    field :state, :string
+    field :elapsed_days, :integer, default: 0
+    field :scheduled_days, :integer, default: 0
+    field :stability, :float
+    field :difficulty, :float
+    field :time_to_flip_ms, :integer
+    field :time_to_rate_ms, :integer
+    field :reviewed_at, :utc_datetime
+
+    belongs_to :user, Langler.Accounts.User
+    belongs_to :fsrs_item, Langler.Study.FSRSItem
+
+    timestamps(type: :utc_datetime, updated_at: false)
+  end
+
+  @doc false
+  def changeset(log, attrs) do
+    log
+    |> cast(attrs, [
+      :rating,
+      :state,
+      :elapsed_days,
+      :scheduled_days,
+      :stability,
+      :difficulty,
+      :time_to_flip_ms,
+      :time_to_rate_ms,
+      :reviewed_at,
+      :user_id,
+      :fsrs_item_id
+    ])
+    |> validate_required([:rating, :reviewed_at, :user_id, :fsrs_item_id])
+    |> validate_inclusion(:rating, @ratings)
+    |> validate_number(:elapsed_days, greater_than_or_equal_to: 0)
+    |> validate_number(:time_to_flip_ms,
+      greater_than_or_equal_to: 0,
+      less_than_or_equal_to: @max_response_ms
+    )
+    |> validate_number(:time_to_rate_ms,
+      greater_than_or_equal_to: 0,
+      less_than_or_equal_to: @max_response_ms
+    )
+    |> assoc_constraint(:user)
+    |> assoc_constraint(:fsrs_item)
+  end
+
+  @doc """
+  The longest response time, in milliseconds, that is recorded.
+  """
+  def max_response_ms, do: @max_response_ms
+end
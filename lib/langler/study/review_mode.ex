@@ -0,0 +1,107 @@
+defmodule Langler.Study.ReviewMode do
+  @moduledoc """
+  Card modes for study sessions.
+
+  Besides the default flip-and-grade mode, a card can be reviewed by typing
+  the translation of a word, typing the word from its definition, or
+  filling in a cloze deletion taken from a sentence the word was read in.
+  This module builds the prompts and accepted answers for those modes; the
+  answer itself is graded client-side by the `StudySession` hook.
+  """
+
+  @modes ~w(flip type_translation type_word cloze)
+
+  @type mode :: String.t()
+
+  @type cloze :: %{before: String.t(), answer: String.t(), after: String.t()}
+
+  @doc """
+  Lists the available modes with their labels.
+  """
+  @spec options() :: [{String.t(), mode()}]
+  def options do
+    [
+      {"Flip card", "flip"},
+      {"Type the translation", "type_translation"},
+      {"Type the word", "type_word"},
+      {"Fill in the blank", "cloze"}
+    ]
+  end
+
+  @doc """
+  Parses a mode from user input, defaulting to `"flip"`.
+  """
+  @spec parse(term()) :: mode()
+  def parse(mode) when mode in @modes, do: mode
+  def parse(_mode), do: "flip"
+
+  @doc """
+  Returns the forms accepted as a correct answer for `word` in `mode`.
+
+  Translations are split on commas and semicolons so that any one meaning
+  counts. Returns an empty list when the mode can't be used for the word.
+  """
+  @spec expected_answers(map(), mode(), cloze() | nil) :: [String.t()]
+  def expected_answers(word, mode, cloze \\ nil)
+
+  def expected_answers(word, "type_translation", _cloze) do
+    [word.translation | word.definitions || []]
+    |> Enum.reject(&blank?/1)
+    |> Enum.flat_map(&String.split(&1, ~r/[;,]/u))
+    |> clean()
+  end
+
+  def expected_answers(word, "type_word", _cloze) do
+    clean([word.lemma, word.normalized_form])
+  end
+
+  def expected_answers(_word, "cloze", %{answer: answer}), do: clean([answer])
+  def expected_answers(_word, _mode, _cloze), do: []
+
+  @doc """
+  Builds a cloze deletion for `word` from the first sentence that contains
+  it, trying the word's normalized form before its lemma.
+
+  Matching is case-insensitive and only on whole words, so the blank keeps
+  the form actually used in the sentence. Returns `nil` when no sentence
+  contains the word.
+  """
+  @spec build_cloze([String.t()], map()) :: cloze() | nil
+  def build_cloze(sentences, word) when is_list(sentences) do
+    forms = clean([word.normalized_form, word.lemma])
+
+    Enum.find_value(sentences, fn sentence ->
+      Enum.find_value(forms, &cloze_for(sentence, &1))
+    end)
+  end
+
+  defp cloze_for(sentence, form) do
+    pattern =
+      Regex.compile!(
+        "(?<![\\p{L}\\p{M}])" <> Regex.escape(form) <> "(?![\\p{L}\\p{M}])",
+        "iu"
+      )
+
+    case Regex.run(pattern, sentence, return: :index) do
+      [{start, length}] ->
+        %{
+          before: binary_part(sentence, 0, start),
+          answer: binary_part(sentence, start, length),
+          after: binary_part(sentence, start + length, byte_size(sentence) - start - length)
+        }
+
+      nil ->
+        nil
+    end
+  end
+
+  defp clean(forms) do
+    forms
+    |> Enum.reject(&blank?/1)
+    |> Enum.map(&String.trim/1)
+    |> Enum.reject(&(&1 == ""))
+    |> Enum.uniq_by(&String.downcase/1)
+  end
+
+  defp blank?(value), do: is_nil(value) or String.trim(value) == ""
+end
@@ -0,0 +1,50 @@
+defmodule Langler.Study.Workers.OptimizeFsrsParamsWorker do
+  @moduledoc """
+  Oban worker that fits a user's FSRS weights for one language.
+  Runs the optimiser in the background and notifies the user via PubSub when complete.
+  """
+
+  use Oban.Worker,
+    queue: :default,
+    max_attempts: 3,
+    unique: [period: 300, keys: [:user_id, :language]]
+
+  require Logger
+
+  alias Langler.Study
+  alias Phoenix.PubSub
+
+  @impl Oban.Worker
+  def perform(%Oban.Job{args: %{"user_id" => user_id, "language" => language}})
+      when is_integer(user_id) and is_binary(language) do
+    Logger.info("Optimising FSRS parameters for user #{user_id}, language #{language}")
+
+    case Study.optimize_fsrs_params(user_id, language) do
+      {:ok, parameters} ->
+        broadcast(user_id, language, {:ok, parameters})
+        :ok
+
+      {:error, :not_enough_reviews} ->
+        broadcast(user_id, language, {:error, :not_enough_reviews})
+        {:cancel, :not_enough_reviews}
+
+      {:error, reason} ->
+        broadcast(user_id, language, {:error, reason})
+        Logger.error("FSRS optimisation failed for user #{user_id}: #{inspect(reason)}")
+        {:error, reason}
+    end
+  end
+
+  def perform(%Oban.Job{args: args}) do
+    Logger.error("Invalid args for OptimizeFsrsParamsWorker: #{inspect(args)}")
+    {:error, :invalid_args}
+  end
+
+  defp broadcast(user_id, language, result) do
+    PubSub.broadcast(
+      Langler.PubSub,
+      "fsrs_params:#{user_id}",
+      {:fsrs_params_optimized, language, result}
+    )
+  end
+end
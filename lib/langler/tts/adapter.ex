@@ -6,6 +6,11 @@ defmodule Langler.TTS.Adapter do
   @doc """
   Generates audio from text.
   Returns audio binary, transcript, and metadata.
+
+  Adapters that report speech marks or measure sentence boundaries may include
+  `:timepoints` in the metadata: a list of `%{offset: byte_offset, time: seconds}`
+  maps relative to `text`.
+  These are used to align subtitles more precisely than chunk boundaries alone.
   """
   @callback generate_audio(text :: String.t(), config :: map()) ::
               {:ok, %{audio_binary: binary(), transcript: String.t(), metadata: map()}}
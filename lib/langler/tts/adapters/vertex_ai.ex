@@ -1,10 +1,16 @@
 defmodule Langler.TTS.Adapters.VertexAI do
   @moduledoc """
   Google Vertex AI adapter for text-to-speech using Gemini-TTS models.
+
+  Gemini-TTS takes no SSML, so the `:timepoints` of the sentence boundaries
+  are measured from the pauses in the returned audio, see
+  `Langler.TTS.Pauses`.
   """
 
   @behaviour Langler.TTS.Adapter
 
+  alias Langler.TTS.Pauses
+
   require Logger
 
   @default_model "gemini-2.5-flash-preview-tts"
@@ -126,15 +132,17 @@ defmodule Langler.TTS.Adapters.VertexAI do
   defp parse_response(response_body, original_text) do
     with {:ok, parts} <- extract_parts(response_body),
          {:ok, audio_data, sample_rate} <- find_audio_data(parts),
-         {:ok, audio_binary} <- decode_audio(audio_data, sample_rate) do
+         {:ok, pcm_audio} <- decode_audio(audio_data) do
       metadata = %{
         model: Map.get(response_body, "model", "unknown"),
-        voice: "default"
+        voice: "default",
+        timepoints: Pauses.timepoints(original_text, pcm_audio, sample_rate)
       }
 
       {:ok,
        %{
-         audio_binary: audio_binary,
+         # Convert PCM to WAV format (PCM with WAV header) for browser compatibility
+         audio_binary: pcm_to_wav(pcm_audio, sample_rate, 1, 16),
          transcript: original_text,
          metadata: metadata
        }}
@@ -193,16 +201,11 @@ defmodule Langler.TTS.Adapters.VertexAI do
 
   defp extract_sample_rate(_), do: 24_000
 
-  defp decode_audio(audio_data, sample_rate) do
+  defp decode_audio(audio_data) do
     # Gemini TTS returns PCM audio (typically 24kHz, mono, 16-bit) as base64
-    # Convert PCM to WAV format (PCM with WAV header) for browser compatibility
     case Base.decode64(audio_data) do
-      {:ok, pcm_audio} ->
-        wav_audio = pcm_to_wav(pcm_audio, sample_rate, 1, 16)
-        {:ok, wav_audio}
-
-      :error ->
-        {:error, :invalid_audio_data}
+      {:ok, pcm_audio} -> {:ok, pcm_audio}
+      :error -> {:error, :invalid_audio_data}
     end
   end
 
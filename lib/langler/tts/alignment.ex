@@ -0,0 +1,156 @@
+defmodule Langler.TTS.Alignment do
+  @moduledoc """
+  Builds sentence- and word-level timing data for generated article audio.
+
+  Audio is synthesized in chunks, so the exact duration of every chunk is
+  known. Each chunk contributes time anchors at its boundaries, plus the
+  timepoints the adapter measured for the sentence boundaries within it (see
+  `Langler.TTS.Pauses`). Positions between anchors, or in chunks without
+  timepoints, are interpolated linearly by byte offset. Sentences are then located in the
+  spoken text and converted to `start`/`end` seconds, along with the timings
+  of each whitespace-separated word.
+
+  The result is stored on `Langler.Audio.AudioFile` as:
+
+      %{
+        "version" => 1,
+        "sentences" => [
+          %{"start" => 0.0, "end" => 2.4, "words" => [[0.0, 0.6], [0.6, 1.1], ...]},
+          ...
+        ]
+      }
+  """
+
+  @version 1
+
+  @type segment :: %{
+          required(:text) => String.t(),
+          required(:duration) => number(),
+          optional(:timepoints) => [%{offset: non_neg_integer(), time: number()}]
+        }
+
+  @type t :: %{String.t() => term()}
+
+  @doc """
+  Builds alignment data for `sentences` from the synthesized `segments`.
+
+  `segments` are the chunks sent to the TTS adapter, in order, with their
+  audio duration in seconds. Optional `:timepoints` give a byte offset within
+  the segment text and the second at which it was spoken.
+
+  `sentences` are the article sentences (anything with a `:content` field)
+  in display order. Returns `nil` when there is nothing to align.
+  """
+  @spec build([segment()], [%{content: String.t()}]) :: t() | nil
+  def build([], _sentences), do: nil
+  def build(_segments, []), do: nil
+
+  def build(segments, sentences) when is_list(segments) and is_list(sentences) do
+    spoken_text = Enum.map_join(segments, "", & &1.text)
+    anchors = build_anchors(segments)
+
+    {timings, _cursor} =
+      Enum.map_reduce(sentences, 0, fn sentence, cursor ->
+        content = sentence.content || ""
+        {start_offset, end_offset} = locate(spoken_text, content, cursor)
+
+        timing = %{
+          "start" => time_at(anchors, start_offset),
+          "end" => time_at(anchors, end_offset),
+          "words" => word_timings(content, start_offset, anchors)
+        }
+
+        {timing, end_offset}
+      end)
+
+    %{"version" => @version, "sentences" => timings}
+  end
+
+  @doc """
+  Splits sentence content into the words that carry timings.
+
+  The subtitles view uses this to render one element per word so that word
+  indexes line up with the `"words"` entries of the alignment.
+  """
+  @spec words(String.t() | nil) :: [String.t()]
+  def words(nil), do: []
+  def words(content) when is_binary(content), do: String.split(content, ~r/\s+/u, trim: true)
+
+  @doc """
+  Returns the per-sentence timings from stored alignment data when they match
+  the given sentence count, or an empty list otherwise.
+  """
+  @spec sentence_timings(t() | nil, non_neg_integer()) :: [map()]
+  def sentence_timings(%{"sentences" => timings}, sentence_count)
+      when is_list(timings) and length(timings) == sentence_count,
+      do: timings
+
+  def sentence_timings(_alignment, _sentence_count), do: []
+
+  # Anchors are {byte_offset, seconds} pairs across the whole spoken text
+  defp build_anchors(segments) do
+    {anchors, _offset, _time} =
+      Enum.reduce(segments, {[{0, 0.0}], 0, 0.0}, fn segment, {acc, offset, time} ->
+        size = byte_size(segment.text)
+        duration = segment.duration * 1.0
+
+        timepoints =
+          segment
+          |> Map.get(:timepoints, [])
+          |> Enum.filter(&(&1.offset > 0 and &1.offset < size))
+          |> Enum.sort_by(& &1.offset)
+          |> Enum.map(&{offset + &1.offset, time + &1.time})
+
+        {[{offset + size, time + duration} | Enum.reverse(timepoints)] ++ acc, offset + size,
+         time + duration}
+      end)
+
+    anchors
+    |> Enum.reverse()
+    |> Enum.uniq_by(&elem(&1, 0))
+  end
+
+  defp locate(_spoken_text, "", cursor), do: {cursor, cursor}
+
+  defp locate(spoken_text, content, cursor) do
+    scope = {cursor, byte_size(spoken_text) - cursor}
+
+    case :binary.match(spoken_text, content, scope: scope) do
+      {start, length} ->
+        {start, start + length}
+
+      :nomatch ->
+        # Sentence text was normalized differently; assume it follows directly
+        end_offset = min(cursor + byte_size(content), byte_size(spoken_text))
+        {cursor, end_offset}
+    end
+  end
+
+  defp word_timings(content, sentence_offset, anchors) do
+    ~r/\S+/u
+    |> Regex.scan(content, return: :index)
+    |> Enum.map(fn [{start, length}] ->
+      [
+        time_at(anchors, sentence_offset + start),
+        time_at(anchors, sentence_offset + start + length)
+      ]
+    end)
+  end
+
+  defp time_at(anchors, offset) do
+    anchors
+    |> Enum.chunk_every(2, 1, :discard)
+    |> Enum.find(fn [{from, _}, {to, _}] -> offset >= from and offset <= to end)
+    |> case do
+      [{from, from_time}, {to, to_time}] when to > from ->
+        from_time + (to_time - from_time) * (offset - from) / (to - from)
+
+      [{_from, from_time}, _] ->
+        from_time
+
+      nil ->
+        anchors |> List.last() |> elem(1)
+    end
+    |> Float.round(3)
+  end
+end
@@ -0,0 +1,142 @@
+defmodule Langler.TTS.Pauses do
+  @moduledoc """
+  Measures where sentences start and end in synthesized speech.
+
+  Gemini-TTS has no SSML `<mark>` support, so there are no timepoints to ask
+  for. Instead the pauses in the returned PCM audio are detected and matched,
+  in order, to the sentence boundaries of the text. Each matched boundary
+  gives two timepoints: the end of the sentence at the start of the pause
+  and the start of the next sentence where speech resumes.
+
+  Boundaries without a fitting pause get no timepoints, so
+  `Langler.TTS.Alignment` only interpolates across them.
+  """
+
+  @frame_ms 20
+  @min_pause_ms 180
+  # A frame is silent below this share of the loud (90th percentile) level
+  @silence_share 0.1
+  @min_silence_level 50
+  # How far (in seconds) a pause may be from the interpolated estimate
+  @min_window 1.5
+  @window_share 0.15
+
+  @boundary_regex ~r/[.!?…][\"'»”)\]]*(\s+)(?=\S)|\n(\s*)(?=\S)/u
+
+  @type timepoint :: %{offset: non_neg_integer(), time: float()}
+
+  @doc """
+  Returns timepoints for the sentence boundaries of `text` spoken in
+  `pcm` (16-bit little-endian mono samples at `sample_rate`), sorted by byte
+  offset within `text`.
+  """
+  @spec timepoints(String.t(), binary(), pos_integer()) :: [timepoint()]
+  def timepoints(text, pcm, sample_rate)
+      when is_binary(text) and is_binary(pcm) and is_integer(sample_rate) and sample_rate > 0 do
+    frame_bytes = div(sample_rate * @frame_ms, 1000) * 2
+    levels = frame_levels(pcm, frame_bytes)
+    duration = byte_size(pcm) / (sample_rate * 2)
+
+    match(boundaries(text), pauses(levels), byte_size(text), duration)
+  end
+
+  # {sentence_end, next_start} byte offsets, the whitespace between them
+  # being where the pause falls
+  defp boundaries(text) do
+    @boundary_regex
+    |> Regex.scan(text, return: :index)
+    |> Enum.map(fn [{start, length} | _groups] ->
+      next_start = start + length
+      {whitespace_start(text, start, next_start), next_start}
+    end)
+    |> Enum.uniq_by(&elem(&1, 1))
+  end
+
+  defp whitespace_start(text, from, to) do
+    text
+    |> binary_part(from, to - from)
+    |> String.trim_trailing()
+    |> byte_size()
+    |> Kernel.+(from)
+  end
+
+  # Mean absolute amplitude of each frame
+  defp frame_levels(pcm, frame_bytes) do
+    for <<frame::binary-size(frame_bytes) <- pcm>> do
+      sum =
+        for <<sample::little-signed-16 <- frame>>, reduce: 0 do
+          acc -> acc + abs(sample)
+        end
+
+      sum / div(frame_bytes, 2)
+    end
+  end
+
+  # {start, end} seconds of the silent runs between stretches of speech
+  defp pauses([]), do: []
+
+  defp pauses(levels) do
+    threshold = max(percentile(levels, 0.9) * @silence_share, @min_silence_level)
+    min_frames = div(@min_pause_ms, @frame_ms)
+    last_frame = length(levels) - 1
+
+    levels
+    |> Enum.with_index()
+    |> Enum.chunk_by(fn {level, _index} -> level < threshold end)
+    |> Enum.filter(fn [{level, _index} | _] = run ->
+      level < threshold and length(run) >= min_frames
+    end)
+    |> Enum.map(fn run -> {run |> hd() |> elem(1), run |> List.last() |> elem(1)} end)
+    # Silence before the first or after the last word separates no sentences
+    |> Enum.reject(fn {first, last} -> first == 0 or last == last_frame end)
+    |> Enum.map(fn {first, last} -> {first * @frame_ms / 1000, (last + 1) * @frame_ms / 1000} end)
+  end
+
+  defp percentile(values, share) do
+    sorted = Enum.sort(values)
+    Enum.at(sorted, min(round(share * length(sorted)), length(sorted) - 1))
+  end
+
+  # Walks the boundaries in order, estimating each one's time from the last
+  # matched pause, and takes the pause that best fits the estimate. Longer
+  # pauses win over closer ones, as sentence breaks pause longer than commas.
+  defp match(boundaries, pauses, size, duration) do
+    {timepoints, _state} =
+      Enum.reduce(boundaries, {[], {0, 0.0, pauses}}, fn boundary, {acc, state} ->
+        case match_boundary(boundary, state, size, duration) do
+          nil -> {acc, state}
+          {points, state} -> {Enum.reverse(points) ++ acc, state}
+        end
+      end)
+
+    Enum.reverse(timepoints)
+  end
+
+  defp match_boundary(boundary, {from_offset, from_time, pauses}, size, duration) do
+    {sentence_end, next_start} = boundary
+    remaining = duration - from_time
+    estimate = from_time + remaining * (next_start - from_offset) / max(size - from_offset, 1)
+    window = max(@min_window, remaining * @window_share)
+
+    pauses
+    |> Enum.filter(fn {_start, stop} -> abs(stop - estimate) <= window end)
+    |> Enum.min_by(
+      fn {start, stop} -> abs(stop - estimate) - 2 * (stop - start) end,
+      &<=/2,
+      fn -> nil end
+    )
+    |> case do
+      nil ->
+        nil
+
+      {start, stop} = pause ->
+        points = [
+          %{offset: sentence_end, time: Float.round(start, 3)},
+          %{offset: next_start, time: Float.round(stop, 3)}
+        ]
+
+        later = pauses |> Enum.drop_while(&(&1 != pause)) |> tl()
+        {points, {next_start, stop, later}}
+    end
+  end
+end
@@ -9,6 +9,7 @@ defmodule Langler.TTS.Service do
   alias Langler.Chat.Encryption
   alias Langler.Content
   alias Langler.TTS.Adapters.VertexAI
+  alias Langler.TTS.Alignment
 
   @doc """
   Generates or retrieves audio for an article.
@@ -42,10 +43,26 @@ defmodule Langler.TTS.Service do
     end
   end
 
+  @doc """
+  Generates audio for a short text, such as a chat reply, without storing it.
+  Returns the WAV binary.
+  """
+  @spec synthesize(integer(), String.t(), String.t()) :: {:ok, binary()} | {:error, term()}
+  def synthesize(user_id, text, language) when is_integer(user_id) and is_binary(text) do
+    if String.trim(text) == "" do
+      {:error, :empty_text}
+    else
+      with {:ok, config} <- get_tts_config(user_id, language),
+           {:ok, audio_binary, _segments} <- generate_audio_chunked(text, config) do
+        {:ok, audio_binary}
+      end
+    end
+  end
+
   defp do_generate_audio(user_id, article_id, _audio_file) do
     with {:ok, article} <- get_article(article_id),
          {:ok, config} <- get_tts_config(user_id, article.language),
-         {:ok, audio_binary} <- generate_audio_chunked(article.content, config),
+         {:ok, audio_binary, segments} <- generate_audio_chunked(article.content, config),
          {:ok, file_path} <- store_audio(user_id, article_id, audio_binary),
          {:ok, _} <-
            Audio.mark_ready(
@@ -53,7 +70,8 @@ defmodule Langler.TTS.Service do
              article_id,
              file_path,
              byte_size(audio_binary),
-             estimate_duration(audio_binary)
+             estimate_duration(audio_binary),
+             build_alignment(article, segments)
            ) do
       audio_file = Audio.get_audio_file(user_id, article_id)
 
@@ -81,7 +99,8 @@ defmodule Langler.TTS.Service do
   end
 
   # Chunk text into pieces under 3500 bytes (safety margin for 4000 byte limit)
-  # and generate audio for each chunk, then concatenate
+  # and generate audio for each chunk, then concatenate.
+  # Also returns the text and duration of each chunk for subtitle alignment.
   defp generate_audio_chunked(text, config) do
     require Logger
     text_bytes = byte_size(text)
@@ -89,7 +108,7 @@ defmodule Langler.TTS.Service do
     if text_bytes <= 3500 do
       # Small enough, generate directly
       case call_adapter(text, config) do
-        {:ok, audio_data} -> {:ok, audio_data.audio_binary}
+        {:ok, audio_data} -> {:ok, audio_data.audio_binary, [build_segment(text, audio_data)]}
         error -> error
       end
     else
@@ -114,7 +133,7 @@ defmodule Langler.TTS.Service do
       chunk_results = generate_chunk_audio(chunks, config)
 
       # Check for errors and concatenate
-      process_chunk_results(chunk_results)
+      process_chunk_results(chunks, chunk_results)
     end
   end
 
@@ -191,7 +210,7 @@ defmodule Langler.TTS.Service do
     end)
   end
 
-  defp process_chunk_results(chunk_results) do
+  defp process_chunk_results(chunks, chunk_results) do
     require Logger
 
     case Enum.find(chunk_results, fn result -> match?({:error, _}, result) end) do
@@ -204,12 +223,17 @@ defmodule Langler.TTS.Service do
         audio_chunks =
           Enum.map(chunk_results, fn {:ok, audio_data} -> audio_data.audio_binary end)
 
+        segments =
+          Enum.zip_with(chunks, chunk_results, fn chunk, {:ok, audio_data} ->
+            build_segment(chunk, audio_data)
+          end)
+
         # Concatenate WAV files
         case concatenate_wav_files(audio_chunks) do
           {:ok, combined_audio} ->
             chunk_count = length(audio_chunks)
             Logger.info("TTS: Successfully concatenated #{chunk_count} audio chunks")
-            {:ok, combined_audio}
+            {:ok, combined_audio, segments}
 
           {:error, _reason} = error ->
             Logger.error("TTS: Failed to concatenate audio chunks: #{inspect(error)}")
@@ -406,6 +430,30 @@ defmodule Langler.TTS.Service do
     header <> pcm_data
   end
 
+  defp build_segment(text, audio_data) do
+    %{
+      text: text,
+      duration: wav_duration(audio_data.audio_binary),
+      timepoints: Map.get(audio_data.metadata, :timepoints, [])
+    }
+  end
+
+  # Exact duration of a PCM WAV file, derived from its data chunk size
+  defp wav_duration(wav_data) do
+    case find_data_chunk(wav_data) do
+      {:ok, pcm_data, sample_rate, channels, bits_per_sample} ->
+        byte_size(pcm_data) / (sample_rate * channels * div(bits_per_sample, 8))
+
+      _ ->
+        0.0
+    end
+  end
+
+  defp build_alignment(article, segments) do
+    sentences = Content.list_sentences(article)
+    Alignment.build(segments, sentences)
+  end
+
   defp get_tts_config(user_id, article_language) do
     case TtsConfig.get_default_config(user_id) do
       nil ->
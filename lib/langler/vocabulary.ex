@@ -8,11 +8,13 @@ defmodule Langler.Vocabulary do
 
   import Ecto.Query, warn: false
   alias Langler.Accounts.GoogleTranslateConfig
+  alias Langler.Content.ArticleUser
   alias Langler.External.Dictionary
+  alias Langler.External.Dictionary.Wiktionary.Conjugations
   alias Langler.Repo
   alias Langler.Study
   alias Langler.Study.FSRSItem
-  alias Langler.Vocabulary.{Deck, DeckWord, Word, WordOccurrence}
+  alias Langler.Vocabulary.{Deck, DeckCsv, DeckWord, Word, WordOccurrence}
 
   def normalize_form(nil), do: nil
 
@@ -94,6 +96,48 @@ defmodule Langler.Vocabulary do
     |> Repo.update()
   end
 
+  @doc """
+  Returns the word's conjugations, fetching them from Wiktionary (by lemma)
+  and storing them on the word the first time they are needed.
+  """
+  def ensure_word_conjugations(%Word{conjugations: conjugations} = word)
+      when is_map(conjugations) and map_size(conjugations) > 0 do
+    {:ok, word}
+  end
+
+  def ensure_word_conjugations(%Word{} = word) do
+    lemma = word.lemma || word.normalized_form
+
+    with true <- is_binary(lemma) and lemma != "",
+         {:ok, conjugations} <- Conjugations.fetch_conjugations(lemma, word.language) do
+      update_word_conjugations(word, conjugations)
+    else
+      false -> {:error, :no_lemma}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  @doc """
+  Lists the spellings a word can appear as: its lemma, its normalized form
+  and every stored conjugated form.
+  """
+  def inflected_forms(%Word{} = word) do
+    conjugated =
+      (word.conjugations || %{})
+      |> Map.values()
+      |> Enum.flat_map(&nested_forms/1)
+
+    [word.lemma, word.normalized_form | conjugated]
+    |> Enum.filter(&(is_binary(&1) and &1 != ""))
+    |> Enum.uniq()
+  end
+
+  defp nested_forms(value) when is_map(value),
+    do: value |> Map.values() |> Enum.flat_map(&nested_forms/1)
+
+  defp nested_forms(value) when is_binary(value), do: [value]
+  defp nested_forms(_value), do: []
+
   defp maybe_update_word_data(word, definitions, translation)
        when definitions in [nil, []] or definitions == word.definitions do
     # If translation is provided and different, update it
@@ -148,6 +192,42 @@ defmodule Langler.Vocabulary do
     |> Repo.preload(:word)
   end
 
+  @doc """
+  Returns the most recent sentences each word was seen in, keyed by word id.
+
+  Only sentences from the user's own articles are returned, as words and
+  their occurrences are shared between users. Used to build cloze cards. At
+  most `limit` sentences are returned per word, newest first.
+  """
+  def list_context_sentences(user_id, word_ids, limit \\ 5)
+  def list_context_sentences(_user_id, [], _limit), do: %{}
+
+  def list_context_sentences(user_id, word_ids, limit) when is_list(word_ids) do
+    ranked =
+      WordOccurrence
+      |> join(:inner, [o], s in assoc(o, :sentence))
+      |> join(:inner, [_o, s], au in ArticleUser, on: au.article_id == s.article_id)
+      |> where([o, _s, au], o.word_id in ^word_ids and au.user_id == ^user_id)
+      |> group_by([o, s], [o.word_id, s.content])
+      |> select([o, s], %{
+        word_id: o.word_id,
+        content: s.content,
+        rank:
+          over(row_number(),
+            partition_by: o.word_id,
+            order_by: [desc: max(o.inserted_at), desc: max(o.id)]
+          )
+      })
+
+    from(r in subquery(ranked),
+      where: r.rank <= ^limit,
+      order_by: [asc: r.word_id, asc: r.rank],
+      select: {r.word_id, r.content}
+    )
+    |> Repo.all()
+    |> Enum.group_by(&elem(&1, 0), &elem(&1, 1))
+  end
+
   ## Deck Management
 
   @doc """
@@ -496,11 +576,17 @@ defmodule Langler.Vocabulary do
   end
 
   @doc """
-  Imports words from a CSV string into a deck.
-
-  CSV format can be:
-  - Single column: word
-  - Two columns: word, language
+  Imports words from a CSV or TSV string into a deck.
+
+  Content can be:
+  - A deck export (see `Langler.Vocabulary.DeckCsv`): a header row followed by
+    word, language, lemma, part of speech, translation, definitions and FSRS
+    columns. New words are created from the exported data without a dictionary
+    lookup, and the FSRS state is restored when the user has no study item for
+    the word yet. The context column is informational and not imported.
+  - Headerless rows of `word`, `word, language` or `word, translation` (the
+    Quizlet export layout). Pass `columns:` to map the columns explicitly
+    (see `Langler.Vocabulary.DeckCsv.parse/2`).
 
   Uses user's active language if not specified in CSV.
   """
@@ -509,36 +595,8 @@ defmodule Langler.Vocabulary do
     active_language = Langler.Accounts.get_active_language(user_id) || "es"
     default_language = Keyword.get(opts, :default_language, active_language)
 
-    {:ok, rows} = parse_csv(csv_content)
-    import_words_from_rows(rows, deck_id, user_id, default_language)
-  end
-
-  defp parse_csv(content) when is_binary(content) do
-    rows =
-      content
-      |> String.trim()
-      |> String.split(~r/\r?\n/)
-      |> Enum.map(&String.trim/1)
-      |> Enum.reject(&(&1 == ""))
-      |> Enum.map(&parse_csv_line/1)
-
-    {:ok, rows}
-  end
-
-  defp parse_csv_line(line) do
-    # Simple CSV parsing - split by comma
-    # For more complex cases, we could use nimble_csv, but this handles basic cases
-    case String.split(line, ",") do
-      [word] ->
-        {String.trim(word), nil}
-
-      [word, language] ->
-        {String.trim(word), String.trim(language)}
-
-      parts when length(parts) > 2 ->
-        # Take first two columns, ignore rest
-        [word, language | _] = parts
-        {String.trim(word), String.trim(language)}
+    with {:ok, rows} <- DeckCsv.parse(csv_content, columns: Keyword.get(opts, :columns)) do
+      import_words_from_rows(rows, deck_id, user_id, default_language)
     end
   end
 
@@ -550,9 +608,8 @@ defmodule Langler.Vocabulary do
 
       _deck ->
         results =
-          rows
-          |> Enum.map(fn {word_text, language} ->
-            process_csv_row(word_text, language || default_language, deck_id, user_id)
+          Enum.map(rows, fn row ->
+            import_row(row, Map.get(row, "language", default_language), deck_id, user_id)
           end)
 
         successful = Enum.count(results, fn r -> match?({:ok, _}, r) end)
@@ -562,26 +619,88 @@ defmodule Langler.Vocabulary do
     end
   end
 
-  defp process_csv_row(word_text, language, deck_id, user_id) do
-    word_text = String.trim(word_text)
+  defp import_row(%{"word" => word_text} = row, language, deck_id, user_id) do
+    with {:ok, word} <- get_or_create_word_from_row(row, word_text, language, user_id),
+         {:ok, _deck_word} <- add_word_to_deck(deck_id, word.id, user_id),
+         {:ok, _item} <- schedule_imported_item(row, user_id, word.id) do
+      {:ok, word}
+    else
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  @exported_word_columns ~w(lemma part_of_speech type translation definitions)
+
+  defp get_or_create_word_from_row(row, word_text, language, user_id) do
+    if Enum.any?(@exported_word_columns, &Map.has_key?(row, &1)) do
+      normalized = normalize_form(word_text)
+
+      case get_word_by_normalized_form(normalized, language) do
+        nil ->
+          create_word(%{
+            normalized_form: normalized,
+            language: language,
+            lemma: row["lemma"],
+            part_of_speech: row["part_of_speech"],
+            type: row["type"] || "word",
+            translation: row["translation"],
+            definitions: split_lines(row["definitions"])
+          })
 
-    if word_text == "" do
-      {:error, :empty_word}
+        word ->
+          {:ok, word}
+      end
     else
-      import_single_word(word_text, language, deck_id, user_id)
+      get_or_create_word_from_text(word_text, language, user_id)
     end
   end
 
-  defp import_single_word(word_text, language, deck_id, user_id) do
-    with {:ok, word} <- get_or_create_word_from_text(word_text, language, user_id),
-         {:ok, _deck_word} <- add_word_to_deck(deck_id, word.id, user_id),
-         {:ok, _item} <- Study.schedule_new_item(user_id, word.id) do
-      {:ok, word}
+  @fsrs_columns %{
+    "fsrs_state" => :state,
+    "fsrs_step" => :step,
+    "fsrs_due_date" => :due_date,
+    "fsrs_interval" => :interval,
+    "fsrs_stability" => :stability,
+    "fsrs_difficulty" => :difficulty,
+    "fsrs_retrievability" => :retrievability,
+    "fsrs_ease_factor" => :ease_factor,
+    "fsrs_repetitions" => :repetitions,
+    "fsrs_last_reviewed_at" => :last_reviewed_at,
+    "fsrs_quality_history" => :quality_history
+  }
+
+  defp schedule_imported_item(row, user_id, word_id) do
+    attrs =
+      for {column, field} <- @fsrs_columns, Map.has_key?(row, column), into: %{} do
+        {field, fsrs_value(field, row[column])}
+      end
+
+    if attrs == %{} do
+      Study.schedule_new_item(user_id, word_id)
     else
-      {:error, reason} -> {:error, reason}
+      restore_item(attrs, user_id, word_id)
     end
   end
 
+  # An existing study item is the user's live progress, so it wins over the file.
+  defp restore_item(attrs, user_id, word_id) do
+    case Study.get_item_by_user_and_word(user_id, word_id) do
+      nil ->
+        attrs
+        |> Map.merge(%{user_id: user_id, word_id: word_id})
+        |> Study.create_item()
+
+      item ->
+        {:ok, item}
+    end
+  end
+
+  defp fsrs_value(:quality_history, value), do: String.split(value)
+  defp fsrs_value(_field, value), do: value
+
+  defp split_lines(nil), do: []
+  defp split_lines(value), do: String.split(value, ~r/\r?\n/, trim: true)
+
   defp get_or_create_word_from_text(word_text, language, user_id) do
     normalized = normalize_form(word_text)
 
@@ -0,0 +1,478 @@
+defmodule Langler.Vocabulary.AnkiImport do
+  @moduledoc """
+  Imports Anki collections, as read by `Langler.Vocabulary.AnkiPackage.read/1`.
+
+  Each note type is mapped to a target (`"word"`, `"custom_card"` or `"skip"`)
+  and each of its fields to a role: `word`, `translation` or `definitions` for
+  words, `front` or `back` for custom cards, or `ignore`. Every Anki deck that
+  holds imported cards becomes a Langler deck of the same name.
+
+  Scheduling comes from the note's most reviewed card. Its review log is
+  replayed through FSRS, and the card keeps the due date Anki gave it. Cards
+  whose history wasn't exported get an FSRS state estimated from their
+  interval and ease.
+  """
+
+  alias Langler.Repo
+  alias Langler.Study
+  alias Langler.Vocabulary
+  alias Langler.Vocabulary.{Deck, Decks}
+
+  @roles %{
+    "word" => ~w(word translation definitions ignore),
+    "custom_card" => ~w(front back ignore),
+    "skip" => ~w(ignore)
+  }
+
+  # Anki's answer buttons; ease 0 marks a manual reschedule, not a review
+  @ratings %{1 => :again, 2 => :hard, 3 => :good, 4 => :easy}
+
+  # Roles given to the first fields when a note type switches target
+  @primary_roles %{"word" => ~w(word translation), "custom_card" => ~w(front back), "skip" => []}
+
+  @field_separator "\x1f"
+  @sample_count 3
+  @seconds_per_day 86_400
+
+  @doc """
+  Returns the note type targets, in display order.
+  """
+  def targets, do: ~w(word custom_card skip)
+
+  @doc """
+  Returns the field roles available for a note type target.
+  """
+  def roles(target), do: Map.get(@roles, target, ["ignore"])
+
+  @doc """
+  Summarises a collection for the import preview.
+
+  Returns the note types in use, each with its fields (name and a few sample
+  values), note count and suggested mapping (see `default_mapping/1`), and
+  the decks holding cards, with their card counts.
+  """
+  def preview(collection) do
+    notes_by_type = Enum.group_by(collection["notes"], &to_string(&1["mid"]))
+    mapping = default_mapping(collection)
+    card_counts = Enum.frequencies_by(collection["cards"], &home_deck_id/1)
+
+    note_types =
+      for {id, model} <- collection["models"], notes = notes_by_type[id], notes != nil do
+        %{
+          id: id,
+          name: model["name"],
+          note_count: length(notes),
+          fields: preview_fields(model, notes),
+          mapping: mapping[id]
+        }
+      end
+
+    decks =
+      for {id, deck} <- collection["decks"], count = card_counts[id], count != nil do
+        %{id: id, name: deck["name"], card_count: count}
+      end
+
+    %{
+      note_types: Enum.sort_by(note_types, & &1.name),
+      decks: Enum.sort_by(decks, & &1.name),
+      review_count: length(collection["revlog"])
+    }
+  end
+
+  defp preview_fields(model, notes) do
+    Enum.map(fields(model), fn field ->
+      samples =
+        notes
+        |> Stream.map(&(&1 |> note_values() |> Enum.at(field["ord"]) |> to_text()))
+        |> Stream.reject(&(&1 == ""))
+        |> Enum.take(@sample_count)
+
+      %{ord: field["ord"], name: field["name"], samples: samples}
+    end)
+  end
+
+  @doc """
+  Suggests a mapping for every note type in the collection, keyed by note type
+  id: `%{"target" => target, "fields" => %{ord => role}}`.
+
+  Cloze note types are skipped. Otherwise notes become words, with the first
+  field as the word and fields named like a translation or definition mapped
+  to those roles; the second field is the translation when nothing else is.
+  """
+  def default_mapping(collection) do
+    Map.new(collection["models"], fn {id, model} -> {id, default_model_mapping(model)} end)
+  end
+
+  defp default_model_mapping(%{"type" => 1} = model) do
+    fields = Map.new(fields(model), &{to_string(&1["ord"]), "ignore"})
+    %{"target" => "skip", "fields" => fields}
+  end
+
+  defp default_model_mapping(model) do
+    roles =
+      model
+      |> fields()
+      |> Enum.map(fn field -> {to_string(field["ord"]), named_role(field["name"])} end)
+
+    roles =
+      case roles do
+        [{first, _role} | rest] -> [{first, "word"} | rest]
+        [] -> []
+      end
+
+    roles =
+      if Enum.any?(roles, &match?({_ord, "translation"}, &1)) do
+        roles
+      else
+        List.update_at(roles, 1, fn
+          {ord, "ignore"} -> {ord, "translation"}
+          other -> other
+        end)
+      end
+
+    %{"target" => "word", "fields" => Map.new(roles)}
+  end
+
+  @doc """
+  Switches a note type mapping to `target`. Field roles that still apply are
+  kept; otherwise the first fields get the target's main roles (word and
+  translation, or front and back) and the rest are ignored.
+  """
+  def retarget(%{"fields" => fields}, target) do
+    fields = Enum.sort_by(fields, fn {ord, _role} -> to_integer(ord) end)
+
+    fields =
+      if Enum.all?(fields, fn {_ord, role} -> role in roles(target) end) do
+        fields
+      else
+        fields
+        |> Enum.with_index()
+        |> Enum.map(fn {{ord, _role}, index} ->
+          {ord, Enum.at(@primary_roles[target], index, "ignore")}
+        end)
+      end
+
+    %{"target" => target, "fields" => Map.new(fields)}
+  end
+
+  defp named_role(name) do
+    name = String.downcase(name)
+
+    cond do
+      name =~ ~r/defin/ -> "definitions"
+      name =~ ~r/transl|meaning|english|back/ -> "translation"
+      true -> "ignore"
+    end
+  end
+
+  @doc """
+  Imports `collection` for `user_id` with `mapping` (as returned by
+  `default_mapping/1`, with string or integer field keys). Words and custom
+  cards are created in `language`.
+
+  Returns `{:ok, %{successful: n, errors: n, total: n, decks: n}}`, where
+  `total` counts the notes that weren't skipped and `decks` the Langler decks
+  they went into.
+  """
+  def import_collection(collection, user_id, mapping, language) do
+    mapping = normalize_mapping(mapping)
+
+    notes =
+      Enum.filter(collection["notes"], fn note ->
+        Map.has_key?(mapping, to_string(note["mid"]))
+      end)
+
+    cards_by_note = Enum.group_by(collection["cards"], & &1["nid"])
+
+    with {:ok, _default_deck} <- Vocabulary.get_or_create_default_deck(user_id) do
+      context = %{
+        user_id: user_id,
+        language: language,
+        crt: collection["crt"],
+        params: Study.fsrs_params_for(user_id, language),
+        reviews_by_card: Enum.group_by(collection["revlog"], & &1["cid"]),
+        decks: import_decks(collection, notes, cards_by_note, user_id, language)
+      }
+
+      results =
+        Enum.map(notes, fn note ->
+          import_note(
+            note,
+            Map.fetch!(mapping, to_string(note["mid"])),
+            Map.get(cards_by_note, note["id"], []),
+            context
+          )
+        end)
+
+      successful = Enum.count(results, &match?({:ok, _}, &1))
+
+      {:ok,
+       %{
+         successful: successful,
+         errors: length(results) - successful,
+         total: length(results),
+         decks: map_size(context.decks)
+       }}
+    end
+  end
+
+  # Drops skipped note types and roles that don't belong to the target, and
+  # turns field keys (strings in form params and job args) into ordinals.
+  defp normalize_mapping(mapping) do
+    for {id, %{"target" => target} = model_mapping} <- mapping,
+        target in ["word", "custom_card"],
+        into: %{} do
+      fields =
+        for {ord, role} <- Map.get(model_mapping, "fields", %{}),
+            role in roles(target),
+            role != "ignore",
+            into: %{} do
+          {to_integer(ord), role}
+        end
+
+      {to_string(id), %{target: target, fields: fields}}
+    end
+  end
+
+  defp to_integer(value) when is_integer(value), do: value
+  defp to_integer(value) when is_binary(value), do: String.to_integer(value)
+
+  # One Langler deck per Anki deck holding imported cards. An existing deck
+  # with the same name is reused rather than duplicated.
+  defp import_decks(collection, notes, cards_by_note, user_id, language) do
+    notes
+    |> Enum.flat_map(&Map.get(cards_by_note, &1["id"], []))
+    |> Enum.map(&home_deck_id/1)
+    |> Enum.uniq()
+    |> Enum.reduce(%{}, fn anki_deck_id, decks ->
+      name = get_in(collection, ["decks", anki_deck_id, "name"]) || "Anki"
+
+      case find_or_create_deck(user_id, String.slice(name, 0, 255), language) do
+        {:ok, deck} -> Map.put(decks, anki_deck_id, deck.id)
+        {:error, _reason} -> decks
+      end
+    end)
+  end
+
+  defp find_or_create_deck(user_id, name, language) do
+    case Repo.get_by(Deck, user_id: user_id, name: name) do
+      nil -> Vocabulary.create_deck(user_id, %{name: name, language: language})
+      deck -> {:ok, deck}
+    end
+  end
+
+  defp import_note(note, mapping, cards, context) do
+    values = note |> note_values() |> Enum.map(&to_text/1)
+
+    deck_ids =
+      cards
+      |> Enum.map(&Map.get(context.decks, home_deck_id(&1)))
+      |> Enum.reject(&is_nil/1)
+      |> Enum.uniq()
+
+    card = Enum.max_by(cards, & &1["reps"], fn -> nil end)
+
+    case mapping.target do
+      "word" -> import_word(values, mapping.fields, deck_ids, card, context)
+      "custom_card" -> import_custom_card(values, mapping.fields, deck_ids, card, context)
+    end
+  end
+
+  defp import_word(values, fields, deck_ids, card, context) do
+    with {:ok, word} <- get_or_create_word(values, fields, context),
+         :ok <- add_word_to_decks(word, deck_ids, context.user_id),
+         {:ok, _item} <- schedule_word(word, card, context) do
+      {:ok, word}
+    end
+  end
+
+  defp get_or_create_word(values, fields, context) do
+    case role_values(values, fields, "word") do
+      [text | _] ->
+        normalized = Vocabulary.normalize_form(text)
+
+        case Vocabulary.get_word_by_normalized_form(normalized, context.language) do
+          nil ->
+            Vocabulary.create_word(%{
+              normalized_form: normalized,
+              language: context.language,
+              translation: values |> role_values(fields, "translation") |> join("; "),
+              definitions:
+                values
+                |> role_values(fields, "definitions")
+                |> Enum.flat_map(&String.split(&1, "\n", trim: true))
+            })
+
+          word ->
+            {:ok, word}
+        end
+
+      [] ->
+        {:error, :missing_word}
+    end
+  end
+
+  defp add_word_to_decks(word, deck_ids, user_id) do
+    Enum.reduce_while(deck_ids, :ok, fn deck_id, :ok ->
+      case Vocabulary.add_word_to_deck(deck_id, word.id, user_id) do
+        {:ok, _deck_word} -> {:cont, :ok}
+        {:error, reason} -> {:halt, {:error, reason}}
+      end
+    end)
+  end
+
+  # Like CSV imports, a word the user already studies keeps its live progress.
+  defp schedule_word(word, card, context) do
+    case Study.get_item_by_user_and_word(context.user_id, word.id) do
+      nil -> schedule_item(%{word_id: word.id}, card, context)
+      item -> {:ok, item}
+    end
+  end
+
+  defp import_custom_card(values, fields, deck_ids, card, context) do
+    attrs = %{
+      front: values |> role_values(fields, "front") |> join("\n"),
+      back: values |> role_values(fields, "back") |> join("\n"),
+      language: context.language
+    }
+
+    with {:ok, custom_card} <-
+           Decks.add_new_custom_card_to_decks(context.user_id, attrs, deck_ids),
+         {:ok, _item} <- schedule_item(%{custom_card_id: custom_card.id}, card, context) do
+      {:ok, custom_card}
+    end
+  end
+
+  defp schedule_item(owner, card, context) do
+    new_item =
+      Map.merge(owner, %{
+        user_id: context.user_id,
+        due_date: DateTime.utc_now(),
+        state: "learning",
+        step: 0,
+        repetitions: 0
+      })
+
+    reviews = card_reviews(card, context)
+
+    cond do
+      is_nil(card) or card["type"] == 0 ->
+        Study.create_item(new_item)
+
+      reviews == [] ->
+        owner
+        |> Map.merge(%{user_id: context.user_id})
+        |> Map.merge(estimated_state(card, context.crt))
+        |> Study.create_item()
+
+      true ->
+        with {:ok, item} <- Study.create_item(new_item) do
+          Study.replay_history(item, reviews,
+            params: context.params,
+            schedule: anki_schedule(card, context.crt)
+          )
+        end
+    end
+  end
+
+  defp card_reviews(nil, _context), do: []
+
+  defp card_reviews(card, context) do
+    for review <- Map.get(context.reviews_by_card, card["id"], []),
+        rating = @ratings[review["ease"]],
+        rating != nil do
+      %{
+        rating: rating,
+        reviewed_at: DateTime.from_unix!(review["id"], :millisecond),
+        time_to_rate_ms: review["time"]
+      }
+    end
+  end
+
+  # Keep the due date (and for review cards the interval) Anki had assigned,
+  # so importing doesn't reshuffle the learner's upcoming reviews.
+  defp anki_schedule(%{"type" => 2} = card, crt) do
+    %{due_date: anki_due(card, crt), interval: card["ivl"]}
+  end
+
+  defp anki_schedule(card, crt), do: %{due_date: anki_due(card, crt)}
+
+  # Anki has no FSRS state for these cards, so derive one: the interval stands
+  # in for stability and the ease factor (1.3-3.7, default 2.5) for difficulty.
+  defp estimated_state(card, crt) do
+    ease = if card["factor"] > 0, do: card["factor"] / 1000, else: 2.5
+    interval = max(card["ivl"], 0)
+
+    state =
+      case card["type"] do
+        2 -> "review"
+        3 -> "relearning"
+        _ -> "learning"
+      end
+
+    %{
+      state: state,
+      step: if(state == "learning", do: 0),
+      interval: interval,
+      stability: if(state != "learning", do: max(interval, 1) * 1.0),
+      difficulty: (5 + (2.5 - ease) * 5 / 1.2) |> max(1.0) |> min(10.0),
+      ease_factor: ease,
+      repetitions: card["reps"],
+      due_date: anki_due(card, crt)
+    }
+  end
+
+  # Learning cards are due at a unix timestamp; review and day-learning cards
+  # (queue 3) on a day counted from the collection's creation. Cards in a
+  # filtered deck keep their real due date in odue.
+  defp anki_due(card, crt) do
+    due =
+      if Map.get(card, "odid", 0) != 0 and Map.get(card, "odue", 0) != 0,
+        do: card["odue"],
+        else: card["due"]
+
+    if card["type"] in [1, 3] and card["queue"] != 3 do
+      DateTime.from_unix!(due)
+    else
+      DateTime.from_unix!(crt + due * @seconds_per_day)
+    end
+  end
+
+  defp home_deck_id(card) do
+    case Map.get(card, "odid", 0) do
+      0 -> to_string(card["did"])
+      odid -> to_string(odid)
+    end
+  end
+
+  defp fields(model), do: Enum.sort_by(model["flds"] || [], & &1["ord"])
+
+  defp note_values(note), do: String.split(note["flds"], @field_separator)
+
+  defp role_values(values, fields, role) do
+    fields
+    |> Enum.filter(fn {_ord, field_role} -> field_role == role end)
+    |> Enum.sort()
+    |> Enum.map(fn {ord, _role} -> Enum.at(values, ord) || "" end)
+    |> Enum.reject(&(&1 == ""))
+  end
+
+  defp join([], _separator), do: nil
+  defp join(values, separator), do: Enum.join(values, separator)
+
+  # Field contents are HTML with embedded [sound:...] tags; keep the text and
+  # turn line breaks and block ends into newlines.
+  defp to_text(nil), do: ""
+
+  defp to_text(html) do
+    html =
+      html
+      |> String.replace(~r/\[sound:[^\]]*\]/, "")
+      |> String.replace(~r/<br\s*\/?>|<\/(div|p|li)>/i, "\n")
+
+    case Floki.parse_fragment(html) do
+      {:ok, tree} -> tree |> Floki.text() |> String.replace("\u00A0", " ") |> String.trim()
+      {:error, _reason} -> String.trim(html)
+    end
+  end
+end
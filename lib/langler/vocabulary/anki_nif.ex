@@ -0,0 +1,46 @@
+defmodule Langler.Vocabulary.AnkiNif do
+  @moduledoc """
+  Rust NIF wrapper for reading and writing Anki collection databases (SQLite).
+  """
+
+  # Only use Rustler if cargo is available
+  if System.find_executable("cargo") do
+    use Rustler,
+      otp_app: :langler,
+      crate: "anki_nif",
+      path: "native/anki_nif",
+      mode: if(Mix.env() == :prod, do: :release, else: :debug)
+
+    # When the NIF is loaded, this will be replaced by the actual NIF function
+    def write_collection(_path, _collection_json), do: :erlang.nif_error(:nif_not_loaded)
+    def read_collection(_path), do: :erlang.nif_error(:nif_not_loaded)
+  else
+    # Fallback when cargo is not available
+    @on_load :load_nif
+    require Logger
+
+    def load_nif do
+      nif_path = :code.priv_dir(:langler) |> Path.join("native/libanki_nif")
+      # On macOS, NIFs are .dylib, on Linux it's .so
+      lib_path =
+        case :os.type() do
+          {:unix, :darwin} -> nif_path <> ".dylib"
+          _ -> nif_path <> ".so"
+        end
+
+      case :erlang.load_nif(String.to_charlist(nif_path), 0) do
+        :ok ->
+          Logger.info("[AnkiNif] Successfully loaded NIF from #{lib_path}")
+          :ok
+
+        {:error, reason} ->
+          Logger.warning("[AnkiNif] Failed to load NIF from #{lib_path}: #{inspect(reason)}")
+
+          :ok
+      end
+    end
+
+    def write_collection(_path, _collection_json), do: {:error, :nif_not_loaded}
+    def read_collection(_path), do: {:error, :nif_not_loaded}
+  end
+end
@@ -0,0 +1,333 @@
+defmodule Langler.Vocabulary.AnkiPackage do
+  @moduledoc """
+  Builds Anki `.apkg` packages for deck exports and reads them for imports.
+
+  A package is a zip holding a `collection.anki2` SQLite database (written and
+  read by `Langler.Vocabulary.AnkiNif`) and a `media` manifest. Notes use the
+  "Langler Vocabulary" note type, whose Audio field holds an Anki TTS tag for
+  the word since Langler has no per-word recordings to bundle.
+  """
+
+  alias Langler.Languages
+  alias Langler.Vocabulary.AnkiNif
+
+  # Fixed so that re-importing an export updates the note type instead of
+  # cloning it; deck ids are derived from the Langler deck id for the same reason.
+  @model_id 1_714_000_000_000
+  @deck_id_base 1_714_100_000_000
+
+  @model_name "Langler Vocabulary"
+  @fields ~w(Word Translation Definitions Context Audio)
+  @field_separator "\x1f"
+
+  @css """
+  .card { font-family: arial; font-size: 20px; text-align: center; color: black; background-color: white; }
+  .word { font-size: 32px; font-weight: bold; }
+  .definitions { margin-top: 12px; font-size: 16px; }
+  .context { margin-top: 16px; font-size: 16px; font-style: italic; color: #555; }
+  """
+
+  @front_template """
+  <div class="word">{{Word}}</div>
+  {{Audio}}
+  """
+
+  @back_template """
+  {{FrontSide}}
+  <hr id=answer>
+  <div class="translation">{{Translation}}</div>
+  <div class="definitions">{{Definitions}}</div>
+  {{#Context}}<div class="context">{{Context}}</div>{{/Context}}
+  """
+
+  @doc """
+  Builds a package for `deck` from export entries (`%{word, item, context}`, as
+  produced by `Langler.Vocabulary.DeckExport`). Returns the zip as a binary.
+  """
+  def build(deck, entries, now \\ DateTime.utc_now()) do
+    path = tmp_path()
+
+    try do
+      with :ok <- AnkiNif.write_collection(path, Jason.encode!(collection(deck, entries, now))),
+           {:ok, database} <- File.read(path),
+           files = [{~c"collection.anki2", database}, {~c"media", "{}"}],
+           {:ok, {_name, package}} <- :zip.create(~c"deck.apkg", files, [:memory]) do
+        {:ok, package}
+      end
+    after
+      File.rm(path)
+    end
+  end
+
+  @doc """
+  Reads the collection inside an `.apkg` package binary.
+
+  Returns `{:ok, collection}` with the collection creation time (`"crt"`),
+  the note types (`"models"`) and decks keyed by id, and the `"notes"`,
+  `"cards"` and `"revlog"` rows. Media files are ignored.
+
+  Packages exported by recent Anki versions only carry a compressed
+  `collection.anki21b`; those return `{:error, :unsupported_anki_format}` and
+  have to be exported with "Support older Anki versions" ticked.
+  """
+  def read(package) when is_binary(package) do
+    with {:ok, files} <- unzip(package),
+         {:ok, database} <- collection_database(files) do
+      path = tmp_path()
+
+      try do
+        with :ok <- File.write(path, database),
+             {:ok, collection} <- read_database(path),
+             {:ok, models} <- Jason.decode(collection["models"]),
+             {:ok, decks} <- Jason.decode(collection["decks"]) do
+          {:ok, %{collection | "models" => models, "decks" => decks}}
+        end
+      after
+        File.rm(path)
+      end
+    end
+  end
+
+  defp unzip(package) do
+    case :zip.unzip(package, [:memory]) do
+      {:ok, files} -> {:ok, Map.new(files, fn {name, content} -> {to_string(name), content} end)}
+      {:error, _reason} -> {:error, :invalid_package}
+    end
+  end
+
+  # Legacy exports from Anki 2.1 put a placeholder collection in
+  # collection.anki2 and the real one in collection.anki21.
+  defp collection_database(%{"collection.anki21" => database}), do: {:ok, database}
+  defp collection_database(%{"collection.anki2" => database}), do: {:ok, database}
+  defp collection_database(%{"collection.anki21b" => _}), do: {:error, :unsupported_anki_format}
+  defp collection_database(_files), do: {:error, :invalid_package}
+
+  defp read_database(path) do
+    case AnkiNif.read_collection(path) do
+      json when is_binary(json) -> Jason.decode(json)
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  defp tmp_path do
+    Path.join(System.tmp_dir!(), "langler-anki-#{System.unique_integer([:positive])}")
+  end
+
+  @doc false
+  def collection(deck, entries, now) do
+    today = DateTime.to_date(now)
+    crt = today |> DateTime.new!(~T[00:00:00]) |> DateTime.to_unix()
+    mod = DateTime.to_unix(now, :millisecond)
+    deck_id = @deck_id_base + deck.id
+
+    notes =
+      entries
+      |> Enum.with_index(1)
+      |> Enum.map(fn {entry, position} -> note(entry, deck, position, mod) end)
+
+    cards =
+      entries
+      |> Enum.with_index(1)
+      |> Enum.map(fn {entry, position} -> card(entry, position, deck_id, today, mod) end)
+
+    %{
+      col: %{
+        crt: crt,
+        mod: mod,
+        conf: Jason.encode!(conf(deck_id, length(entries))),
+        models: Jason.encode!(%{to_string(@model_id) => model(deck_id, div(mod, 1000))}),
+        decks: Jason.encode!(decks(deck, deck_id, div(mod, 1000))),
+        dconf: Jason.encode!(%{"1" => deck_options()})
+      },
+      notes: notes,
+      cards: cards
+    }
+  end
+
+  defp note(%{word: word} = entry, deck, position, mod) do
+    fields = [
+      escape(word.normalized_form),
+      escape(word.translation),
+      Enum.map_join(word.definitions || [], "<br>", &escape/1),
+      escape(entry.context),
+      tts_tag(word)
+    ]
+
+    %{
+      id: mod + position,
+      guid: guid(deck, word),
+      mid: @model_id,
+      mod: div(mod, 1000),
+      tags: " langler ",
+      flds: Enum.join(fields, @field_separator),
+      sfld: word.normalized_form,
+      csum: checksum(word.normalized_form)
+    }
+  end
+
+  defp card(%{item: item}, position, deck_id, today, mod) do
+    Map.merge(
+      %{id: mod + position, nid: mod + position, did: deck_id, ord: 0, mod: div(mod, 1000)},
+      schedule(item, position, today)
+    )
+  end
+
+  # Maps the FSRS item onto Anki's scheduling columns. Anki due values are a
+  # position for new cards, a unix timestamp for (re)learning cards and a day
+  # number relative to the collection creation date for review cards.
+  defp schedule(nil, position, _today), do: new_card(position)
+  defp schedule(%{repetitions: 0}, position, _today), do: new_card(position)
+
+  defp schedule(%{state: "review"} = item, _position, today) do
+    due_day = if item.due_date, do: Date.diff(DateTime.to_date(item.due_date), today), else: 0
+    reviewed(item, %{type: 2, queue: 2, due: due_day})
+  end
+
+  defp schedule(item, _position, _today) do
+    type = if item.state == "relearning", do: 3, else: 1
+    due = if item.due_date, do: DateTime.to_unix(item.due_date), else: 0
+    reviewed(item, %{type: type, queue: 1, due: due})
+  end
+
+  defp new_card(position) do
+    %{type: 0, queue: 0, due: position, ivl: 0, factor: 0, reps: 0, lapses: 0}
+  end
+
+  defp reviewed(item, scheduling) do
+    Map.merge(scheduling, %{
+      ivl: item.interval || 0,
+      factor: round((item.ease_factor || 2.5) * 1000),
+      reps: item.repetitions || 0,
+      lapses: Enum.count(item.quality_history || [], &(&1 == 0))
+    })
+  end
+
+  defp model(deck_id, mod) do
+    %{
+      id: @model_id,
+      name: @model_name,
+      type: 0,
+      mod: mod,
+      usn: -1,
+      sortf: 0,
+      did: deck_id,
+      tmpls: [
+        %{
+          name: "Recognition",
+          ord: 0,
+          qfmt: @front_template,
+          afmt: @back_template,
+          did: nil,
+          bqfmt: "",
+          bafmt: ""
+        }
+      ],
+      flds:
+        @fields
+        |> Enum.with_index()
+        |> Enum.map(fn {name, ord} ->
+          %{name: name, ord: ord, sticky: false, rtl: false, font: "Arial", size: 20, media: []}
+        end),
+      css: @css,
+      latexPre:
+        "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n",
+      latexPost: "\\end{document}",
+      latexsvg: false,
+      req: [[0, "any", [0]]],
+      tags: [],
+      vers: []
+    }
+  end
+
+  defp decks(deck, deck_id, mod) do
+    %{
+      "1" => deck_entry(1, "Default", "", mod),
+      to_string(deck_id) => deck_entry(deck_id, deck.name, deck.description || "", mod)
+    }
+  end
+
+  defp deck_entry(id, name, description, mod) do
+    %{
+      id: id,
+      name: name,
+      desc: description,
+      mod: mod,
+      usn: -1,
+      dyn: 0,
+      conf: 1,
+      collapsed: false,
+      newToday: [0, 0],
+      revToday: [0, 0],
+      lrnToday: [0, 0],
+      timeToday: [0, 0],
+      extendNew: 10,
+      extendRev: 50
+    }
+  end
+
+  defp deck_options do
+    %{
+      id: 1,
+      name: "Default",
+      mod: 0,
+      usn: 0,
+      maxTaken: 60,
+      autoplay: true,
+      timer: 0,
+      replayq: true,
+      dyn: false,
+      new: %{delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20},
+      rev: %{perDay: 200, ease4: 1.3, ivlFct: 1, maxIvl: 36_500, hardFactor: 1.2},
+      lapse: %{delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0}
+    }
+  end
+
+  defp conf(deck_id, note_count) do
+    %{
+      activeDecks: [deck_id],
+      curDeck: deck_id,
+      curModel: @model_id,
+      nextPos: note_count + 1,
+      newSpread: 0,
+      collapseTime: 1200,
+      timeLim: 0,
+      estTimes: true,
+      dueCounts: true,
+      sortType: "noteFld",
+      sortBackwards: false,
+      addToCur: true
+    }
+  end
+
+  defp tts_tag(word) do
+    case Languages.tts_voice(word.language) do
+      nil ->
+        ""
+
+      voice ->
+        locale = voice |> String.split("-") |> Enum.take(2) |> Enum.join("_")
+        "[anki:tts lang=#{locale}]#{escape(word.normalized_form)}[/anki:tts]"
+    end
+  end
+
+  # Stable per deck and word so re-imports update existing notes.
+  defp guid(deck, word) do
+    :crypto.hash(:sha, "langler:#{deck.id}:#{word.id}")
+    |> Base.encode64(padding: false)
+    |> binary_part(0, 10)
+  end
+
+  # Anki's duplicate check: the first 32 bits of the SHA-1 of the sort field.
+  defp checksum(text) do
+    <<csum::unsigned-32, _rest::binary>> = :crypto.hash(:sha, text)
+    csum
+  end
+
+  defp escape(nil), do: ""
+
+  defp escape(text) do
+    text
+    |> Phoenix.HTML.html_escape()
+    |> Phoenix.HTML.safe_to_string()
+  end
+end
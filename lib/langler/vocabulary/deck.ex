@@ -9,12 +9,15 @@ defmodule Langler.Vocabulary.Deck do
   alias Langler.Accounts.User
   alias Langler.Vocabulary.{CustomCard, DeckCustomCard, DeckFollow, DeckShare, DeckWord, Word}
 
+  @study_orders ~w(due deck random frequency)
+
   schema "decks" do
     field :name, :string
     field :description, :string
     field :visibility, :string, default: "private"
     field :language, :string
     field :is_default, :boolean, default: false
+    field :study_order, :string, default: "due"
 
     belongs_to :user, User
     has_many :deck_words, DeckWord
@@ -27,13 +30,28 @@ defmodule Langler.Vocabulary.Deck do
     timestamps(type: :utc_datetime)
   end
 
+  @doc """
+  The orders a study session can go through a deck's due cards in: by due
+  date, in the deck's own card order, shuffled, or most frequent words first.
+  """
+  def study_orders, do: @study_orders
+
   @doc false
   def changeset(deck, attrs) do
     deck
-    |> cast(attrs, [:name, :description, :visibility, :language, :is_default, :user_id])
+    |> cast(attrs, [
+      :name,
+      :description,
+      :visibility,
+      :language,
+      :is_default,
+      :study_order,
+      :user_id
+    ])
     |> validate_required([:name, :user_id])
     |> validate_length(:name, min: 1, max: 255)
     |> validate_inclusion(:visibility, ["private", "shared", "public"])
+    |> validate_inclusion(:study_order, @study_orders)
     |> unique_constraint([:user_id, :name])
   end
 end
@@ -0,0 +1,170 @@
+defmodule Langler.Vocabulary.DeckCsv do
+  @moduledoc """
+  CSV/TSV format for deck exports and imports.
+
+  Exports start with a header row naming `columns/0`. Files without that header
+  hold one word per line, optionally followed by its language or, as in
+  Quizlet exports, its translation; the second column is read as a language
+  when every value in it looks like a language code. Callers can override
+  this with an explicit column mapping.
+  """
+
+  NimbleCSV.define(__MODULE__.TSV, separator: "\t", escape: "\"")
+
+  alias NimbleCSV.RFC4180, as: CSV
+
+  @columns ~w(
+    word
+    language
+    lemma
+    part_of_speech
+    type
+    translation
+    definitions
+    context
+    fsrs_state
+    fsrs_step
+    fsrs_due_date
+    fsrs_interval
+    fsrs_stability
+    fsrs_difficulty
+    fsrs_retrievability
+    fsrs_ease_factor
+    fsrs_repetitions
+    fsrs_last_reviewed_at
+    fsrs_quality_history
+  )
+
+  @column_roles ~w(word language translation definitions ignore)
+
+  @doc """
+  Returns the exported columns, in order.
+  """
+  def columns, do: @columns
+
+  @doc """
+  Returns the roles a column of a headerless file can be mapped to.
+  """
+  def column_roles, do: @column_roles
+
+  @doc """
+  Dumps rows (maps keyed by column name) as a CSV or TSV document with a
+  header row. Missing values are written as empty cells.
+  """
+  def dump(rows, format) when format in [:csv, :tsv] do
+    parser = parser(format)
+    cells = Enum.map(rows, fn row -> Enum.map(@columns, &to_cell(Map.get(row, &1))) end)
+
+    [@columns | cells]
+    |> parser.dump_to_iodata()
+    |> IO.iodata_to_binary()
+  end
+
+  @doc """
+  Parses CSV or TSV content into rows keyed by column name.
+
+  The separator is detected from the first line. Blank cells are dropped, so a
+  row only carries the columns that have a value. Rows without a word are
+  skipped.
+
+  ## Options
+
+    * `:columns` - the role of each column of a headerless file (see
+      `column_roles/0`), instead of the detected layout
+  """
+  def parse(content, opts \\ []) when is_binary(content) do
+    rows =
+      content
+      |> read_rows()
+      |> to_row_maps(Keyword.get(opts, :columns))
+      |> Enum.reject(&(Map.get(&1, "word") in [nil, ""]))
+
+    {:ok, rows}
+  rescue
+    NimbleCSV.ParseError -> {:error, :invalid_csv}
+  end
+
+  @doc """
+  Returns the first `limit` rows of a headerless file, as trimmed cells, with
+  the detected role of each column, so the layout can be confirmed before
+  importing. Returns `{:ok, nil}` for files with a header row.
+  """
+  def preview_headerless(content, limit \\ 10) when is_binary(content) do
+    case read_rows(content) do
+      [header | _] = rows ->
+        if header_row?(header) do
+          {:ok, nil}
+        else
+          preview_rows =
+            rows
+            |> Enum.take(limit)
+            |> Enum.map(fn row -> Enum.map(row, &String.trim/1) end)
+
+          {:ok, %{columns: detect_columns(rows), rows: preview_rows}}
+        end
+
+      [] ->
+        {:ok, nil}
+    end
+  rescue
+    NimbleCSV.ParseError -> {:error, :invalid_csv}
+  end
+
+  defp read_rows(content) do
+    content = content |> String.replace_prefix("\uFEFF", "") |> String.trim()
+    parser = parser(detect_format(content))
+    parser.parse_string(content, skip_headers: false)
+  end
+
+  defp to_row_maps([header | rows] = all_rows, columns) do
+    if header_row?(header) do
+      headers = Enum.map(header, &(&1 |> String.trim() |> String.downcase()))
+      Enum.map(rows, &row_map(headers, &1))
+    else
+      columns = columns || detect_columns(all_rows)
+      Enum.map(all_rows, &row_map(columns, &1))
+    end
+  end
+
+  defp to_row_maps([], _columns), do: []
+
+  defp header_row?([first | _]), do: first |> String.trim() |> String.downcase() == "word"
+  defp header_row?(_), do: false
+
+  defp detect_columns(rows) do
+    width = rows |> Enum.map(&length/1) |> Enum.max(fn -> 1 end)
+
+    second_values =
+      rows
+      |> Enum.map(&(&1 |> Enum.at(1, "") |> String.trim()))
+      |> Enum.reject(&(&1 == ""))
+
+    second = if Enum.all?(second_values, &language_code?/1), do: "language", else: "translation"
+
+    Enum.take(["word", second | List.duplicate("ignore", max(width - 2, 0))], width)
+  end
+
+  defp language_code?(value), do: value =~ ~r/^[a-z]{2,3}([-_][a-z]{2})?$/i
+
+  defp row_map(headers, values) do
+    headers
+    |> Enum.zip(values)
+    |> Enum.map(fn {header, value} -> {header, String.trim(value)} end)
+    |> Enum.reject(fn {header, value} -> value == "" or header == "ignore" end)
+    |> Map.new()
+  end
+
+  defp detect_format(content) do
+    first_line = content |> String.split(~r/\r?\n/, parts: 2) |> hd()
+    if String.contains?(first_line, "\t"), do: :tsv, else: :csv
+  end
+
+  defp parser(:csv), do: CSV
+  defp parser(:tsv), do: __MODULE__.TSV
+
+  defp to_cell(nil), do: ""
+  defp to_cell(value) when is_binary(value), do: value
+  defp to_cell(%DateTime{} = value), do: DateTime.to_iso8601(value)
+  defp to_cell(value) when is_list(value), do: Enum.map_join(value, "\n", &to_cell/1)
+  defp to_cell(value), do: to_string(value)
+end
@@ -11,6 +11,9 @@ defmodule Langler.Vocabulary.DeckCustomCard do
   alias Langler.Vocabulary.{CustomCard, Deck}
 
   schema "deck_custom_cards" do
+    # Place in the deck's card order (see `Langler.Vocabulary.DeckWord`)
+    field :position, :integer
+
     belongs_to :deck, Deck
     belongs_to :custom_card, CustomCard
 
@@ -20,7 +23,7 @@ defmodule Langler.Vocabulary.DeckCustomCard do
   @doc false
   def changeset(deck_custom_card, attrs) do
     deck_custom_card
-    |> cast(attrs, [:deck_id, :custom_card_id])
+    |> cast(attrs, [:deck_id, :custom_card_id, :position])
     |> validate_required([:deck_id, :custom_card_id])
     |> unique_constraint([:deck_id, :custom_card_id])
   end
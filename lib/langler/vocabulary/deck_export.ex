@@ -0,0 +1,129 @@
+defmodule Langler.Vocabulary.DeckExport do
+  @moduledoc """
+  Exports a deck's words to CSV, TSV or an Anki `.apkg` package.
+
+  Each word is exported with its translation, definitions, the latest sentence
+  it was read in and the exporting user's FSRS state. CSV/TSV exports use the
+  `Langler.Vocabulary.DeckCsv` columns and can be imported back through
+  `Langler.Vocabulary.import_words_from_csv/4`.
+  """
+
+  import Ecto.Query, warn: false
+
+  alias Langler.Repo
+  alias Langler.Study.FSRSItem
+  alias Langler.Vocabulary
+  alias Langler.Vocabulary.{AnkiPackage, DeckCsv, Decks, DeckWord}
+
+  @formats ~w(csv tsv apkg)
+
+  @doc """
+  Returns the supported export formats.
+  """
+  def formats, do: @formats
+
+  @doc """
+  Exports a deck the user owns or follows.
+
+  Returns `{:ok, %{filename: filename, content: binary}}`, or
+  `{:error, :deck_not_found}` when the user may not export the deck.
+  """
+  def export(deck_id, user_id, format) when format in @formats do
+    case Decks.get_exportable_deck(deck_id, user_id) do
+      nil ->
+        {:error, :deck_not_found}
+
+      deck ->
+        entries = list_entries(deck.id, user_id)
+
+        with {:ok, content} <- render(format, deck, entries) do
+          {:ok, %{filename: filename(deck, format), content: content}}
+        end
+    end
+  end
+
+  def export(_deck_id, _user_id, _format), do: {:error, :unsupported_format}
+
+  @doc """
+  Lists the deck's words with the user's FSRS item and latest context sentence.
+
+  Context sentences come from the exporting user's own articles, so exporting
+  a followed deck never reveals the owner's articles.
+  """
+  def list_entries(deck_id, user_id) do
+    words =
+      from(dw in DeckWord,
+        where: dw.deck_id == ^deck_id,
+        join: w in assoc(dw, :word),
+        select: w,
+        order_by: [asc: w.normalized_form]
+      )
+      |> Repo.all()
+
+    word_ids = Enum.map(words, & &1.id)
+
+    items =
+      from(i in FSRSItem, where: i.user_id == ^user_id and i.word_id in ^word_ids)
+      |> Repo.all()
+      |> Map.new(&{&1.word_id, &1})
+
+    contexts = Vocabulary.list_context_sentences(user_id, word_ids, 1)
+
+    Enum.map(words, fn word ->
+      %{
+        word: word,
+        item: Map.get(items, word.id),
+        context: contexts |> Map.get(word.id, []) |> List.first()
+      }
+    end)
+  end
+
+  @doc """
+  Converts an export entry into a `Langler.Vocabulary.DeckCsv` row.
+  """
+  def to_row(%{word: word, item: item, context: context}) do
+    %{
+      "word" => word.normalized_form,
+      "language" => word.language,
+      "lemma" => word.lemma,
+      "part_of_speech" => word.part_of_speech,
+      "type" => word.type,
+      "translation" => word.translation,
+      "definitions" => word.definitions,
+      "context" => context
+    }
+    |> Map.merge(fsrs_columns(item))
+  end
+
+  defp fsrs_columns(nil), do: %{}
+
+  defp fsrs_columns(%FSRSItem{} = item) do
+    %{
+      "fsrs_state" => item.state,
+      "fsrs_step" => item.step,
+      "fsrs_due_date" => item.due_date,
+      "fsrs_interval" => item.interval,
+      "fsrs_stability" => item.stability,
+      "fsrs_difficulty" => item.difficulty,
+      "fsrs_retrievability" => item.retrievability,
+      "fsrs_ease_factor" => item.ease_factor,
+      "fsrs_repetitions" => item.repetitions,
+      "fsrs_last_reviewed_at" => item.last_reviewed_at,
+      "fsrs_quality_history" => Enum.join(item.quality_history || [], " ")
+    }
+  end
+
+  defp render("csv", _deck, entries), do: {:ok, DeckCsv.dump(Enum.map(entries, &to_row/1), :csv)}
+  defp render("tsv", _deck, entries), do: {:ok, DeckCsv.dump(Enum.map(entries, &to_row/1), :tsv)}
+  defp render("apkg", deck, entries), do: AnkiPackage.build(deck, entries)
+
+  defp filename(deck, format) do
+    slug =
+      deck.name
+      |> Vocabulary.normalize_form()
+      |> String.replace(~r/[^a-z0-9]+/, "-")
+      |> String.trim("-")
+
+    "#{if slug == "", do: "deck", else: slug}.#{format}"
+  end
+end
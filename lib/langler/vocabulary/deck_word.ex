@@ -9,6 +9,10 @@ defmodule Langler.Vocabulary.DeckWord do
   alias Langler.Vocabulary.{Deck, Word}
 
   schema "deck_words" do
+    # Place in the deck's card order; cards added since the deck was last
+    # reordered have none and follow in the order they were added
+    field :position, :integer
+
     belongs_to :deck, Deck
     belongs_to :word, Word
 
@@ -18,7 +22,7 @@ defmodule Langler.Vocabulary.DeckWord do
   @doc false
   def changeset(deck_word, attrs) do
     deck_word
-    |> cast(attrs, [:deck_id, :word_id])
+    |> cast(attrs, [:deck_id, :word_id, :position])
     |> validate_required([:deck_id, :word_id])
     |> unique_constraint([:deck_id, :word_id])
     |> assoc_constraint(:deck)
@@ -50,6 +50,7 @@ defmodule Langler.Vocabulary.Decks do
         visibility: d.visibility,
         language: d.language,
         is_default: d.is_default,
+        study_order: d.study_order,
         user_id: d.user_id,
         inserted_at: d.inserted_at,
         updated_at: d.updated_at,
@@ -207,6 +208,18 @@ defmodule Langler.Vocabulary.Decks do
     Repo.exists?(from df in DeckFollow, where: df.deck_id == ^deck_id and df.user_id == ^user_id)
   end
 
+  @doc """
+  Gets a deck the user may export: one they own or follow.
+  """
+  def get_exportable_deck(deck_id, user_id) do
+    from(d in Deck,
+      left_join: df in DeckFollow,
+      on: df.deck_id == d.id and df.user_id == ^user_id,
+      where: d.id == ^deck_id and (d.user_id == ^user_id or not is_nil(df.id))
+    )
+    |> Repo.one()
+  end
+
   @doc """
   Converts a followed deck into a personal copy (freeze/snapshot).
   Removes the follow and creates a new deck owned by the user.
@@ -404,10 +417,198 @@ defmodule Langler.Vocabulary.Decks do
     end
   end
 
+  ## Bulk Operations
+  #
+  # Bulk operations act on a selection of cards: a map with `:word_ids` and
+  # `:custom_card_ids`. Each runs in one transaction and returns
+  # `{:ok, %{count: count, undo: undo}}`; passing `undo` to
+  # `undo_bulk_change/2` reverts the change.
+
+  @doc """
+  Moves the selected cards from one deck to another. Cards that are not in
+  the source deck are ignored.
+  """
+  def move_cards_between_decks(selection, from_deck_id, to_deck_id, user_id) do
+    Repo.transaction(fn ->
+      cond do
+        not owns_deck?(from_deck_id, user_id) ->
+          Repo.rollback(:from_deck_not_found)
+
+        not owns_deck?(to_deck_id, user_id) ->
+          Repo.rollback(:to_deck_not_found)
+
+        true ->
+          removed = delete_memberships(from_deck_id, selection)
+          added = removed |> retarget_memberships(to_deck_id) |> insert_memberships()
+          %{count: membership_count(removed), undo: %{added: added, removed: removed}}
+      end
+    end)
+  end
+
+  @doc """
+  Copies the selected cards into a deck, keeping them where they are.
+  Returns the number of cards that were not in the deck yet.
+  """
+  def copy_cards_to_deck(selection, to_deck_id, user_id) do
+    Repo.transaction(fn ->
+      if owns_deck?(to_deck_id, user_id) do
+        added =
+          insert_memberships(%{
+            words: Enum.map(selected_ids(selection, :word_ids), &{to_deck_id, &1}),
+            custom_cards:
+              selection
+              |> selected_ids(:custom_card_ids)
+              |> owned_custom_card_ids(user_id)
+              |> Enum.map(&{to_deck_id, &1})
+          })
+
+        %{count: membership_count(added), undo: %{added: added, removed: empty_memberships()}}
+      else
+        Repo.rollback(:deck_not_found)
+      end
+    end)
+  end
+
+  @doc """
+  Removes the selected cards from a deck. Their study progress is kept.
+  """
+  def remove_cards_from_deck(selection, deck_id, user_id) do
+    Repo.transaction(fn ->
+      if owns_deck?(deck_id, user_id) do
+        removed = delete_memberships(deck_id, selection)
+        %{count: membership_count(removed), undo: %{added: empty_memberships(), removed: removed}}
+      else
+        Repo.rollback(:deck_not_found)
+      end
+    end)
+  end
+
+  @doc """
+  Reverts a bulk operation using the `undo` it returned. Only decks the user
+  still owns are touched.
+  """
+  def undo_bulk_change(%{added: added, removed: removed}, user_id) do
+    Repo.transaction(fn ->
+      added = owned_memberships(added, user_id)
+      removed = owned_memberships(removed, user_id)
+
+      Enum.each(group_by_deck(added.words), fn {deck_id, word_ids} ->
+        Repo.delete_all(
+          from dw in DeckWord, where: dw.deck_id == ^deck_id and dw.word_id in ^word_ids
+        )
+      end)
+
+      Enum.each(group_by_deck(added.custom_cards), fn {deck_id, custom_card_ids} ->
+        Repo.delete_all(
+          from dcc in DeckCustomCard,
+            where: dcc.deck_id == ^deck_id and dcc.custom_card_id in ^custom_card_ids
+        )
+      end)
+
+      insert_memberships(removed)
+      membership_count(added) + membership_count(removed)
+    end)
+  end
+
+  defp owns_deck?(deck_id, user_id) do
+    Repo.exists?(from d in Deck, where: d.id == ^deck_id and d.user_id == ^user_id)
+  end
+
+  defp selected_ids(selection, key), do: Map.get(selection, key) || []
+
+  defp owned_custom_card_ids([], _user_id), do: []
+
+  defp owned_custom_card_ids(ids, user_id) do
+    Repo.all(
+      from cc in CustomCard, where: cc.id in ^ids and cc.user_id == ^user_id, select: cc.id
+    )
+  end
+
+  defp empty_memberships, do: %{words: [], custom_cards: []}
+
+  defp membership_count(%{words: words, custom_cards: custom_cards}),
+    do: length(words) + length(custom_cards)
+
+  defp retarget_memberships(%{words: words, custom_cards: custom_cards}, deck_id) do
+    %{
+      words: Enum.map(words, fn {_deck_id, word_id} -> {deck_id, word_id} end),
+      custom_cards: Enum.map(custom_cards, fn {_deck_id, card_id} -> {deck_id, card_id} end)
+    }
+  end
+
+  defp group_by_deck(memberships),
+    do: Enum.group_by(memberships, &elem(&1, 0), &elem(&1, 1))
+
+  defp owned_memberships(%{words: words, custom_cards: custom_cards}, user_id) do
+    deck_ids = Enum.uniq(Enum.map(words ++ custom_cards, &elem(&1, 0)))
+
+    owned =
+      from(d in Deck, where: d.id in ^deck_ids and d.user_id == ^user_id, select: d.id)
+      |> Repo.all()
+      |> MapSet.new()
+
+    %{
+      words: Enum.filter(words, &MapSet.member?(owned, elem(&1, 0))),
+      custom_cards: Enum.filter(custom_cards, &MapSet.member?(owned, elem(&1, 0)))
+    }
+  end
+
+  # Returns the memberships that were actually deleted
+  defp delete_memberships(deck_id, selection) do
+    word_ids = selected_ids(selection, :word_ids)
+    custom_card_ids = selected_ids(selection, :custom_card_ids)
+
+    {_count, words} =
+      Repo.delete_all(
+        from dw in DeckWord,
+          where: dw.deck_id == ^deck_id and dw.word_id in ^word_ids,
+          select: {dw.deck_id, dw.word_id}
+      )
+
+    {_count, custom_cards} =
+      Repo.delete_all(
+        from dcc in DeckCustomCard,
+          where: dcc.deck_id == ^deck_id and dcc.custom_card_id in ^custom_card_ids,
+          select: {dcc.deck_id, dcc.custom_card_id}
+      )
+
+    %{words: words, custom_cards: custom_cards}
+  end
+
+  # Returns the memberships that were actually inserted (not already present)
+  defp insert_memberships(%{words: words, custom_cards: custom_cards}) do
+    now = DateTime.utc_now() |> DateTime.truncate(:second)
+
+    {_count, inserted_words} =
+      Repo.insert_all(
+        DeckWord,
+        Enum.map(words, fn {deck_id, word_id} ->
+          %{deck_id: deck_id, word_id: word_id, inserted_at: now, updated_at: now}
+        end),
+        on_conflict: :nothing,
+        returning: [:deck_id, :word_id]
+      )
+
+    {_count, inserted_custom_cards} =
+      Repo.insert_all(
+        DeckCustomCard,
+        Enum.map(custom_cards, fn {deck_id, custom_card_id} ->
+          %{deck_id: deck_id, custom_card_id: custom_card_id, inserted_at: now, updated_at: now}
+        end),
+        on_conflict: :nothing,
+        returning: [:deck_id, :custom_card_id]
+      )
+
+    %{
+      words: Enum.map(inserted_words, &{&1.deck_id, &1.word_id}),
+      custom_cards: Enum.map(inserted_custom_cards, &{&1.deck_id, &1.custom_card_id})
+    }
+  end
+
   ## Deck Contents
 
   @doc """
-  Lists words in a deck with access check.
+  Lists words in a deck, in the deck's card order, with access check.
   """
   def list_deck_words(deck_id, viewer_user_id) do
     if can_view_deck?(deck_id, viewer_user_id) do
@@ -415,7 +616,7 @@ defmodule Langler.Vocabulary.Decks do
         where: dw.deck_id == ^deck_id,
         join: w in assoc(dw, :word),
         select: w,
-        order_by: [asc: w.normalized_form]
+        order_by: [asc_nulls_last: dw.position, asc: dw.inserted_at, asc: dw.id]
       )
       |> Repo.all()
     else
@@ -424,7 +625,7 @@ defmodule Langler.Vocabulary.Decks do
   end
 
   @doc """
-  Lists custom cards in a deck with access check.
+  Lists custom cards in a deck, in the deck's card order, with access check.
   """
   def list_deck_custom_cards(deck_id, viewer_user_id) do
     if can_view_deck?(deck_id, viewer_user_id) do
@@ -432,7 +633,7 @@ defmodule Langler.Vocabulary.Decks do
         where: dcc.deck_id == ^deck_id,
         join: cc in assoc(dcc, :custom_card),
         select: cc,
-        order_by: [desc: cc.inserted_at]
+        order_by: [asc_nulls_last: dcc.position, asc: dcc.inserted_at, asc: dcc.id]
       )
       |> Repo.all()
     else
@@ -440,6 +641,50 @@ defmodule Langler.Vocabulary.Decks do
     end
   end
 
+  @doc """
+  Word ids of a deck in the deck's card order.
+  """
+  def deck_word_order(deck_id) do
+    from(dw in DeckWord,
+      where: dw.deck_id == ^deck_id,
+      select: dw.word_id,
+      order_by: [asc_nulls_last: dw.position, asc: dw.inserted_at, asc: dw.id]
+    )
+    |> Repo.all()
+  end
+
+  @doc """
+  Reorders the words (`type` "word") or custom cards (`type` "custom_card")
+  of a deck the user owns in one transaction. `ids` lists the cards in their
+  new order; cards left out keep their previous position.
+  """
+  def reorder_deck_cards(deck_id, user_id, type, ids)
+      when type in ["word", "custom_card"] and is_list(ids) do
+    Repo.transaction(fn ->
+      if owns_deck?(deck_id, user_id) do
+        ids
+        |> Enum.with_index()
+        |> Enum.each(fn {id, position} -> set_card_position(deck_id, type, id, position) end)
+
+        length(ids)
+      else
+        Repo.rollback(:deck_not_found)
+      end
+    end)
+  end
+
+  defp set_card_position(deck_id, "word", word_id, position) do
+    from(dw in DeckWord, where: dw.deck_id == ^deck_id and dw.word_id == ^word_id)
+    |> Repo.update_all(set: [position: position])
+  end
+
+  defp set_card_position(deck_id, "custom_card", custom_card_id, position) do
+    from(dcc in DeckCustomCard,
+      where: dcc.deck_id == ^deck_id and dcc.custom_card_id == ^custom_card_id
+    )
+    |> Repo.update_all(set: [position: position])
+  end
+
   @doc """
   Adds a custom card to a deck.
   """
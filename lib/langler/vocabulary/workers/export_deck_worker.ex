@@ -0,0 +1,106 @@
+defmodule Langler.Vocabulary.Workers.ExportDeckWorker do
+  @moduledoc """
+  Oban worker for exporting a deck to CSV, TSV or an Anki package.
+  Writes the export to the export directory and notifies the user via PubSub
+  with the file to download. Exports older than `max_age/0` are deleted
+  whenever a new one is written.
+  """
+
+  use Oban.Worker, queue: :default, max_attempts: 3
+
+  require Logger
+
+  alias Langler.Vocabulary.DeckExport
+  alias Phoenix.PubSub
+
+  @max_age 60 * 60
+
+  @impl Oban.Worker
+  def perform(%Oban.Job{
+        args: %{
+          "deck_id" => deck_id,
+          "user_id" => user_id,
+          "format" => format,
+          "job_id" => job_id
+        }
+      })
+      when is_integer(deck_id) and is_integer(user_id) and is_binary(format) and
+             is_integer(job_id) do
+    Logger.info("Starting #{format} export for user #{user_id}, deck #{deck_id}")
+
+    with {:ok, %{filename: filename, content: content}} <-
+           DeckExport.export(deck_id, user_id, format),
+         {:ok, file} <- write_export(format, content) do
+      PubSub.broadcast(
+        Langler.PubSub,
+        "deck_export:#{user_id}",
+        {:deck_export_ready, job_id, {:ok, %{file: file, filename: filename}}}
+      )
+
+      Logger.info("Deck export completed for user #{user_id}: #{filename}")
+      :ok
+    else
+      {:error, reason} ->
+        PubSub.broadcast(
+          Langler.PubSub,
+          "deck_export:#{user_id}",
+          {:deck_export_ready, job_id, {:error, "Failed to export deck: #{inspect(reason)}"}}
+        )
+
+        Logger.error("Deck export failed for user #{user_id}: #{inspect(reason)}")
+        {:error, reason}
+    end
+  end
+
+  def perform(%Oban.Job{args: args}) do
+    Logger.error("Invalid args for ExportDeckWorker: #{inspect(args)}")
+    {:error, :invalid_args}
+  end
+
+  @doc """
+  Directory exports are written to. Configurable with
+  `config :langler, Langler.Vocabulary.Workers.ExportDeckWorker, dir: ...`.
+  """
+  def export_dir do
+    config = Application.get_env(:langler, __MODULE__, [])
+    Keyword.get(config, :dir, Path.join(System.tmp_dir!(), "langler_deck_exports"))
+  end
+
+  @doc """
+  Seconds an export can be downloaded for.
+  """
+  def max_age, do: @max_age
+
+  # Random names so an export can't be guessed or overwritten by a later one.
+  defp write_export(format, content) do
+    file = "#{Base.url_encode64(:crypto.strong_rand_bytes(16), padding: false)}.#{format}"
+    prune_exports()
+
+    with :ok <- File.mkdir_p(export_dir()),
+         :ok <- File.write(Path.join(export_dir(), file), content) do
+      {:ok, file}
+    end
+  end
+
+  # Download links expire after `max_age/0`, so older files can't be fetched.
+  defp prune_exports do
+    cutoff = System.os_time(:second) - @max_age
+
+    case File.ls(export_dir()) do
+      {:ok, files} ->
+        for file <- files,
+            path = Path.join(export_dir(), file),
+            match?(
+              {:ok, %File.Stat{type: :regular, mtime: mtime}} when mtime < cutoff,
+              File.stat(path, time: :posix)
+            ) do
+          File.rm(path)
+        end
+
+        :ok
+
+      {:error, _reason} ->
+        :ok
+    end
+  end
+end
@@ -0,0 +1,98 @@
+defmodule Langler.Vocabulary.Workers.ImportApkgWorker do
+  @moduledoc """
+  Oban worker for importing an Anki package.
+  The uploaded package is stored in the import directory (see
+  `store_package/1`) rather than in the job args; the worker imports it with
+  the user's field mapping and notifies the user via PubSub when complete.
+  """
+
+  use Oban.Worker, queue: :default, max_attempts: 3
+
+  require Logger
+
+  alias Langler.Vocabulary.{AnkiImport, AnkiPackage}
+  alias Phoenix.PubSub
+
+  @impl Oban.Worker
+  def perform(%Oban.Job{
+        args: %{
+          "file" => file,
+          "user_id" => user_id,
+          "mapping" => mapping,
+          "language" => language,
+          "job_id" => job_id
+        },
+        attempt: attempt,
+        max_attempts: max_attempts
+      })
+      when is_binary(file) and is_integer(user_id) and is_map(mapping) and is_binary(language) and
+             is_integer(job_id) do
+    Logger.info("Starting Anki import for user #{user_id}")
+    path = Path.join(import_dir(), Path.basename(file))
+
+    result =
+      with {:ok, package} <- File.read(path),
+           {:ok, collection} <- AnkiPackage.read(package) do
+        AnkiImport.import_collection(collection, user_id, mapping, language)
+      end
+
+    # Keep the package for a retry unless this was the last attempt
+    if match?({:ok, _}, result) or attempt >= max_attempts, do: File.rm(path)
+
+    case result do
+      {:ok, %{successful: successful, errors: errors, total: total, decks: decks}} ->
+        message =
+          "#{successful} card#{if successful == 1, do: "", else: "s"} imported into " <>
+            "#{decks} deck#{if decks == 1, do: "", else: "s"}"
+
+        PubSub.broadcast(
+          Langler.PubSub,
+          "csv_import:#{user_id}",
+          {:csv_import_complete, job_id,
+           {:ok, %{successful: successful, errors: errors, total: total, message: message}}}
+        )
+
+        Logger.info("Anki import completed for user #{user_id}: #{message}")
+        :ok
+
+      {:error, reason} ->
+        error_message = "Failed to import Anki package: #{inspect(reason)}"
+
+        PubSub.broadcast(
+          Langler.PubSub,
+          "csv_import:#{user_id}",
+          {:csv_import_complete, job_id, {:error, error_message}}
+        )
+
+        Logger.error("Anki import failed for user #{user_id}: #{error_message}")
+        {:error, reason}
+    end
+  end
+
+  def perform(%Oban.Job{args: args}) do
+    Logger.error("Invalid args for ImportApkgWorker: #{inspect(args)}")
+    {:error, :invalid_args}
+  end
+
+  @doc """
+  Directory uploaded packages wait in until imported. Configurable with
+  `config :langler, Langler.Vocabulary.Workers.ImportApkgWorker, dir: ...`.
+  """
+  def import_dir do
+    config = Application.get_env(:langler, __MODULE__, [])
+    Keyword.get(config, :dir, Path.join(System.tmp_dir!(), "langler_anki_imports"))
+  end
+
+  @doc """
+  Stores an uploaded package for a later import. Returns `{:ok, file}` with
+  the name to pass as the job's `"file"` arg.
+  """
+  def store_package(content) when is_binary(content) do
+    file = "#{Base.url_encode64(:crypto.strong_rand_bytes(16), padding: false)}.apkg"
+
+    with :ok <- File.mkdir_p(import_dir()),
+         :ok <- File.write(Path.join(import_dir(), file), content) do
+      {:ok, file}
+    end
+  end
+end
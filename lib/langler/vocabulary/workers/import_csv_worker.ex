@@ -2,6 +2,7 @@ defmodule Langler.Vocabulary.Workers.ImportCsvWorker do
   @moduledoc """
   Oban worker for importing words from CSV into a deck.
   Processes the import in the background and notifies the user via PubSub when complete.
+  An optional `"columns"` arg maps the columns of a headerless file.
   """
 
   use Oban.Worker, queue: :default, max_attempts: 3
@@ -20,14 +21,15 @@ defmodule Langler.Vocabulary.Workers.ImportCsvWorker do
           "default_language" => default_language,
           "job_id" => job_id,
           "deck_name" => deck_name
-        }
+        } = args
       })
       when is_binary(csv_content) and is_integer(deck_id) and is_integer(user_id) and
              is_binary(default_language) and is_integer(job_id) and is_binary(deck_name) do
     Logger.info("Starting CSV import for user #{user_id}, deck #{deck_id}")
 
     case Vocabulary.import_words_from_csv(csv_content, deck_id, user_id,
-           default_language: default_language
+           default_language: default_language,
+           columns: args["columns"]
          ) do
       {:ok, %{successful: successful, errors: errors, total: total}} ->
         message =
@@ -32,6 +32,9 @@ defmodule LanglerWeb.DeckComponents do
   attr :word_count, :integer, required: true
   attr :owner, :map, default: nil
   attr :follower_count, :integer, default: 0
+  attr :exporting, :boolean, default: false
+  attr :selected, :any, default: MapSet.new(), doc: "selected `{type, id}` cards"
+  attr :suspended, :any, default: MapSet.new(), doc: "suspended `{type, id}` cards"
 
   def deck_card(assigns) do
     ~H"""
@@ -44,6 +47,7 @@ defmodule LanglerWeb.DeckComponents do
       ]}
       phx-hook={if @variant == :owned, do: "DeckDropZone", else: nil}
       data-deck-id={@deck.id}
+      data-deck-name={@deck.name}
     >
       <div class="card-body p-4 gap-3">
         <%!-- Header Row --%>
@@ -87,7 +91,7 @@ defmodule LanglerWeb.DeckComponents do
             {if @expanded, do: "Collapse", else: "Expand"}
           </button>
 
-          <.deck_actions deck={@deck} variant={@variant} />
+          <.deck_actions deck={@deck} variant={@variant} exporting={@exporting} />
         </div>
 
         <%!-- Expanded Contents --%>
@@ -97,6 +101,8 @@ defmodule LanglerWeb.DeckComponents do
             custom_cards={@custom_cards}
             deck_id={@deck.id}
             editable={@variant == :owned}
+            selected={@selected}
+            suspended={@suspended}
           />
         </div>
       </div>
@@ -109,6 +115,7 @@ defmodule LanglerWeb.DeckComponents do
   """
   attr :deck, :map, required: true
   attr :variant, :atom, required: true
+  attr :exporting, :boolean, default: false
 
   def deck_actions(assigns) do
     ~H"""
@@ -137,6 +144,7 @@ defmodule LanglerWeb.DeckComponents do
                 <.icon name="hero-eye" class="h-4 w-4" /> Visibility
               </button>
             </li>
+            <.export_menu_items deck={@deck} exporting={@exporting} />
             <li :if={not @deck.is_default}>
               <button
                 type="button"
@@ -152,6 +160,17 @@ defmodule LanglerWeb.DeckComponents do
         </div>
       <% @variant == :followed -> %>
         <div class="flex gap-2">
+          <div class="dropdown dropdown-end">
+            <div tabindex="0" role="button" class="btn btn-ghost btn-xs">
+              <span :if={@exporting} class="loading loading-spinner loading-xs"></span> Export
+            </div>
+            <ul
+              tabindex="0"
+              class="dropdown-content menu bg-base-100 rounded-box z-[1] w-48 border border-base-300 p-2 shadow-lg"
+            >
+              <.export_menu_items deck={@deck} exporting={@exporting} />
+            </ul>
+          </div>
           <button
             type="button"
             phx-click="unfollow_deck"
@@ -202,13 +221,44 @@ defmodule LanglerWeb.DeckComponents do
     """
   end
 
+  @doc """
+  Renders the export menu entries (CSV, TSV, Anki) for a deck.
+  """
+  attr :deck, :map, required: true
+  attr :exporting, :boolean, default: false
+
+  def export_menu_items(assigns) do
+    ~H"""
+    <li class="menu-title text-xs">Export</li>
+    <li :for={{format, label} <- [{"csv", "CSV"}, {"tsv", "TSV"}, {"apkg", "Anki (.apkg)"}]}>
+      <button
+        type="button"
+        phx-click="export_deck"
+        phx-value-deck-id={@deck.id}
+        phx-value-format={format}
+        disabled={@exporting}
+        class={@exporting && "btn-disabled"}
+      >
+        <.icon name="hero-arrow-down-tray" class="h-4 w-4" /> {label}
+      </button>
+    </li>
+    """
+  end
+
   @doc """
   Renders deck contents (words + custom cards) in a scrollable list.
+
+  Editable rows can be selected with click, shift-click (range) and
+  ctrl/cmd-click (toggle), then moved to another deck together, or to another
+  place in this one, by dragging (long-press on touch screens) or from the
+  keyboard (see `move_keys/1`).
   """
   attr :words, :list, required: true
   attr :custom_cards, :list, default: []
   attr :deck_id, :integer, required: true
   attr :editable, :boolean, default: false
+  attr :selected, :any, default: MapSet.new()
+  attr :suspended, :any, default: MapSet.new()
 
   def deck_contents(assigns) do
     ~H"""
@@ -231,12 +281,18 @@ defmodule LanglerWeb.DeckComponents do
             <tr
               :for={word <- @words}
               id={"word-row-#{@deck_id}-#{word.id}"}
-              class="hover:bg-base-100 group"
-              draggable={if @editable, do: "true", else: "false"}
+              class={[
+                "hover:bg-base-100 group",
+                @editable && "select-none focus:outline-2 focus:outline-primary",
+                MapSet.member?(@selected, {"word", word.id}) && "bg-primary/10"
+              ]}
+              tabindex={@editable && "0"}
+              aria-describedby={@editable && "deck-move-keys"}
               phx-hook={if @editable, do: "DraggableWord", else: nil}
               data-word-id={word.id}
               data-deck-id={@deck_id}
               data-card-type="word"
+              data-selected={to_string(MapSet.member?(@selected, {"word", word.id}))}
             >
               <td :if={@editable} class="cursor-grab active:cursor-grabbing">
                 <.icon
@@ -249,6 +305,12 @@ defmodule LanglerWeb.DeckComponents do
                 <span :if={word.type == "phrase"} class="badge badge-secondary badge-xs ml-1">
                   phrase
                 </span>
+                <span
+                  :if={MapSet.member?(@suspended, {"word", word.id})}
+                  class="badge badge-ghost badge-xs ml-1"
+                >
+                  suspended
+                </span>
               </td>
               <td class="hidden sm:table-cell text-sm text-base-content/70 max-w-xs truncate">
                 {List.first(word.definitions) || "—"}
@@ -290,12 +352,18 @@ defmodule LanglerWeb.DeckComponents do
             <tr
               :for={card <- @custom_cards}
               id={"custom-card-row-#{@deck_id}-#{card.id}"}
-              class="hover:bg-base-100 group"
-              draggable={if @editable, do: "true", else: "false"}
+              class={[
+                "hover:bg-base-100 group",
+                @editable && "select-none focus:outline-2 focus:outline-primary",
+                MapSet.member?(@selected, {"custom_card", card.id}) && "bg-primary/10"
+              ]}
+              tabindex={@editable && "0"}
+              aria-describedby={@editable && "deck-move-keys"}
               phx-hook={if @editable, do: "DraggableWord", else: nil}
               data-word-id={card.id}
               data-deck-id={@deck_id}
               data-card-type="custom_card"
+              data-selected={to_string(MapSet.member?(@selected, {"custom_card", card.id}))}
             >
               <td :if={@editable} class="cursor-grab active:cursor-grabbing">
                 <.icon
@@ -305,6 +373,12 @@ defmodule LanglerWeb.DeckComponents do
               </td>
               <td class="font-medium max-w-xs truncate">
                 {card.front}
+                <span
+                  :if={MapSet.member?(@suspended, {"custom_card", card.id})}
+                  class="badge badge-ghost badge-xs ml-1"
+                >
+                  suspended
+                </span>
               </td>
               <td class="hidden sm:table-cell text-sm text-base-content/70 max-w-xs truncate">
                 {card.back}
@@ -348,6 +422,135 @@ defmodule LanglerWeb.DeckComponents do
     """
   end
 
+  @doc """
+  Renders the screen-reader instructions for moving cards between decks and
+  the live region that reports progress. Editable deck rows point at both.
+  """
+  def move_keys(assigns) do
+    ~H"""
+    <p id="deck-move-keys" class="sr-only">
+      Press Space to pick up the card, together with any other selected cards. Use the arrow keys to choose a deck and Enter to drop the cards there, or Escape to cancel. Hold Alt or Ctrl while dropping to copy instead of move. Press Alt with the up or down arrow to move the card within its deck.
+    </p>
+    <div
+      id="deck-move-announcer"
+      class="sr-only"
+      aria-live="polite"
+      aria-atomic="true"
+      phx-update="ignore"
+    >
+    </div>
+    """
+  end
+
+  @doc """
+  Renders the action bar for the cards selected in one of the user's decks.
+  """
+  attr :count, :integer, required: true
+  attr :deck_id, :integer, required: true
+  attr :target_decks, :list, required: true, doc: "the other decks cards can go to"
+
+  def bulk_action_bar(assigns) do
+    ~H"""
+    <div
+      id="deck-bulk-actions"
+      class="fixed inset-x-0 bottom-4 z-40 mx-auto flex w-fit max-w-[95vw] flex-wrap items-center gap-2 rounded-box border border-base-300 bg-base-100 p-2 shadow-lg"
+      phx-window-keydown="clear_selection"
+      phx-key="Escape"
+    >
+      <span class="px-2 text-sm font-medium">{@count} selected</span>
+      <div
+        :for={{action, label} <- [{"move", "Move to"}, {"copy", "Copy to"}]}
+        class="dropdown dropdown-top"
+      >
+        <div tabindex="0" role="button" class="btn btn-ghost btn-sm">{label}</div>
+        <ul
+          tabindex="0"
+          class="dropdown-content menu bg-base-100 rounded-box z-[1] max-h-64 w-56 flex-nowrap overflow-y-auto border border-base-300 p-2 shadow-lg"
+        >
+          <li :if={@target_decks == []} class="menu-disabled"><span>No other decks</span></li>
+          <li :for={deck <- @target_decks}>
+            <button
+              type="button"
+              phx-click="bulk_action"
+              phx-value-action={action}
+              phx-value-deck-id={deck.id}
+            >
+              {deck.name}
+            </button>
+          </li>
+        </ul>
+      </div>
+      <button
+        type="button"
+        class="btn btn-ghost btn-sm"
+        phx-click="bulk_action"
+        phx-value-action="suspend"
+      >
+        <.icon name="hero-pause" class="h-4 w-4" /> Suspend
+      </button>
+      <button
+        type="button"
+        class="btn btn-ghost btn-sm"
+        phx-click="bulk_action"
+        phx-value-action="unsuspend"
+      >
+        <.icon name="hero-play" class="h-4 w-4" /> Unsuspend
+      </button>
+      <button
+        type="button"
+        class="btn btn-ghost btn-sm"
+        phx-click="bulk_action"
+        phx-value-action="reset"
+      >
+        <.icon name="hero-arrow-path" class="h-4 w-4" /> Reset progress
+      </button>
+      <button
+        type="button"
+        class="btn btn-ghost btn-sm text-error"
+        phx-click="bulk_action"
+        phx-value-action="remove"
+      >
+        <.icon name="hero-x-mark" class="h-4 w-4" /> Remove from deck
+      </button>
+      <button
+        type="button"
+        class="btn btn-ghost btn-sm btn-square"
+        phx-click="clear_selection"
+        aria-label="Clear selection"
+        title="Clear selection (Esc)"
+      >
+        <.icon name="hero-x-mark" class="h-4 w-4" />
+      </button>
+    </div>
+    """
+  end
+
+  @doc """
+  Renders the toast offering to undo the last bulk change.
+  """
+  attr :message, :string, required: true
+
+  def bulk_undo_toast(assigns) do
+    ~H"""
+    <div class="toast toast-end z-50">
+      <div id="deck-bulk-undo" role="status" class="alert shadow-lg">
+        <span>{@message}</span>
+        <button type="button" class="btn btn-sm btn-primary" phx-click="undo_bulk_action">
+          <.icon name="hero-arrow-uturn-left" class="h-4 w-4" /> Undo
+        </button>
+        <button
+          type="button"
+          class="btn btn-ghost btn-sm btn-square"
+          phx-click="dismiss_bulk_undo"
+          aria-label="Dismiss"
+        >
+          <.icon name="hero-x-mark" class="h-4 w-4" />
+        </button>
+      </div>
+    </div>
+    """
+  end
+
   @doc """
   Renders visibility badge with icon.
   """
@@ -564,6 +767,16 @@ defmodule LanglerWeb.DeckComponents do
             </div>
           </div>
 
+          <div class="form-control w-full mt-4">
+            <.input
+              field={@form[:study_order]}
+              type="select"
+              label="Study order"
+              options={study_order_options()}
+              class="select select-bordered w-full"
+            />
+          </div>
+
           <div class="modal-action">
             <button type="button" class="btn btn-ghost" phx-click="hide_deck_modal">
               Cancel
@@ -582,6 +795,15 @@ defmodule LanglerWeb.DeckComponents do
     """
   end
 
+  defp study_order_options do
+    [
+      {"Due date (most overdue first)", "due"},
+      {"Deck order", "deck"},
+      {"Random", "random"},
+      {"Word frequency (most common first)", "frequency"}
+    ]
+  end
+
   @doc """
   Renders the custom card creation/edit modal.
   """
@@ -7,6 +7,7 @@ defmodule LanglerWeb.QuizComponents do
 
   import LanglerWeb.CoreComponents
 
+  alias Langler.Quizzes
   alias Langler.Quizzes.Result
 
   @doc """
@@ -48,13 +49,19 @@ defmodule LanglerWeb.QuizComponents do
   @doc """
   Renders a single quiz question card.
 
+  Incorrect answers show the correct one when the result includes it. A
+  question about an article sentence can jump back to it (see the
+  `QuizResults` hook).
+
   ## Examples
 
       <.quiz_question_card question={question} index={idx} />
   """
   attr :question, :map,
     required: true,
-    doc: "Question map with question, user_answer, correct, explanation"
+    doc:
+      "Question map with question, user_answer, correct, explanation and optionally " <>
+        "correct_answer, sentence and vocabulary"
 
   attr :index, :integer,
     required: true,
@@ -62,13 +69,16 @@ defmodule LanglerWeb.QuizComponents do
 
   def quiz_question_card(assigns) do
     ~H"""
-    <div class={[
-      "rounded-lg border p-4 space-y-2 transition-all duration-300",
-      if(@question["correct"],
-        do: "border-success/30 bg-success/5",
-        else: "border-error/30 bg-error/5"
-      )
-    ]}>
+    <div
+      class={[
+        "rounded-lg border p-4 space-y-2 transition-all duration-300",
+        if(@question["correct"],
+          do: "border-success/30 bg-success/5",
+          else: "border-error/30 bg-error/5"
+        )
+      ]}
+      data-quiz-question={@index}
+    >
       <div class="flex items-start justify-between gap-2">
         <p class="text-sm font-semibold text-base-content flex-1">
           {@index + 1}. {@question["question"]}
@@ -80,14 +90,47 @@ defmodule LanglerWeb.QuizComponents do
           {if @question["correct"], do: "✓ Correct", else: "✗ Incorrect"}
         </span>
       </div>
-      <div class="text-xs text-base-content/70">
-        <p class="font-medium">Your answer:</p>
-        <p class="ml-2 break-words">{@question["user_answer"]}</p>
+      <div class="grid gap-2 text-xs sm:grid-cols-2">
+        <div class="text-base-content/70">
+          <p class="font-medium">Your answer:</p>
+          <p class={[
+            "ml-2 break-words",
+            !@question["correct"] && "line-through decoration-error/60"
+          ]}>
+            {@question["user_answer"]}
+          </p>
+        </div>
+        <div :if={!@question["correct"] && present?(@question["correct_answer"])}>
+          <p class="font-medium text-base-content/70">Correct answer:</p>
+          <p class="ml-2 break-words font-semibold text-success">{@question["correct_answer"]}</p>
+        </div>
       </div>
       <div class="text-xs text-base-content/80">
         <p class="font-medium">Explanation:</p>
         <p class="ml-2 break-words">{@question["explanation"]}</p>
       </div>
+      <div
+        :if={present?(@question["sentence"]) || vocabulary(@question) != []}
+        class="flex flex-wrap items-center gap-2 pt-1"
+      >
+        <button
+          :if={present?(@question["sentence"])}
+          type="button"
+          class="btn btn-ghost btn-xs gap-1"
+          data-quiz-sentence={@question["sentence"]}
+        >
+          <.icon name="hero-document-magnifying-glass" class="h-3 w-3" /> Show in article
+        </button>
+        <span
+          :for={term <- vocabulary(@question)}
+          class={[
+            "badge badge-sm",
+            if(@question["correct"], do: "badge-ghost", else: "badge-outline")
+          ]}
+        >
+          {term}
+        </span>
+      </div>
     </div>
     """
   end
@@ -95,36 +138,78 @@ defmodule LanglerWeb.QuizComponents do
   @doc """
   Renders the complete quiz results display.
 
+  The `QuizResults` hook counts up the score, steps through the questions one
+  at a time and sends `add_missed_vocabulary` to the parent component.
+
   ## Examples
 
       <.quiz_results result={@quiz_result} myself={@myself} />
   """
+  attr :id, :string, default: "quiz-results"
   attr :result, Result, required: true, doc: "The quiz result struct"
   attr :myself, Phoenix.LiveView.Component, required: true, doc: "The LiveComponent myself assign"
 
   def quiz_results(assigns) do
+    assigns =
+      assigns
+      |> assign(:questions, assigns.result.questions || [])
+      |> assign(:missed_vocabulary, Result.missed_vocabulary(assigns.result))
+
     ~H"""
     <div
       class="mt-6 rounded-2xl border-2 border-primary/30 bg-primary/5 p-6 space-y-4 animate-fade-in"
       phx-hook="QuizResults"
-      id="quiz-results"
+      id={@id}
+      data-score={@result.score}
+      data-max-score={@result.max_score}
     >
       <div class="flex items-center justify-between">
         <h3 class="text-lg font-semibold text-base-content">Quiz Results</h3>
-        <div class="flex items-center gap-2">
+        <div class="flex items-center gap-2" data-quiz-score>
           <.quiz_score_badge result={@result} />
           <.quiz_percentage result={@result} />
         </div>
       </div>
 
+      <div
+        :if={length(@questions) > 1}
+        class="flex items-center justify-between gap-2"
+        data-quiz-nav
+      >
+        <button type="button" class="btn btn-ghost btn-sm gap-1" data-quiz-prev>
+          <.icon name="hero-chevron-left" class="h-4 w-4" /> Previous
+        </button>
+        <span class="text-xs text-base-content/60" data-quiz-position aria-live="polite">
+          {length(@questions)} questions
+        </span>
+        <button type="button" class="btn btn-ghost btn-sm gap-1" data-quiz-next>
+          Next <.icon name="hero-chevron-right" class="h-4 w-4" />
+        </button>
+      </div>
+
       <div class="space-y-3">
         <.quiz_question_card
-          :for={{question, idx} <- Enum.with_index(@result.questions || [])}
+          :for={{question, idx} <- Enum.with_index(@questions)}
           question={question}
           index={idx}
         />
       </div>
 
+      <div
+        :if={@missed_vocabulary != []}
+        class="rounded-xl border border-base-300 bg-base-100 p-4 space-y-3"
+      >
+        <p class="text-sm font-medium text-base-content">
+          Vocabulary from the questions you missed
+        </p>
+        <div class="flex flex-wrap gap-2">
+          <span :for={term <- @missed_vocabulary} class="badge badge-outline">{term}</span>
+        </div>
+        <button type="button" class="btn btn-secondary btn-sm gap-2" data-quiz-add-vocabulary>
+          <.icon name="hero-plus-circle" class="h-4 w-4" /> Add missed vocabulary to study
+        </button>
+      </div>
+
       <div class="flex gap-2 pt-2">
         <button
           type="button"
@@ -138,4 +223,236 @@ defmodule LanglerWeb.QuizComponents do
     </div>
     """
   end
+
+  @chart_width 300
+  @chart_height 100
+  @chart_padding 8
+
+  @doc """
+  Renders an article's quiz history: past attempts with their score, date and
+  quiz type, retake buttons and comprehension charts.
+
+  Retake buttons send `retake_quiz` with `attempt-id` and `mode` (`"same"` or
+  `"fresh"`) to the LiveView.
+
+  ## Examples
+
+      <.quiz_history attempts={@quiz_attempts} similar_progress={@similar_quiz_progress} />
+  """
+  attr :id, :string, default: "quiz-history"
+  attr :attempts, :list, required: true, doc: "ArticleQuizAttempt structs, newest first"
+
+  attr :similar_progress, :list,
+    default: [],
+    doc: "First attempts on articles of similar difficulty, oldest first"
+
+  attr :class, :string, default: nil
+
+  def quiz_history(assigns) do
+    assigns =
+      assign(
+        assigns,
+        :attempt_points,
+        assigns.attempts
+        |> Enum.reverse()
+        |> Enum.flat_map(fn attempt ->
+          case Quizzes.attempt_percentage(attempt) do
+            nil -> []
+            percentage -> [%{label: "##{attempt.attempt_number}", percentage: percentage}]
+          end
+        end)
+      )
+
+    ~H"""
+    <section id={@id} class={["space-y-4", @class]} aria-labelledby={"#{@id}-title"}>
+      <div class="flex items-center justify-between gap-2">
+        <h2 id={"#{@id}-title"} class="text-lg font-semibold text-base-content">Quiz history</h2>
+        <span :if={@attempts != []} class="text-xs text-base-content/60">
+          {if length(@attempts) == 1, do: "1 attempt", else: "#{length(@attempts)} attempts"}
+        </span>
+      </div>
+
+      <p :if={@attempts == []} class="text-sm text-base-content/60">
+        No quiz attempts yet. Take a quiz to track your comprehension.
+      </p>
+
+      <div
+        :if={@attempt_points != [] or length(@similar_progress) > 1}
+        class="grid gap-4 sm:grid-cols-2"
+      >
+        <.quiz_progress_chart
+          :if={@attempt_points != []}
+          id={"#{@id}-attempts-chart"}
+          title="Across attempts"
+          points={@attempt_points}
+        />
+        <.quiz_progress_chart
+          :if={length(@similar_progress) > 1}
+          id={"#{@id}-similar-chart"}
+          title="Articles of similar difficulty"
+          points={similar_points(@similar_progress)}
+        />
+      </div>
+
+      <ul :if={@attempts != []} class="divide-y divide-base-200 rounded-xl border border-base-200">
+        <li
+          :for={attempt <- @attempts}
+          id={"#{@id}-attempt-#{attempt.id}"}
+          class="flex flex-wrap items-center justify-between gap-3 p-3"
+        >
+          <div class="flex flex-wrap items-center gap-2 text-sm">
+            <span class="font-semibold text-base-content">{"##{attempt.attempt_number}"}</span>
+            <span class={[
+              "badge badge-sm",
+              if(attempt.quiz_type == "listening", do: "badge-secondary", else: "badge-primary")
+            ]}>
+              {if attempt.quiz_type == "listening", do: "Listening", else: "Reading"}
+            </span>
+            <span :if={attempt.completed_at} class="text-xs text-base-content/60">
+              {Calendar.strftime(attempt.completed_at, "%b %-d, %Y")}
+            </span>
+          </div>
+          <div class="flex flex-wrap items-center gap-2">
+            <%= if Quizzes.attempt_percentage(attempt) do %>
+              <span class="badge badge-outline">{attempt.score}/{attempt.max_score}</span>
+              <span class="text-xs text-base-content/60">
+                {Quizzes.attempt_percentage(attempt)}%
+              </span>
+              <button
+                :if={attempt_questions?(attempt)}
+                type="button"
+                class="btn btn-ghost btn-xs"
+                phx-click="retake_quiz"
+                phx-value-attempt-id={attempt.id}
+                phx-value-mode="same"
+              >
+                Same questions
+              </button>
+              <button
+                type="button"
+                class="btn btn-ghost btn-xs"
+                phx-click="retake_quiz"
+                phx-value-attempt-id={attempt.id}
+                phx-value-mode="fresh"
+              >
+                New questions
+              </button>
+            <% else %>
+              <span class="text-xs text-base-content/60">Skipped</span>
+            <% end %>
+          </div>
+        </li>
+      </ul>
+    </section>
+    """
+  end
+
+  @doc """
+  Renders a small line chart of quiz percentages.
+
+  ## Examples
+
+      <.quiz_progress_chart id="attempts" title="Across attempts" points={points} />
+  """
+  attr :id, :string, required: true
+  attr :title, :string, required: true
+  attr :points, :list, required: true, doc: "Maps with :label and :percentage, oldest first"
+
+  def quiz_progress_chart(assigns) do
+    assigns =
+      assigns
+      |> assign(:coordinates, chart_coordinates(assigns.points))
+      |> assign(:change, chart_change(assigns.points))
+      |> assign(chart_width: @chart_width, chart_height: @chart_height)
+
+    ~H"""
+    <figure id={@id} class="rounded-xl border border-base-200 bg-base-100 p-3 space-y-2">
+      <figcaption class="flex items-center justify-between gap-2 text-xs">
+        <span class="font-medium text-base-content/80">{@title}</span>
+        <span
+          :if={@change}
+          class={["font-semibold", if(@change >= 0, do: "text-success", else: "text-error")]}
+        >
+          {if @change >= 0, do: "+", else: ""}{@change} pts
+        </span>
+      </figcaption>
+      <svg
+        viewBox={"0 0 #{@chart_width} #{@chart_height}"}
+        class="h-24 w-full text-primary"
+        role="img"
+        aria-label={chart_label(@title, @points)}
+        preserveAspectRatio="none"
+      >
+        <line
+          :for={y <- [0, 50, 100]}
+          x1="0"
+          x2={@chart_width}
+          y1={chart_y(y)}
+          y2={chart_y(y)}
+          class="stroke-base-300"
+          stroke-dasharray="2 3"
+          vector-effect="non-scaling-stroke"
+        />
+        <polyline
+          :if={length(@coordinates) > 1}
+          points={Enum.map_join(@coordinates, " ", fn {x, y, _point} -> "#{x},#{y}" end)}
+          fill="none"
+          stroke="currentColor"
+          stroke-width="2"
+          vector-effect="non-scaling-stroke"
+        />
+        <circle :for={{x, y, point} <- @coordinates} cx={x} cy={y} r="3" fill="currentColor">
+          <title>{point.label}: {point.percentage}%</title>
+        </circle>
+      </svg>
+    </figure>
+    """
+  end
+
+  defp chart_coordinates([]), do: []
+
+  defp chart_coordinates(points) do
+    step =
+      case length(points) do
+        1 -> 0
+        count -> (@chart_width - 2 * @chart_padding) / (count - 1)
+      end
+
+    points
+    |> Enum.with_index()
+    |> Enum.map(fn {point, index} ->
+      x = if step == 0, do: @chart_width / 2, else: @chart_padding + index * step
+      {Float.round(x / 1, 1), chart_y(point.percentage), point}
+    end)
+  end
+
+  defp chart_y(percentage) do
+    usable = @chart_height - 2 * @chart_padding
+    Float.round(@chart_padding + (100 - min(max(percentage, 0), 100)) / 100 * usable, 1)
+  end
+
+  defp chart_label(title, points) do
+    "#{title}: " <> Enum.map_join(points, ", ", &"#{&1.label} #{&1.percentage}%")
+  end
+
+  defp similar_points(progress) do
+    Enum.map(progress, &%{label: &1.title || "Article", percentage: &1.percentage})
+  end
+
+  defp chart_change([_first]), do: nil
+  defp chart_change([]), do: nil
+
+  defp chart_change([first | _] = points),
+    do: Float.round(List.last(points).percentage - first.percentage, 1)
+
+  defp attempt_questions?(%{result_json: %{"questions" => [_ | _]}}), do: true
+  defp attempt_questions?(_attempt), do: false
+
+  defp present?(value), do: is_binary(value) and String.trim(value) != ""
+
+  defp vocabulary(question) do
+    question["vocabulary"]
+    |> List.wrap()
+    |> Enum.filter(&present?/1)
+  end
 end
@@ -13,7 +13,11 @@ defmodule LanglerWeb.StudyComponents do
   import LanglerWeb.CoreComponents
 
   @doc """
-  Renders the CSV import modal for bulk importing words into a deck.
+  Renders the import modal for bulk importing words into a deck from a CSV,
+  TSV or Quizlet export, or cards from an Anki package.
+
+  Headerless files get a column mapping; Anki packages get a field mapping per
+  note type and a list of the decks that will be created.
 
   ## Examples
 
@@ -22,6 +26,10 @@ defmodule LanglerWeb.StudyComponents do
         decks={@decks}
         csv_import_deck_id={@csv_import_deck_id}
         csv_preview={@csv_preview}
+        csv_layout={@csv_layout}
+        apkg_preview={@apkg_preview}
+        apkg_mapping={@apkg_mapping}
+        apkg_language={@apkg_language}
         csv_importing={@csv_importing}
         default_language={@default_language}
         uploads={@uploads}
@@ -31,6 +39,14 @@ defmodule LanglerWeb.StudyComponents do
   attr :decks, :list, required: true, doc: "List of deck structs"
   attr :csv_import_deck_id, :integer, default: nil, doc: "Selected deck ID for import"
   attr :csv_preview, :list, default: nil, doc: "Preview rows from parsed CSV"
+
+  attr :csv_layout, :map,
+    default: nil,
+    doc: "Column roles and raw rows of a headerless file, or nil"
+
+  attr :apkg_preview, :map, default: nil, doc: "Note types and decks of an uploaded Anki package"
+  attr :apkg_mapping, :map, default: %{}, doc: "Target and field roles per Anki note type"
+  attr :apkg_language, :string, default: nil, doc: "Language the Anki cards are imported in"
   attr :csv_importing, :boolean, default: false, doc: "Whether import is in progress"
   attr :default_language, :string, default: "spanish", doc: "Default language for words"
   attr :uploads, :map, required: true, doc: "Uploads map with csv_file config"
@@ -45,12 +61,12 @@ defmodule LanglerWeb.StudyComponents do
       phx-window-keydown="hide_csv_import"
     >
       <div class="modal-box max-w-2xl" phx-click-away="hide_csv_import" phx-click="stop_propagation">
-        <h3 class="text-lg font-bold">Import words from CSV</h3>
+        <h3 class="text-lg font-bold">Import words from CSV or Anki</h3>
         <p class="text-sm text-base-content/70 mt-2">
-          Upload a CSV file with words. Format: single column (word) or two columns (word, language).
+          Upload a CSV or TSV file with words (word, word and language, a Quizlet export or a Langler deck export), or an Anki package (.apkg).
         </p>
 
-        <div class="form-control w-full mt-4">
+        <div :if={is_nil(@apkg_preview)} class="form-control w-full mt-4">
           <label class="label">
             <span class="label-text">Select deck</span>
           </label>
@@ -76,7 +92,7 @@ defmodule LanglerWeb.StudyComponents do
         <form id="csv-import-form" phx-change="validate_csv_file" phx-submit="parse_csv">
           <div class="form-control w-full mt-4">
             <label class="label">
-              <span class="label-text">CSV file</span>
+              <span class="label-text">File</span>
             </label>
             <.live_file_input
               upload={@uploads.csv_file}
@@ -84,7 +100,7 @@ defmodule LanglerWeb.StudyComponents do
             />
             <label class="label">
               <span class="label-text-alt">
-                CSV format: word or word,language (one word per line)
+                CSV format: word, word,language or word,translation (one word per line), a deck export with headers, or an Anki package exported with scheduling information
               </span>
             </label>
           </div>
@@ -95,14 +111,50 @@ defmodule LanglerWeb.StudyComponents do
               class="btn btn-primary"
               disabled={Enum.empty?(@uploads.csv_file.entries)}
             >
-              Load CSV
+              Load file
             </button>
           </div>
         </form>
 
         <div :if={@csv_preview} class="mt-6">
           <h4 class="text-sm font-semibold mb-2">Preview (first 10 rows):</h4>
-          <div class="overflow-x-auto">
+          <form
+            :if={@csv_layout}
+            id="csv-column-mapping"
+            class="overflow-x-auto"
+            phx-change="update_csv_columns"
+          >
+            <table class="table table-zebra table-sm">
+              <thead>
+                <tr>
+                  <th :for={{role, index} <- Enum.with_index(@csv_layout.columns)}>
+                    <label for={"csv-column-#{index}"} class="sr-only">Column {index + 1}</label>
+                    <select
+                      id={"csv-column-#{index}"}
+                      name={"columns[#{index}]"}
+                      class="select select-bordered select-xs"
+                    >
+                      <option
+                        :for={option <- Langler.Vocabulary.DeckCsv.column_roles()}
+                        value={option}
+                        selected={option == role}
+                      >
+                        {String.capitalize(option)}
+                      </option>
+                    </select>
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr :for={row <- @csv_layout.rows}>
+                  <td :for={index <- 0..(length(@csv_layout.columns) - 1)//1}>
+                    {Enum.at(row, index)}
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          </form>
+          <div :if={is_nil(@csv_layout)} class="overflow-x-auto">
             <table class="table table-zebra table-sm">
               <thead>
                 <tr>
@@ -131,6 +183,13 @@ defmodule LanglerWeb.StudyComponents do
           </div>
         </div>
 
+        <.apkg_import_preview
+          :if={@apkg_preview}
+          preview={@apkg_preview}
+          mapping={@apkg_mapping}
+          language={@apkg_language}
+        />
+
         <div class="modal-action">
           <button type="button" class="btn btn-ghost" phx-click="hide_csv_import">
             Close
@@ -141,6 +200,114 @@ defmodule LanglerWeb.StudyComponents do
     """
   end
 
+  @doc """
+  Renders the preview of an uploaded Anki package: the decks that will be
+  created and, per note type, a target and a role for each field, with sample
+  values to tell the fields apart.
+  """
+  attr :preview, :map, required: true, doc: "Result of Langler.Vocabulary.AnkiImport.preview/1"
+  attr :mapping, :map, required: true, doc: "Target and field roles per note type id"
+  attr :language, :string, default: nil, doc: "Language the cards are imported in"
+
+  def apkg_import_preview(assigns) do
+    ~H"""
+    <form id="apkg-import-form" class="mt-6 space-y-4" phx-change="update_apkg_mapping">
+      <div>
+        <h4 class="text-sm font-semibold mb-2">Decks to create</h4>
+        <ul class="text-sm space-y-1">
+          <li :for={deck <- @preview.decks} class="flex justify-between gap-4">
+            <span>{deck.name}</span>
+            <span class="text-base-content/60">{deck.card_count} cards</span>
+          </li>
+        </ul>
+        <p class="text-xs text-base-content/60 mt-2">
+          {@preview.review_count} reviews will be replayed to keep each card's schedule.
+        </p>
+      </div>
+
+      <div class="form-control w-full">
+        <label class="label" for="apkg-language">
+          <span class="label-text">Language</span>
+        </label>
+        <select id="apkg-language" name="language" class="select select-bordered w-full">
+          <option
+            :for={code <- Langler.Languages.study_language_codes()}
+            value={code}
+            selected={code == @language}
+          >
+            {Langler.Languages.display_name(code)}
+          </option>
+        </select>
+      </div>
+
+      <fieldset
+        :for={note_type <- @preview.note_types}
+        class="rounded-box border border-base-300 p-3"
+      >
+        <legend class="px-1 text-sm font-semibold">
+          {note_type.name} ({note_type.note_count} notes)
+        </legend>
+        <label class="label" for={"apkg-target-#{note_type.id}"}>
+          <span class="label-text">Import as</span>
+        </label>
+        <select
+          id={"apkg-target-#{note_type.id}"}
+          name={"mapping[#{note_type.id}][target]"}
+          class="select select-bordered select-sm w-full"
+        >
+          <option
+            :for={{value, label} <- [word: "Words", custom_card: "Custom cards", skip: "Don't import"]}
+            value={value}
+            selected={@mapping[note_type.id]["target"] == to_string(value)}
+          >
+            {label}
+          </option>
+        </select>
+
+        <table :if={@mapping[note_type.id]["target"] != "skip"} class="table table-sm mt-2">
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Example</th>
+              <th>Use as</th>
+            </tr>
+          </thead>
+          <tbody>
+            <tr :for={field <- note_type.fields}>
+              <td>{field.name}</td>
+              <td class="max-w-xs truncate text-base-content/70">
+                {Enum.join(field.samples, " · ")}
+              </td>
+              <td>
+                <label for={"apkg-field-#{note_type.id}-#{field.ord}"} class="sr-only">
+                  Use {field.name} as
+                </label>
+                <select
+                  id={"apkg-field-#{note_type.id}-#{field.ord}"}
+                  name={"mapping[#{note_type.id}][fields][#{field.ord}]"}
+                  class="select select-bordered select-xs"
+                >
+                  <option
+                    :for={role <- Langler.Vocabulary.AnkiImport.roles(@mapping[note_type.id]["target"])}
+                    value={role}
+                    selected={@mapping[note_type.id]["fields"][to_string(field.ord)] == role}
+                  >
+                    {String.capitalize(role)}
+                  </option>
+                </select>
+              </td>
+            </tr>
+          </tbody>
+        </table>
+      </fieldset>
+
+      <button type="button" class="btn btn-primary" phx-click="import_apkg">
+        Import cards
+      </button>
+    </form>
+    """
+  end
+
   @doc """
   Renders the deck management modal for creating or editing decks.
 
@@ -723,4 +890,105 @@ defmodule LanglerWeb.StudyComponents do
     </.async_result>
     """
   end
+
+  @doc """
+  Renders recall-speed analytics from the review log: overall median
+  response time, a weekly trend, per-deck medians and the slowest cards.
+
+  ## Examples
+
+      <.review_timing_section review_timing={@review_timing} />
+  """
+  attr :review_timing, :any,
+    required: true,
+    doc: "AsyncResult assign with the map returned by Study.review_timing_stats/2"
+
+  def review_timing_section(assigns) do
+    ~H"""
+    <.async_result :let={timing} assign={@review_timing}>
+      <:loading></:loading>
+      <:failed :let={_failure}></:failed>
+      <div
+        :if={timing.reviews > 0}
+        id="review-timing"
+        class="rounded-2xl border border-base-200 bg-base-200/30 p-4 space-y-4"
+      >
+        <div class="flex flex-wrap items-end justify-between gap-3">
+          <div class="space-y-1">
+            <h2 class="text-base font-semibold text-base-content">Recall speed</h2>
+            <p class="text-sm text-base-content/70">
+              How long you take to rate a card after it appears.
+            </p>
+          </div>
+          <div class="text-right">
+            <p class="text-xs font-semibold uppercase tracking-widest text-base-content/50">
+              Median
+            </p>
+            <p id="review-timing-median" class="text-2xl font-semibold text-primary">
+              {format_response_time(timing.median_ms)}
+            </p>
+            <p class="text-xs text-base-content/60">{timing.reviews} timed reviews</p>
+          </div>
+        </div>
+
+        <div class="grid gap-4 md:grid-cols-3">
+          <div class="space-y-2">
+            <p class="text-xs font-semibold uppercase tracking-widest text-base-content/60">
+              Weekly trend
+            </p>
+            <ul id="review-timing-weekly" class="space-y-1">
+              <li :for={week <- timing.weekly} class="flex items-center gap-2 text-xs">
+                <span class="w-14 shrink-0 text-base-content/60">
+                  {Calendar.strftime(week.week, "%b %d")}
+                </span>
+                <progress
+                  value={week.median_ms}
+                  max={Enum.max_by(timing.weekly, & &1.median_ms).median_ms}
+                  class="progress progress-secondary h-2 flex-1"
+                  aria-label={"Median for week of #{week.week}"}
+                />
+                <span class="w-12 shrink-0 text-right font-semibold">
+                  {format_response_time(week.median_ms)}
+                </span>
+              </li>
+            </ul>
+          </div>
+
+          <div class="space-y-2">
+            <p class="text-xs font-semibold uppercase tracking-widest text-base-content/60">
+              By deck
+            </p>
+            <p :if={timing.decks == []} class="text-xs text-base-content/60">
+              No deck reviews timed yet.
+            </p>
+            <ul id="review-timing-decks" class="space-y-1 text-sm">
+              <li :for={deck <- timing.decks} class="flex justify-between gap-2">
+                <span class="truncate">{deck.name}</span>
+                <span class="font-semibold">{format_response_time(deck.median_ms)}</span>
+              </li>
+            </ul>
+          </div>
+
+          <div class="space-y-2">
+            <p class="text-xs font-semibold uppercase tracking-widest text-base-content/60">
+              Slowest cards
+            </p>
+            <ol id="review-timing-slowest" class="space-y-1 text-sm">
+              <li :for={card <- timing.slowest} class="flex justify-between gap-2">
+                <span class="truncate">{card.label}</span>
+                <span class="font-semibold text-warning">
+                  {format_response_time(card.median_ms)}
+                </span>
+              </li>
+            </ol>
+          </div>
+        </div>
+      </div>
+    </.async_result>
+    """
+  end
+
+  defp format_response_time(nil), do: "–"
+  defp format_response_time(ms) when ms < 60_000, do: "#{Float.round(ms / 1000, 1)}s"
+  defp format_response_time(ms), do: "#{div(ms, 60_000)}m #{rem(div(ms, 1000), 60)}s"
 end
@@ -0,0 +1,511 @@
+defmodule LanglerWeb.WordTooltipComponents do
+  @moduledoc """
+  Server-rendered content for the `WordTooltip` hook.
+
+  Lookups push a `word-data` event whose `:html` is rendered here, so the
+  tooltip is translated with the user's locale and every field is escaped.
+  The hook only positions the tooltip, manages focus and toggles the
+  sections marked with `data-show-when` when a word is added to or removed
+  from study.
+
+  Verbs get a collapsed conjugation grid. When the word has no stored
+  conjugations the grid is fetched once the section is opened and pushed
+  back as a `word-conjugations` event rendered by `conjugations_to_string/2`.
+  """
+
+  use Phoenix.Component
+  use Gettext, backend: LanglerWeb.Gettext
+
+  use Phoenix.VerifiedRoutes,
+    endpoint: LanglerWeb.Endpoint,
+    router: LanglerWeb.Router,
+    statics: LanglerWeb.static_paths()
+
+  import LanglerWeb.CoreComponents, only: [icon: 1]
+
+  alias Langler.Vocabulary
+
+  require Logger
+
+  @moods ["indicative", "subjunctive", "imperative"]
+
+  @persons [
+    "yo",
+    "tú",
+    "él/ella/usted",
+    "nosotros/nosotras",
+    "vosotros/vosotras",
+    "ellos/ellas/ustedes"
+  ]
+
+  @doc """
+  Adds the rendered tooltip to a `word-data` payload as `:html`.
+  """
+  @spec with_html(map()) :: map()
+  def with_html(entry) when is_map(entry) do
+    Map.put(entry, :html, render_to_string(entry))
+  end
+
+  @doc """
+  Renders the tooltip for a lookup entry to an HTML string.
+  """
+  @spec render_to_string(map()) :: String.t()
+  def render_to_string(entry) when is_map(entry) do
+    assigns = %{entry: entry}
+
+    to_html(~H"""
+    <.word_tooltip entry={@entry} />
+    """)
+  end
+
+  @doc """
+  Renders the conjugation grid for `conjugations` to an HTML string,
+  highlighting the cells that spell `form`.
+  """
+  @spec conjugations_to_string(map() | nil, String.t() | nil) :: String.t()
+  def conjugations_to_string(conjugations, form) do
+    assigns = %{conjugations: conjugations || %{}, form: form}
+
+    to_html(~H"""
+    <.conjugation_grid conjugations={@conjugations} form={@form} />
+    """)
+  end
+
+  @doc """
+  Builds the `word-conjugations` payload from the result of the async task
+  started for a tooltip, which returns `{word_id, form, result}` where
+  `result` comes from `Langler.Vocabulary.ensure_word_conjugations/1`.
+  Failures render the "not available" message.
+  """
+  @spec conjugations_payload(String.t(), {:ok, tuple()} | {:exit, term()}) :: map()
+  def conjugations_payload(dom_id, {:ok, {word_id, form, {:ok, word}}}) do
+    %{dom_id: dom_id, word_id: word_id, html: conjugations_to_string(word.conjugations, form)}
+  end
+
+  def conjugations_payload(dom_id, {:ok, {word_id, _form, {:error, reason}}}) do
+    Logger.warning("Conjugations unavailable for word_id=#{word_id}: #{inspect(reason)}")
+    %{dom_id: dom_id, word_id: word_id, html: conjugations_to_string(nil, nil)}
+  end
+
+  def conjugations_payload(dom_id, {:exit, reason}) do
+    Logger.warning("Conjugation lookup crashed: #{inspect(reason)}")
+    %{dom_id: dom_id, html: conjugations_to_string(nil, nil)}
+  end
+
+  defp to_html(rendered) do
+    rendered
+    |> Phoenix.HTML.Safe.to_iodata()
+    |> IO.iodata_to_binary()
+  end
+
+  @doc """
+  Renders the body of the word tooltip.
+
+  `entry` is the `word-data` payload: the dictionary fields (`:word`,
+  `:translation`, `:definitions`, `:part_of_speech`, `:pronunciation`,
+  `:source_url`), the sentence `:context`, and the stored word's `:word_id`,
+  `:word_type`, `:studied`, `:cefr_level`, `:frequency_rank` and
+  `:conjugations`. `:examples` are other sentences from the user's library
+  (see `Langler.Content.list_example_sentences/3`).
+  """
+  attr :entry, :map, required: true
+
+  def word_tooltip(assigns) do
+    assigns =
+      assigns
+      |> assign(:studied, Map.get(assigns.entry, :studied, false) == true)
+      |> assign(:word_id, Map.get(assigns.entry, :word_id))
+      |> assign(:definitions, Map.get(assigns.entry, :definitions) || [])
+      |> assign(:source_url, safe_url(Map.get(assigns.entry, :source_url)))
+      |> assign(:conjugations, Map.get(assigns.entry, :conjugations))
+      |> assign(:examples, Map.get(assigns.entry, :examples) || [])
+      |> assign(:verb, verb_entry?(assigns.entry))
+      |> assign(
+        :meta,
+        Enum.filter(
+          [Map.get(assigns.entry, :part_of_speech), Map.get(assigns.entry, :pronunciation)],
+          &present?/1
+        )
+      )
+
+    ~H"""
+    <div class="space-y-3" data-tooltip-entry data-studied={to_string(@studied)}>
+      <div class="flex items-start justify-between gap-3">
+        <div class="space-y-1.5">
+          <h2 id="word-tooltip-title" class="text-base font-semibold text-base-content">
+            {@entry.word}
+          </h2>
+          <div class="flex flex-wrap items-center gap-2">
+            <span
+              :if={Map.get(@entry, :word_type) == "phrase"}
+              class="badge badge-secondary badge-sm"
+            >
+              {gettext("Phrase")}
+            </span>
+            <span
+              :if={@word_id}
+              data-show-when="studied"
+              class={["badge badge-success badge-sm gap-1", !@studied && "hidden"]}
+            >
+              {gettext("Tracked")} <span aria-hidden="true">✓</span>
+            </span>
+            <span
+              :if={present?(Map.get(@entry, :cefr_level))}
+              class="badge badge-outline badge-sm"
+            >
+              {@entry.cefr_level}
+            </span>
+            <span
+              :if={Map.get(@entry, :frequency_rank)}
+              class="badge badge-ghost badge-sm"
+              title={gettext("Frequency rank")}
+            >
+              {gettext("#%{rank} most common", rank: @entry.frequency_rank)}
+            </span>
+          </div>
+          <p :if={@meta != []} class="text-xs uppercase tracking-wide text-base-content/60">
+            {Enum.join(@meta, " • ")}
+          </p>
+          <p
+            :if={present?(Map.get(@entry, :translation))}
+            class={
+              if Map.get(@entry, :word_type) == "phrase",
+                do: "text-sm text-base-content/80",
+                else:
+                  "mt-1 w-fit rounded-full bg-primary/10 px-2 py-0.5 text-xs font-semibold text-primary/90"
+            }
+          >
+            {@entry.translation}
+          </p>
+        </div>
+
+        <button
+          :if={@word_id}
+          type="button"
+          data-show-when="unstudied"
+          class={[
+            "btn btn-circle btn-sm btn-primary flex-shrink-0 text-white shadow",
+            @studied && "hidden"
+          ]}
+          data-action="add-to-study"
+          data-word-id={@word_id}
+          data-translations={Map.get(@entry, :translation)}
+          data-definitions={Enum.join(@definitions, "||")}
+          aria-label={gettext("Add to study")}
+          title={gettext("Add to study")}
+        >
+          <.icon name="hero-plus" class="h-4 w-4" />
+        </button>
+      </div>
+
+      <div id="word-tooltip-description">
+        <ol
+          :if={@definitions != []}
+          class="list-decimal space-y-1 pl-4 text-sm text-base-content/80"
+        >
+          <li :for={definition <- @definitions} class="mb-1 last:mb-0">{definition}</li>
+        </ol>
+        <p :if={@definitions == []} class="text-sm text-base-content/70">
+          {gettext("No definitions available.")}
+        </p>
+      </div>
+
+      <div
+        :if={present?(Map.get(@entry, :context)) || @source_url}
+        class="flex items-center justify-between gap-3"
+      >
+        <p
+          :if={present?(Map.get(@entry, :context))}
+          class="text-xs italic text-base-content/60"
+        >
+          &ldquo;{@entry.context}&rdquo;
+        </p>
+        <a
+          :if={@source_url}
+          href={@source_url}
+          target="_blank"
+          rel="noopener noreferrer"
+          class="flex-shrink-0 text-xs text-base-content/60 transition-colors hover:text-primary"
+        >
+          {gettext("Wiktionary")} →
+        </a>
+      </div>
+
+      <details
+        :if={@verb}
+        class="rounded-xl border border-base-200 bg-base-200/30 px-3 py-2"
+        data-conjugations
+        data-word-id={@word_id}
+        data-loaded={to_string(is_map(@conjugations))}
+      >
+        <summary class="cursor-pointer text-xs font-semibold uppercase tracking-widest text-base-content/60">
+          {gettext("Conjugations")}
+        </summary>
+        <div class="mt-2 max-h-64 overflow-auto" data-conjugations-body aria-live="polite">
+          <.conjugation_grid
+            :if={is_map(@conjugations)}
+            conjugations={@conjugations}
+            form={@entry.word}
+          />
+          <p
+            :if={!is_map(@conjugations)}
+            class="flex items-center gap-2 text-xs text-base-content/60"
+          >
+            <span class="loading loading-spinner loading-xs"></span>
+            {gettext("Loading conjugations…")}
+          </p>
+        </div>
+      </details>
+
+      <div :if={@examples != []} class="space-y-1.5">
+        <p
+          id="word-tooltip-examples-label"
+          class="text-xs uppercase tracking-widest text-base-content/60"
+        >
+          {gettext("In your library")}
+        </p>
+        <ul class="space-y-1" aria-labelledby="word-tooltip-examples-label">
+          <li :for={example <- @examples}>
+            <a
+              href={~p"/articles/#{example.article_id}"}
+              class="block rounded-lg px-2 py-1 transition-colors hover:bg-base-200/70"
+            >
+              <span class="line-clamp-2 text-xs text-base-content/80">{example.content}</span>
+              <span class="block truncate text-[11px] text-base-content/50">
+                {example.article_title}
+              </span>
+            </a>
+          </li>
+        </ul>
+      </div>
+
+      <div
+        :if={@word_id}
+        data-show-when="studied"
+        class={["space-y-3", !@studied && "hidden"]}
+      >
+        <div class="flex flex-wrap gap-2">
+          <a
+            class="btn btn-xs btn-ghost border border-base-300/70 text-sm"
+            href={"/study?" <> URI.encode_query(%{q: @entry.word}) <> "#study-cards"}
+          >
+            {gettext("View card")}
+          </a>
+          <button
+            type="button"
+            class="btn btn-xs btn-ghost border border-error/40 text-error"
+            data-action="remove-word"
+            data-word-id={@word_id}
+          >
+            {gettext("Remove")}
+          </button>
+        </div>
+        <div
+          role="group"
+          aria-labelledby="word-tooltip-rating-label"
+          class="space-y-2 rounded-2xl border border-dashed border-base-300/80 bg-base-200/30 p-3"
+        >
+          <p
+            id="word-tooltip-rating-label"
+            class="text-xs uppercase tracking-widest text-base-content/60"
+          >
+            {gettext("Score difficulty")}
+          </p>
+          <div class="flex flex-wrap gap-2">
+            <button
+              :for={{quality, label, class, key} <- rating_buttons()}
+              type="button"
+              class={["btn btn-xs font-semibold text-white", class]}
+              data-action="rate-word"
+              data-rate-target="existing"
+              data-word-id={@word_id}
+              data-quality={quality}
+              aria-keyshortcuts={key}
+            >
+              {label}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+    """
+  end
+
+  @doc """
+  Renders a compact conjugation grid, one table per mood with persons as
+  rows and tenses as columns. Cells spelling `form` are highlighted and
+  described above the grid.
+  """
+  attr :conjugations, :map, required: true
+  attr :form, :string, default: nil
+
+  def conjugation_grid(assigns) do
+    moods = Enum.filter(@moods, &is_map(Map.get(assigns.conjugations, &1)))
+
+    non_finite =
+      case Map.get(assigns.conjugations, "non_finite") do
+        forms when is_map(forms) -> Enum.filter(forms, fn {_name, value} -> present?(value) end)
+        _ -> []
+      end
+
+    assigns =
+      assigns
+      |> assign(:moods, moods)
+      |> assign(:non_finite, non_finite)
+      |> assign(:matches, conjugation_matches(assigns.conjugations, assigns.form))
+
+    ~H"""
+    <div :if={@moods == [] and @non_finite == []} class="text-xs text-base-content/60">
+      {gettext("Conjugations aren't available for this verb.")}
+    </div>
+    <div :if={@moods != [] or @non_finite != []} class="space-y-3">
+      <p :if={@matches != []} class="text-xs text-base-content/80" data-conjugation-summary>
+        <span class="font-semibold">{@form}</span>:
+        {Enum.map_join(@matches, "; ", &match_label/1)}
+      </p>
+
+      <table :for={mood <- @moods} class="table table-xs w-auto whitespace-nowrap">
+        <caption class="pb-1 text-left text-xs font-semibold text-base-content/70">
+          {mood_label(mood)}
+        </caption>
+        <thead>
+          <tr>
+            <th scope="col"><span class="sr-only">{gettext("Person")}</span></th>
+            <th :for={tense <- tenses(@conjugations[mood])} scope="col">
+              {humanize(tense)}
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr :for={person <- persons(@conjugations[mood])}>
+            <th scope="row" class="font-normal text-base-content/60">{person}</th>
+            <td
+              :for={tense <- tenses(@conjugations[mood])}
+              class={match_class({mood, tense, person}, @matches)}
+              data-conjugation-match={{mood, tense, person} in @matches}
+            >
+              {get_in(@conjugations, [mood, tense, person]) || "—"}
+            </td>
+          </tr>
+        </tbody>
+      </table>
+
+      <dl :if={@non_finite != []} class="grid grid-cols-[auto_1fr] gap-x-3 gap-y-0.5 text-xs">
+        <%= for {name, value} <- @non_finite do %>
+          <dt class="text-base-content/60">{humanize(name)}</dt>
+          <dd class={match_class({"non_finite", name, nil}, @matches)}>
+            {value}
+          </dd>
+        <% end %>
+      </dl>
+    </div>
+    """
+  end
+
+  # Exact spellings win; fall back to accent-insensitive matches so a
+  # missing accent in the source still lands on the right cell
+  defp conjugation_matches(_conjugations, form) when not is_binary(form), do: []
+
+  defp conjugation_matches(conjugations, form) do
+    cells = conjugation_cells(conjugations)
+    exact = String.downcase(String.trim(form))
+
+    case Enum.filter(cells, fn {_key, value} -> String.downcase(value) == exact end) do
+      [] ->
+        normalized = Vocabulary.normalize_form(exact)
+
+        for {key, value} <- cells, Vocabulary.normalize_form(value) == normalized, do: key
+
+      matches ->
+        Enum.map(matches, &elem(&1, 0))
+    end
+  end
+
+  defp conjugation_cells(conjugations) do
+    finite =
+      for mood <- @moods,
+          {tense, forms} <- map_or_empty(conjugations[mood]),
+          {person, value} <- map_or_empty(forms),
+          is_binary(value),
+          do: {{mood, tense, person}, value}
+
+    non_finite =
+      for {name, value} <- map_or_empty(conjugations["non_finite"]),
+          is_binary(value),
+          do: {{"non_finite", name, nil}, value}
+
+    finite ++ non_finite
+  end
+
+  defp match_class(key, matches) do
+    if key in matches, do: "rounded bg-primary/15 font-semibold text-primary"
+  end
+
+  defp map_or_empty(value) when is_map(value), do: value
+  defp map_or_empty(_value), do: %{}
+
+  defp match_label({"non_finite", name, nil}), do: humanize(name)
+
+  defp match_label({mood, tense, person}) do
+    gettext("%{tense} %{mood}, %{person}",
+      tense: humanize(tense),
+      mood: String.downcase(mood_label(mood)),
+      person: person
+    )
+  end
+
+  defp mood_label("indicative"), do: gettext("Indicative")
+  defp mood_label("subjunctive"), do: gettext("Subjunctive")
+  defp mood_label("imperative"), do: gettext("Imperative")
+
+  defp tenses(forms) when is_map(forms), do: forms |> Map.keys() |> Enum.sort()
+
+  defp persons(forms) when is_map(forms) do
+    present =
+      forms
+      |> Map.values()
+      |> Enum.flat_map(&Map.keys(map_or_empty(&1)))
+      |> Enum.uniq()
+
+    Enum.filter(@persons, &(&1 in present)) ++ Enum.sort(present -- @persons)
+  end
+
+  defp humanize(key) do
+    key
+    |> to_string()
+    |> String.replace("_", " ")
+    |> String.capitalize()
+  end
+
+  defp verb_entry?(entry) do
+    conjugations = Map.get(entry, :conjugations)
+    part_of_speech = Map.get(entry, :part_of_speech)
+
+    Map.get(entry, :word_id) != nil and Map.get(entry, :word_type) != "phrase" and
+      ((is_map(conjugations) and map_size(conjugations) > 0) or
+         (is_binary(part_of_speech) and String.downcase(part_of_speech) in ["verb", "verbo"]))
+  end
+
+  defp rating_buttons do
+    [
+      {"hard", gettext("Hard"), "btn-warning", "1"},
+      {"good", gettext("Good"), "btn-primary", "2"},
+      {"easy", gettext("Easy"), "btn-success", "3"}
+    ]
+  end
+
+  # Dictionary sources are external; only link out over http(s)
+  defp safe_url(url) when is_binary(url) do
+    case URI.parse(url) do
+      %URI{scheme: scheme, host: host} when scheme in ["http", "https"] and is_binary(host) ->
+        url
+
+      _ ->
+        nil
+    end
+  end
+
+  defp safe_url(_url), do: nil
+
+  defp present?(value), do: is_binary(value) and String.trim(value) != ""
+end
@@ -0,0 +1,53 @@
+defmodule LanglerWeb.ChatAudioController do
+  @moduledoc """
+  Reads assistant replies in the chat drawer aloud through the user's TTS
+  config (see `Langler.TTS.Service.synthesize/3`).
+
+  Audio is generated on request and never stored, as messages are encrypted
+  at rest.
+  """
+
+  use LanglerWeb, :controller
+
+  alias Langler.Chat.{Corrections, Message, Session}
+  alias Langler.TTS.Service
+
+  require Logger
+
+  def show(conn, %{"id" => id}) do
+    user_id = conn.assigns.current_scope.user.id
+
+    with {message_id, ""} <- Integer.parse(id),
+         %{role: "assistant"} = message <- Message.get_message(message_id),
+         %{user_id: ^user_id} = session <- Session.get_session(message.chat_session_id),
+         text = speakable_text(message.content),
+         {:ok, audio} <- Service.synthesize(user_id, text, session.target_language) do
+      conn
+      |> put_resp_content_type("audio/wav", nil)
+      |> put_resp_header("cache-control", "private, max-age=3600")
+      |> send_resp(200, audio)
+    else
+      {:error, reason} ->
+        Logger.warning("Chat reply audio failed for message #{id}: #{inspect(reason)}")
+        send_resp(conn, 422, "")
+
+      _ ->
+        send_resp(conn, 404, "")
+    end
+  end
+
+  # Reads the reply's prose as plain text, without markdown or corrections
+  defp speakable_text(content) do
+    {prose, _correction} = Corrections.split(content)
+
+    with {:ok, html} when is_binary(html) <- MDEx.to_html(prose),
+         {:ok, fragment} <- Floki.parse_fragment(html) do
+      fragment
+      |> Floki.text(sep: " ")
+      |> String.replace(~r/\s+/u, " ")
+      |> String.trim()
+    else
+      _ -> prose
+    end
+  end
+end
@@ -0,0 +1,45 @@
+defmodule LanglerWeb.DeckExportController do
+  @moduledoc """
+  Serves deck exports produced by `Langler.Vocabulary.Workers.ExportDeckWorker`.
+
+  Downloads are addressed by a signed token (see `download_path/3`) that names
+  the export file and the user it was generated for.
+  """
+
+  use LanglerWeb, :controller
+
+  alias Langler.Vocabulary.Workers.ExportDeckWorker
+
+  @salt "deck export"
+
+  @doc """
+  Returns the download path for an export written by the worker.
+  """
+  def download_path(user_id, file, filename) do
+    token =
+      Phoenix.Token.sign(LanglerWeb.Endpoint, @salt, %{
+        "user_id" => user_id,
+        "file" => file,
+        "filename" => filename
+      })
+
+    ~p"/decks/exports/#{token}"
+  end
+
+  def show(conn, %{"token" => token}) do
+    user_id = conn.assigns.current_scope.user.id
+    max_age = ExportDeckWorker.max_age()
+
+    with {:ok, %{"user_id" => ^user_id, "file" => file, "filename" => filename}} <-
+           Phoenix.Token.verify(LanglerWeb.Endpoint, @salt, token, max_age: max_age),
+         path = Path.join(ExportDeckWorker.export_dir(), Path.basename(file)),
+         true <- File.regular?(path) do
+      send_download(conn, {:file, path}, filename: filename)
+    else
+      _ ->
+        conn
+        |> put_flash(:error, gettext("This export has expired. Please export the deck again."))
+        |> redirect(to: ~p"/decks")
+    end
+  end
+end
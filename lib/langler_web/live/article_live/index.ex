@@ -33,6 +33,7 @@ defmodule LanglerWeb.ArticleLive.Index do
      |> assign(:user_topics, user_topics)
      |> assign(:articles_count, 0)
      |> assign(:articles_loading, false)
+     |> assign(:reading_progress, %{})
      |> stream(:articles, [])
      |> assign_async(:recommended_count, fn ->
        {:ok, %{recommended_count: Content.get_recommended_count(user_id, @recommendations_limit)}}
@@ -309,7 +310,7 @@ defmodule LanglerWeb.ArticleLive.Index do
                         </summary>
                         <ul class="dropdown-content menu bg-base-100 rounded-box z-[1] w-52 border border-base-300 p-2 shadow-lg">
                           <li>
-                            <.link navigate={~p"/articles/#{article}"}>
+                            <.link navigate={continue_path(article, @reading_progress)}>
                               <.icon name="hero-arrow-right" class="h-4 w-4" /> Continue reading
                             </.link>
                           </li>
@@ -361,8 +362,23 @@ defmodule LanglerWeb.ArticleLive.Index do
                         <span :if={article.unique_word_count} class="badge badge-sm badge-ghost">
                           {article.unique_word_count} unique words
                         </span>
+                        <span
+                          :if={@reading_progress[article.id]}
+                          class="inline-flex items-center gap-2"
+                          data-reading-progress={article.id}
+                        >
+                          <progress
+                            class="progress progress-primary w-16"
+                            value={percent_read(@reading_progress, article)}
+                            max="100"
+                          />
+                          {percent_read(@reading_progress, article)}% read
+                        </span>
                       </div>
-                      <.link navigate={~p"/articles/#{article}"} class="btn btn-sm btn-primary gap-2">
+                      <.link
+                        navigate={continue_path(article, @reading_progress)}
+                        class="btn btn-sm btn-primary gap-2"
+                      >
                         Continue <.icon name="hero-arrow-right" class="h-4 w-4" />
                       </.link>
                     </div>
@@ -636,15 +652,17 @@ defmodule LanglerWeb.ArticleLive.Index do
     |> assign(:articles_loading, true)
     |> start_async(:load_articles, fn ->
       articles = Content.list_articles_for_user(user_id, query: query, topic: topic)
-      %{articles: articles, count: length(articles)}
+      reading_progress = Content.reading_progress_by_article(user_id, Enum.map(articles, & &1.id))
+      %{articles: articles, count: length(articles), reading_progress: reading_progress}
     end)
   end
 
-  def handle_async(:load_articles, {:ok, %{articles: articles, count: count}}, socket) do
+  def handle_async(:load_articles, {:ok, %{articles: articles} = result}, socket) do
     {:noreply,
      socket
      |> assign(:articles_loading, false)
-     |> assign(:articles_count, count)
+     |> assign(:articles_count, result.count)
+     |> assign(:reading_progress, result.reading_progress)
      |> stream(:articles, articles, reset: true)}
   end
 
@@ -657,6 +675,19 @@ defmodule LanglerWeb.ArticleLive.Index do
      |> put_flash(:error, gettext("Failed to load articles: %{reason}", reason: inspect(reason)))}
   end
 
+  # Articles the user has started open at their saved reading position
+  defp continue_path(article, reading_progress) do
+    if Map.has_key?(reading_progress, article.id) do
+      ~p"/articles/#{article}?resume=1"
+    else
+      ~p"/articles/#{article}"
+    end
+  end
+
+  defp percent_read(reading_progress, article) do
+    round(Map.get(reading_progress, article.id, 0) * 100)
+  end
+
   defp top_topics(article) do
     case Map.get(article, :article_topics) do
       %Ecto.Association.NotLoaded{} ->
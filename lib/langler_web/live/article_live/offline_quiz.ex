@@ -0,0 +1,206 @@
+defmodule LanglerWeb.ArticleLive.OfflineQuiz do
+  @moduledoc """
+  LiveComponent for quizzes built by `Langler.Quizzes.Generator`, which need
+  no LLM.
+
+  The parent starts a quiz with
+  `send_update(OfflineQuiz, id: "offline-quiz", action: :start)`. Graded
+  quizzes are saved as attempts of the component's `:quiz_type` and shown
+  with the regular quiz results.
+  """
+  use LanglerWeb, :live_component
+
+  alias Langler.Content
+  alias Langler.Quizzes
+  alias Langler.Quizzes.Generator
+  alias Langler.Quizzes.Result
+  alias Langler.Quizzes.State
+
+  require Logger
+
+  @impl true
+  def mount(socket) do
+    {:ok, socket}
+  end
+
+  @impl true
+  def update(%{action: :start}, socket) do
+    %{current_scope: scope, article: article, sentences: sentences} = socket.assigns
+
+    # Each attempt gets its own questions, and a reload the same ones
+    seed = Quizzes.count_attempts_for_article(scope.user.id, article.id)
+
+    socket =
+      case Generator.generate(sentences, seed: seed) do
+        [] ->
+          put_flash(socket, :error, gettext("This article is too short for an offline quiz"))
+
+        questions ->
+          socket
+          |> State.reset()
+          |> assign(questions: questions, answers: %{})
+          |> push_event("scroll-into-view", %{id: socket.assigns.id})
+      end
+
+    {:ok, socket}
+  end
+
+  def update(assigns, socket) do
+    socket =
+      socket
+      |> assign(assigns)
+      |> assign_new(:quiz_type, fn -> "reading" end)
+      |> assign_new(:questions, fn -> nil end)
+      |> assign_new(:answers, fn -> %{} end)
+      |> State.init()
+
+    {:ok, socket}
+  end
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <div id={@id} class="scroll-mt-24">
+      <.form
+        :if={@questions}
+        for={%{}}
+        as={:answers}
+        id={"#{@id}-form"}
+        class="surface-panel section-card mt-6 w-full rounded-3xl bg-base-100 p-6 shadow-lg space-y-5"
+        phx-change="select_answer"
+        phx-submit="submit_quiz"
+        phx-target={@myself}
+      >
+        <div class="flex items-center justify-between gap-2">
+          <h2 class="text-lg font-semibold text-base-content">Offline quiz</h2>
+          <span class="text-xs text-base-content/60">
+            {map_size(@answers)}/{length(@questions)} answered
+          </span>
+        </div>
+
+        <fieldset
+          :for={question <- @questions}
+          id={"#{@id}-#{question.id}"}
+          class="space-y-2"
+          data-question-type={question.type}
+        >
+          <legend class="mb-2 text-sm font-medium text-base-content">{question.prompt}</legend>
+          <label
+            :for={option <- question.options}
+            class="flex cursor-pointer items-start gap-3 rounded-xl border border-base-200 p-3 text-sm hover:bg-base-200/60"
+          >
+            <input
+              type="radio"
+              name={"answers[#{question.id}]"}
+              value={option}
+              checked={@answers[question.id] == option}
+              class="radio radio-primary radio-sm mt-0.5"
+            />
+            <span>{option}</span>
+          </label>
+        </fieldset>
+
+        <div class="flex justify-end gap-2">
+          <button
+            type="button"
+            class="btn btn-ghost btn-sm"
+            phx-click="cancel_quiz"
+            phx-target={@myself}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            class="btn btn-primary btn-sm"
+            disabled={map_size(@answers) < length(@questions)}
+          >
+            Check answers
+          </button>
+        </div>
+      </.form>
+
+      <.quiz_results
+        :if={@quiz_completed && @quiz_result}
+        id={"#{@id}-results"}
+        result={@quiz_result}
+        myself={@myself}
+      />
+    </div>
+    """
+  end
+
+  @impl true
+  def handle_event("select_answer", %{"answers" => answers}, socket) do
+    {:noreply, assign(socket, :answers, answers)}
+  end
+
+  def handle_event("select_answer", _params, socket), do: {:noreply, socket}
+
+  def handle_event("cancel_quiz", _params, socket) do
+    {:noreply, assign(socket, questions: nil, answers: %{})}
+  end
+
+  def handle_event("submit_quiz", params, socket) do
+    %{current_scope: scope, article: article, questions: questions} = socket.assigns
+    result = Generator.grade(questions, Map.get(params, "answers", %{}))
+
+    attrs = %{
+      score: result.score,
+      max_score: result.max_score,
+      quiz_type: socket.assigns.quiz_type,
+      result_json: Result.to_map(result)
+    }
+
+    case Quizzes.create_attempt(scope.user.id, article.id, attrs) do
+      {:ok, _attempt} ->
+        {:noreply,
+         socket
+         |> assign(questions: nil, answers: %{})
+         |> State.mark_completed(result)}
+
+      {:error, changeset} ->
+        Logger.error("Failed to save offline quiz: #{inspect(changeset.errors)}")
+        {:noreply, put_flash(socket, :error, gettext("Failed to save quiz result"))}
+    end
+  end
+
+  def handle_event("add_missed_vocabulary", _params, socket) do
+    %{current_scope: scope, article: article, quiz_result: result} = socket.assigns
+
+    case Quizzes.add_missed_vocabulary(scope.user.id, result, article.language) do
+      {:ok, words} ->
+        count = length(words)
+
+        {:reply, %{added: count},
+         put_flash(
+           socket,
+           :info,
+           ngettext("Added 1 word to study", "Added %{count} words to study", count)
+         )}
+
+      {:error, reason} ->
+        Logger.error("Failed to add missed quiz vocabulary: #{inspect(reason)}")
+        {:reply, %{}, put_flash(socket, :error, gettext("Unable to add the missed vocabulary"))}
+    end
+  end
+
+  def handle_event("finish_and_archive", _params, socket) do
+    %{current_scope: scope, article: article} = socket.assigns
+
+    case Content.finish_article_for_user(scope.user.id, article.id) do
+      {:ok, _} ->
+        {:noreply,
+         socket
+         |> put_flash(:info, gettext("Article marked as finished and archived"))
+         |> push_navigate(to: ~p"/articles")}
+
+      {:error, reason} ->
+        {:noreply,
+         put_flash(
+           socket,
+           :error,
+           gettext("Unable to finish article: %{reason}", reason: inspect(reason))
+         )}
+    end
+  end
+end
@@ -18,6 +18,7 @@ defmodule LanglerWeb.ArticleLive.Show do
   alias Langler.Repo
   alias Langler.Study
   alias Langler.Vocabulary
+  alias LanglerWeb.WordTooltipComponents
 
   @token_regex ~r/\p{L}+\p{M}*|[^\p{L}]+/u
 
@@ -34,8 +35,17 @@ defmodule LanglerWeb.ArticleLive.Show do
         {:ok, socket}
 
       article ->
+        if connected?(socket) do
+          Phoenix.PubSub.subscribe(
+            Langler.PubSub,
+            Quizzes.attempts_topic(scope.user.id, article.id)
+          )
+        end
+
         socket =
           socket
+          |> assign(:resume_on_load, Map.get(params, "resume") == "1")
+          |> assign(:reader_settings, Accounts.get_reader_settings(scope.user.id))
           |> assign_article(article)
           |> maybe_start_quiz_from_params(params, scope.user.id, article)
 
@@ -54,20 +64,24 @@ defmodule LanglerWeb.ArticleLive.Show do
   defp maybe_start_quiz(socket, user_id, article) do
     with %ArticleUser{status: "finished"} <- get_article_user(user_id, article.id),
          %{} <- LlmConfig.get_default_config(user_id) do
-      send_update(LanglerWeb.ChatLive.Drawer,
-        id: "chat-drawer",
-        action: :start_article_quiz,
-        article_id: article.id,
-        article_title: display_title(article),
-        article_language: article.language,
-        article_topics: Enum.map(socket.assigns.article_topics || [], & &1.topic),
-        article_content: article.content
-      )
+      send_update(LanglerWeb.ChatLive.Drawer, article_quiz_assigns(socket, article))
     end
 
     socket
   end
 
+  defp article_quiz_assigns(socket, article) do
+    [
+      id: "chat-drawer",
+      action: :start_article_quiz,
+      article_id: article.id,
+      article_title: display_title(article),
+      article_language: article.language,
+      article_topics: Enum.map(socket.assigns.article_topics || [], & &1.topic),
+      article_content: article.content
+    ]
+  end
+
   defp get_article_user(user_id, article_id) do
     Repo.get_by(ArticleUser, user_id: user_id, article_id: article_id)
   end
@@ -81,6 +95,7 @@ defmodule LanglerWeb.ArticleLive.Show do
             id="article-hero"
             phx-hook="ArticleStickyHeader"
             data-article-target="article-reader"
+            data-resume-on-load={@resume_on_load && @resume_sentence_id}
             class="article-meta rounded-t-3xl"
           >
             <div class="card-body gap-6 lg:grid lg:grid-cols-[minmax(0,1.5fr)_minmax(0,1fr)] lg:items-start lg:gap-10">
@@ -139,8 +154,40 @@ defmodule LanglerWeb.ArticleLive.Show do
                   article={@article}
                   article_status={@article_status}
                   tts_enabled={@tts_enabled}
+                  reader_settings={@reader_settings}
                 />
               </div>
+
+              <div
+                :if={@resume_sentence_id && !@resume_on_load}
+                id="reader-resume"
+                class="article-meta__full flex flex-wrap items-center justify-between gap-3 rounded-2xl border border-primary/20 bg-primary/5 px-4 py-3 text-sm lg:col-span-2"
+              >
+                <span class="inline-flex items-center gap-2 text-base-content/80">
+                  <.icon name="hero-bookmark" class="h-4 w-4 text-primary" />
+                  {gettext("You were %{percent}% through this article.",
+                    percent: @reading_percent
+                  )}
+                </span>
+                <div class="flex items-center gap-2">
+                  <button
+                    type="button"
+                    class="btn btn-primary btn-sm"
+                    data-reader-resume={@resume_sentence_id}
+                    phx-click={JS.hide(to: "#reader-resume")}
+                  >
+                    {gettext("Continue where you left off")}
+                  </button>
+                  <button
+                    type="button"
+                    class="btn btn-ghost btn-sm"
+                    aria-label={gettext("Dismiss")}
+                    phx-click={JS.hide(to: "#reader-resume")}
+                  >
+                    <.icon name="hero-x-mark" class="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
             </div>
             <div class="article-meta__progress" aria-hidden="true">
               <div class="article-meta__progress-track">
@@ -151,14 +198,41 @@ defmodule LanglerWeb.ArticleLive.Show do
 
           <article
             id="article-reader"
-            class="w-full px-8 py-8 rounded-b-3xl"
+            phx-hook="ReaderKeyboard"
+            data-announcer="article-reader-announcer"
+            data-announcements={Jason.encode!(reader_announcements())}
+            tabindex="0"
+            role="application"
+            aria-roledescription={gettext("article reader")}
+            aria-label={display_title(@article)}
+            aria-describedby="article-reader-keys"
+            data-reader-font={@reader_settings.reader_font}
+            data-reader-width={@reader_settings.reader_width}
+            data-reader-sentence-lines={@reader_settings.reader_sentence_per_line}
+            style={reader_style(@reader_settings)}
+            class="w-full px-8 py-8 rounded-b-3xl focus:outline-none"
           >
+            <p id="article-reader-keys" class="sr-only">
+              {gettext(
+                "Use the left and right arrow keys to move between words and up and down to move between sentences. Press Enter to look up a word, A to add it to study and 1 to 3 to rate it. Hold Shift with the arrow keys to select a phrase."
+              )}
+            </p>
+            <div
+              id="article-reader-announcer"
+              class="sr-only"
+              aria-live="polite"
+              aria-atomic="true"
+              phx-update="ignore"
+            >
+            </div>
             <div class="reader-container mx-auto">
               <div class="reader-content">
                 <p
                   :for={sentence <- @sentences}
                   class="mb-4 break-words last:mb-0"
                   style="font-size: 0;"
+                  data-reader-sentence
+                  data-sentence-id={sentence.id}
                 >
                   <.token_span
                     :for={
@@ -180,6 +254,22 @@ defmodule LanglerWeb.ArticleLive.Show do
             </div>
           </article>
         </div>
+
+        <.live_component
+          :if={@current_scope}
+          module={LanglerWeb.ArticleLive.OfflineQuiz}
+          id="offline-quiz"
+          article={@article}
+          sentences={@sentences}
+          current_scope={@current_scope}
+        />
+
+        <div
+          :if={@quiz_attempts != []}
+          class="surface-panel section-card mt-6 w-full rounded-3xl bg-base-100 p-6 shadow-lg"
+        >
+          <.quiz_history attempts={@quiz_attempts} similar_progress={@similar_quiz_progress} />
+        </div>
       </div>
     </Layouts.app>
     """
@@ -211,6 +301,13 @@ defmodule LanglerWeb.ArticleLive.Show do
           event="start_article_quiz"
           variant={:primary}
         />
+        <.action_button
+          tooltip="Quiz without AI, built from the article"
+          icon="hero-puzzle-piece"
+          label="Offline quiz"
+          event="start_offline_quiz"
+          variant={:ghost}
+        />
         <.action_link
           :if={@tts_enabled}
           tooltip="Listen to this article"
@@ -232,6 +329,8 @@ defmodule LanglerWeb.ArticleLive.Show do
 
       <%!-- Secondary actions group --%>
       <div class="flex items-center gap-1">
+        <.reader_settings_menu settings={@reader_settings} />
+
         <div
           :if={@article_status == "imported"}
           class="dropdown dropdown-bottom dropdown-end"
@@ -289,6 +388,163 @@ defmodule LanglerWeb.ArticleLive.Show do
     """
   end
 
+  attr :settings, :map, required: true
+
+  # Changes apply instantly through the ReaderSettings hook, the server only
+  # saves them
+  defp reader_settings_menu(assigns) do
+    ~H"""
+    <div class="dropdown dropdown-bottom dropdown-end">
+      <div class="tooltip tooltip-bottom" data-tip={gettext("Reader settings")}>
+        <button
+          type="button"
+          tabindex="0"
+          class="article-meta__btn btn btn-ghost btn-sm btn-square"
+          aria-label={gettext("Reader settings")}
+        >
+          <.icon name="hero-adjustments-horizontal" class="h-4 w-4" />
+        </button>
+      </div>
+      <.form
+        for={%{}}
+        as={:reader}
+        id="reader-settings-form"
+        tabindex="0"
+        phx-hook="ReaderSettings"
+        phx-change="update_reader_settings"
+        data-reader-target="article-reader"
+        class="dropdown-content z-50 mt-2 w-72 space-y-4 rounded-box border border-base-300 bg-base-100 p-4 shadow-lg"
+      >
+        <fieldset class="space-y-2">
+          <legend class="mb-2 text-xs font-semibold uppercase tracking-widest text-base-content/60">
+            {gettext("Font")}
+          </legend>
+          <div class="join w-full">
+            <input
+              :for={{value, label} <- reader_font_options()}
+              type="radio"
+              name="reader[reader_font]"
+              value={value}
+              checked={@settings.reader_font == value}
+              aria-label={label}
+              class="join-item btn btn-sm flex-1"
+            />
+          </div>
+        </fieldset>
+
+        <label class="block space-y-2">
+          <span class="flex justify-between text-sm text-base-content/80">
+            {gettext("Text size")}
+            <span class="text-base-content/60">{@settings.reader_font_scale}%</span>
+          </span>
+          <input
+            type="range"
+            name="reader[reader_font_scale]"
+            min="80"
+            max="150"
+            step="10"
+            value={@settings.reader_font_scale}
+            phx-debounce="300"
+            class="range range-primary range-xs"
+          />
+        </label>
+
+        <label class="block space-y-2">
+          <span class="flex justify-between text-sm text-base-content/80">
+            {gettext("Line height")}
+            <span class="text-base-content/60">{@settings.reader_line_height}</span>
+          </span>
+          <input
+            type="range"
+            name="reader[reader_line_height]"
+            min="1.4"
+            max="2.2"
+            step="0.05"
+            value={@settings.reader_line_height}
+            phx-debounce="300"
+            class="range range-primary range-xs"
+          />
+        </label>
+
+        <fieldset class="space-y-2">
+          <legend class="mb-2 text-xs font-semibold uppercase tracking-widest text-base-content/60">
+            {gettext("Column width")}
+          </legend>
+          <div class="join w-full">
+            <input
+              :for={{value, label} <- reader_width_options()}
+              type="radio"
+              name="reader[reader_width]"
+              value={value}
+              checked={@settings.reader_width == value}
+              aria-label={label}
+              class="join-item btn btn-sm flex-1"
+            />
+          </div>
+        </fieldset>
+
+        <label class="flex items-center justify-between gap-3 text-sm text-base-content/80">
+          {gettext("One sentence per line")}
+          <input type="hidden" name="reader[reader_sentence_per_line]" value="false" />
+          <input
+            type="checkbox"
+            name="reader[reader_sentence_per_line]"
+            value="true"
+            checked={@settings.reader_sentence_per_line}
+            class="toggle toggle-primary toggle-sm"
+          />
+        </label>
+      </.form>
+    </div>
+    """
+  end
+
+  defp reader_font_options do
+    [
+      {"sans", gettext("Sans")},
+      {"serif", gettext("Serif")},
+      {"dyslexic", gettext("Dyslexia-friendly")}
+    ]
+  end
+
+  defp reader_width_options do
+    [
+      {"narrow", gettext("Narrow")},
+      {"normal", gettext("Normal")},
+      {"wide", gettext("Wide")}
+    ]
+  end
+
+  # Screen-reader messages for the ReaderKeyboard hook, which fills in the
+  # {placeholders}
+  defp reader_announcements do
+    %{
+      added: gettext("Added to study"),
+      removed: gettext("Removed from study"),
+      selection_cancelled: gettext("Selection cancelled"),
+      already_studied: gettext("Already in study"),
+      look_up_first: gettext("Press Enter to look up the word first"),
+      rated_hard: gettext("Rated Hard"),
+      rated_good: gettext("Rated Good"),
+      rated_easy: gettext("Rated Easy"),
+      rate_unstudied: gettext("Add the word to study before rating it"),
+      sentence:
+        gettext("Sentence %{number} of %{count}: %{text}",
+          number: "{number}",
+          count: "{count}",
+          text: "{text}"
+        ),
+      phrase_crosses_sentences: gettext("Phrases can't cross sentences"),
+      selected: gettext("Selected: %{phrase}. Press Enter to look it up.", phrase: "{phrase}")
+    }
+  end
+
+  # Kept in sync with ReaderSettings.apply in assets/js/hooks/reader_settings.js
+  defp reader_style(settings) do
+    "--reader-font-scale: #{settings.reader_font_scale / 100}; " <>
+      "--line-height-reading: #{settings.reader_line_height}"
+  end
+
   attr :tooltip, :string, required: true
   attr :icon, :string, required: true
   attr :label, :string, default: nil
@@ -400,8 +656,60 @@ defmodule LanglerWeb.ArticleLive.Show do
     |> assign(:page_title, article.title || humanize_source(article))
     |> assign(:article_status, article_status)
     |> assign(:tts_enabled, tts_enabled)
+    |> assign(:resume_sentence_id, resume_sentence_id(article_user, sentences))
+    |> assign(:reading_percent, reading_percent(article_user))
+    |> assign_quiz_history()
   end
 
+  # Offer to resume unless the reader never got past the first sentence
+  defp resume_sentence_id(%ArticleUser{last_sentence_id: sentence_id}, [first | _] = sentences)
+       when is_integer(sentence_id) and sentence_id != first.id do
+    if Enum.any?(sentences, &(&1.id == sentence_id)), do: sentence_id
+  end
+
+  defp resume_sentence_id(_article_user, _sentences), do: nil
+
+  defp reading_percent(%ArticleUser{reading_progress: progress}) when is_number(progress),
+    do: round(progress * 100)
+
+  defp reading_percent(_article_user), do: 0
+
+  defp assign_quiz_history(%{assigns: %{current_scope: scope, article: article}} = socket) do
+    socket
+    |> assign(:quiz_attempts, Quizzes.list_attempts_for_article(scope.user.id, article.id))
+    |> assign(:similar_quiz_progress, Quizzes.similar_difficulty_progress(scope.user.id, article))
+  end
+
+  defp maybe_mark_finished(%{assigns: %{article_status: "imported"}} = socket, "finished") do
+    socket
+    |> assign(:article_status, "finished")
+    |> put_flash(:info, gettext("You reached the end, so the article is marked as finished"))
+  end
+
+  defp maybe_mark_finished(socket, _status), do: socket
+
+  defp parse_sentence_id(id) when is_integer(id), do: id
+
+  defp parse_sentence_id(id) when is_binary(id) do
+    case Integer.parse(id) do
+      {parsed, ""} -> parsed
+      _ -> nil
+    end
+  end
+
+  defp parse_sentence_id(_id), do: nil
+
+  defp parse_progress(progress) when is_number(progress), do: progress
+
+  defp parse_progress(progress) when is_binary(progress) do
+    case Float.parse(progress) do
+      {value, ""} -> value
+      _ -> nil
+    end
+  end
+
+  defp parse_progress(_progress), do: nil
+
   defp calculate_reading_time(sentences) do
     total_words =
       sentences
@@ -508,17 +816,42 @@ defmodule LanglerWeb.ArticleLive.Show do
         %{assigns: %{current_scope: scope, article: article}} = socket
       ) do
     if LlmConfig.get_default_config(scope.user.id) do
-      send_update(LanglerWeb.ChatLive.Drawer,
-        id: "chat-drawer",
-        action: :start_article_quiz,
-        article_id: article.id,
-        article_title: display_title(article),
-        article_language: article.language,
-        article_topics: Enum.map(socket.assigns.article_topics || [], & &1.topic),
-        article_content: article.content
-      )
+      send_update(LanglerWeb.ChatLive.Drawer, article_quiz_assigns(socket, article))
 
       {:noreply, socket}
+    else
+      {:noreply,
+       put_flash(
+         socket,
+         :error,
+         gettext(
+           "Add an LLM provider in settings before starting a quiz, or take an offline quiz"
+         )
+       )}
+    end
+  end
+
+  def handle_event(
+        "retake_quiz",
+        %{"attempt-id" => attempt_id, "mode" => mode},
+        %{assigns: %{current_scope: scope, article: article}} = socket
+      ) do
+    article_id = article.id
+
+    if LlmConfig.get_default_config(scope.user.id) do
+      case Quizzes.get_attempt_for_user(scope.user.id, attempt_id) do
+        %{article_id: ^article_id} = attempt ->
+          send_update(
+            LanglerWeb.ChatLive.Drawer,
+            article_quiz_assigns(socket, article) ++
+              Map.to_list(Quizzes.Service.retake_assigns(attempt, mode))
+          )
+
+          {:noreply, socket}
+
+        _ ->
+          {:noreply, put_flash(socket, :error, gettext("Quiz attempt not found"))}
+      end
     else
       {:noreply,
        socket
@@ -526,6 +859,37 @@ defmodule LanglerWeb.ArticleLive.Show do
     end
   end
 
+  def handle_event(
+        "save_reading_position",
+        %{"sentence_id" => sentence_id, "progress" => progress},
+        %{assigns: %{current_scope: scope, article: article}} = socket
+      ) do
+    with sentence_id when is_integer(sentence_id) <- parse_sentence_id(sentence_id),
+         progress when is_number(progress) <- parse_progress(progress),
+         {:ok, %ArticleUser{status: status}} <-
+           Content.update_reading_position(scope.user.id, article.id, sentence_id, progress) do
+      {:noreply, maybe_mark_finished(socket, status)}
+    else
+      _ -> {:noreply, socket}
+    end
+  end
+
+  def handle_event("update_reader_settings", %{"reader" => params}, socket) do
+    case Accounts.update_reader_settings(socket.assigns.current_scope.user, params) do
+      {:ok, settings} ->
+        {:noreply, assign(socket, :reader_settings, settings)}
+
+      {:error, changeset} ->
+        Logger.error("Failed to save reader settings: #{inspect(changeset.errors)}")
+        {:noreply, put_flash(socket, :error, gettext("Unable to save reader settings"))}
+    end
+  end
+
+  def handle_event("start_offline_quiz", _params, socket) do
+    send_update(LanglerWeb.ArticleLive.OfflineQuiz, id: "offline-quiz", action: :start)
+    {:noreply, socket}
+  end
+
   def handle_event("navigate_tts_settings", _, socket) do
     {:noreply,
      socket
@@ -609,7 +973,8 @@ defmodule LanglerWeb.ArticleLive.Show do
           language: language,
           context: context,
           dom_id: dom_id,
-          word_type: word_type
+          word_type: word_type,
+          sentence_id: sentence && sentence.id
         })
 
       {:error, _reason} ->
@@ -780,6 +1145,38 @@ defmodule LanglerWeb.ArticleLive.Show do
     end
   end
 
+  def handle_event(
+        "fetch_word_conjugations",
+        %{"word_id" => word_id, "dom_id" => dom_id} = params,
+        socket
+      ) do
+    case fetch_word(word_id) do
+      {:ok, word} ->
+        form = Map.get(params, "form")
+
+        {:noreply,
+         start_async(socket, {:word_conjugations, dom_id}, fn ->
+           {word.id, form, Vocabulary.ensure_word_conjugations(word)}
+         end)}
+
+      {:error, _reason} ->
+        {:noreply, socket}
+    end
+  end
+
+  @impl true
+  def handle_async({:word_conjugations, dom_id}, result, socket) do
+    payload = WordTooltipComponents.conjugations_payload(dom_id, result)
+    {:noreply, push_event(socket, "word-conjugations", payload)}
+  end
+
+  @impl true
+  def handle_info({:quiz_attempt_created, _attempt}, socket) do
+    {:noreply, assign_quiz_history(socket)}
+  end
+
+  def handle_info(_msg, socket), do: {:noreply, socket}
+
   defp handle_successful_lookup(socket, %{
          entry: entry,
          resolved_word: resolved_word,
@@ -789,7 +1186,8 @@ defmodule LanglerWeb.ArticleLive.Show do
          language: language,
          context: context,
          dom_id: dom_id,
-         word_type: word_type
+         word_type: word_type,
+         sentence_id: sentence_id
        }) do
     payload =
       entry
@@ -822,8 +1220,17 @@ defmodule LanglerWeb.ArticleLive.Show do
             end),
         fsrs_sleep_until:
           resolved_word &&
-            fsrs_sleep_until(socket.assigns[:study_items_by_word], resolved_word.id)
+            fsrs_sleep_until(socket.assigns[:study_items_by_word], resolved_word.id),
+        cefr_level: resolved_word && resolved_word.cefr_level,
+        frequency_rank: resolved_word && resolved_word.frequency_rank,
+        conjugations: resolved_word && resolved_word.conjugations,
+        examples:
+          example_sentences(socket, resolved_word, trimmed_word,
+            language: language,
+            exclude_sentence_id: sentence_id
+          )
       })
+      |> WordTooltipComponents.with_html()
 
     Logger.debug("word-data payload: #{inspect(payload)}")
 
@@ -1439,6 +1846,16 @@ defmodule LanglerWeb.ArticleLive.Show do
     end
   end
 
+  defp example_sentences(_socket, nil, _form, _opts), do: []
+
+  defp example_sentences(socket, word, form, opts) do
+    Content.list_example_sentences(
+      socket.assigns.current_scope.user.id,
+      [form | Vocabulary.inflected_forms(word)],
+      opts
+    )
+  end
+
   defp fetch_word(nil), do: {:error, :missing_word_id}
 
   defp fetch_word(id) when is_binary(id) do
@@ -5,16 +5,22 @@ defmodule LanglerWeb.AudioLive.Player do
 
   use LanglerWeb, :live_view
 
+  alias Langler.Accounts.LlmConfig
   alias Langler.Accounts.TtsConfig
   alias Langler.Audio
   alias Langler.Audio.AudioFile
   alias Langler.Audio.Storage
   alias Langler.Content
+  alias Langler.Quizzes
   alias Langler.Quizzes.Service
   alias Langler.Repo
+  alias Langler.TTS.Alignment
   alias Langler.TTS.GenerateAudioJob
   alias Oban
 
+  @shadowing_repeat_options [1, 2, 3, 4, 5]
+  @shadowing_pause_options [0, 1, 2, 3, 5, 8]
+
   @impl true
   def mount(%{"id" => article_id_str}, _session, socket) do
     user_id = socket.assigns.current_scope.user.id
@@ -72,6 +78,10 @@ defmodule LanglerWeb.AudioLive.Player do
       end
     end
 
+    if connected?(socket) do
+      Phoenix.PubSub.subscribe(Langler.PubSub, Quizzes.attempts_topic(user_id, article_id))
+    end
+
     # Subscribe to audio ready notifications
     if audio_file == nil or audio_file.status == "pending" do
       Phoenix.PubSub.subscribe(Langler.PubSub, "audio:user:#{user_id}:article:#{article_id}")
@@ -83,12 +93,17 @@ defmodule LanglerWeb.AudioLive.Player do
       |> assign(:sentences, sentences)
       |> assign(:audio_file, audio_file)
       |> assign(:audio_url, get_audio_url(audio_file))
+      |> assign(:word_timings?, sentence_timings(audio_file, sentences) != [])
+      |> assign(:shadowing, shadowing_settings(audio_file))
       |> assign(:initial_listening_position, initial_listening_position)
       |> assign(:current_sentence_idx, 0)
       |> assign(:subtitles_visible, false)
       |> assign(:playback_rate, 1.0)
+      |> assign(:shadowing_repeat_options, @shadowing_repeat_options)
+      |> assign(:shadowing_pause_options, @shadowing_pause_options)
       |> assign(:is_playing, false)
       |> assign(:audio_loading, audio_file == nil or audio_file.status == "pending")
+      |> assign_quiz_history()
 
     {:ok, socket}
   end
@@ -133,6 +148,10 @@ defmodule LanglerWeb.AudioLive.Player do
               data-playback-rate={@playback_rate}
               data-sentences={Jason.encode!(Enum.map(@sentences, &%{id: &1.id, content: &1.content}))}
               data-initial-position={@initial_listening_position}
+              data-timings={Jason.encode!(sentence_timings(@audio_file, @sentences))}
+              data-shadowing={to_string(@shadowing.enabled)}
+              data-shadowing-repeats={@shadowing.repeats}
+              data-shadowing-pause={@shadowing.pause_seconds}
             >
               <div class="flex flex-col gap-4">
                 <div class="flex flex-wrap items-center gap-3 lg:grid lg:grid-cols-10">
@@ -223,6 +242,20 @@ defmodule LanglerWeb.AudioLive.Player do
                     </div>
                   </div>
                 </div>
+
+                <p
+                  id="shadowing-status"
+                  class="hidden text-center text-xs font-medium text-primary"
+                  aria-live="polite"
+                  data-status-template={
+                    gettext("Sentence %{sentence} · repeat %{repeat} of %{repeats}",
+                      sentence: "{sentence}",
+                      repeat: "{repeat}",
+                      repeats: "{repeats}"
+                    )
+                  }
+                >
+                </p>
               </div>
             </div>
 
@@ -252,22 +285,88 @@ defmodule LanglerWeb.AudioLive.Player do
                   data-sentence-index={idx}
                   data-active={idx == @current_sentence_idx}
                 >
-                  {sentence.content}
+                  <%= if @word_timings? do %>
+                    <%= for {word, word_idx} <- Enum.with_index(Alignment.words(sentence.content)) do %>
+                      <span
+                        class="rounded transition-colors data-[word-active=true]:bg-primary/25 data-[word-active=true]:text-base-content"
+                        data-word-index={word_idx}
+                      >{word}</span>{" "}
+                    <% end %>
+                  <% else %>
+                    {sentence.content}
+                  <% end %>
                 </p>
               </div>
             </div>
 
             <%!-- Actions --%>
             <div class="flex flex-wrap items-center justify-between gap-4 border-t border-base-300 pt-6">
-              <button type="button" class="btn btn-ghost" phx-click="toggle_subtitles">
-                {if @subtitles_visible, do: "Hide Subtitles", else: "Show Subtitles"}
-              </button>
+              <div class="flex flex-wrap items-center gap-3">
+                <button type="button" class="btn btn-ghost" phx-click="toggle_subtitles">
+                  {if @subtitles_visible, do: "Hide Subtitles", else: "Show Subtitles"}
+                </button>
+
+                <.form
+                  for={%{}}
+                  as={:shadowing}
+                  id="shadowing-form"
+                  phx-change="update_shadowing"
+                  class="flex flex-wrap items-center gap-2"
+                >
+                  <label
+                    class="label cursor-pointer gap-2"
+                    title={gettext("Click a subtitle to loop it, pausing after each repeat")}
+                  >
+                    <input type="hidden" name="shadowing[shadowing_enabled]" value="false" />
+                    <input
+                      type="checkbox"
+                      name="shadowing[shadowing_enabled]"
+                      value="true"
+                      class="toggle toggle-primary toggle-sm"
+                      checked={@shadowing.enabled}
+                    />
+                    <span class="text-sm text-base-content">{gettext("Shadowing")}</span>
+                  </label>
+                  <select
+                    name="shadowing[shadowing_repeats]"
+                    class="select select-bordered select-sm bg-base-100"
+                    aria-label={gettext("Repeats per sentence")}
+                    disabled={!@shadowing.enabled}
+                  >
+                    <option
+                      :for={repeats <- @shadowing_repeat_options}
+                      value={repeats}
+                      selected={repeats == @shadowing.repeats}
+                    >
+                      {gettext("%{count}x", count: repeats)}
+                    </option>
+                  </select>
+                  <select
+                    name="shadowing[shadowing_pause_seconds]"
+                    class="select select-bordered select-sm bg-base-100"
+                    aria-label={gettext("Pause after each repeat")}
+                    disabled={!@shadowing.enabled}
+                  >
+                    <option
+                      :for={seconds <- @shadowing_pause_options}
+                      value={seconds}
+                      selected={seconds == @shadowing.pause_seconds}
+                    >
+                      {gettext("%{seconds}s pause", seconds: seconds)}
+                    </option>
+                  </select>
+                </.form>
+              </div>
 
               <div class="flex flex-wrap gap-3">
                 <button type="button" class="btn btn-primary" phx-click="start_listening_quiz">
                   <.icon name="hero-academic-cap" class="h-5 w-5" /> Take Listening Quiz
                 </button>
 
+                <button type="button" class="btn btn-outline" phx-click="start_offline_quiz">
+                  <.icon name="hero-puzzle-piece" class="h-5 w-5" /> Offline Quiz
+                </button>
+
                 <a href={@audio_url} download class="btn btn-outline">
                   <.icon name="hero-arrow-down-tray" class="h-5 w-5" /> Download
                 </a>
@@ -275,6 +374,24 @@ defmodule LanglerWeb.AudioLive.Player do
             </div>
           </div>
         </div>
+
+        <.live_component
+          module={LanglerWeb.ArticleLive.OfflineQuiz}
+          id="offline-quiz"
+          article={@article}
+          sentences={@sentences}
+          quiz_type="listening"
+          current_scope={@current_scope}
+        />
+
+        <div
+          :if={@quiz_attempts != []}
+          class="card border border-base-200 bg-base-100 shadow-xl"
+        >
+          <div class="card-body p-6">
+            <.quiz_history attempts={@quiz_attempts} similar_progress={@similar_quiz_progress} />
+          </div>
+        </div>
       </div>
 
       <div
@@ -369,6 +486,25 @@ defmodule LanglerWeb.AudioLive.Player do
     {:noreply, socket}
   end
 
+  def handle_event("update_shadowing", %{"shadowing" => params}, socket) do
+    user_id = socket.assigns.current_scope.user.id
+    article_id = socket.assigns.article.id
+
+    case Audio.update_shadowing_settings(user_id, article_id, params) do
+      {:ok, audio_file} ->
+        shadowing = shadowing_settings(audio_file)
+
+        {:noreply,
+         socket
+         |> assign(:audio_file, audio_file)
+         |> assign(:shadowing, shadowing)
+         |> assign(:subtitles_visible, socket.assigns.subtitles_visible or shadowing.enabled)}
+
+      {:error, _reason} ->
+        {:noreply, put_flash(socket, :error, gettext("Could not save shadowing settings."))}
+    end
+  end
+
   def handle_event("retry_audio_generation", _, socket) do
     user_id = socket.assigns.current_scope.user.id
     article_id = socket.assigns.article.id
@@ -405,6 +541,7 @@ defmodule LanglerWeb.AudioLive.Player do
          |> assign(:audio_loading, true)
          |> assign(:audio_file, nil)
          |> assign(:audio_url, nil)
+         |> assign(:word_timings?, false)
          |> assign(:initial_listening_position, 0)}
 
       {:error, reason} ->
@@ -418,41 +555,55 @@ defmodule LanglerWeb.AudioLive.Player do
   end
 
   def handle_event("start_listening_quiz", _, socket) do
-    user = socket.assigns.current_scope.user
+    start_quiz(socket, listening_quiz_assigns(socket.assigns.article))
+  end
+
+  def handle_event("start_offline_quiz", _, socket) do
+    send_update(LanglerWeb.ArticleLive.OfflineQuiz, id: "offline-quiz", action: :start)
+    {:noreply, socket}
+  end
+
+  def handle_event("retake_quiz", %{"attempt-id" => attempt_id, "mode" => mode}, socket) do
     article = socket.assigns.article
+    article_id = article.id
+
+    case Quizzes.get_attempt_for_user(socket.assigns.current_scope.user.id, attempt_id) do
+      %{article_id: ^article_id} = attempt ->
+        start_quiz(
+          socket,
+          listening_quiz_assigns(article) ++ Map.to_list(Service.retake_assigns(attempt, mode))
+        )
+
+      _ ->
+        {:noreply, put_flash(socket, :error, gettext("Quiz attempt not found"))}
+    end
+  end
+
+  # The drawer creates the quiz session; later keys override earlier ones
+  defp start_quiz(socket, quiz_assigns) do
+    if LlmConfig.get_default_config(socket.assigns.current_scope.user.id) do
+      send_update(LanglerWeb.ChatLive.Drawer, Keyword.new(quiz_assigns))
+      {:noreply, socket}
+    else
+      {:noreply,
+       socket
+       |> put_flash(:error, gettext("Add an LLM provider in settings before starting a quiz"))}
+    end
+  end
+
+  defp listening_quiz_assigns(article) do
     topics = Content.list_topics_for_article(article.id)
 
-    assigns = %{
+    [
+      id: "chat-drawer",
+      action: :start_article_quiz,
       article_id: article.id,
       article_title: display_title(article),
       article_language: article.language,
       article_topics: Enum.map(topics, & &1.topic),
       article_content: article.content,
-      context_type: "article_listening_quiz"
-    }
-
-    case Service.start_quiz_session(assigns, user) do
-      {:ok, _session} ->
-        send_update(LanglerWeb.ChatLive.Drawer,
-          id: "chat-drawer",
-          action: :start_article_quiz,
-          article_id: article.id,
-          article_title: display_title(article),
-          article_language: article.language,
-          article_topics: Enum.map(topics, & &1.topic),
-          article_content: article.content
-        )
-
-        {:noreply, socket}
-
-      {:error, reason} ->
-        {:noreply,
-         put_flash(
-           socket,
-           :error,
-           gettext("Failed to start quiz: %{reason}", reason: inspect(reason))
-         )}
-    end
+      context_type: Quizzes.listening_context_type()
+    ]
   end
 
   @impl true
@@ -467,14 +618,26 @@ defmodule LanglerWeb.AudioLive.Player do
       socket
       |> assign(:audio_file, audio_file)
       |> assign(:audio_url, get_audio_url(audio_file))
+      |> assign(:word_timings?, sentence_timings(audio_file, socket.assigns.sentences) != [])
+      |> assign(:shadowing, shadowing_settings(audio_file))
       |> assign(:initial_listening_position, listening_position(audio_file))
       |> assign(:audio_loading, false)
 
     {:noreply, socket}
   end
 
+  def handle_info({:quiz_attempt_created, _attempt}, socket) do
+    {:noreply, assign_quiz_history(socket)}
+  end
+
   def handle_info(_msg, socket), do: {:noreply, socket}
 
+  defp assign_quiz_history(%{assigns: %{current_scope: scope, article: article}} = socket) do
+    socket
+    |> assign(:quiz_attempts, Quizzes.list_attempts_for_article(scope.user.id, article.id))
+    |> assign(:similar_quiz_progress, Quizzes.similar_difficulty_progress(scope.user.id, article))
+  end
+
   defp get_audio_url(nil), do: nil
 
   defp get_audio_url(%{status: "ready", file_path: file_path}) when not is_nil(file_path),
@@ -482,6 +645,21 @@ defmodule LanglerWeb.AudioLive.Player do
 
   defp get_audio_url(_), do: nil
 
+  defp sentence_timings(%AudioFile{alignment: alignment}, sentences),
+    do: Alignment.sentence_timings(alignment, length(sentences))
+
+  defp sentence_timings(_audio_file, _sentences), do: []
+
+  defp shadowing_settings(%AudioFile{} = audio_file) do
+    %{
+      enabled: audio_file.shadowing_enabled,
+      repeats: audio_file.shadowing_repeats,
+      pause_seconds: audio_file.shadowing_pause_seconds
+    }
+  end
+
+  defp shadowing_settings(_audio_file), do: shadowing_settings(%AudioFile{})
+
   defp display_title(article) do
     if article.title && article.title != "" do
       article.title
@@ -0,0 +1,50 @@
+defmodule LanglerWeb.ChatLive.BranchSwitcher do
+  @moduledoc """
+  Functional component for switching between the versions of an edited or
+  regenerated chat message.
+
+  Renders nothing when the message has a single version.
+
+  ## Assigns
+    * `:branch` - The message's branch info from `Langler.Chat.Message.active_thread/1`
+      (default: nil)
+    * `:myself` - Parent LiveComponent CID (required)
+  """
+  use LanglerWeb, :html
+
+  def branch_switcher(assigns) do
+    assigns = assign_new(assigns, :branch, fn -> nil end)
+
+    ~H"""
+    <div
+      :if={@branch && @branch.count > 1}
+      class="flex items-center gap-1 text-xs text-base-content/50"
+      data-branch-switcher
+    >
+      <button
+        type="button"
+        class="btn btn-ghost btn-xs btn-circle"
+        phx-click="switch_branch"
+        phx-value-message-id={@branch.previous_id}
+        phx-target={@myself}
+        disabled={is_nil(@branch.previous_id)}
+        aria-label="Previous version"
+      >
+        <.icon name="hero-chevron-left" class="h-3 w-3" />
+      </button>
+      <span class="tabular-nums">{@branch.index}/{@branch.count}</span>
+      <button
+        type="button"
+        class="btn btn-ghost btn-xs btn-circle"
+        phx-click="switch_branch"
+        phx-value-message-id={@branch.next_id}
+        phx-target={@myself}
+        disabled={is_nil(@branch.next_id)}
+        aria-label="Next version"
+      >
+        <.icon name="hero-chevron-right" class="h-3 w-3" />
+      </button>
+    </div>
+    """
+  end
+end
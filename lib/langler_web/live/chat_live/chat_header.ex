@@ -2,12 +2,14 @@ defmodule LanglerWeb.ChatLive.ChatHeader do
   @moduledoc """
   Functional component for the chat drawer header.
 
-  Displays the chat title and action buttons (keyboard toggle, close).
+  Displays the chat title and action buttons (correction mode, spoken
+  replies, keyboard toggle, close).
 
   ## Assigns
     * `:current_session` - The current chat session (optional)
     * `:myself` - The parent LiveComponent CID (required)
     * `:fullscreen` - Whether the drawer is in fullscreen mode (default: false)
+    * `:tts_enabled` - Whether replies can be read aloud (default: false)
   """
   use LanglerWeb, :html
 
@@ -16,6 +18,7 @@ defmodule LanglerWeb.ChatLive.ChatHeader do
       assigns
       |> assign_new(:current_session, fn -> nil end)
       |> assign_new(:fullscreen, fn -> false end)
+      |> assign_new(:tts_enabled, fn -> false end)
 
     ~H"""
     <div class="chat-drawer-header">
@@ -39,6 +42,36 @@ defmodule LanglerWeb.ChatLive.ChatHeader do
         </div>
       </div>
       <div class="chat-drawer-actions">
+        <button
+          :if={@current_session}
+          type="button"
+          phx-click="toggle_correction_mode"
+          phx-target={@myself}
+          class={[
+            "btn btn-ghost btn-sm chat-pill-button",
+            @current_session.correction_mode && "btn-active text-primary"
+          ]}
+          aria-label="Correction mode"
+          aria-pressed={to_string(@current_session.correction_mode)}
+          title="Correct my messages"
+        >
+          <.icon name="hero-pencil-square" class="h-4 w-4" />
+        </button>
+        <button
+          :if={@current_session && @tts_enabled}
+          type="button"
+          phx-click="toggle_speak_replies"
+          phx-target={@myself}
+          class={[
+            "btn btn-ghost btn-sm chat-pill-button",
+            @current_session.speak_replies && "btn-active text-primary"
+          ]}
+          aria-label="Read replies aloud"
+          aria-pressed={to_string(@current_session.speak_replies)}
+          title="Read replies aloud"
+        >
+          <.icon name="hero-speaker-wave" class="h-4 w-4" />
+        </button>
         <button
           type="button"
           phx-click="toggle_keyboard"
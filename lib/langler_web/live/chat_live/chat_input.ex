@@ -4,7 +4,8 @@ defmodule LanglerWeb.ChatLive.ChatInput do
 
   ## Assigns
     * `:input_value` - Current input value (default: "")
-    * `:sending` - Whether currently sending (default: false)
+    * `:sending` - Whether currently sending; shows a Stop button (default: false)
+    * `:transcribing` - Whether a voice message is being transcribed (default: false)
     * `:llm_config_missing` - Whether LLM config is missing (default: false)
     * `:total_tokens` - Token count to display (default: 0)
     * `:show_tokens` - Whether to show token count (default: true)
@@ -17,6 +18,7 @@ defmodule LanglerWeb.ChatLive.ChatInput do
       assigns
       |> assign_new(:input_value, fn -> "" end)
       |> assign_new(:sending, fn -> false end)
+      |> assign_new(:transcribing, fn -> false end)
       |> assign_new(:llm_config_missing, fn -> false end)
       |> assign_new(:total_tokens, fn -> 0 end)
       |> assign_new(:show_tokens, fn -> true end)
@@ -36,13 +38,43 @@ defmodule LanglerWeb.ChatLive.ChatInput do
             phx-hook="ChatInput"
             placeholder={if @sidebar_open, do: "", else: "Type your message..."}
             rows="1"
-            class="textarea textarea-bordered w-full rounded-2xl pr-14 py-3 resize-none min-h-[48px]"
+            class="textarea textarea-bordered w-full rounded-2xl pr-24 py-3 resize-none min-h-[48px]"
             autocomplete="off"
             autocorrect="off"
             autocapitalize="off"
             spellcheck="false"
             disabled={@llm_config_missing || @sending}
           ></textarea>
+          <button
+            :if={@sending}
+            type="button"
+            phx-click="stop_streaming"
+            phx-target={@myself}
+            class={[
+              "absolute right-11 sm:right-12 top-1/2 -translate-y-1/2 btn btn-ghost btn-circle btn-xs sm:btn-sm",
+              @sidebar_open && "hidden"
+            ]}
+            aria-label="Stop generating"
+          >
+            <.icon name="hero-stop" class="h-4 w-4" />
+          </button>
+          <%!-- Recording state is kept by the VoiceRecorder hook --%>
+          <button
+            :if={!@sending}
+            id="chat-voice-button"
+            type="button"
+            phx-hook="VoiceRecorder"
+            class={[
+              "absolute right-11 sm:right-12 top-1/2 -translate-y-1/2 btn btn-ghost btn-circle btn-xs sm:btn-sm",
+              @sidebar_open && "hidden"
+            ]}
+            disabled={@llm_config_missing || @transcribing}
+            aria-label="Record a voice message"
+            aria-pressed="false"
+          >
+            <span :if={@transcribing} class="loading loading-spinner loading-xs"></span>
+            <.icon :if={!@transcribing} name="hero-microphone" class="h-4 w-4" />
+          </button>
           <button
             type="submit"
             class={[
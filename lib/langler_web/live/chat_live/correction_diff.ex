@@ -0,0 +1,48 @@
+defmodule LanglerWeb.ChatLive.CorrectionDiff do
+  @moduledoc """
+  Functional component for the corrections of a user's message in correction
+  mode.
+
+  Renders the original message; the `CorrectionDiff` hook turns it into an
+  inline diff with an explanation on hover and a button that saves a
+  correction as a study card. Renders nothing without corrections.
+
+  ## Assigns
+    * `:id` - DOM id of the container (required)
+    * `:correction` - `%{text: text, corrections: [...]}` from
+      `Langler.Chat.Corrections.split/1` (default: nil)
+    * `:message_id` - ID of the assistant message holding the corrections
+      (default: nil)
+  """
+  use LanglerWeb, :html
+
+  def correction_diff(assigns) do
+    assigns =
+      assigns
+      |> assign_new(:correction, fn -> nil end)
+      |> assign_new(:message_id, fn -> nil end)
+
+    ~H"""
+    <div
+      :if={@correction && @correction.corrections != []}
+      id={@id}
+      class="rounded-2xl border border-base-300 bg-base-100 px-4 py-3 text-sm"
+      phx-hook="CorrectionDiff"
+      phx-update="ignore"
+      data-text={@correction.text}
+      data-corrections={Jason.encode!(@correction.corrections)}
+      data-message-id={@message_id}
+      data-save-label={gettext("Save as card")}
+      data-saved-label={gettext("Saved")}
+    >
+      <p class="mb-1 flex items-center gap-1 text-xs font-semibold uppercase tracking-wide text-base-content/50">
+        <.icon name="hero-pencil-square" class="h-3 w-3" />
+        {ngettext("1 correction", "%{count} corrections", length(@correction.corrections))}
+      </p>
+      <p data-correction-diff class="leading-relaxed whitespace-pre-wrap break-words">
+        {@correction.text}
+      </p>
+    </div>
+    """
+  end
+end
@@ -8,6 +8,9 @@ defmodule LanglerWeb.ChatLive.Drawer do
   alias Ecto.NoResultsError
   alias Langler.Accounts.GoogleTranslateConfig
   alias Langler.Accounts.LlmConfig
+  alias Langler.Accounts.TtsConfig
+  alias Langler.Chat.Corrections
+  alias Langler.Chat.Message
   alias Langler.Chat.Session
   alias Langler.Content
   alias Langler.External.Dictionary
@@ -16,12 +19,17 @@ defmodule LanglerWeb.ChatLive.Drawer do
   alias Langler.Quizzes.Result
   alias Langler.Quizzes.Service
   alias Langler.Quizzes.State
+  alias Langler.STT
   alias Langler.Study
   alias Langler.Vocabulary
+  alias LanglerWeb.WordTooltipComponents
 
+  import LanglerWeb.ChatLive.BranchSwitcher
   import LanglerWeb.ChatLive.ChatHeader
   import LanglerWeb.ChatLive.ChatInput
+  import LanglerWeb.ChatLive.CorrectionDiff
   import LanglerWeb.ChatLive.EmptyState
+  import LanglerWeb.ChatLive.ReplyPlayer
   import LanglerWeb.ChatLive.SessionItem
   import LanglerWeb.ChatLive.SpecialCharactersKeyboard
 
@@ -32,6 +40,7 @@ defmodule LanglerWeb.ChatLive.Drawer do
 
   @token_regex ~r/\p{L}+\p{M}*|[^\p{L}]+/u
   @session_expiry_seconds 4 * 60 * 60
+  @message_page_size 30
 
   @impl true
   def mount(socket) do
@@ -61,12 +70,20 @@ defmodule LanglerWeb.ChatLive.Drawer do
     |> assign_new(:session_search, fn -> "" end)
     |> assign_new(:input_value, fn -> "" end)
     |> assign_new(:sending, fn -> false end)
+    |> assign_new(:streaming_content, fn -> nil end)
+    |> assign_new(:stream_pid, fn -> nil end)
+    |> assign_new(:regenerating_id, fn -> nil end)
+    |> assign_new(:transcribing, fn -> false end)
     |> assign_new(:total_tokens, fn -> 0 end)
     |> assign_new(:messages, fn -> [] end)
+    |> assign_new(:oldest_message_id, fn -> nil end)
+    |> assign_new(:has_older_messages, fn -> false end)
+    |> assign_new(:loaded_message_count, fn -> 0 end)
     |> assign_new(:studied_word_ids, fn -> MapSet.new() end)
     |> assign_new(:studied_forms, fn -> MapSet.new() end)
     |> assign_new(:studied_word_form_ids, fn -> %{} end)
     |> assign_new(:llm_config_missing, fn -> false end)
+    |> assign_new(:tts_enabled, fn -> false end)
     |> assign_new(:renaming_session_id, fn -> nil end)
     |> assign_new(:rename_input_value, fn -> nil end)
     |> assign_new(:open_menu_id, fn -> nil end)
@@ -84,8 +101,16 @@ defmodule LanglerWeb.ChatLive.Drawer do
       :start_article_quiz ->
         handle_start_article_quiz(socket, assigns)
 
+      :stream_chunk ->
+        update(socket, :streaming_content, &((&1 || "") <> assigns.delta))
+
+      :voice_transcribed ->
+        handle_voice_transcribed(socket, assigns.result)
+
       :sending_complete ->
-        assign(socket, :sending, false)
+        socket
+        |> restore_regenerated_reply()
+        |> finish_sending()
 
       _ ->
         socket
@@ -93,18 +118,69 @@ defmodule LanglerWeb.ChatLive.Drawer do
   end
 
   defp handle_add_assistant_message(socket, assigns) do
-    dom_id = message_dom_id(assigns.message)
-
     socket =
       socket
-      |> stream_insert(:messages, assigns.message, dom_id: dom_id)
-      |> assign(:sending, false)
+      |> stream_insert(:messages, maybe_autoplay(socket, assigns.message))
+      |> update(:loaded_message_count, &(&1 + 1))
+      |> finish_sending()
       |> assign(:total_tokens, socket.assigns.total_tokens + assigns.tokens)
-      |> push_event("chat:scroll-bottom", %{})
+      |> push_event("chat:scroll-bottom", %{if_pinned: true})
 
     apply_quiz_result_action(socket, assigns)
   end
 
+  # New replies are read aloud as they arrive when the session asks for it
+  defp maybe_autoplay(%{assigns: %{tts_enabled: true, current_session: session}}, message)
+       when is_map(message) and not is_nil(session) do
+    if session.speak_replies, do: Map.put(message, :autoplay, true), else: message
+  end
+
+  defp maybe_autoplay(_socket, message), do: message
+
+  defp handle_voice_transcribed(socket, {:ok, text}) do
+    input_value =
+      [socket.assigns.input_value, text]
+      |> Enum.map(&String.trim(&1 || ""))
+      |> Enum.reject(&(&1 == ""))
+      |> Enum.join(" ")
+
+    assign(socket, transcribing: false, input_value: input_value)
+  end
+
+  defp handle_voice_transcribed(socket, {:error, reason}) do
+    message =
+      case reason do
+        :no_llm_config -> gettext("Add an LLM API key in settings to use voice input.")
+        :audio_too_large -> gettext("That recording is too long. Please keep it under a minute.")
+        _ -> gettext("Could not transcribe your recording. Please try again.")
+      end
+
+    socket
+    |> assign(:transcribing, false)
+    |> put_flash(:error, message)
+  end
+
+  defp finish_sending(socket) do
+    socket
+    |> assign(:sending, false)
+    |> assign(:streaming_content, nil)
+    |> assign(:stream_pid, nil)
+    |> assign(:regenerating_id, nil)
+  end
+
+  # A regeneration that stored nothing (an error, or Stop before any text)
+  # brings back the reply it was meant to replace
+  defp restore_regenerated_reply(%{assigns: %{regenerating_id: nil}} = socket), do: socket
+
+  defp restore_regenerated_reply(socket) do
+    %{current_session: session, regenerating_id: message_id} = socket.assigns
+
+    case Session.select_branch(session, message_id) do
+      {:ok, _message} -> reload_messages_stream(socket)
+      {:error, _reason} -> socket
+    end
+  end
+
   defp apply_quiz_result_action(socket, %{quiz_result_action: :quiz_completed} = assigns) do
     case normalize_quiz_result(Map.get(assigns, :quiz_result_map)) do
       {:ok, result} ->
@@ -150,19 +226,12 @@ defmodule LanglerWeb.ChatLive.Drawer do
   defp maybe_stream_messages(socket) do
     messages = socket.assigns.messages || []
 
-    dom_id_fn = fn msg ->
-      case msg.inserted_at do
-        %DateTime{} = dt -> "msg-#{DateTime.to_unix(dt)}"
-        _ -> "msg-#{System.unique_integer([:positive])}"
-      end
-    end
-
     case messages do
       list when is_list(list) and list != [] ->
-        stream(socket, :messages, list, dom_id: dom_id_fn)
+        stream(socket, :messages, list, dom_id: &message_dom_id/1)
 
       _ ->
-        stream(socket, :messages, [], dom_id: dom_id_fn)
+        stream(socket, :messages, [], dom_id: &message_dom_id/1)
     end
   end
 
@@ -273,7 +342,12 @@ defmodule LanglerWeb.ChatLive.Drawer do
           @fullscreen && "chat-drawer-fullscreen"
         ]}>
           <%!-- Header --%>
-          <.chat_header current_session={@current_session} myself={@myself} fullscreen={@fullscreen} />
+          <.chat_header
+            current_session={@current_session}
+            myself={@myself}
+            fullscreen={@fullscreen}
+            tts_enabled={@tts_enabled}
+          />
 
           <%!-- Messages Area --%>
           <div
@@ -284,6 +358,15 @@ defmodule LanglerWeb.ChatLive.Drawer do
             <%= if @current_session == nil do %>
               <.empty_state llm_config_missing={@llm_config_missing} />
             <% else %>
+              <div
+                :if={@has_older_messages}
+                id="chat-history-sentinel"
+                class="flex justify-center pb-4"
+                data-history-sentinel
+              >
+                <span class="loading loading-dots loading-sm text-base-content/40"></span>
+                <span class="sr-only">Loading earlier messages</span>
+              </div>
               <div class="space-y-4" id="chat-messages" phx-update="stream">
                 <div
                   :for={{id, msg} <- @streams.messages}
@@ -301,11 +384,57 @@ defmodule LanglerWeb.ChatLive.Drawer do
                       @sidebar_open && "max-w-full",
                       !@sidebar_open && "max-w-[66.666%]"
                     ]}>
-                      <div class="chat-bubble chat-bubble-primary bg-gradient-to-br from-primary to-primary/80 text-primary-content rounded-2xl rounded-tr-sm px-3 py-2 shadow-lg w-full">
+                      <div
+                        id={"bubble-#{id}"}
+                        class="chat-bubble chat-bubble-primary bg-gradient-to-br from-primary to-primary/80 text-primary-content rounded-2xl rounded-tr-sm px-3 py-2 shadow-lg w-full"
+                      >
                         <p class="text-left text-sm leading-relaxed whitespace-normal break-words">
                           {msg.content}
                         </p>
                       </div>
+                      <form
+                        :if={msg[:id]}
+                        id={"edit-#{id}"}
+                        class="hidden w-full space-y-2"
+                        phx-submit={
+                          JS.push("resend_edited_message", target: @myself)
+                          |> JS.hide(to: "#edit-#{id}")
+                          |> JS.show(to: "#bubble-#{id}")
+                        }
+                      >
+                        <input type="hidden" name="message_id" value={msg.id} />
+                        <textarea
+                          name="message"
+                          rows="3"
+                          class="textarea textarea-bordered w-full rounded-2xl text-sm"
+                          aria-label="Edit message"
+                        >{msg.content}</textarea>
+                        <div class="flex justify-end gap-2">
+                          <button
+                            type="button"
+                            class="btn btn-ghost btn-xs"
+                            phx-click={JS.hide(to: "#edit-#{id}") |> JS.show(to: "#bubble-#{id}")}
+                          >
+                            Cancel
+                          </button>
+                          <button type="submit" class="btn btn-primary btn-xs">Send</button>
+                        </div>
+                      </form>
+                      <div :if={msg[:id]} class="flex items-center gap-2 text-xs text-base-content/50">
+                        <.branch_switcher branch={msg[:branch]} myself={@myself} />
+                        <button
+                          type="button"
+                          class="btn btn-ghost btn-xs gap-1 px-2 py-1 transition hover:bg-base-200/60 rounded-full"
+                          phx-click={
+                            JS.hide(to: "#bubble-#{id}")
+                            |> JS.show(to: "#edit-#{id}")
+                            |> JS.focus(to: "#edit-#{id} textarea")
+                          }
+                          aria-label="Edit message"
+                        >
+                          <.icon name="hero-pencil-square" class="h-3 w-3" /> Edit
+                        </button>
+                      </div>
                     </div>
                   <% else %>
                     <div class="flex w-full items-start gap-3">
@@ -320,7 +449,7 @@ defmodule LanglerWeb.ChatLive.Drawer do
                             <div class="markdown-content prose prose-sm max-w-none dark:prose-invert">
                               {raw(
                                 add_word_tooltips(
-                                  render_markdown(msg.content),
+                                  render_markdown(message_prose(msg)),
                                   @current_session.target_language,
                                   @studied_word_ids,
                                   @studied_forms,
@@ -332,17 +461,29 @@ defmodule LanglerWeb.ChatLive.Drawer do
                             </div>
                           <% else %>
                             <p class="text-sm leading-relaxed whitespace-pre-wrap break-words">
-                              {msg.content}
+                              {message_prose(msg)}
                             </p>
                           <% end %>
                         </div>
-                        <div class="flex items-center gap-2 text-xs text-base-content/50">
+                        <.correction_diff
+                          id={"corrections-#{id}"}
+                          correction={message_correction(msg)}
+                          message_id={msg[:id]}
+                        />
+                        <div class="flex flex-wrap items-center gap-2 text-xs text-base-content/50">
+                          <.branch_switcher branch={msg[:branch]} myself={@myself} />
+                          <.reply_player
+                            :if={@tts_enabled && msg[:id]}
+                            id={"reply-audio-#{id}"}
+                            message_id={msg.id}
+                            autoplay={msg[:autoplay] == true}
+                          />
                           <button
                             type="button"
                             class="btn btn-ghost btn-xs gap-1 px-2 py-1 transition hover:bg-base-200/60 rounded-full"
                             phx-hook="CopyToClipboard"
                             id={"copy-message-#{id}"}
-                            data-copy-text={msg.content}
+                            data-copy-text={message_prose(msg)}
                             aria-label="Copy message"
                           >
                             <.icon name="hero-clipboard-document" class="h-3 w-3" /> Copy
@@ -352,12 +493,23 @@ defmodule LanglerWeb.ChatLive.Drawer do
                             class="btn btn-ghost btn-xs gap-1 px-2 py-1 transition hover:bg-base-200/60 rounded-full"
                             phx-hook="TextDownloader"
                             id={"download-message-#{id}"}
-                            data-download-text={msg.content}
+                            data-download-text={message_prose(msg)}
                             data-download-filename={"langler-response-" <> id <> ".txt"}
                             aria-label="Download message"
                           >
                             <.icon name="hero-arrow-down-tray" class="h-3 w-3" /> Download
                           </button>
+                          <button
+                            :if={msg[:id]}
+                            type="button"
+                            class="btn btn-ghost btn-xs gap-1 px-2 py-1 transition hover:bg-base-200/60 rounded-full"
+                            phx-click="regenerate_message"
+                            phx-value-message-id={msg.id}
+                            phx-target={@myself}
+                            aria-label="Regenerate response"
+                          >
+                            <.icon name="hero-arrow-path" class="h-3 w-3" /> Regenerate
+                          </button>
                         </div>
                       </div>
                     </div>
@@ -365,7 +517,24 @@ defmodule LanglerWeb.ChatLive.Drawer do
                 </div>
               </div>
               <div
-                :if={@sending}
+                :if={@sending && @streaming_content not in [nil, ""]}
+                id="chat-streaming-message"
+                class="flex items-start gap-3 mt-4"
+                data-streaming
+              >
+                <div class="avatar placeholder">
+                  <div class="bg-primary/20 text-primary rounded-full w-8 h-8 !flex items-center justify-center shrink-0">
+                    <.icon name="hero-sparkles" class="h-4 w-4 block" />
+                  </div>
+                </div>
+                <div class="chat-bubble bg-base-200 text-base-content rounded-2xl rounded-tl-sm px-4 py-3 shadow-md w-full">
+                  <div class="markdown-content prose prose-sm max-w-none dark:prose-invert">
+                    {raw(render_markdown(@streaming_content |> Corrections.split() |> elem(0)))}
+                  </div>
+                </div>
+              </div>
+              <div
+                :if={@sending && @streaming_content in [nil, ""]}
                 class="flex items-start gap-3 mt-4"
                 aria-live="polite"
                 aria-label="Assistant is typing"
@@ -390,6 +559,21 @@ defmodule LanglerWeb.ChatLive.Drawer do
                 myself={@myself}
               />
             <% end %>
+
+            <%!-- Shown by ChatAutoScroll when messages arrive while reading history --%>
+            <div
+              id="chat-new-messages"
+              class="sticky bottom-2 flex justify-center pointer-events-none"
+              phx-update="ignore"
+            >
+              <button
+                type="button"
+                class="hidden btn btn-primary btn-sm rounded-full gap-1 shadow-lg pointer-events-auto"
+                data-new-messages-pill
+              >
+                New messages <.icon name="hero-arrow-down" class="h-3 w-3" />
+              </button>
+            </div>
           </div>
 
           <%!-- Input Area --%>
@@ -403,6 +587,7 @@ defmodule LanglerWeb.ChatLive.Drawer do
             <.chat_input
               input_value={@input_value}
               sending={@sending}
+              transcribing={@transcribing}
               llm_config_missing={@llm_config_missing}
               total_tokens={@total_tokens}
               show_tokens={@current_session != nil}
@@ -533,24 +718,12 @@ defmodule LanglerWeb.ChatLive.Drawer do
         end
 
       # Re-render messages to update word highlighting
-      messages =
-        if socket.assigns.current_session do
-          Session.get_decrypted_messages(socket.assigns.current_session)
-        else
-          []
-        end
-
       {:noreply,
        socket
        |> assign(:studied_word_ids, studied_word_ids)
        |> assign(:studied_forms, studied_forms)
        |> assign(:studied_word_form_ids, studied_word_form_ids)
-       |> stream(:messages, messages,
-         reset: true,
-         dom_id: fn msg ->
-           "msg-#{(msg.inserted_at && DateTime.to_unix(msg.inserted_at)) || System.unique_integer([:positive])}"
-         end
-       )
+       |> reload_messages_stream()
        |> push_event("word-added", %{
          word_id: word.id,
          study_item_id: item.id,
@@ -594,24 +767,12 @@ defmodule LanglerWeb.ChatLive.Drawer do
           form -> Map.delete(socket.assigns.studied_word_form_ids, form)
         end
 
-      messages =
-        if socket.assigns.current_session do
-          Session.get_decrypted_messages(socket.assigns.current_session)
-        else
-          []
-        end
-
       {:noreply,
        socket
        |> assign(:studied_word_ids, studied_word_ids)
        |> assign(:studied_forms, studied_forms)
        |> assign(:studied_word_form_ids, studied_word_form_ids)
-       |> stream(:messages, messages,
-         reset: true,
-         dom_id: fn msg ->
-           "msg-#{(msg.inserted_at && DateTime.to_unix(msg.inserted_at)) || System.unique_integer([:positive])}"
-         end
-       )
+       |> reload_messages_stream()
        |> push_event("word-removed", %{word_id: word.id, dom_id: Map.get(params, "dom_id")})}
     else
       {:error, reason} ->
@@ -637,8 +798,6 @@ defmodule LanglerWeb.ChatLive.Drawer do
 
     socket =
       if current_session do
-        messages = Session.get_decrypted_messages(current_session)
-        total_tokens = total_tokens(messages)
         {studied_word_ids, studied_forms, studied_word_form_ids} = load_studied_words(user.id)
 
         socket
@@ -647,8 +806,8 @@ defmodule LanglerWeb.ChatLive.Drawer do
         |> assign(:studied_word_ids, studied_word_ids)
         |> assign(:studied_forms, studied_forms)
         |> assign(:studied_word_form_ids, studied_word_form_ids)
-        |> assign(:total_tokens, total_tokens)
-        |> reset_messages_stream(messages)
+        |> assign(:total_tokens, Session.total_tokens(current_session))
+        |> reset_messages_stream(current_session)
       else
         socket
       end
@@ -810,10 +969,7 @@ defmodule LanglerWeb.ChatLive.Drawer do
           |> assign(:studied_forms, studied_forms)
           |> assign(:studied_word_form_ids, studied_word_form_ids)
           |> assign(:total_tokens, 0)
-          |> stream(:messages, [],
-            reset: true,
-            dom_id: fn _msg -> "msg-#{System.unique_integer([:positive])}" end
-          )
+          |> reset_messages_stream(new_session)
 
         {:noreply, socket}
 
@@ -856,6 +1012,68 @@ defmodule LanglerWeb.ChatLive.Drawer do
     end
   end
 
+  @impl true
+  def handle_event("add_missed_vocabulary", _params, socket) do
+    user_id = socket.assigns.current_scope.user.id
+
+    with %Result{} = result <- socket.assigns.quiz_result,
+         %{context_id: article_id} when is_integer(article_id) <- socket.assigns.current_session,
+         article = Content.get_article!(article_id),
+         {:ok, words} <- Quizzes.add_missed_vocabulary(user_id, result, article.language) do
+      {studied_word_ids, studied_forms, studied_word_form_ids} = load_studied_words(user_id)
+      count = length(words)
+
+      {:reply, %{added: count},
+       socket
+       |> assign(:studied_word_ids, studied_word_ids)
+       |> assign(:studied_forms, studied_forms)
+       |> assign(:studied_word_form_ids, studied_word_form_ids)
+       |> reload_messages_stream()
+       |> put_flash(
+         :info,
+         ngettext("Added 1 word to study", "Added %{count} words to study", count)
+       )}
+    else
+      {:error, reason} ->
+        Logger.error("Failed to add missed quiz vocabulary: #{inspect(reason)}")
+
+        {:reply, %{}, put_flash(socket, :error, gettext("Unable to add the missed vocabulary"))}
+
+      _ ->
+        {:reply, %{}, socket}
+    end
+  end
+
+  @impl true
+  def handle_event("load_older_messages", _params, socket) do
+    %{current_session: session, oldest_message_id: oldest_id} = socket.assigns
+
+    if session && oldest_id && socket.assigns.has_older_messages do
+      # Newest first, so inserting each at the top keeps them in order
+      older = Message.list_older_messages(session.id, oldest_id, @message_page_size)
+
+      socket =
+        older
+        |> Enum.reduce(socket, &stream_insert(&2, :messages, &1, at: 0))
+        |> assign_message_page(older, @message_page_size)
+
+      {:reply, %{has_more: socket.assigns.has_older_messages}, socket}
+    else
+      {:reply, %{has_more: false}, socket}
+    end
+  end
+
+  @impl true
+  def handle_event("stop_streaming", _params, socket) do
+    # The request task stores the partial reply once it sees the stop
+    case socket.assigns.stream_pid do
+      pid when is_pid(pid) -> send(pid, :stop_streaming)
+      _ -> :ok
+    end
+
+    {:noreply, socket}
+  end
+
   @impl true
   def handle_event("send_message", %{"message" => message}, socket) do
     message = String.trim(message)
@@ -880,6 +1098,171 @@ defmodule LanglerWeb.ChatLive.Drawer do
     end
   end
 
+  @impl true
+  def handle_event("toggle_correction_mode", _params, socket) do
+    case socket.assigns.current_session do
+      nil ->
+        {:noreply, socket}
+
+      session ->
+        case Session.toggle_correction_mode(session) do
+          {:ok, updated_session} ->
+            {:noreply, replace_current_session(socket, updated_session)}
+
+          {:error, reason} ->
+            Logger.error("Failed to toggle correction mode: #{inspect(reason)}")
+            {:noreply, put_flash(socket, :error, gettext("Failed to change correction mode"))}
+        end
+    end
+  end
+
+  @impl true
+  def handle_event(
+        "save_correction_card",
+        %{"message_id" => message_id, "index" => index},
+        socket
+      ) do
+    user = socket.assigns.current_scope.user
+    session = socket.assigns.current_session
+
+    with %{} <- session,
+         message_id when is_integer(message_id) <- parse_integer(message_id),
+         index when is_integer(index) and index >= 0 <- parse_integer(index),
+         %{role: "assistant", chat_session_id: session_id} = message
+         when session_id == session.id <- Message.get_message(message_id),
+         {_prose, %{text: text, corrections: corrections}} <- Corrections.split(message.content),
+         %{} = correction <- Enum.at(corrections, index),
+         {:ok, _card} <-
+           Corrections.create_card(user.id, correction, text, session.target_language) do
+      {:reply, %{saved: true}, put_flash(socket, :info, gettext("Correction saved as a card"))}
+    else
+      error ->
+        Logger.error("Failed to save correction card: #{inspect(error)}")
+        {:reply, %{saved: false}, put_flash(socket, :error, gettext("Failed to save the card"))}
+    end
+  end
+
+  @impl true
+  def handle_event("toggle_speak_replies", _params, socket) do
+    case socket.assigns.current_session do
+      nil ->
+        {:noreply, socket}
+
+      session ->
+        case Session.toggle_speak_replies(session) do
+          {:ok, updated_session} ->
+            {:noreply, replace_current_session(socket, updated_session)}
+
+          {:error, reason} ->
+            Logger.error("Failed to toggle spoken replies: #{inspect(reason)}")
+            {:noreply, put_flash(socket, :error, gettext("Failed to change spoken replies"))}
+        end
+    end
+  end
+
+  @impl true
+  def handle_event("transcribe_audio", %{"audio" => audio} = params, socket) do
+    with false <- socket.assigns.transcribing,
+         {:ok, recording} <- Base.decode64(audio) do
+      {:noreply, start_transcription(socket, recording, params["mime_type"])}
+    else
+      true ->
+        {:noreply, socket}
+
+      :error ->
+        {:noreply, handle_voice_transcribed(socket, {:error, :invalid_audio})}
+    end
+  end
+
+  @impl true
+  def handle_event("voice_input_failed", _params, socket) do
+    {:noreply,
+     put_flash(socket, :error, gettext("Allow microphone access to record a voice message."))}
+  end
+
+  @impl true
+  def handle_event(
+        "resend_edited_message",
+        %{"message_id" => message_id, "message" => message},
+        socket
+      ) do
+    message = String.trim(message)
+    session = socket.assigns.current_session
+
+    if message == "" or socket.assigns.sending or is_nil(session) do
+      {:noreply, socket}
+    else
+      case Session.edit_message(session, String.to_integer(message_id), message) do
+        {:ok, _user_msg} ->
+          user = socket.assigns.current_scope.user
+
+          socket =
+            socket
+            |> reload_messages_stream()
+            |> assign(:sending, true)
+            |> push_event("chat:scroll-bottom", %{instant: true})
+
+          {:ok, pid} = dispatch_llm_request(session, message, user, socket.assigns.myself)
+
+          {:noreply, assign(socket, :stream_pid, pid)}
+
+        {:error, reason} ->
+          Logger.error("Failed to edit message: #{inspect(reason)}")
+          {:noreply, put_flash(socket, :error, gettext("That message can't be edited."))}
+      end
+    end
+  end
+
+  @impl true
+  def handle_event("regenerate_message", %{"message-id" => message_id}, socket) do
+    session = socket.assigns.current_session
+
+    if socket.assigns.sending or is_nil(session) do
+      {:noreply, socket}
+    else
+      regenerate_reply(socket, session, String.to_integer(message_id))
+    end
+  end
+
+  @impl true
+  def handle_event("switch_branch", %{"message-id" => message_id}, socket) do
+    session = socket.assigns.current_session
+
+    with false <- socket.assigns.sending,
+         %{} <- session,
+         {:ok, _message} <- Session.select_branch(session, String.to_integer(message_id)) do
+      {:noreply, reload_messages_stream(socket)}
+    else
+      _ -> {:noreply, socket}
+    end
+  end
+
+  @impl true
+  def handle_event(
+        "fetch_word_conjugations",
+        %{"word_id" => word_id, "dom_id" => dom_id} = params,
+        socket
+      ) do
+    case fetch_word(word_id) do
+      {:ok, word} ->
+        form = Map.get(params, "form")
+
+        {:noreply,
+         start_async(socket, {:word_conjugations, dom_id}, fn ->
+           {word.id, form, Vocabulary.ensure_word_conjugations(word)}
+         end)}
+
+      {:error, _reason} ->
+        {:noreply, socket}
+    end
+  end
+
+  @impl true
+  def handle_async({:word_conjugations, dom_id}, result, socket) do
+    payload = WordTooltipComponents.conjugations_payload(dom_id, result)
+    {:noreply, push_event(socket, "word-conjugations", payload)}
+  end
+
   defp handle_successful_lookup_chat(socket, %{
          entry: entry,
          resolved_word: resolved_word,
@@ -908,19 +1291,35 @@ defmodule LanglerWeb.ChatLive.Drawer do
         context: nil,
         word_id: resolved_word && resolved_word.id,
         studied: studied?,
-        rating_required: false
+        rating_required: false,
+        cefr_level: resolved_word && resolved_word.cefr_level,
+        frequency_rank: resolved_word && resolved_word.frequency_rank,
+        conjugations: resolved_word && resolved_word.conjugations,
+        examples: example_sentences(socket, resolved_word, trimmed_word)
       })
+      |> WordTooltipComponents.with_html()
 
     {:noreply, push_event(socket, "word-data", payload)}
   end
 
+  # Chat sessions name their language differently from articles
+  # ("Spanish" vs "spanish"), so examples aren't filtered by language here
+  defp example_sentences(_socket, nil, _form), do: []
+
+  defp example_sentences(socket, word, form) do
+    Content.list_example_sentences(
+      socket.assigns.current_scope.user.id,
+      [form | Vocabulary.inflected_forms(word)]
+    )
+  end
+
   defp ensure_session_ready(socket, user, message) do
     case socket.assigns.current_session do
       nil ->
         create_session_and_load(socket, user, message)
 
       session ->
-        {:ok, reset_messages_stream(socket, Session.get_decrypted_messages(session)), session}
+        {:ok, reload_messages_stream(socket), session}
     end
   end
 
@@ -929,13 +1328,12 @@ defmodule LanglerWeb.ChatLive.Drawer do
       {:ok, session} ->
         Session.update_session_title(session, message)
         sessions = Session.list_user_sessions(user.id, limit: 20)
-        messages = Session.get_decrypted_messages(session)
 
         socket =
           socket
           |> assign(:current_session, session)
           |> assign(:sessions, sessions)
-          |> reset_messages_stream(messages)
+          |> reset_messages_stream(session)
 
         {:ok, socket, session}
 
@@ -945,10 +1343,58 @@ defmodule LanglerWeb.ChatLive.Drawer do
     end
   end
 
-  defp reset_messages_stream(socket, messages) do
-    stream(socket, :messages, messages, reset: true, dom_id: &message_dom_id/1)
+  # Shows the latest messages of a session; older ones are fetched as the user
+  # scrolls up (see "load_older_messages")
+  defp reset_messages_stream(socket, session, limit \\ @message_page_size)
+
+  defp reset_messages_stream(socket, nil, _limit) do
+    socket
+    |> assign(oldest_message_id: nil, has_older_messages: false, loaded_message_count: 0)
+    |> stream(:messages, [], reset: true)
+  end
+
+  defp reset_messages_stream(socket, session, limit) do
+    # Newest first
+    messages = Message.list_session_messages(session.id, limit)
+
+    socket
+    |> assign(:loaded_message_count, 0)
+    |> assign_message_page(messages, limit)
+    |> stream(:messages, Enum.reverse(messages), reset: true)
+  end
+
+  # Re-renders the messages already loaded, keeping the older pages the user
+  # scrolled back to
+  defp reload_messages_stream(socket) do
+    limit = max(socket.assigns.loaded_message_count, @message_page_size)
+    reset_messages_stream(socket, socket.assigns.current_session, limit)
+  end
+
+  defp assign_message_page(socket, [], _limit) do
+    assign(socket, :has_older_messages, false)
+  end
+
+  defp assign_message_page(socket, newest_first, limit) do
+    socket
+    |> assign(:oldest_message_id, List.last(newest_first).id)
+    |> assign(:has_older_messages, length(newest_first) == limit)
+    |> update(:loaded_message_count, &(&1 + length(newest_first)))
   end
 
+  defp message_prose(%{role: "assistant", content: content}) do
+    content |> Corrections.split() |> elem(0)
+  end
+
+  defp message_prose(msg), do: msg.content
+
+  defp message_correction(%{role: "assistant", content: content}) do
+    content |> Corrections.split() |> elem(1)
+  end
+
+  defp message_correction(_msg), do: nil
+
+  defp message_dom_id(%{id: id}) when not is_nil(id), do: "msg-#{id}"
+
   defp message_dom_id(msg) do
     timestamp =
       if msg.inserted_at do
@@ -977,6 +1423,7 @@ defmodule LanglerWeb.ChatLive.Drawer do
     |> assign(:studied_forms, studied_forms)
     |> assign(:studied_word_form_ids, studied_word_form_ids)
     |> assign(:llm_config_missing, is_nil(default_config))
+    |> assign(:tts_enabled, TtsConfig.tts_enabled?(user.id))
     |> load_session_messages(current_session)
   end
 
@@ -984,25 +1431,14 @@ defmodule LanglerWeb.ChatLive.Drawer do
     socket
     |> assign(:current_session, nil)
     |> assign(:total_tokens, 0)
-    |> stream(:messages, [],
-      reset: true,
-      dom_id: fn _msg -> "msg-#{System.unique_integer([:positive])}" end
-    )
+    |> reset_messages_stream(nil)
   end
 
   defp load_session_messages(socket, current_session) do
-    messages = Session.get_decrypted_messages(current_session)
-    total_tokens = Enum.reduce(messages, 0, fn msg, acc -> acc + (msg.token_count || 0) end)
-
     socket
     |> assign(:current_session, current_session)
-    |> assign(:total_tokens, total_tokens)
-    |> stream(:messages, messages,
-      reset: true,
-      dom_id: fn msg ->
-        "msg-#{(msg.inserted_at && DateTime.to_unix(msg.inserted_at)) || System.unique_integer([:positive])}"
-      end
-    )
+    |> assign(:total_tokens, Session.total_tokens(current_session))
+    |> reset_messages_stream(current_session)
   end
 
   defp ensure_recent_session(user, sessions) do
@@ -1049,16 +1485,15 @@ defmodule LanglerWeb.ChatLive.Drawer do
       {:ok, user_msg} ->
         socket =
           socket
-          |> stream_insert(:messages, user_msg,
-            dom_id: "msg-#{DateTime.to_unix(user_msg.inserted_at)}"
-          )
+          |> stream_insert(:messages, user_msg)
+          |> update(:loaded_message_count, &(&1 + 1))
           |> assign(:input_value, "")
           |> assign(:sending, true)
           |> push_event("chat:scroll-bottom", %{instant: true})
 
-        dispatch_llm_request(session, message, user, socket.assigns.myself)
+        {:ok, pid} = dispatch_llm_request(session, message, user, socket.assigns.myself)
 
-        {:noreply, socket}
+        {:noreply, assign(socket, :stream_pid, pid)}
 
       {:error, reason} ->
         Logger.error("Failed to add user message: #{inspect(reason)}")
@@ -1066,6 +1501,45 @@ defmodule LanglerWeb.ChatLive.Drawer do
     end
   end
 
+  defp parse_integer(value) when is_integer(value), do: value
+
+  defp parse_integer(value) when is_binary(value) do
+    case Integer.parse(value) do
+      {parsed, ""} -> parsed
+      _ -> nil
+    end
+  end
+
+  defp parse_integer(_value), do: nil
+
+  # Hides the reply so the thread ends at the user message it answered, then
+  # asks again; the new reply becomes another version of the old one
+  defp regenerate_reply(socket, session, message_id) do
+    with {:ok, reply} <- Session.hide_branch(session, message_id),
+         %{role: "user"} = user_msg <- reply.parent_id && Message.get_message(reply.parent_id) do
+      user = socket.assigns.current_scope.user
+
+      socket =
+        socket
+        |> reload_messages_stream()
+        |> assign(:sending, true)
+        |> assign(:regenerating_id, reply.id)
+        |> push_event("chat:scroll-bottom", %{instant: true})
+
+      {:ok, pid} = dispatch_llm_request(session, user_msg.content, user, socket.assigns.myself)
+
+      {:noreply, assign(socket, :stream_pid, pid)}
+    else
+      {:error, reason} ->
+        Logger.error("Failed to regenerate message: #{inspect(reason)}")
+        {:noreply, socket}
+
+      _not_a_reply ->
+        Session.select_branch(session, message_id)
+        {:noreply, socket}
+    end
+  end
+
   defp refresh_after_session_delete(socket, user, session_id) do
     sessions = Session.list_user_sessions(user.id, limit: 20)
 
@@ -1096,10 +1570,6 @@ defmodule LanglerWeb.ChatLive.Drawer do
     end
   end
 
-  defp total_tokens(messages) do
-    Enum.reduce(messages, 0, fn msg, acc -> acc + (msg.token_count || 0) end)
-  end
-
   defp find_session_by_id(sessions, session_id) do
     Enum.find(sessions, &(&1.id == session_id))
   end
@@ -1112,6 +1582,34 @@ defmodule LanglerWeb.ChatLive.Drawer do
     end)
   end
 
+  defp start_transcription(socket, recording, mime_type) do
+    parent_pid = self()
+    user_id = socket.assigns.current_scope.user.id
+    language = socket.assigns.current_session && socket.assigns.current_session.target_language
+    opts = [mime_type: mime_type || "audio/webm", language: language]
+
+    Task.start(fn ->
+      result = STT.Service.transcribe(user_id, recording, opts)
+      send_update(parent_pid, __MODULE__,
+        id: "chat-drawer",
+        action: :voice_transcribed,
+        result: result
+      )
+    end)
+
+    assign(socket, :transcribing, true)
+  end
+
+  defp replace_current_session(socket, updated_session) do
+    sessions =
+      Enum.map(socket.assigns.sessions, fn
+        %{id: id} when id == updated_session.id -> updated_session
+        other -> other
+      end)
+
+    assign(socket, current_session: updated_session, sessions: sessions)
+  end
+
   defp handle_start_article_chat(socket, assigns) do
     user = socket.assigns.current_scope.user
     article_id = Map.get(assigns, :article_id)
@@ -1165,15 +1663,14 @@ defmodule LanglerWeb.ChatLive.Drawer do
           socket
           |> initialize_quiz_socket(session)
           |> assign(sending: true)
-          |> stream_insert(:messages, user_msg,
-            dom_id: "msg-#{DateTime.to_unix(user_msg.inserted_at)}"
-          )
+          |> stream_insert(:messages, user_msg)
+          |> update(:loaded_message_count, &(&1 + 1))
           |> push_event("chat:scroll-bottom", %{instant: true})
 
         # Dispatch LLM request to get first question
-        dispatch_llm_request(session, initial_message, user, socket.assigns.myself)
+        {:ok, pid} = dispatch_llm_request(session, initial_message, user, socket.assigns.myself)
 
-        socket
+        assign(socket, :stream_pid, pid)
 
       {:error, reason} ->
         Logger.error("Unable to add initial quiz message: #{inspect(reason)}")
@@ -1251,9 +1748,6 @@ defmodule LanglerWeb.ChatLive.Drawer do
   defp fetch_article(_), do: :error
 
   defp refresh_chat_with_session(socket, session, opts) do
-    messages = Session.get_decrypted_messages(session)
-    total_tokens = Enum.reduce(messages, 0, fn msg, acc -> acc + (msg.token_count || 0) end)
-
     {studied_word_ids, studied_forms, studied_word_form_ids} =
       load_studied_words(socket.assigns.current_scope.user.id)
 
@@ -1262,15 +1756,10 @@ defmodule LanglerWeb.ChatLive.Drawer do
     |> assign(:studied_word_ids, studied_word_ids)
     |> assign(:studied_forms, studied_forms)
     |> assign(:studied_word_form_ids, studied_word_form_ids)
-    |> assign(:total_tokens, total_tokens)
+    |> assign(:total_tokens, Session.total_tokens(session))
     |> assign(:chat_open, Keyword.get(opts, :chat_open, socket.assigns.chat_open))
     |> assign(:sidebar_open, Keyword.get(opts, :sidebar_open, socket.assigns.sidebar_open))
-    |> stream(:messages, messages,
-      reset: true,
-      dom_id: fn msg ->
-        "msg-#{(msg.inserted_at && DateTime.to_unix(msg.inserted_at)) || System.unique_integer([:positive])}"
-      end
-    )
+    |> reset_messages_stream(session)
   end
 
   # Private helper to send message to LLM in background task
@@ -1379,9 +1868,13 @@ defmodule LanglerWeb.ChatLive.Drawer do
     RateLimiter.start_concurrent_request(user_id)
 
     messages = build_messages(session, user_message, user_id)
-    result = ChatGPT.chat(messages, decrypted_config)
 
-    RateLimiter.end_concurrent_request(user_id)
+    result =
+      try do
+        stream_completion(messages, decrypted_config, parent_pid)
+      after
+        RateLimiter.end_concurrent_request(user_id)
+      end
 
     if match?({:ok, _}, result) do
       RateLimiter.track_request(user_id)
@@ -1390,6 +1883,25 @@ defmodule LanglerWeb.ChatLive.Drawer do
     handle_llm_result(result, session, user_message, decrypted_config, parent_pid)
   end
 
+  # Streams the reply into the drawer as it arrives. The drawer sends
+  # :stop_streaming when the user presses Stop; the request is then cancelled
+  # and the partial reply handled like a complete one.
+  defp stream_completion(messages, decrypted_config, parent_pid) do
+    ChatGPT.stream_chat(messages, decrypted_config, fn delta ->
+      send_update(parent_pid, __MODULE__, id: "chat-drawer", action: :stream_chunk, delta: delta)
+
+      if stop_requested?(), do: :halt, else: :cont
+    end)
+  end
+
+  defp stop_requested? do
+    receive do
+      :stop_streaming -> true
+    after
+      0 -> false
+    end
+  end
+
   defp build_messages(session, user_message, user_id) do
     practice_words_text = build_practice_words_text(user_id)
     base_system_message = build_system_message(session, practice_words_text)
@@ -1418,14 +1930,23 @@ defmodule LanglerWeb.ChatLive.Drawer do
     You are a helpful language learning assistant.
     The user is learning #{session.target_language} and speaks #{session.native_language}.
     Help them practice by conversing in #{session.target_language}, correcting their mistakes gently, and explaining grammar or vocabulary when needed.#{practice_words_text}
-    When returning verb conjugations, format them as a table using the customary format for the language.
+    When returning verb conjugations, format them as a table using the customary format for the language.#{correction_instructions(session)}
     """
   end
 
+  defp correction_instructions(%{correction_mode: true} = session) do
+    "\n\n" <> Corrections.instructions(session.native_language)
+  end
+
+  defp correction_instructions(_session), do: ""
+
   defp get_history_messages(session) do
     session
     |> Session.get_decrypted_messages()
-    |> Enum.map(fn message -> Map.take(message, [:role, :content]) end)
+    |> Enum.map(fn message ->
+      # Stored corrections are for display; the prompt asks for new ones
+      %{role: message.role, content: message_prose(message)}
+    end)
   end
 
   defp ensure_user_message_in_history(history_messages, user_message) do
@@ -1449,20 +1970,38 @@ defmodule LanglerWeb.ChatLive.Drawer do
 
   @dialyzer {:nowarn_function, handle_llm_result: 5}
   defp handle_llm_result(
-         {:ok, %{content: assistant_content, token_count: tokens}},
+         {:ok, %{content: "", token_count: tokens}},
          session,
          _user_message,
          _decrypted_config,
          parent_pid
        ) do
+    # Stopped before the first token arrived: nothing to store, but the prompt was sent
+    alias Langler.Chat.RateLimiter
+    RateLimiter.track_tokens(session.user_id, tokens)
+    send_complete_update(parent_pid)
+  end
+
+  defp handle_llm_result(
+         {:ok, %{content: assistant_content, token_count: tokens} = response},
+         session,
+         user_message,
+         _decrypted_config,
+         parent_pid
+       ) do
     # Track token usage
     alias Langler.Chat.RateLimiter
     RateLimiter.track_tokens(session.user_id, tokens)
 
-    case Session.add_message(session, "assistant", assistant_content) do
+    content = annotate_corrections(session, user_message, assistant_content)
+
+    case Session.add_message(session, "assistant", content) do
       {:ok, assistant_msg} ->
+        # A stopped reply is incomplete, so it can't hold a quiz result
         {quiz_result_action, quiz_result} =
-          Service.handle_quiz_result(session, assistant_content)
+          if Map.get(response, :cancelled),
+            do: {nil, nil},
+            else: Service.handle_quiz_result(session, assistant_content)
 
         send_update(parent_pid, __MODULE__,
           id: "chat-drawer",
@@ -1509,16 +2048,19 @@ defmodule LanglerWeb.ChatLive.Drawer do
        when attempt <= 3 do
     Process.sleep(wait_seconds * 1000)
 
-    Logger.info("Retrying LLM request (attempt #{attempt}/3)")
-
     alias Langler.Chat.RateLimiter
 
-    # Check concurrent limit before retry
-    case RateLimiter.check_rate_limit(session.user_id, :concurrent) do
-      {:ok} ->
+    cond do
+      stop_requested?() ->
+        Logger.info("LLM request stopped while waiting to retry")
+        send_complete_update(parent_pid)
+
+      # Check concurrent limit before retry
+      match?({:ok}, RateLimiter.check_rate_limit(session.user_id, :concurrent)) ->
+        Logger.info("Retrying LLM request (attempt #{attempt}/3)")
         process_retry_request(session, user_message, decrypted_config, parent_pid, attempt)
 
-      {:error, :rate_limit_exceeded, _retry_after} ->
+      true ->
         handle_concurrent_limit_during_retry(parent_pid)
     end
   end
@@ -1545,9 +2087,13 @@ defmodule LanglerWeb.ChatLive.Drawer do
     RateLimiter.start_concurrent_request(session.user_id)
 
     messages = build_retry_messages(session, user_message)
-    result = ChatGPT.chat(messages, decrypted_config)
 
-    RateLimiter.end_concurrent_request(session.user_id)
+    result =
+      try do
+        stream_completion(messages, decrypted_config, parent_pid)
+      after
+        RateLimiter.end_concurrent_request(session.user_id)
+      end
 
     handle_retry_result(result, session, user_message, decrypted_config, parent_pid, attempt)
   end
@@ -1557,7 +2103,8 @@ defmodule LanglerWeb.ChatLive.Drawer do
       %{
         role: "system",
         content:
-          "You are a helpful language learning assistant. The user is learning #{session.target_language} and speaks #{session.native_language}. Help them practice by conversing in #{session.target_language}, correcting their mistakes gently, and explaining grammar or vocabulary when needed."
+          "You are a helpful language learning assistant. The user is learning #{session.target_language} and speaks #{session.native_language}. Help them practice by conversing in #{session.target_language}, correcting their mistakes gently, and explaining grammar or vocabulary when needed." <>
+            correction_instructions(session)
       },
       %{role: "user", content: user_message}
     ]
@@ -1566,7 +2113,7 @@ defmodule LanglerWeb.ChatLive.Drawer do
   defp handle_retry_result(result, session, user_message, decrypted_config, parent_pid, attempt) do
     case result do
       {:ok, %{content: assistant_content, token_count: tokens}} ->
-        handle_successful_retry(session, assistant_content, tokens, parent_pid)
+        handle_successful_retry(session, user_message, assistant_content, tokens, parent_pid)
 
       {:error, {:rate_limit_exceeded, retry_after}} ->
         next_wait = min(retry_after * 2, 300)
@@ -1586,13 +2133,24 @@ defmodule LanglerWeb.ChatLive.Drawer do
     end
   end
 
-  defp handle_successful_retry(session, assistant_content, tokens, parent_pid) do
+  defp handle_successful_retry(session, _user_message, "", tokens, parent_pid) do
+    alias Langler.Chat.RateLimiter
+
+    # Stopped before the first token arrived
+    RateLimiter.track_tokens(session.user_id, tokens)
+    RateLimiter.track_request(session.user_id)
+    send_complete_update(parent_pid)
+  end
+
+  defp handle_successful_retry(session, user_message, assistant_content, tokens, parent_pid) do
     alias Langler.Chat.RateLimiter
 
     RateLimiter.track_tokens(session.user_id, tokens)
     RateLimiter.track_request(session.user_id)
 
-    case Session.add_message(session, "assistant", assistant_content) do
+    content = annotate_corrections(session, user_message, assistant_content)
+
+    case Session.add_message(session, "assistant", content) do
       {:ok, assistant_msg} ->
         send_update(parent_pid, __MODULE__,
           id: "chat-drawer",
@@ -1607,6 +2165,14 @@ defmodule LanglerWeb.ChatLive.Drawer do
     end
   end
 
+  # In correction mode the reply's corrections are placed in the user's
+  # message and checked against LanguageTool before the reply is stored
+  defp annotate_corrections(%{correction_mode: true} = session, user_message, content) do
+    Corrections.annotate(content, user_message, session.target_language)
+  end
+
+  defp annotate_corrections(_session, _user_message, content), do: content
+
   defp handle_concurrent_limit_during_retry(parent_pid) do
     Logger.warning("Concurrent limit hit during retry, aborting")
     send_complete_update(parent_pid)
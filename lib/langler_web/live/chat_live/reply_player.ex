@@ -0,0 +1,61 @@
+defmodule LanglerWeb.ChatLive.ReplyPlayer do
+  @moduledoc """
+  Functional component for reading an assistant reply aloud, with the same
+  controls as the article audio player.
+
+  Audio is fetched from `LanglerWeb.ChatAudioController` the first time the
+  reply is played, or as soon as it is mounted when `:autoplay` is set.
+
+  ## Assigns
+    * `:id` - DOM id for the player (required)
+    * `:message_id` - ID of the assistant message to read (required)
+    * `:autoplay` - Whether to start playing when rendered (default: false)
+  """
+  use LanglerWeb, :html
+
+  def reply_player(assigns) do
+    assigns = assign_new(assigns, :autoplay, fn -> false end)
+
+    ~H"""
+    <div
+      id={@id}
+      phx-hook="ReplyAudio"
+      phx-update="ignore"
+      data-audio-url={~p"/chat/messages/#{@message_id}/audio"}
+      data-autoplay={to_string(@autoplay)}
+      class="flex items-center gap-1"
+    >
+      <button
+        type="button"
+        class="btn btn-circle btn-ghost btn-xs audio-skip-back-button"
+        aria-label="Skip backward 10 seconds"
+      >
+        <.icon name="hero-arrow-uturn-left" class="h-3 w-3" />
+      </button>
+      <button
+        type="button"
+        class="btn btn-circle btn-primary btn-xs audio-play-button"
+        aria-label="Play"
+      >
+        <.icon name="hero-play" class="h-3 w-3" />
+      </button>
+      <button
+        type="button"
+        class="btn btn-circle btn-ghost btn-xs audio-skip-forward-button"
+        aria-label="Skip forward 10 seconds"
+      >
+        <.icon name="hero-arrow-uturn-right" class="h-3 w-3" />
+      </button>
+      <select
+        class="select select-ghost select-xs w-16 audio-rate-select"
+        aria-label="Playback speed"
+      >
+        <option value="0.5">0.5x</option>
+        <option value="1.0" selected>1.0x</option>
+        <option value="1.5">1.5x</option>
+        <option value="2.0">2.0x</option>
+      </select>
+    </div>
+    """
+  end
+end
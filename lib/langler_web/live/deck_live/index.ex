@@ -1,14 +1,20 @@
 defmodule LanglerWeb.DeckLive.Index do
   @moduledoc """
-  LiveView for deck management: CRUD, follow/share, LLM suggestions, drag-and-drop.
+  LiveView for deck management: CRUD, follow/share, LLM suggestions, drag-and-drop,
+  bulk card actions with undo, and CSV/TSV/Anki exports.
   """
 
   use LanglerWeb, :live_view
 
+  alias Langler.Study
   alias Langler.Vocabulary
   alias Langler.Vocabulary.Decks
+  alias Langler.Vocabulary.DeckExport
   alias Langler.Vocabulary.DeckSuggester
+  alias Langler.Vocabulary.Workers.ExportDeckWorker
   alias LanglerWeb.DeckComponents
+  alias LanglerWeb.DeckExportController
+  alias Phoenix.PubSub
 
   import LanglerWeb.DeckComponents
 
@@ -19,11 +25,27 @@ defmodule LanglerWeb.DeckLive.Index do
     %{id: :discover, label: "Discover"}
   ]
 
+  @empty_deck_form %{
+    "name" => "",
+    "description" => "",
+    "visibility" => "private",
+    "study_order" => "due"
+  }
+
+  @bulk_actions ~w(move copy remove suspend unsuspend reset)
+
+  # How long the undo toast for a bulk change stays up
+  @bulk_undo_ms 10_000
+
   @impl true
   def mount(_params, _session, socket) do
     user_id = socket.assigns.current_scope.user.id
     deck_data = load_deck_data(user_id)
 
+    if connected?(socket) do
+      PubSub.subscribe(Langler.PubSub, "deck_export:#{user_id}")
+    end
+
     {:ok,
      socket
      |> assign(:tabs, @tabs)
@@ -40,7 +62,7 @@ defmodule LanglerWeb.DeckLive.Index do
      |> assign(:editing_deck, nil)
      |> assign(
        :deck_form,
-       to_form(%{"name" => "", "description" => "", "visibility" => "private"})
+       to_form(@empty_deck_form)
      )
      |> assign(:show_suggestions_panel, false)
      |> assign(:suggestions, [])
@@ -49,7 +71,11 @@ defmodule LanglerWeb.DeckLive.Index do
      |> assign(:expanded_suggestion_index, nil)
      |> assign(:show_custom_card_modal, false)
      |> assign(:custom_card_form, to_form(%{"front" => "", "back" => "", "language" => "es"}))
-     |> assign(:custom_card_deck_ids, [])}
+     |> assign(:custom_card_deck_ids, [])
+     |> assign(:export_jobs, %{})
+     |> assign(:selected_deck_id, nil)
+     |> assign(:selected_cards, MapSet.new())
+     |> assign(:bulk_undo, nil)}
   end
 
   @impl true
@@ -91,12 +117,16 @@ defmodule LanglerWeb.DeckLive.Index do
                 show_suggestions_panel={@show_suggestions_panel}
                 suggestions={@suggestions}
                 expanded_suggestion_index={@expanded_suggestion_index}
+                exporting_deck_ids={exporting_deck_ids(@export_jobs)}
+                selected_deck_id={@selected_deck_id}
+                selected_cards={@selected_cards}
               />
             <% @active_tab == :following -> %>
               <.following_content
                 followed_decks={@followed_decks}
                 expanded_deck_ids={@expanded_deck_ids}
                 deck_contents_by_id={@deck_contents_by_id}
+                exporting_deck_ids={exporting_deck_ids(@export_jobs)}
               />
             <% @active_tab == :shared -> %>
               <.shared_content
@@ -112,6 +142,15 @@ defmodule LanglerWeb.DeckLive.Index do
         </div>
       </div>
 
+      <DeckComponents.bulk_action_bar
+        :if={@active_tab == :my_decks and MapSet.size(@selected_cards) > 0}
+        count={MapSet.size(@selected_cards)}
+        deck_id={@selected_deck_id}
+        target_decks={Enum.reject(@my_decks, &(&1.id == @selected_deck_id))}
+      />
+
+      <DeckComponents.bulk_undo_toast :if={@bulk_undo} message={@bulk_undo.message} />
+
       <%!-- Deck create/edit modal --%>
       <DeckComponents.deck_modal
         show={@show_deck_modal}
@@ -184,6 +223,7 @@ defmodule LanglerWeb.DeckLive.Index do
       </div>
 
       <%!-- Deck cards --%>
+      <DeckComponents.move_keys />
       <div class="space-y-3">
         <div
           :for={deck <- @my_decks}
@@ -196,6 +236,9 @@ defmodule LanglerWeb.DeckLive.Index do
             words={get_in(@deck_contents_by_id, [deck.id, :words]) || []}
             custom_cards={get_in(@deck_contents_by_id, [deck.id, :custom_cards]) || []}
             word_count={deck.word_count || 0}
+            exporting={MapSet.member?(@exporting_deck_ids, deck.id)}
+            selected={if @selected_deck_id == deck.id, do: @selected_cards, else: MapSet.new()}
+            suspended={get_in(@deck_contents_by_id, [deck.id, :suspended]) || MapSet.new()}
           />
         </div>
       </div>
@@ -228,6 +271,7 @@ defmodule LanglerWeb.DeckLive.Index do
           word_count={deck_word_count(item)}
           owner={item.owner}
           follower_count={item.follower_count || 0}
+          exporting={MapSet.member?(@exporting_deck_ids, item.deck.id)}
         />
       </div>
     </div>
@@ -341,7 +385,8 @@ defmodule LanglerWeb.DeckLive.Index do
       form_params = %{
         "name" => deck.name || "",
         "description" => deck.description || "",
-        "visibility" => deck.visibility || "private"
+        "visibility" => deck.visibility || "private",
+        "study_order" => deck.study_order || "due"
       }
 
       {:noreply,
@@ -462,7 +507,7 @@ defmodule LanglerWeb.DeckLive.Index do
      |> assign(:editing_deck, nil)
      |> assign(
        :deck_form,
-       to_form(%{"name" => "", "description" => "", "visibility" => "private"})
+       to_form(@empty_deck_form)
      )}
   end
 
@@ -483,7 +528,8 @@ defmodule LanglerWeb.DeckLive.Index do
     attrs = %{
       "name" => p["name"] || "",
       "description" => p["description"] || "",
-      "visibility" => p["visibility"] || "private"
+      "visibility" => p["visibility"] || "private",
+      "study_order" => p["study_order"] || "due"
     }
 
     form = to_form(attrs)
@@ -501,7 +547,8 @@ defmodule LanglerWeb.DeckLive.Index do
       "name" => name,
       "description" =>
         (p["description"] || "") |> String.trim() |> then(&if(&1 == "", do: nil, else: &1)),
-      "visibility" => p["visibility"] || "private"
+      "visibility" => p["visibility"] || "private",
+      "study_order" => p["study_order"] || "due"
     }
 
     case Vocabulary.create_deck(user_id, attrs) do
@@ -539,6 +586,110 @@ defmodule LanglerWeb.DeckLive.Index do
     end
   end
 
+  @impl true
+  def handle_event("export_deck", %{"deck-id" => deck_id_str, "format" => format}, socket) do
+    if format in DeckExport.formats() do
+      start_export(socket, String.to_integer(deck_id_str), format)
+    else
+      {:noreply, put_flash(socket, :error, "Unsupported export format.")}
+    end
+  end
+
+  @impl true
+  def handle_event("select_cards", %{"deck_id" => deck_id, "cards" => cards}, socket) do
+    with deck_id when is_integer(deck_id) <- parse_id(deck_id),
+         %{} <- find_deck_in_assigns(socket.assigns.my_decks, deck_id),
+         [_ | _] = cards <- parse_cards(cards) do
+      {:noreply,
+       socket
+       |> assign(:selected_deck_id, deck_id)
+       |> assign(:selected_cards, MapSet.new(cards))}
+    else
+      _ -> {:noreply, clear_selection(socket)}
+    end
+  end
+
+  @impl true
+  def handle_event("clear_selection", _params, socket) do
+    {:noreply, clear_selection(socket)}
+  end
+
+  @impl true
+  def handle_event("move_word_between_decks", params, socket) do
+    %{"from_deck_id" => from_deck_id, "to_deck_id" => to_deck_id} = params
+    action = if params["copy"] in [true, "true"], do: "copy", else: "move"
+
+    {:noreply,
+     run_bulk_action(
+       socket,
+       action,
+       dropped_cards(params),
+       parse_id(from_deck_id),
+       parse_id(to_deck_id)
+     )}
+  end
+
+  @impl true
+  def handle_event("bulk_action", %{"action" => action} = params, socket)
+      when action in @bulk_actions do
+    {:noreply,
+     run_bulk_action(
+       socket,
+       action,
+       MapSet.to_list(socket.assigns.selected_cards),
+       socket.assigns.selected_deck_id,
+       parse_id(params["deck-id"])
+     )}
+  end
+
+  @impl true
+  def handle_event(
+        "reorder_deck_cards",
+        %{"deck_id" => deck_id, "type" => type, "ids" => ids},
+        socket
+      )
+      when type in ["word", "custom_card"] and is_list(ids) do
+    user_id = socket.assigns.current_scope.user.id
+    deck_id = parse_id(deck_id)
+    ids = ids |> Enum.map(&parse_id/1) |> Enum.reject(&is_nil/1)
+
+    case deck_id && Decks.reorder_deck_cards(deck_id, user_id, type, ids) do
+      {:ok, _count} ->
+        {:noreply, load_deck_contents(socket, deck_id, user_id)}
+
+      _ ->
+        {:noreply, put_flash(socket, :error, "Could not reorder the deck.")}
+    end
+  end
+
+  @impl true
+  def handle_event("undo_bulk_action", _params, socket) do
+    user_id = socket.assigns.current_scope.user.id
+
+    case socket.assigns.bulk_undo do
+      nil ->
+        {:noreply, socket}
+
+      %{undo: undo} ->
+        case undo_bulk_change(undo, user_id) do
+          {:ok, _count} ->
+            {:noreply,
+             socket
+             |> assign(:bulk_undo, nil)
+             |> refresh_decks()
+             |> put_flash(:info, "Change undone.")}
+
+          {:error, _reason} ->
+            {:noreply, put_flash(socket, :error, "Could not undo the change.")}
+        end
+    end
+  end
+
+  @impl true
+  def handle_event("dismiss_bulk_undo", _params, socket) do
+    {:noreply, assign(socket, :bulk_undo, nil)}
+  end
+
   ## Async callbacks
 
   @impl true
@@ -574,8 +725,60 @@ defmodule LanglerWeb.DeckLive.Index do
      |> assign(:suggestions_error, "Request failed. Please try again.")}
   end
 
+  @impl true
+  def handle_info({:deck_export_ready, job_id, result}, socket) do
+    if Map.has_key?(socket.assigns.export_jobs, job_id) do
+      socket = update(socket, :export_jobs, &Map.delete(&1, job_id))
+      {:noreply, apply_export_result(socket, result)}
+    else
+      {:noreply, socket}
+    end
+  end
+
+  def handle_info({:expire_bulk_undo, id}, socket) do
+    case socket.assigns.bulk_undo do
+      %{id: ^id} -> {:noreply, assign(socket, :bulk_undo, nil)}
+      _ -> {:noreply, socket}
+    end
+  end
+
+  def handle_info(_msg, socket), do: {:noreply, socket}
+
   ## Private
 
+  defp start_export(socket, deck_id, format) do
+    user_id = socket.assigns.current_scope.user.id
+    job_id = System.unique_integer([:positive, :monotonic])
+
+    %{"deck_id" => deck_id, "user_id" => user_id, "format" => format, "job_id" => job_id}
+    |> ExportDeckWorker.new()
+    |> Oban.insert()
+    |> case do
+      {:ok, _job} ->
+        {:noreply,
+         socket
+         |> update(:export_jobs, &Map.put(&1, job_id, deck_id))
+         |> put_flash(:info, "Preparing your export…")}
+
+      {:error, _reason} ->
+        {:noreply, put_flash(socket, :error, "Could not start the export.")}
+    end
+  end
+
+  defp apply_export_result(socket, {:ok, %{file: file, filename: filename}}) do
+    user_id = socket.assigns.current_scope.user.id
+
+    socket
+    |> push_event("download", %{url: DeckExportController.download_path(user_id, file, filename)})
+    |> put_flash(:info, "Export ready: #{filename}")
+  end
+
+  defp apply_export_result(socket, {:error, message}) do
+    put_flash(socket, :error, message)
+  end
+
+  defp exporting_deck_ids(export_jobs), do: export_jobs |> Map.values() |> MapSet.new()
+
   defp load_deck_data(user_id) do
     my_decks = Decks.list_decks_with_words(user_id)
     followed_decks = Decks.list_followed_decks(user_id)
@@ -596,15 +799,157 @@ defmodule LanglerWeb.DeckLive.Index do
     words = Decks.list_deck_words(deck_id, user_id)
     custom_cards = Decks.list_deck_custom_cards(deck_id, user_id)
 
+    suspended =
+      Study.suspended_cards(user_id, %{
+        word_ids: Enum.map(words, & &1.id),
+        custom_card_ids: Enum.map(custom_cards, & &1.id)
+      })
+
     new_contents =
       Map.put(socket.assigns.deck_contents_by_id, deck_id, %{
         words: words,
-        custom_cards: custom_cards
+        custom_cards: custom_cards,
+        suspended: suspended
       })
 
     assign(socket, :deck_contents_by_id, new_contents)
   end
 
+  defp run_bulk_action(socket, _action, [], _from_deck_id, _to_deck_id), do: socket
+
+  defp run_bulk_action(socket, action, cards, from_deck_id, to_deck_id) do
+    user_id = socket.assigns.current_scope.user.id
+    selection = to_selection(cards)
+
+    case apply_bulk_action(action, selection, from_deck_id, to_deck_id, user_id) do
+      {:ok, count, undo} ->
+        id = System.unique_integer([:positive, :monotonic])
+        Process.send_after(self(), {:expire_bulk_undo, id}, @bulk_undo_ms)
+
+        socket
+        |> clear_selection()
+        |> refresh_decks()
+        |> assign(:bulk_undo, %{id: id, message: bulk_message(action, count), undo: undo})
+
+      {:error, _reason} ->
+        put_flash(socket, :error, "Could not update the selected cards.")
+    end
+  end
+
+  defp apply_bulk_action("move", selection, from_deck_id, to_deck_id, user_id)
+       when is_integer(from_deck_id) and is_integer(to_deck_id) do
+    selection
+    |> Decks.move_cards_between_decks(from_deck_id, to_deck_id, user_id)
+    |> deck_change()
+  end
+
+  defp apply_bulk_action("copy", selection, _from_deck_id, to_deck_id, user_id)
+       when is_integer(to_deck_id) do
+    selection |> Decks.copy_cards_to_deck(to_deck_id, user_id) |> deck_change()
+  end
+
+  defp apply_bulk_action("remove", selection, from_deck_id, _to_deck_id, user_id)
+       when is_integer(from_deck_id) do
+    selection |> Decks.remove_cards_from_deck(from_deck_id, user_id) |> deck_change()
+  end
+
+  defp apply_bulk_action("suspend", selection, _from_deck_id, _to_deck_id, user_id),
+    do: user_id |> Study.suspend_items(selection) |> item_change()
+
+  defp apply_bulk_action("unsuspend", selection, _from_deck_id, _to_deck_id, user_id),
+    do: user_id |> Study.suspend_items(selection, false) |> item_change()
+
+  defp apply_bulk_action("reset", selection, _from_deck_id, _to_deck_id, user_id),
+    do: user_id |> Study.reset_items(selection) |> item_change()
+
+  defp apply_bulk_action(_action, _selection, _from_deck_id, _to_deck_id, _user_id),
+    do: {:error, :invalid_action}
+
+  defp deck_change({:ok, %{count: count, undo: undo}}), do: {:ok, count, {:decks, undo}}
+  defp deck_change({:error, reason}), do: {:error, reason}
+
+  defp item_change({:ok, previous}), do: {:ok, length(previous), {:items, previous}}
+  defp item_change({:error, reason}), do: {:error, reason}
+
+  defp undo_bulk_change({:decks, undo}, user_id), do: Decks.undo_bulk_change(undo, user_id)
+  defp undo_bulk_change({:items, previous}, user_id), do: Study.restore_items(user_id, previous)
+
+  defp bulk_message("move", count), do: "Moved #{cards_label(count)}."
+  defp bulk_message("copy", count), do: "Copied #{cards_label(count)}."
+  defp bulk_message("remove", count), do: "Removed #{cards_label(count)} from the deck."
+  defp bulk_message("suspend", count), do: "Suspended #{cards_label(count)}."
+  defp bulk_message("unsuspend", count), do: "Unsuspended #{cards_label(count)}."
+  defp bulk_message("reset", count), do: "Reset progress for #{cards_label(count)}."
+
+  defp cards_label(1), do: "1 card"
+  defp cards_label(count), do: "#{count} cards"
+
+  defp clear_selection(socket) do
+    socket
+    |> assign(:selected_deck_id, nil)
+    |> assign(:selected_cards, MapSet.new())
+  end
+
+  # Reloads deck counts and the contents of every expanded deck
+  defp refresh_decks(socket) do
+    user_id = socket.assigns.current_scope.user.id
+    deck_data = load_deck_data(user_id)
+
+    socket =
+      socket
+      |> assign(:my_decks, deck_data.my_decks)
+      |> assign(:ungrouped_count, deck_data.ungrouped_count)
+
+    Enum.reduce(socket.assigns.expanded_deck_ids, socket, fn deck_id, acc ->
+      load_deck_contents(acc, deck_id, user_id)
+    end)
+  end
+
+  # Cards come from the client as `%{"type" => "word" | "custom_card", "id" => id}`
+  defp parse_cards(cards) when is_list(cards) do
+    cards
+    |> Enum.flat_map(fn
+      %{"type" => type, "id" => id} when type in ["word", "custom_card"] ->
+        case parse_id(id) do
+          nil -> []
+          id -> [{type, id}]
+        end
+
+      _ ->
+        []
+    end)
+    |> Enum.uniq()
+  end
+
+  defp parse_cards(_cards), do: []
+
+  # A drop carries the moved selection as "cards", or a single card as
+  # "word_id" and "card_type"
+  defp dropped_cards(%{"cards" => cards}), do: parse_cards(cards)
+
+  defp dropped_cards(%{"word_id" => id} = params),
+    do: parse_cards([%{"type" => params["card_type"] || "word", "id" => id}])
+
+  defp dropped_cards(_params), do: []
+
+  defp to_selection(cards) do
+    %{
+      word_ids: for({"word", id} <- cards, do: id),
+      custom_card_ids: for({"custom_card", id} <- cards, do: id)
+    }
+  end
+
+  defp parse_id(id) when is_integer(id), do: id
+
+  defp parse_id(id) when is_binary(id) do
+    case Integer.parse(id) do
+      {id, ""} -> id
+      _ -> nil
+    end
+  end
+
+  defp parse_id(_id), do: nil
+
   defp format_suggestion_error(:no_llm_config),
     do: "Configure an LLM in settings to use suggestions."
 
@@ -629,7 +974,8 @@ defmodule LanglerWeb.DeckLive.Index do
       "name" => (p["name"] || "") |> String.trim(),
       "description" =>
         (p["description"] || "") |> String.trim() |> then(&if(&1 == "", do: nil, else: &1)),
-      "visibility" => p["visibility"] || "private"
+      "visibility" => p["visibility"] || "private",
+      "study_order" => p["study_order"] || "due"
     }
   end
 
@@ -14,8 +14,9 @@ defmodule LanglerWeb.StudyLive.Index do
   alias Langler.Study
   alias Langler.Study.FSRS
   alias Langler.Vocabulary
+  alias Langler.Vocabulary.{AnkiImport, AnkiPackage, DeckCsv}
   alias Langler.Vocabulary.Word
-  alias Langler.Vocabulary.Workers.ImportCsvWorker
+  alias Langler.Vocabulary.Workers.{ImportApkgWorker, ImportCsvWorker}
   alias MapSet
   alias Oban
   alias Phoenix.LiveView.JS
@@ -55,9 +56,9 @@ defmodule LanglerWeb.StudyLive.Index do
     {:ok,
      socket
      |> allow_upload(:csv_file,
-       accept: ~w(.csv),
+       accept: ~w(.csv .tsv .txt .apkg),
        max_entries: 1,
-       max_file_size: 5_000_000
+       max_file_size: 100_000_000
      )
      |> assign(:current_user, scope.user)
      |> assign(:filters, @filters)
@@ -84,6 +85,11 @@ defmodule LanglerWeb.StudyLive.Index do
      |> assign(:csv_import_deck_id, if(current_deck, do: current_deck.id, else: nil))
      |> assign(:csv_preview, nil)
      |> assign(:csv_content, nil)
+     |> assign(:csv_layout, nil)
+     |> assign(:apkg_preview, nil)
+     |> assign(:apkg_file, nil)
+     |> assign(:apkg_mapping, %{})
+     |> assign(:apkg_language, nil)
      |> assign(:csv_importing, false)
      |> assign(:csv_import_job_id, nil)
      |> assign(:default_language, default_language)
@@ -91,6 +97,9 @@ defmodule LanglerWeb.StudyLive.Index do
      |> subscribe_to_csv_imports(user_id)
      |> assign_async(:recommended_articles, fn ->
        {:ok, %{recommended_articles: Content.get_recommended_articles_for_user(user_id, 5)}}
+     end)
+     |> assign_async(:review_timing, fn ->
+       {:ok, %{review_timing: Study.review_timing_stats(user_id)}}
      end)}
   end
 
@@ -349,6 +358,8 @@ defmodule LanglerWeb.StudyLive.Index do
               user_level={@user_level}
             />
 
+            <.review_timing_section review_timing={@review_timing} />
+
             <div class="flex flex-wrap items-end justify-between gap-4">
               <div class="space-y-1">
                 <h2 id="study-cards" class="text-base font-semibold text-base-content">Cards</h2>
@@ -575,6 +586,10 @@ defmodule LanglerWeb.StudyLive.Index do
         decks={@decks}
         csv_import_deck_id={@csv_import_deck_id}
         csv_preview={@csv_preview}
+        csv_layout={@csv_layout}
+        apkg_preview={@apkg_preview}
+        apkg_mapping={@apkg_mapping}
+        apkg_language={@apkg_language}
         csv_importing={@csv_importing}
         default_language={@default_language}
         uploads={@uploads}
@@ -960,6 +975,7 @@ defmodule LanglerWeb.StudyLive.Index do
      socket
      |> assign(:show_csv_import, true)
      |> assign(:csv_preview, nil)
+     |> assign(:csv_layout, nil)
      |> assign(
        :csv_import_deck_id,
        if(socket.assigns.current_deck, do: socket.assigns.current_deck.id, else: nil)
@@ -976,7 +992,9 @@ defmodule LanglerWeb.StudyLive.Index do
      socket
      |> assign(:show_csv_import, false)
      |> assign(:csv_preview, nil)
-     |> assign(:csv_content, nil)}
+     |> assign(:csv_content, nil)
+     |> assign(:csv_layout, nil)
+     |> discard_apkg()}
   end
 
   def handle_event("validate_csv_deck", %{"deck_id" => deck_id_str}, socket) do
@@ -991,22 +1009,23 @@ defmodule LanglerWeb.StudyLive.Index do
   def handle_event("parse_csv", _params, socket) do
     # consume_uploaded_entries returns a list of callback return values
     uploaded_files =
-      consume_uploaded_entries(socket, :csv_file, fn %{path: path}, _entry ->
-        File.read!(path)
+      consume_uploaded_entries(socket, :csv_file, fn %{path: path}, entry ->
+        {:ok, {entry.client_name, File.read!(path)}}
       end)
 
     case uploaded_files do
-      [content] when is_binary(content) ->
-        handle_csv_preview(socket, content)
+      [{filename, content} | _] when is_binary(content) ->
+        socket = discard_apkg(socket)
+
+        if String.downcase(Path.extname(filename)) == ".apkg" do
+          handle_apkg_preview(socket, content)
+        else
+          handle_csv_preview(socket, content)
+        end
 
       [] ->
         {:noreply, put_flash(socket, :error, gettext("Please select a CSV file"))}
 
-      results when is_list(results) and results != [] ->
-        # Handle any list format - extract content from first result
-        content = List.first(results)
-        handle_csv_preview(socket, content)
-
       other ->
         # Catch-all for unexpected formats
         Logger.error("Unexpected upload format in parse_csv: #{inspect(other)}")
@@ -1016,6 +1035,72 @@ defmodule LanglerWeb.StudyLive.Index do
     end
   end
 
+  def handle_event("update_csv_columns", %{"columns" => columns}, socket) do
+    case socket.assigns.csv_layout do
+      nil ->
+        {:noreply, socket}
+
+      layout ->
+        roles =
+          layout.columns
+          |> Enum.with_index()
+          |> Enum.map(fn {role, index} ->
+            role = Map.get(columns, to_string(index), role)
+            if role in DeckCsv.column_roles(), do: role, else: "ignore"
+          end)
+
+        {:noreply, assign(socket, :csv_layout, %{layout | columns: roles})}
+    end
+  end
+
+  def handle_event("update_apkg_mapping", params, socket) do
+    updates = Map.get(params, "mapping", %{})
+
+    mapping =
+      Map.new(socket.assigns.apkg_mapping, fn {id, current} ->
+        {id, update_note_type_mapping(current, Map.get(updates, id))}
+      end)
+
+    language =
+      if Langler.Languages.supported?(params["language"]),
+        do: Langler.Languages.normalize(params["language"]),
+        else: socket.assigns.apkg_language
+
+    {:noreply,
+     socket
+     |> assign(:apkg_mapping, mapping)
+     |> assign(:apkg_language, language)}
+  end
+
+  def handle_event("import_apkg", _params, socket) do
+    case socket.assigns.apkg_file do
+      nil ->
+        {:noreply,
+         put_flash(
+           socket,
+           :error,
+           gettext("No Anki package to import. Please upload an .apkg file first.")
+         )}
+
+      file ->
+        job_id = System.unique_integer([:positive, :monotonic])
+
+        job =
+          ImportApkgWorker.new(%{
+            "file" => file,
+            "user_id" => socket.assigns.current_scope.user.id,
+            "mapping" => socket.assigns.apkg_mapping,
+            "language" => socket.assigns.apkg_language,
+            "job_id" => job_id
+          })
+
+        # The worker owns the stored package from here on
+        socket
+        |> assign(:apkg_file, nil)
+        |> insert_import_job(job, job_id)
+    end
+  end
+
   def handle_event("import_csv", %{"deck_id" => deck_id_str}, socket) do
     user_id = socket.assigns.current_scope.user.id
     default_language = socket.assigns.default_language
@@ -1081,12 +1166,17 @@ defmodule LanglerWeb.StudyLive.Index do
       "deck_name" => deck_name
     }
 
-    handle_csv_job_insertion(socket, args, job_id)
+    args =
+      case socket.assigns.csv_layout do
+        %{columns: columns} -> Map.put(args, "columns", columns)
+        nil -> args
+      end
+
+    insert_import_job(socket, ImportCsvWorker.new(args), job_id)
   end
 
-  defp handle_csv_job_insertion(socket, args, job_id) do
-    args
-    |> ImportCsvWorker.new()
+  defp insert_import_job(socket, job, job_id) do
+    job
     |> Oban.insert()
     |> case do
       {:ok, _job} ->
@@ -1096,6 +1186,9 @@ defmodule LanglerWeb.StudyLive.Index do
          |> assign(:show_csv_import, false)
          |> assign(:csv_preview, nil)
          |> assign(:csv_content, nil)
+         |> assign(:csv_layout, nil)
+         |> assign(:apkg_preview, nil)
+         |> assign(:apkg_mapping, %{})
          |> put_flash(:info, "Cards are being built. You'll be notified when complete.")}
 
       {:error, reason} ->
@@ -1168,12 +1261,16 @@ defmodule LanglerWeb.StudyLive.Index do
   def handle_info(_msg, socket), do: {:noreply, socket}
 
   defp handle_csv_preview(socket, content) when is_binary(content) do
-    {:ok, preview_rows} = parse_csv_preview(content)
-
-    {:noreply,
-     socket
-     |> assign(:csv_preview, preview_rows)
-     |> assign(:csv_content, content)}
+    with {:ok, preview_rows} <- parse_csv_preview(content),
+         {:ok, layout} <- DeckCsv.preview_headerless(content) do
+      {:noreply,
+       socket
+       |> assign(:csv_preview, preview_rows)
+       |> assign(:csv_layout, layout)
+       |> assign(:csv_content, content)}
+    else
+      {:error, reason} -> handle_csv_preview(socket, {:error, reason})
+    end
   end
 
   defp handle_csv_preview(socket, {:ok, content}) when is_binary(content) do
@@ -1185,29 +1282,80 @@ defmodule LanglerWeb.StudyLive.Index do
      put_flash(socket, :error, gettext("Failed to read file: %{reason}", reason: inspect(reason)))}
   end
 
-  defp parse_csv_preview(content) do
-    rows =
-      content
-      |> String.trim()
-      |> String.split(~r/\r?\n/)
-      |> Enum.map(&String.trim/1)
-      |> Enum.reject(&(&1 == ""))
-      |> Enum.take(10)
-      |> Enum.map(fn line ->
-        case String.split(line, ",") do
-          [word] ->
-            {String.trim(word), nil}
-
-          [word, language] ->
-            {String.trim(word), String.trim(language)}
-
-          parts when length(parts) > 2 ->
-            [word, language | _] = parts
-            {String.trim(word), String.trim(language)}
-        end
-      end)
+  defp handle_apkg_preview(socket, content) do
+    with {:ok, collection} <- AnkiPackage.read(content),
+         {:ok, file} <- ImportApkgWorker.store_package(content) do
+      preview = AnkiImport.preview(collection)
+      language = Accounts.get_active_language(socket.assigns.current_user) || "es"
+
+      {:noreply,
+       socket
+       |> assign(:csv_preview, nil)
+       |> assign(:csv_layout, nil)
+       |> assign(:csv_content, nil)
+       |> assign(:apkg_preview, preview)
+       |> assign(:apkg_file, file)
+       |> assign(:apkg_mapping, Map.new(preview.note_types, &{&1.id, &1.mapping}))
+       |> assign(:apkg_language, language)}
+    else
+      {:error, :unsupported_anki_format} ->
+        {:noreply,
+         put_flash(
+           socket,
+           :error,
+           gettext(
+             "This Anki package uses a newer format. Export it again with \"Support older Anki versions\" ticked."
+           )
+         )}
+
+      {:error, reason} ->
+        handle_csv_preview(socket, {:error, reason})
+    end
+  end
 
-    {:ok, rows}
+  defp update_note_type_mapping(current, nil), do: current
+
+  defp update_note_type_mapping(current, %{"target" => target} = updates) do
+    cond do
+      target not in AnkiImport.targets() ->
+        current
+
+      target != current["target"] ->
+        AnkiImport.retarget(current, target)
+
+      true ->
+        fields =
+          for {ord, role} <- current["fields"], into: %{} do
+            role = Map.get(updates["fields"] || %{}, ord, role)
+            {ord, if(role in AnkiImport.roles(target), do: role, else: "ignore")}
+          end
+
+        %{current | "fields" => fields}
+    end
+  end
+
+  defp update_note_type_mapping(current, _updates), do: current
+
+  # Uploaded packages are kept on disk until imported; drop one that won't be.
+  defp discard_apkg(%{assigns: %{apkg_file: file}} = socket) when is_binary(file) do
+    File.rm(Path.join(ImportApkgWorker.import_dir(), file))
+
+    socket
+    |> assign(:apkg_file, nil)
+    |> assign(:apkg_preview, nil)
+    |> assign(:apkg_mapping, %{})
+  end
+
+  defp discard_apkg(socket) do
+    socket
+    |> assign(:apkg_preview, nil)
+    |> assign(:apkg_mapping, %{})
+  end
+
+  defp parse_csv_preview(content) do
+    with {:ok, rows} <- DeckCsv.parse(content) do
+      {:ok, rows |> Enum.take(10) |> Enum.map(&{&1["word"], &1["language"]})}
+    end
   end
 
   defp translate_errors(changeset) do
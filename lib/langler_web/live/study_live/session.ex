@@ -7,8 +7,9 @@ defmodule LanglerWeb.StudyLive.Session do
 
   alias Langler.Repo
   alias Langler.Study
-  alias Langler.Study.FSRS
-  alias Langler.Vocabulary.DeckWord
+  alias Langler.Study.{FSRS, ReviewMode}
+  alias Langler.Vocabulary
+  alias Langler.Vocabulary.{Deck, DeckWord}
 
   @quality_buttons [
     %{score: 0, label: "Again", class: "btn-error"},
@@ -17,6 +18,9 @@ defmodule LanglerWeb.StudyLive.Session do
     %{score: 4, label: "Easy", class: "btn-success"}
   ]
 
+  # How many ratings can be undone within one session
+  @max_undo 20
+
   def mount(params, _session, socket) do
     scope = socket.assigns.current_scope
     deck_id = parse_deck_id(params)
@@ -25,6 +29,7 @@ defmodule LanglerWeb.StudyLive.Session do
     {:ok,
      socket
      |> assign(:current_user, scope.user)
+     |> assign(:fsrs_params, offline_fsrs_params(scope.user.id, cards))
      |> assign(:cards, cards)
      |> assign(:current_index, 0)
      |> assign(:flipped, false)
@@ -33,8 +38,14 @@ defmodule LanglerWeb.StudyLive.Session do
      |> assign(:session_start, DateTime.utc_now())
      |> assign(:ratings, %{again: 0, hard: 0, good: 0, easy: 0})
      |> assign(:completed, false)
+     |> assign(:undo_stack, [])
      |> assign(:quality_buttons, @quality_buttons)
-     |> assign(:deck_id, deck_id)}
+     |> assign(:deck_id, deck_id)
+     |> assign(:review_mode, ReviewMode.parse(params["mode"]))
+     |> assign(:review_mode_options, ReviewMode.options())
+     |> assign(:ignore_accents, true)
+     |> assign_clozes()
+     |> push_offline_queue(cards)}
   end
 
   defp parse_deck_id(params) do
@@ -56,7 +67,19 @@ defmodule LanglerWeb.StudyLive.Session do
       id="study-session-fullscreen"
       class="fixed inset-0 z-40 bg-base-200 flex flex-col"
       phx-hook="StudySession"
+      data-user-id={@current_user.id}
+      data-fsrs-params={Jason.encode!(@fsrs_params)}
     >
+      <Layouts.flash_group flash={@flash} />
+
+      <%!-- Filled in by the StudySession hook while the LiveSocket is disconnected --%>
+      <div
+        id="study-offline-panel"
+        phx-update="ignore"
+        class="hidden flex-1 flex-col items-center justify-center gap-4 p-4 overflow-y-auto"
+      >
+      </div>
+
       <%= if @completed do %>
         {render_completion(assigns)}
       <% else %>
@@ -106,9 +129,39 @@ defmodule LanglerWeb.StudyLive.Session do
           </p>
         </div>
 
-        <div class="min-w-[44px]"></div>
+        <div class="min-w-[44px] flex justify-end">
+          <.undo_button :if={@undo_stack != []} />
+        </div>
       </div>
 
+      <.form
+        for={%{}}
+        as={:review_mode}
+        id="review-mode-form"
+        phx-change="set_review_mode"
+        class="flex flex-wrap items-center justify-center gap-3 px-4 py-2 border-b border-base-200 bg-base-100/70 flex-shrink-0"
+      >
+        <label for="review-mode-select" class="sr-only">Review mode</label>
+        <select
+          id="review-mode-select"
+          name="review_mode[mode]"
+          class="select select-sm select-bordered"
+        >
+          {Phoenix.HTML.Form.options_for_select(@review_mode_options, @review_mode)}
+        </select>
+        <label :if={@review_mode != "flip"} class="label cursor-pointer gap-2 text-xs">
+          <input type="hidden" name="review_mode[ignore_accents]" value="false" />
+          <input
+            id="review-mode-ignore-accents"
+            type="checkbox"
+            name="review_mode[ignore_accents]"
+            value="true"
+            checked={@ignore_accents}
+            class="checkbox checkbox-xs"
+          /> Ignore accents
+        </label>
+      </.form>
+
       <%!-- Card container --%>
       <div
         id="study-card-container"
@@ -116,7 +169,12 @@ defmodule LanglerWeb.StudyLive.Session do
       >
         <%= if @current_card && @current_card.word do %>
           <div class="w-full h-full max-w-2xl">
-            {render_card(assigns, @current_card)}
+            <%= case card_prompt(@current_card, @review_mode, @clozes) do %>
+              <% nil -> %>
+                {render_card(assigns, @current_card)}
+              <% prompt -> %>
+                {render_typed_card(assigns, @current_card, prompt)}
+            <% end %>
           </div>
         <% else %>
           <div class="card bg-base-100 shadow-xl w-full">
@@ -227,6 +285,80 @@ defmodule LanglerWeb.StudyLive.Session do
     """
   end
 
+  defp render_typed_card(assigns, item, prompt) do
+    assigns =
+      assigns
+      |> assign(:item, item)
+      |> assign(:word, item.word)
+      |> assign(:prompt, prompt)
+
+    ~H"""
+    <div id="study-typed-card" class="w-full h-full">
+      <.card
+        variant={:default}
+        class="h-full w-full flex flex-col bg-gradient-to-br from-base-100 to-base-200/50"
+        body_class="flex flex-col h-full p-3 sm:p-6 gap-4"
+      >
+        <div class="flex-1 min-h-0 flex flex-col items-center justify-center gap-3 text-center overflow-auto">
+          <p class="text-xs font-semibold uppercase tracking-widest text-base-content/50">
+            {@prompt.label}
+          </p>
+          <%= case @prompt.mode do %>
+            <% "type_translation" -> %>
+              <p class="text-study-word font-semibold text-base-content leading-tight">
+                {@word.lemma || @word.normalized_form}
+              </p>
+            <% "type_word" -> %>
+              <ol class="space-y-1 text-base sm:text-lg text-base-content/90">
+                <li :for={hint <- @prompt.hints} class="break-words">{hint}</li>
+              </ol>
+            <% "cloze" -> %>
+              <p class="text-lg sm:text-xl text-base-content/90 leading-relaxed break-words">
+                {@prompt.cloze.before}<span class="inline-block min-w-[4ch] border-b-2 border-primary mx-1">&nbsp;</span>{@prompt.cloze.after}
+              </p>
+              <p :if={@prompt.hints != []} class="text-sm text-base-content/60">
+                {List.first(@prompt.hints)}
+              </p>
+          <% end %>
+        </div>
+
+        <form
+          id={"study-answer-form-#{@item.id}"}
+          class="flex gap-2 w-full"
+          autocomplete="off"
+          data-answer-form
+          data-expected={Jason.encode!(@prompt.expected)}
+          data-ignore-accents={to_string(@ignore_accents)}
+          data-feedback-target={"study-answer-feedback-#{@item.id}"}
+        >
+          <label for={"study-answer-input-#{@item.id}"} class="sr-only">Your answer</label>
+          <input
+            id={"study-answer-input-#{@item.id}"}
+            type="text"
+            name="answer"
+            lang={@word.language}
+            autocapitalize="off"
+            spellcheck="false"
+            class="input input-bordered flex-1"
+            placeholder="Type your answer"
+          />
+          <button type="submit" class="btn btn-primary">Check</button>
+        </form>
+
+        <div
+          id={"study-answer-feedback-#{@item.id}"}
+          phx-update="ignore"
+          aria-live="polite"
+          class="min-h-[3rem] text-center"
+        >
+        </div>
+
+        <.card_rating_mobile item_id={@item.id} buttons={@quality_buttons} event="rate_card" />
+      </.card>
+    </div>
+    """
+  end
+
   attr :item, :map, required: true
   attr :class, :string, default: ""
 
@@ -265,6 +397,21 @@ defmodule LanglerWeb.StudyLive.Session do
     """
   end
 
+  defp undo_button(assigns) do
+    ~H"""
+    <button
+      id="study-session-undo"
+      type="button"
+      phx-click="undo_rating"
+      class="btn btn-sm btn-ghost min-h-[44px] min-w-[44px] p-2"
+      aria-label="Undo last rating"
+      title="Undo last rating (Z)"
+    >
+      <.icon name="hero-arrow-uturn-left" class="h-5 w-5" />
+    </button>
+    """
+  end
+
   defp render_completion(assigns) do
     time_spent = DateTime.diff(DateTime.utc_now(), assigns.session_start, :second)
     minutes = div(time_spent, 60)
@@ -333,6 +480,15 @@ defmodule LanglerWeb.StudyLive.Session do
           <div class="divider"></div>
 
           <div class="flex flex-col gap-3 sm:flex-row sm:flex-wrap sm:justify-center">
+            <button
+              :if={@undo_stack != []}
+              id="study-session-undo"
+              type="button"
+              phx-click="undo_rating"
+              class="btn btn-ghost w-full sm:w-auto sm:min-w-[180px]"
+            >
+              <.icon name="hero-arrow-uturn-left" class="h-4 w-4" /> Undo last rating
+            </button>
             <.link
               navigate={~p"/study"}
               class="btn btn-primary text-white w-full sm:w-auto sm:min-w-[180px]"
@@ -374,48 +530,93 @@ defmodule LanglerWeb.StudyLive.Session do
 
   def handle_event(
         "rate_card",
-        %{"quality" => quality, "item_id" => item_id_str},
+        %{"quality" => quality, "item_id" => item_id_str} = params,
         socket
       )
       when is_binary(item_id_str) do
-    process_rate_card(item_id_str, quality, socket)
+    process_rate_card(item_id_str, quality, response_timings(params), socket)
   end
 
   def handle_event(
         "rate_card",
-        %{"quality" => quality, "item-id" => item_id_str},
+        %{"quality" => quality, "item-id" => item_id_str} = params,
         socket
       )
       when is_binary(item_id_str) do
-    process_rate_card(item_id_str, quality, socket)
+    process_rate_card(item_id_str, quality, response_timings(params), socket)
   end
 
   def handle_event("rate_card", _params, socket), do: {:noreply, socket}
 
-  defp process_rate_card(item_id_str, quality, socket) do
+  def handle_event("set_review_mode", %{"review_mode" => params}, socket) do
+    {:noreply,
+     socket
+     |> assign(:review_mode, ReviewMode.parse(params["mode"]))
+     |> assign(:ignore_accents, params["ignore_accents"] != "false")
+     |> assign_clozes()}
+  end
+
+  def handle_event("undo_rating", _params, socket) do
+    case socket.assigns.undo_stack do
+      [] -> {:noreply, socket}
+      [entry | rest] -> undo_rating(socket, entry, rest)
+    end
+  end
+
+  def handle_event("sync_offline_reviews", %{"reviews" => reviews}, socket)
+      when is_list(reviews) do
+    {valid, invalid} =
+      reviews
+      |> Enum.map(&parse_offline_review/1)
+      |> Enum.split_with(&match?({:ok, _}, &1))
+
+    results =
+      Study.apply_offline_reviews(
+        socket.assigns.current_user.id,
+        Enum.map(valid, fn {:ok, review} -> review end)
+      )
+
+    statuses =
+      Enum.map(results, fn {review, result} ->
+        %{id: review.id, status: offline_review_status(result)}
+      end) ++ Enum.map(invalid, fn {:error, id} -> %{id: id, status: "rejected"} end)
+
+    applied_ratings = for {review, {:ok, _item}} <- results, do: review.rating
+
+    {:reply, %{results: statuses},
+     socket
+     |> record_offline_ratings(applied_ratings)
+     |> reload_cards()
+     |> put_offline_sync_flash(statuses)}
+  end
+
+  defp process_rate_card(item_id_str, quality, timings, socket) do
     with {item_id, ""} <- Integer.parse(item_id_str),
          current_card when not is_nil(current_card) <-
            Enum.at(socket.assigns.cards, socket.assigns.current_index),
          true <- current_card.id == item_id do
-      rate_card(socket, item_id, quality)
+      rate_card(socket, item_id, quality, timings)
     else
       _ ->
         {:noreply, socket}
     end
   end
 
-  defp rate_card(socket, item_id, quality) do
+  defp rate_card(socket, item_id, quality, timings) do
     with {:ok, item} <- find_item(socket.assigns.cards, item_id),
          rating <- parse_quality(quality),
-         {:ok, updated} <- Study.review_item(item, rating) do
+         {:ok, updated} <- Study.review_item(item, rating, timings) do
       updated_cards = replace_item(socket.assigns.cards, updated)
       ratings = update_ratings(socket.assigns.ratings, rating)
       next_index = socket.assigns.current_index + 1
       completed = next_index >= length(updated_cards)
 
+      undo_entry = %{previous: item, index: socket.assigns.current_index, rating: rating}
+
       {:noreply,
        socket
        |> assign(:cards, updated_cards)
+       |> assign(:undo_stack, Enum.take([undo_entry | socket.assigns.undo_stack], @max_undo))
        |> assign(
          :current_index,
          if(completed, do: socket.assigns.current_index, else: next_index)
@@ -438,6 +639,226 @@ defmodule LanglerWeb.StudyLive.Session do
     end
   end
 
+  # Time-to-flip and time-to-rate as measured by the StudySession hook
+  defp response_timings(params) do
+    [time_to_flip_ms: params["time_to_flip_ms"], time_to_rate_ms: params["time_to_rate_ms"]]
+    |> Enum.flat_map(fn {key, value} ->
+      case parse_integer(value) do
+        {:ok, ms} -> [{key, ms}]
+        :error -> []
+      end
+    end)
+  end
+
+  # Restores the card's pre-rating state and puts it back in front of the learner
+  defp undo_rating(socket, entry, rest) do
+    case Study.undo_review(entry.previous) do
+      {:ok, restored} ->
+        {:noreply,
+         socket
+         |> assign(:cards, replace_item(socket.assigns.cards, restored))
+         |> assign(:current_index, entry.index)
+         |> assign(:flipped, false)
+         |> assign(:completed, false)
+         |> assign(:reviewed_count, max(socket.assigns.reviewed_count - 1, 0))
+         |> assign(:ratings, revert_rating(socket.assigns.ratings, entry.rating))
+         |> assign(:undo_stack, rest)}
+
+      {:error, :stale} ->
+        {:noreply,
+         socket
+         |> assign(:undo_stack, rest)
+         |> put_flash(
+           :error,
+           gettext("That card has been reviewed again since, so the rating can't be undone.")
+         )}
+
+      {:error, reason} ->
+        {:noreply,
+         put_flash(
+           socket,
+           :error,
+           gettext("Unable to undo rating: %{reason}", reason: inspect(reason))
+         )}
+    end
+  end
+
+  defp parse_offline_review(%{"item_id" => item_id, "quality" => quality} = review) do
+    with {:ok, item_id} <- parse_integer(item_id),
+         {:ok, quality} <- parse_integer(quality),
+         true <- quality in 0..4,
+         {:ok, reviewed_at, _offset} <- DateTime.from_iso8601(review["reviewed_at"] || "") do
+      {:ok,
+       %{
+         id: review["id"],
+         item_id: item_id,
+         rating: FSRS.rating_from_quality(quality),
+         reviewed_at: reviewed_at
+       }}
+    else
+      _ -> {:error, review["id"]}
+    end
+  end
+
+  defp parse_offline_review(review) when is_map(review), do: {:error, review["id"]}
+  defp parse_offline_review(_review), do: {:error, nil}
+
+  defp parse_integer(value) when is_integer(value), do: {:ok, value}
+
+  defp parse_integer(value) when is_binary(value) do
+    case Integer.parse(value) do
+      {int, ""} -> {:ok, int}
+      _ -> :error
+    end
+  end
+
+  defp parse_integer(_value), do: :error
+
+  defp offline_review_status({:ok, _item}), do: "applied"
+  defp offline_review_status({:error, :conflict}), do: "conflict"
+  defp offline_review_status({:error, _reason}), do: "rejected"
+
+  defp record_offline_ratings(socket, ratings) do
+    socket
+    |> assign(:reviewed_count, socket.assigns.reviewed_count + length(ratings))
+    |> assign(:ratings, Enum.reduce(ratings, socket.assigns.ratings, &update_ratings(&2, &1)))
+  end
+
+  # Offline reviews change which cards are due, so restart the queue from the server's view
+  defp reload_cards(socket) do
+    cards = load_due_today_cards(socket.assigns.current_user.id, socket.assigns.deck_id)
+
+    socket
+    |> assign(:cards, cards)
+    |> assign(:current_index, 0)
+    |> assign(:flipped, false)
+    |> assign(:total_cards, length(cards))
+    |> assign(:completed, cards == [] and socket.assigns.reviewed_count > 0)
+    |> assign(:undo_stack, [])
+    |> assign_clozes()
+    |> push_offline_queue(cards)
+  end
+
+  defp put_offline_sync_flash(socket, statuses) do
+    applied = Enum.count(statuses, &(&1.status == "applied"))
+    conflicts = Enum.count(statuses, &(&1.status == "conflict"))
+
+    cond do
+      conflicts > 0 ->
+        put_flash(
+          socket,
+          :info,
+          gettext(
+            "Synced %{applied} offline reviews. %{conflicts} were skipped because the card was already reviewed on another device.",
+            applied: applied,
+            conflicts: conflicts
+          )
+        )
+
+      applied > 0 ->
+        put_flash(socket, :info, gettext("Synced %{count} offline reviews.", count: applied))
+
+      true ->
+        socket
+    end
+  end
+
+  # Sends the due queue to the StudySession hook, which keeps it in IndexedDB
+  # so reviewing can continue if the connection drops
+  defp push_offline_queue(socket, cards) do
+    if connected?(socket) do
+      push_event(socket, "study:prefetch", %{cards: Enum.map(cards, &offline_card/1)})
+    else
+      socket
+    end
+  end
+
+  defp offline_card(item) do
+    %{
+      id: item.id,
+      word: item.word.lemma || item.word.normalized_form,
+      type: item.word.type,
+      translation: item.word.translation,
+      definitions: item.word.definitions || [],
+      ease_factor: item.ease_factor,
+      interval: item.interval,
+      due_date: item.due_date,
+      repetitions: item.repetitions,
+      quality_history: item.quality_history || [],
+      last_reviewed_at: item.last_reviewed_at,
+      stability: item.stability,
+      difficulty: item.difficulty,
+      state: item.state,
+      step: item.step
+    }
+  end
+
+  # The offline scheduler takes one set of weights, so use those for the
+  # language of the first card in the queue
+  defp offline_fsrs_params(user_id, cards) do
+    language =
+      case cards do
+        [%{word: %{language: language}} | _] -> language
+        _ -> nil
+      end
+
+    user_id
+    |> Study.fsrs_params_for(language)
+    |> Map.from_struct()
+    |> Map.take([:weights, :desired_retention, :learning_steps, :relearning_steps])
+  end
+
+  # Typed modes fall back to the flip card when the word has nothing to type
+  defp card_prompt(_item, "flip", _clozes), do: nil
+
+  defp card_prompt(%{word: word} = item, mode, clozes) do
+    cloze = Map.get(clozes, item.id)
+    hints = word_hints(word)
+
+    {mode, cloze} =
+      if mode == "cloze" and is_nil(cloze), do: {"type_word", nil}, else: {mode, cloze}
+
+    case ReviewMode.expected_answers(word, mode, cloze) do
+      [] ->
+        nil
+
+      _expected when mode == "type_word" and hints == [] ->
+        nil
+
+      expected ->
+        %{mode: mode, label: prompt_label(mode), expected: expected, hints: hints, cloze: cloze}
+    end
+  end
+
+  defp word_hints(%{type: "phrase", translation: translation}) when is_binary(translation),
+    do: [translation]
+
+  defp word_hints(word), do: Enum.take(word.definitions || [], 3)
+
+  defp prompt_label("type_translation"), do: "Type the translation"
+  defp prompt_label("type_word"), do: "Type the word"
+  defp prompt_label("cloze"), do: "Fill in the blank"
+
+  # Cloze prompts need the sentences each word was read in
+  defp assign_clozes(%{assigns: %{review_mode: "cloze", cards: cards}} = socket) do
+    word_ids = cards |> Enum.map(& &1.word_id) |> Enum.reject(&is_nil/1)
+
+    sentences =
+      Vocabulary.list_context_sentences(socket.assigns.current_scope.user.id, word_ids)
+
+    clozes =
+      Enum.reduce(cards, %{}, fn item, acc ->
+        case ReviewMode.build_cloze(Map.get(sentences, item.word_id, []), item.word) do
+          nil -> acc
+          cloze -> Map.put(acc, item.id, cloze)
+        end
+      end)
+
+    assign(socket, :clozes, clozes)
+  end
+
+  defp assign_clozes(socket), do: assign(socket, :clozes, %{})
+
   defp load_due_today_cards(user_id, deck_id) do
     now = DateTime.utc_now()
     end_of_day = Study.end_of_day(now)
@@ -447,7 +868,17 @@ defmodule LanglerWeb.StudyLive.Session do
       Study.due_today?(item, end_of_day) and not is_nil(item.word) and
         matches_deck?(item, deck_id)
     end)
-    |> Enum.sort_by(& &1.due_date, {:asc, DateTime})
+    |> Study.order_study_queue(study_order(deck_id), deck_id)
+  end
+
+  # Decks choose the order their cards come up in; everything else goes by due date
+  defp study_order(nil), do: "due"
+
+  defp study_order(deck_id) do
+    case Repo.get(Deck, deck_id) do
+      %Deck{study_order: order} -> order
+      nil -> "due"
+    end
   end
 
   defp matches_deck?(_item, nil), do: true
@@ -495,6 +926,10 @@ defmodule LanglerWeb.StudyLive.Session do
     end
   end
 
+  defp revert_rating(ratings, rating) do
+    Map.update!(ratings, rating, &max(&1 - 1, 0))
+  end
+
   defp format_decimal(nil), do: "0.0×"
   defp format_decimal(value), do: "#{Float.round(value, 2)}×"
 
@@ -80,6 +80,24 @@ defmodule LanglerWeb.UserLive.Settings do
               <.icon name="hero-chevron-right" class="h-5 w-5 flex-shrink-0 text-base-content/40" />
             </div>
           </.link>
+
+          <.link
+            navigate={~p"/users/settings/study"}
+            class="card border border-base-200 bg-base-100 shadow-md transition-all duration-200 hover:-translate-y-1 hover:shadow-xl"
+          >
+            <div class="card-body flex flex-row items-center gap-4 p-4">
+              <div class="flex h-12 w-12 flex-shrink-0 items-center justify-center rounded-full bg-success/10">
+                <.icon name="hero-academic-cap" class="h-6 w-6 text-success" />
+              </div>
+              <div class="flex-1 min-w-0">
+                <h2 class="font-semibold text-base-content">{gettext("Study Settings")}</h2>
+                <p class="text-sm text-base-content/60 truncate">
+                  {gettext("Personalise review scheduling from your history")}
+                </p>
+              </div>
+              <.icon name="hero-chevron-right" class="h-5 w-5 flex-shrink-0 text-base-content/40" />
+            </div>
+          </.link>
         </div>
 
         <%!-- Languages Section --%>
@@ -0,0 +1,254 @@
+defmodule LanglerWeb.UserLive.StudySettings do
+  @moduledoc """
+  LiveView for personalising the FSRS scheduler.
+
+  Lists each language the user has reviewed cards in, with the retention
+  they actually achieve next to what the default and personalised models
+  predict, and lets them fit weights to their own history or go back to the
+  defaults.
+  """
+
+  use LanglerWeb, :live_view
+
+  alias Langler.Languages
+  alias Langler.Study
+  alias Langler.Study.FSRS
+  alias Langler.Study.Workers.OptimizeFsrsParamsWorker
+  alias Phoenix.PubSub
+
+  @impl true
+  def mount(_params, _session, socket) do
+    user_id = socket.assigns.current_scope.user.id
+
+    if connected?(socket) do
+      PubSub.subscribe(Langler.PubSub, "fsrs_params:#{user_id}")
+    end
+
+    {:ok,
+     socket
+     |> assign(:desired_retention, FSRS.params().desired_retention)
+     |> assign(:optimizing, MapSet.new())
+     |> assign_languages()}
+  end
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <Layouts.app flash={@flash} current_scope={@current_scope}>
+      <.settings_page
+        title={gettext("Study Settings")}
+        subtitle={
+          gettext("Fit the review scheduler to how well you actually remember your cards.")
+        }
+        back_path={~p"/users/settings"}
+      >
+        <div class="card border border-base-200 bg-base-100 shadow-xl">
+          <div class="card-body space-y-4">
+            <h2 class="card-title">{gettext("Personalised scheduling")}</h2>
+            <p class="text-sm text-base-content/70">
+              {gettext(
+                "Optimising replays your review history to tune the scheduler's weights for each language. Cards are scheduled to hit a target retention of %{target}.",
+                target: format_percent(@desired_retention)
+              )}
+            </p>
+
+            <div
+              :if={@languages == []}
+              id="study-settings-empty"
+              class="rounded-2xl border border-dashed border-base-300 p-6 text-center text-sm text-base-content/60"
+            >
+              {gettext("Review some cards first. Optimising needs your review history.")}
+            </div>
+
+            <div
+              :for={row <- @languages}
+              id={"fsrs-params-#{row.language}"}
+              class="rounded-2xl border border-base-200 p-4 space-y-3"
+            >
+              <div class="flex flex-wrap items-center justify-between gap-3">
+                <div class="flex items-center gap-2">
+                  <h3 class="font-semibold text-base-content">{language_name(row.language)}</h3>
+                  <span
+                    :if={row.parameters && row.parameters.enabled}
+                    class="badge badge-success badge-sm"
+                  >
+                    {gettext("Personalised")}
+                  </span>
+                  <span
+                    :if={!row.parameters || !row.parameters.enabled}
+                    class="badge badge-ghost badge-sm"
+                  >
+                    {gettext("Defaults")}
+                  </span>
+                </div>
+
+                <div class="flex items-center gap-3">
+                  <label :if={row.parameters} class="label cursor-pointer gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      class="toggle toggle-primary toggle-sm"
+                      checked={row.parameters.enabled}
+                      phx-click="toggle_params"
+                      phx-value-language={row.language}
+                    />
+                    {gettext("Use personal weights")}
+                  </label>
+                  <button
+                    type="button"
+                    class="btn btn-primary btn-sm"
+                    phx-click="optimize"
+                    phx-value-language={row.language}
+                    disabled={MapSet.member?(@optimizing, row.language)}
+                  >
+                    <span
+                      :if={MapSet.member?(@optimizing, row.language)}
+                      class="loading loading-spinner loading-xs"
+                    />
+                    <.icon
+                      :if={!MapSet.member?(@optimizing, row.language)}
+                      name="hero-sparkles"
+                      class="h-4 w-4"
+                    />
+                    {gettext("Optimise")}
+                  </button>
+                </div>
+              </div>
+
+              <dl :if={row.parameters} class="grid grid-cols-2 gap-3 text-sm md:grid-cols-4">
+                <div>
+                  <dt class="text-base-content/60">{gettext("Observed retention")}</dt>
+                  <dd class="font-semibold">
+                    {format_percent(row.parameters.observed_retention)}
+                  </dd>
+                </div>
+                <div>
+                  <dt class="text-base-content/60">{gettext("Default model")}</dt>
+                  <dd class="font-semibold">
+                    {format_percent(row.parameters.default_predicted_retention)}
+                  </dd>
+                </div>
+                <div>
+                  <dt class="text-base-content/60">{gettext("Personal model")}</dt>
+                  <dd class="font-semibold">
+                    {format_percent(row.parameters.predicted_retention)}
+                  </dd>
+                </div>
+                <div>
+                  <dt class="text-base-content/60">{gettext("Target")}</dt>
+                  <dd class="font-semibold">{format_percent(@desired_retention)}</dd>
+                </div>
+              </dl>
+
+              <p :if={row.parameters} class="text-xs text-base-content/60">
+                {gettext("Fitted on %{count} reviews, %{date}. Log loss %{before} → %{after}.",
+                  count: row.parameters.review_count,
+                  date: Calendar.strftime(row.parameters.optimized_at, "%b %-d, %Y"),
+                  before: format_loss(row.parameters.baseline_log_loss),
+                  after: format_loss(row.parameters.log_loss)
+                )}
+              </p>
+              <p :if={!row.parameters} class="text-xs text-base-content/60">
+                {gettext("Not optimised yet. The default weights are used.")}
+              </p>
+            </div>
+          </div>
+        </div>
+      </.settings_page>
+    </Layouts.app>
+    """
+  end
+
+  @impl true
+  def handle_event("optimize", %{"language" => language}, socket) do
+    user_id = socket.assigns.current_scope.user.id
+
+    %{"user_id" => user_id, "language" => language}
+    |> OptimizeFsrsParamsWorker.new()
+    |> Oban.insert()
+    |> case do
+      {:ok, _job} ->
+        {:noreply, update(socket, :optimizing, &MapSet.put(&1, language))}
+
+      {:error, reason} ->
+        {:noreply,
+         put_flash(
+           socket,
+           :error,
+           gettext("Failed to start optimisation: %{reason}", reason: inspect(reason))
+         )}
+    end
+  end
+
+  def handle_event("toggle_params", %{"language" => language}, socket) do
+    user_id = socket.assigns.current_scope.user.id
+    row = Enum.find(socket.assigns.languages, &(&1.language == language))
+
+    with %{parameters: %{enabled: enabled}} <- row,
+         {:ok, _parameters} <- Study.set_fsrs_parameters_enabled(user_id, language, !enabled) do
+      message =
+        if enabled,
+          do: gettext("Reverted to the default weights"),
+          else: gettext("Using your personal weights")
+
+      {:noreply, socket |> assign_languages() |> put_flash(:info, message)}
+    else
+      _ -> {:noreply, put_flash(socket, :error, gettext("Could not update the scheduler"))}
+    end
+  end
+
+  @impl true
+  def handle_info({:fsrs_params_optimized, language, result}, socket) do
+    socket =
+      socket
+      |> update(:optimizing, &MapSet.delete(&1, language))
+      |> assign_languages()
+
+    case result do
+      {:ok, _parameters} ->
+        {:noreply,
+         put_flash(
+           socket,
+           :info,
+           gettext("Optimised the scheduler for %{language}", language: language_name(language))
+         )}
+
+      {:error, :not_enough_reviews} ->
+        {:noreply,
+         put_flash(
+           socket,
+           :error,
+           gettext("Not enough reviews in %{language} to optimise yet",
+             language: language_name(language)
+           )
+         )}
+
+      {:error, _reason} ->
+        {:noreply, put_flash(socket, :error, gettext("Optimisation failed"))}
+    end
+  end
+
+  def handle_info(_msg, socket), do: {:noreply, socket}
+
+  defp assign_languages(socket) do
+    user_id = socket.assigns.current_scope.user.id
+    parameters = Map.new(Study.list_fsrs_parameters(user_id), &{&1.language, &1})
+
+    languages =
+      (Study.review_log_languages(user_id) ++ Map.keys(parameters))
+      |> Enum.uniq()
+      |> Enum.sort()
+      |> Enum.map(&%{language: &1, parameters: Map.get(parameters, &1)})
+
+    assign(socket, :languages, languages)
+  end
+
+  defp language_name(language) do
+    Languages.display_name(language) || String.capitalize(language)
+  end
+
+  defp format_percent(nil), do: "—"
+  defp format_percent(value), do: "#{Float.round(value * 100, 1)}%"
+
+  defp format_loss(nil), do: "—"
+  defp format_loss(value), do: :erlang.float_to_binary(value, decimals: 3)
+end
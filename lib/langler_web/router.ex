@@ -71,6 +71,7 @@ defmodule LanglerWeb.Router do
       live "/users/settings/confirm-email/:token", UserLive.Settings, :confirm_email
       live "/users/settings/llm", UserLive.LlmSettings, :index
       live "/users/settings/tts", UserLive.TtsSettings, :index
+      live "/users/settings/study", UserLive.StudySettings, :index
       live "/users/settings/google-translate", UserLive.GoogleTranslateSettings, :index
       live "/users/invites", UserLive.Invites, :index
       live "/library", ArticleLive.Index, :index
@@ -90,6 +91,8 @@ defmodule LanglerWeb.Router do
     end
 
     post "/users/update-password", UserSessionController, :update_password
+    get "/decks/exports/:token", DeckExportController, :show
+    get "/chat/messages/:id/audio", ChatAudioController, :show
   end
 
   scope "/", LanglerWeb do
@@ -35,6 +35,10 @@ defmodule Langler.MixProject do
       classifier_nif: [
         path: "native/classifier_nif",
         mode: if(Mix.env() == :prod, do: :release, else: :debug)
+      ],
+      anki_nif: [
+        path: "native/anki_nif",
+        mode: if(Mix.env() == :prod, do: :release, else: :debug)
       ]
     ]
   end
@@ -0,0 +1,285 @@
+use rustler::{Atom, Encoder, Env, Error, Term};
+use rusqlite::{params, Connection, OpenFlags};
+use serde::{Deserialize, Serialize};
+
+rustler::init!("Elixir.Langler.Vocabulary.AnkiNif");
+
+/// Anki collection schema (version 11), the format read by every Anki client
+/// when importing an .apkg package.
+const SCHEMA: &str = "
+CREATE TABLE col (
+    id integer primary key, crt integer not null, mod integer not null,
+    scm integer not null, ver integer not null, dty integer not null,
+    usn integer not null, ls integer not null, conf text not null,
+    models text not null, decks text not null, dconf text not null,
+    tags text not null
+);
+CREATE TABLE notes (
+    id integer primary key, guid text not null, mid integer not null,
+    mod integer not null, usn integer not null, tags text not null,
+    flds text not null, sfld integer not null, csum integer not null,
+    flags integer not null, data text not null
+);
+CREATE TABLE cards (
+    id integer primary key, nid integer not null, did integer not null,
+    ord integer not null, mod integer not null, usn integer not null,
+    type integer not null, queue integer not null, due integer not null,
+    ivl integer not null, factor integer not null, reps integer not null,
+    lapses integer not null, left integer not null, odue integer not null,
+    odid integer not null, flags integer not null, data text not null
+);
+CREATE TABLE revlog (
+    id integer primary key, cid integer not null, usn integer not null,
+    ease integer not null, ivl integer not null, lastIvl integer not null,
+    factor integer not null, time integer not null, type integer not null
+);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+";
+
+/// Collection built on the Elixir side (see Langler.Vocabulary.AnkiPackage)
+#[derive(Debug, Deserialize)]
+struct Collection {
+    col: Col,
+    notes: Vec<Note>,
+    cards: Vec<Card>,
+}
+
+#[derive(Debug, Deserialize)]
+struct Col {
+    crt: i64,
+    #[serde(rename = "mod")]
+    modified: i64,
+    conf: String,
+    models: String,
+    decks: String,
+    dconf: String,
+}
+
+#[derive(Debug, Deserialize)]
+struct Note {
+    id: i64,
+    guid: String,
+    mid: i64,
+    #[serde(rename = "mod")]
+    modified: i64,
+    tags: String,
+    flds: String,
+    sfld: String,
+    csum: i64,
+}
+
+#[derive(Debug, Deserialize)]
+struct Card {
+    id: i64,
+    nid: i64,
+    did: i64,
+    ord: i64,
+    #[serde(rename = "mod")]
+    modified: i64,
+    #[serde(rename = "type")]
+    card_type: i64,
+    queue: i64,
+    due: i64,
+    ivl: i64,
+    factor: i64,
+    reps: i64,
+    lapses: i64,
+}
+
+/// Collection read back from an imported package, handed to Elixir as JSON
+#[derive(Debug, Serialize)]
+struct ImportedCollection {
+    crt: i64,
+    models: String,
+    decks: String,
+    notes: Vec<ImportedNote>,
+    cards: Vec<ImportedCard>,
+    revlog: Vec<ImportedReview>,
+}
+
+#[derive(Debug, Serialize)]
+struct ImportedNote {
+    id: i64,
+    mid: i64,
+    tags: String,
+    flds: String,
+}
+
+#[derive(Debug, Serialize)]
+struct ImportedCard {
+    id: i64,
+    nid: i64,
+    did: i64,
+    ord: i64,
+    #[serde(rename = "type")]
+    card_type: i64,
+    queue: i64,
+    due: i64,
+    ivl: i64,
+    factor: i64,
+    reps: i64,
+    lapses: i64,
+    odue: i64,
+    odid: i64,
+}
+
+#[derive(Debug, Serialize)]
+struct ImportedReview {
+    id: i64,
+    cid: i64,
+    ease: i64,
+    ivl: i64,
+    time: i64,
+    #[serde(rename = "type")]
+    review_type: i64,
+}
+
+/// Write the collection into a fresh SQLite database at `path`
+fn write_database(path: &str, collection: &Collection) -> rusqlite::Result<()> {
+    let _ = std::fs::remove_file(path);
+    let mut conn = Connection::open(path)?;
+    conn.execute_batch(SCHEMA)?;
+
+    let tx = conn.transaction()?;
+
+    let col = &collection.col;
+    tx.execute(
+        "INSERT INTO col VALUES (1, ?1, ?2, ?2, 11, 0, 0, 0, ?3, ?4, ?5, ?6, '{}')",
+        params![col.crt, col.modified, col.conf, col.models, col.decks, col.dconf],
+    )?;
+
+    {
+        let mut stmt = tx.prepare(
+            "INSERT INTO notes VALUES (?1, ?2, ?3, ?4, -1, ?5, ?6, ?7, ?8, 0, '')",
+        )?;
+
+        for note in &collection.notes {
+            stmt.execute(params![
+                note.id,
+                note.guid,
+                note.mid,
+                note.modified,
+                note.tags,
+                note.flds,
+                note.sfld,
+                note.csum
+            ])?;
+        }
+    }
+
+    {
+        let mut stmt = tx.prepare(
+            "INSERT INTO cards VALUES (?1, ?2, ?3, ?4, ?5, -1, ?6, ?7, ?8, ?9, ?10, ?11, ?12, 0, 0, 0, 0, '')",
+        )?;
+
+        for card in &collection.cards {
+            stmt.execute(params![
+                card.id,
+                card.nid,
+                card.did,
+                card.ord,
+                card.modified,
+                card.card_type,
+                card.queue,
+                card.due,
+                card.ivl,
+                card.factor,
+                card.reps,
+                card.lapses
+            ])?;
+        }
+    }
+
+    tx.commit()
+}
+
+/// Read notes, cards and review history from a schema 11 collection
+fn read_database(path: &str) -> rusqlite::Result<ImportedCollection> {
+    let conn = Connection::open_with_flags(path, OpenFlags::SQLITE_OPEN_READ_ONLY)?;
+
+    let (crt, models, decks) = conn.query_row(
+        "SELECT crt, models, decks FROM col LIMIT 1",
+        [],
+        |row| Ok((row.get(0)?, row.get(1)?, row.get(2)?)),
+    )?;
+
+    let notes = conn
+        .prepare("SELECT id, mid, tags, flds FROM notes ORDER BY id")?
+        .query_map([], |row| {
+            Ok(ImportedNote {
+                id: row.get(0)?,
+                mid: row.get(1)?,
+                tags: row.get(2)?,
+                flds: row.get(3)?,
+            })
+        })?
+        .collect::<rusqlite::Result<Vec<_>>>()?;
+
+    let cards = conn
+        .prepare(
+            "SELECT id, nid, did, ord, type, queue, due, ivl, factor, reps, lapses, odue, odid FROM cards ORDER BY id",
+        )?
+        .query_map([], |row| {
+            Ok(ImportedCard {
+                id: row.get(0)?,
+                nid: row.get(1)?,
+                did: row.get(2)?,
+                ord: row.get(3)?,
+                card_type: row.get(4)?,
+                queue: row.get(5)?,
+                due: row.get(6)?,
+                ivl: row.get(7)?,
+                factor: row.get(8)?,
+                reps: row.get(9)?,
+                lapses: row.get(10)?,
+                odue: row.get(11)?,
+                odid: row.get(12)?,
+            })
+        })?
+        .collect::<rusqlite::Result<Vec<_>>>()?;
+
+    let revlog = conn
+        .prepare("SELECT id, cid, ease, ivl, time, type FROM revlog ORDER BY id")?
+        .query_map([], |row| {
+            Ok(ImportedReview {
+                id: row.get(0)?,
+                cid: row.get(1)?,
+                ease: row.get(2)?,
+                ivl: row.get(3)?,
+                time: row.get(4)?,
+                review_type: row.get(5)?,
+            })
+        })?
+        .collect::<rusqlite::Result<Vec<_>>>()?;
+
+    Ok(ImportedCollection { crt, models, decks, notes, cards, revlog })
+}
+
+#[rustler::nif(schedule = "DirtyIo")]
+fn read_collection<'a>(env: Env<'a>, path: String) -> Result<Term<'a>, Error> {
+    let collection = read_database(&path)
+        .map_err(|e| Error::Term(Box::new(format!("Failed to read collection: {}", e))))?;
+
+    let collection_json = serde_json::to_string(&collection)
+        .map_err(|e| Error::Term(Box::new(format!("Failed to encode collection: {}", e))))?;
+
+    Ok(collection_json.encode(env))
+}
+
+#[rustler::nif(schedule = "DirtyIo")]
+fn write_collection<'a>(env: Env<'a>, path: String, collection_json: String) -> Result<Term<'a>, Error> {
+    let collection: Collection = serde_json::from_str(&collection_json)
+        .map_err(|e| Error::Term(Box::new(format!("Failed to decode collection: {}", e))))?;
+
+    write_database(&path, &collection)
+        .map_err(|e| Error::Term(Box::new(format!("Failed to write collection: {}", e))))?;
+
+    Ok(Atom::from_str(env, "ok")?.encode(env))
+}
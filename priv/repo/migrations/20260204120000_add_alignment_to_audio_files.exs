@@ -0,0 +1,9 @@
+defmodule Langler.Repo.Migrations.AddAlignmentToAudioFiles do
+  use Ecto.Migration
+
+  def change do
+    alter table(:audio_files) do
+      add :alignment, :jsonb
+    end
+  end
+end
@@ -0,0 +1,11 @@
+defmodule Langler.Repo.Migrations.AddShadowingSettingsToAudioFiles do
+  use Ecto.Migration
+
+  def change do
+    alter table(:audio_files) do
+      add :shadowing_enabled, :boolean, default: false, null: false
+      add :shadowing_repeats, :integer, default: 3, null: false
+      add :shadowing_pause_seconds, :float, default: 2.0, null: false
+    end
+  end
+end
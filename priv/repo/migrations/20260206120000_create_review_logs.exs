@@ -0,0 +1,24 @@
+defmodule Langler.Repo.Migrations.CreateReviewLogs do
+  use Ecto.Migration
+
+  def change do
+    create table(:review_logs) do
+      add :user_id, references(:users, on_delete: :delete_all), null: false
+      add :fsrs_item_id, references(:fsrs_items, on_delete: :delete_all), null: false
+      add :rating, :string, null: false
+      add :state, :string
+      add :elapsed_days, :integer, null: false, default: 0
+      add :scheduled_days, :integer, null: false, default: 0
+      add :stability, :float
+      add :difficulty, :float
+      add :time_to_flip_ms, :integer
+      add :time_to_rate_ms, :integer
+      add :reviewed_at, :utc_datetime, null: false
+
+      timestamps(type: :utc_datetime, updated_at: false)
+    end
+
+    create index(:review_logs, [:user_id, :reviewed_at])
+    create index(:review_logs, [:fsrs_item_id, :reviewed_at])
+  end
+end
@@ -0,0 +1,23 @@
+defmodule Langler.Repo.Migrations.CreateFsrsParameters do
+  use Ecto.Migration
+
+  def change do
+    create table(:fsrs_parameters) do
+      add :user_id, references(:users, on_delete: :delete_all), null: false
+      add :language, :string, null: false
+      add :weights, {:array, :float}, null: false, default: []
+      add :enabled, :boolean, null: false, default: true
+      add :review_count, :integer, null: false, default: 0
+      add :log_loss, :float
+      add :baseline_log_loss, :float
+      add :observed_retention, :float
+      add :predicted_retention, :float
+      add :default_predicted_retention, :float
+      add :optimized_at, :utc_datetime
+
+      timestamps(type: :utc_datetime)
+    end
+
+    create unique_index(:fsrs_parameters, [:user_id, :language])
+  end
+end
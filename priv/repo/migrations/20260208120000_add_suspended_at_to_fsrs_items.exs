@@ -0,0 +1,9 @@
+defmodule Langler.Repo.Migrations.AddSuspendedAtToFsrsItems do
+  use Ecto.Migration
+
+  def change do
+    alter table(:fsrs_items) do
+      add :suspended_at, :utc_datetime
+    end
+  end
+end
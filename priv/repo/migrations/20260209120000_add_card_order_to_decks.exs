@@ -0,0 +1,61 @@
+defmodule Langler.Repo.Migrations.AddCardOrderToDecks do
+  use Ecto.Migration
+
+  def up do
+    alter table(:deck_words) do
+      add :position, :integer
+    end
+
+    alter table(:deck_custom_cards) do
+      add :position, :integer
+    end
+
+    alter table(:decks) do
+      add :study_order, :string, null: false, default: "due"
+    end
+
+    # Start every deck in the order it has been listed in so far: words
+    # alphabetically, custom cards newest first
+    execute("""
+    UPDATE deck_words AS dw
+    SET position = ordered.position
+    FROM (
+      SELECT dw.id,
+             row_number() OVER (
+               PARTITION BY dw.deck_id ORDER BY w.normalized_form, dw.id
+             ) - 1 AS position
+      FROM deck_words AS dw
+      JOIN words AS w ON w.id = dw.word_id
+    ) AS ordered
+    WHERE dw.id = ordered.id
+    """)
+
+    execute("""
+    UPDATE deck_custom_cards AS dcc
+    SET position = ordered.position
+    FROM (
+      SELECT dcc.id,
+             row_number() OVER (
+               PARTITION BY dcc.deck_id ORDER BY cc.inserted_at DESC, dcc.id
+             ) - 1 AS position
+      FROM deck_custom_cards AS dcc
+      JOIN custom_cards AS cc ON cc.id = dcc.custom_card_id
+    ) AS ordered
+    WHERE dcc.id = ordered.id
+    """)
+  end
+
+  def down do
+    alter table(:decks) do
+      remove :study_order
+    end
+
+    alter table(:deck_custom_cards) do
+      remove :position
+    end
+
+    alter table(:deck_words) do
+      remove :position
+    end
+  end
+end
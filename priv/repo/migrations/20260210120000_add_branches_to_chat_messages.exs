@@ -0,0 +1,34 @@
+defmodule Langler.Repo.Migrations.AddBranchesToChatMessages do
+  use Ecto.Migration
+
+  def up do
+    alter table(:chat_messages) do
+      add :parent_id, references(:chat_messages, on_delete: :delete_all)
+      add :active, :boolean, null: false, default: true
+    end
+
+    create index(:chat_messages, [:chat_session_id, :parent_id])
+
+    # Existing conversations become a single branch: each message replies to
+    # the one before it
+    execute("""
+    UPDATE chat_messages AS m
+    SET parent_id = ordered.parent_id
+    FROM (
+      SELECT id,
+             lag(id) OVER (PARTITION BY chat_session_id ORDER BY inserted_at, id) AS parent_id
+      FROM chat_messages
+    ) AS ordered
+    WHERE m.id = ordered.id
+    """)
+  end
+
+  def down do
+    drop index(:chat_messages, [:chat_session_id, :parent_id])
+
+    alter table(:chat_messages) do
+      remove :active
+      remove :parent_id
+    end
+  end
+end
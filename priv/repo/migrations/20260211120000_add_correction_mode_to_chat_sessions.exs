@@ -0,0 +1,9 @@
+defmodule Langler.Repo.Migrations.AddCorrectionModeToChatSessions do
+  use Ecto.Migration
+
+  def change do
+    alter table(:chat_sessions) do
+      add :correction_mode, :boolean, null: false, default: false
+    end
+  end
+end
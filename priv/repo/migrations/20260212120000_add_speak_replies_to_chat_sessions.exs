@@ -0,0 +1,9 @@
+defmodule Langler.Repo.Migrations.AddSpeakRepliesToChatSessions do
+  use Ecto.Migration
+
+  def change do
+    alter table(:chat_sessions) do
+      add :speak_replies, :boolean, null: false, default: false
+    end
+  end
+end
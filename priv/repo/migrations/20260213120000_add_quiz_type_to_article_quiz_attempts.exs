@@ -0,0 +1,9 @@
+defmodule Langler.Repo.Migrations.AddQuizTypeToArticleQuizAttempts do
+  use Ecto.Migration
+
+  def change do
+    alter table(:article_quiz_attempts) do
+      add :quiz_type, :string, null: false, default: "reading"
+    end
+  end
+end
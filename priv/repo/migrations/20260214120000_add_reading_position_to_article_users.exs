@@ -0,0 +1,13 @@
+defmodule Langler.Repo.Migrations.AddReadingPositionToArticleUsers do
+  use Ecto.Migration
+
+  def change do
+    alter table(:article_users) do
+      add :last_sentence_id, references(:sentences, on_delete: :nilify_all)
+      add :reading_progress, :float, null: false, default: 0.0
+      add :last_read_at, :utc_datetime
+    end
+
+    create index(:article_users, [:last_sentence_id])
+  end
+end
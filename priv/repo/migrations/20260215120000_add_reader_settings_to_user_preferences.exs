@@ -0,0 +1,13 @@
+defmodule Langler.Repo.Migrations.AddReaderSettingsToUserPreferences do
+  use Ecto.Migration
+
+  def change do
+    alter table(:user_preferences) do
+      add :reader_font, :string, default: "sans", null: false
+      add :reader_font_scale, :integer, default: 100, null: false
+      add :reader_line_height, :float, default: 1.75, null: false
+      add :reader_width, :string, default: "normal", null: false
+      add :reader_sentence_per_line, :boolean, default: false, null: false
+    end
+  end
+end
@@ -26,6 +26,48 @@ defmodule Langler.AccountsTest do
     assert updated.target_language == "french"
   end
 
+  test "get_reader_settings/1 falls back to the defaults" do
+    user = AccountsFixtures.user_fixture()
+
+    assert Accounts.get_reader_settings(user.id) == %{
+             reader_font: "sans",
+             reader_font_scale: 100,
+             reader_line_height: 1.75,
+             reader_width: "normal",
+             reader_sentence_per_line: false
+           }
+  end
+
+  test "update_reader_settings/2 saves the reader settings from form params" do
+    user = AccountsFixtures.user_fixture()
+    {:ok, _} = Accounts.upsert_user_preference(user, %{target_language: "french"})
+
+    assert {:ok, settings} =
+             Accounts.update_reader_settings(user, %{
+               "reader_font" => "dyslexic",
+               "reader_font_scale" => "120",
+               "reader_line_height" => "2.0",
+               "reader_sentence_per_line" => "true",
+               "target_language" => "german"
+             })
+
+    assert settings.reader_font == "dyslexic"
+    assert settings.reader_font_scale == 120
+    assert settings.reader_line_height == 2.0
+    assert settings.reader_width == "normal"
+    assert settings.reader_sentence_per_line
+    assert Accounts.get_reader_settings(user.id) == settings
+    assert Accounts.get_user_preference(user.id).target_language == "french"
+
+    assert {:error, changeset} =
+             Accounts.update_reader_settings(user, %{
+               "reader_font" => "comic",
+               "reader_width" => "huge"
+             })
+
+    assert %{reader_font: [_], reader_width: [_]} = errors_on(changeset)
+  end
+
   import Langler.AccountsFixtures
   alias Langler.Accounts.{User, UserToken}
 
@@ -106,6 +106,23 @@ defmodule Langler.AudioTest do
       assert is_nil(audio_file.error_message)
     end
 
+    test "stores alignment data when given" do
+      user = user_fixture()
+      article = article_fixture()
+      {:ok, _} = Audio.get_or_create_audio_file(user.id, article.id)
+
+      alignment = %{
+        "version" => 1,
+        "sentences" => [%{"start" => 0.0, "end" => 1.5, "words" => [[0.0, 1.5]]}]
+      }
+
+      assert {:ok, audio_file} =
+               Audio.mark_ready(user.id, article.id, "/audio/test.wav", 1024, 1.5, alignment)
+
+      assert Audio.get_audio_file(user.id, article.id).alignment == alignment
+      assert audio_file.alignment == alignment
+    end
+
     test "returns error when audio file does not exist" do
       user = user_fixture()
       article = article_fixture()
@@ -174,4 +191,68 @@ defmodule Langler.AudioTest do
       assert {:error, :not_found} = Audio.update_listening_position(user.id, article.id, 45.5)
     end
   end
+
+  describe "update_shadowing_settings/3" do
+    test "defaults shadowing to off with three repeats and a two second pause" do
+      user = user_fixture()
+      article = article_fixture()
+
+      {:ok, audio_file} = Audio.get_or_create_audio_file(user.id, article.id)
+
+      refute audio_file.shadowing_enabled
+      assert audio_file.shadowing_repeats == 3
+      assert audio_file.shadowing_pause_seconds == 2.0
+    end
+
+    test "saves settings from form params" do
+      user = user_fixture()
+      article = article_fixture()
+      {:ok, _} = Audio.get_or_create_audio_file(user.id, article.id)
+
+      assert {:ok, audio_file} =
+               Audio.update_shadowing_settings(user.id, article.id, %{
+                 "shadowing_enabled" => "true",
+                 "shadowing_repeats" => "5",
+                 "shadowing_pause_seconds" => "3"
+               })
+
+      assert audio_file.shadowing_enabled
+      assert audio_file.shadowing_repeats == 5
+      assert audio_file.shadowing_pause_seconds == 3.0
+    end
+
+    test "ignores unrelated fields" do
+      user = user_fixture()
+      article = article_fixture()
+      {:ok, _} = Audio.get_or_create_audio_file(user.id, article.id)
+
+      assert {:ok, audio_file} =
+               Audio.update_shadowing_settings(user.id, article.id, %{
+                 "shadowing_repeats" => "2",
+                 "status" => "failed"
+               })
+
+      assert audio_file.shadowing_repeats == 2
+      assert audio_file.status == "pending"
+    end
+
+    test "rejects out of range values" do
+      user = user_fixture()
+      article = article_fixture()
+      {:ok, _} = Audio.get_or_create_audio_file(user.id, article.id)
+
+      assert {:error, changeset} =
+               Audio.update_shadowing_settings(user.id, article.id, %{"shadowing_repeats" => "0"})
+
+      assert "must be greater than or equal to 1" in errors_on(changeset).shadowing_repeats
+    end
+
+    test "returns error when audio file does not exist" do
+      user = user_fixture()
+      article = article_fixture()
+
+      assert {:error, :not_found} =
+               Audio.update_shadowing_settings(user.id, article.id, %{"shadowing_repeats" => "2"})
+    end
+  end
 end
@@ -0,0 +1,147 @@
+defmodule Langler.Chat.CorrectionsTest do
+  use Langler.DataCase, async: false
+
+  import Langler.AccountsFixtures
+  import Req.Test, only: [set_req_test_from_context: 1]
+
+  alias Langler.Chat.Corrections
+  alias Langler.Study.FSRSItem
+  alias Langler.Vocabulary.CustomCard
+
+  @language_tool_req Langler.External.Dictionary.LanguageToolReq
+
+  setup :set_req_test_from_context
+
+  setup do
+    Application.put_env(:langler, Langler.External.Dictionary.LanguageTool,
+      endpoint: "https://languagetool.test/check",
+      req_options: [plug: {Req.Test, @language_tool_req}]
+    )
+
+    on_exit(fn -> Application.delete_env(:langler, Langler.External.Dictionary.LanguageTool) end)
+  end
+
+  defp stub_language_tool(matches) do
+    Req.Test.stub(@language_tool_req, fn conn -> Req.Test.json(conn, %{"matches" => matches}) end)
+  end
+
+  defp reply(corrections) do
+    """
+    ¡Qué bien! ¿Y qué estudias?
+
+    BEGIN_CORRECTIONS
+    #{Jason.encode!(corrections)}
+    END_CORRECTIONS
+    """
+  end
+
+  describe "annotate/3 and split/1" do
+    test "locates the assistant's corrections and adds LanguageTool's" do
+      stub_language_tool([
+        %{
+          "offset" => 16,
+          "length" => 11,
+          "message" => "Falta una tilde.",
+          "replacements" => [%{"value" => "universidad"}, %{"value" => "diversidad"}],
+          "rule" => %{"id" => "MORFOLOGIK_RULE_ES", "category" => %{"id" => "TYPOS"}}
+        }
+      ])
+
+      text = "Yo soy 20 años, universidaa"
+
+      content =
+        reply([
+          %{
+            "original" => "soy 20 años",
+            "replacement" => "tengo 20 años",
+            "category" => "Grammar",
+            "explanation" => "Age uses tener."
+          },
+          %{"original" => "not in the message", "replacement" => "x"}
+        ])
+
+      annotated = Corrections.annotate(content, text, "es")
+
+      assert {"¡Qué bien! ¿Y qué estudias?", %{text: ^text, corrections: [age, typo]}} =
+               Corrections.split(annotated)
+
+      assert %{offset: 3, length: 11, replacement: "tengo 20 años", category: "grammar"} = age
+      assert age.source == "llm"
+
+      assert %{offset: 16, original: "universidaa", replacement: "universidad"} = typo
+      assert %{category: "spelling", source: "language_tool"} = typo
+    end
+
+    test "drops the block when there is nothing to correct" do
+      stub_language_tool([])
+
+      assert Corrections.annotate(reply([]), "Hola", "es") == "¡Qué bien! ¿Y qué estudias?"
+    end
+
+    test "keeps the reply when LanguageTool is unavailable" do
+      Req.Test.stub(@language_tool_req, &Plug.Conn.send_resp(&1, 503, "down"))
+
+      content = reply([%{"original" => "Hola", "replacement" => "Hola,", "category" => "style"}])
+
+      assert {_prose, %{corrections: [%{original: "Hola", category: "style"}]}} =
+               content |> Corrections.annotate("Hola amigo", "es") |> Corrections.split()
+    end
+
+    test "split/1 hides an unfinished block" do
+      assert Corrections.split("Muy bien.\n\nBEGIN_CORRECTIONS\n[{\"orig") == {"Muy bien.", nil}
+      assert Corrections.split("Muy bien.") == {"Muy bien.", nil}
+    end
+  end
+
+  describe "locate/2" do
+    test "matches repeated text to the next free occurrence" do
+      suggested = [
+        %{"original" => "la", "replacement" => "el"},
+        %{"original" => "la", "replacement" => "los"}
+      ]
+
+      assert [%{offset: 0, replacement: "el"}, %{offset: 8, replacement: "los"}] =
+               Corrections.locate("la mapa la problemas", suggested)
+    end
+  end
+
+  describe "from_language_tool/2" do
+    test "converts UTF-16 offsets to code points" do
+      response = %{
+        "matches" => [
+          %{
+            # "🙂" takes two UTF-16 code units but one code point
+            "offset" => 3,
+            "length" => 4,
+            "message" => "Posible error.",
+            "replacements" => [%{"value" => "hola"}],
+            "rule" => %{"category" => %{"id" => "CASING"}}
+          },
+          %{"offset" => 0, "length" => 1, "replacements" => []}
+        ]
+      }
+
+      assert [%{offset: 2, length: 4, original: "Hola", category: "grammar"}] =
+               Corrections.from_language_tool(response, "🙂 Hola")
+    end
+  end
+
+  describe "create_card/4" do
+    test "creates a scheduled custom card in the default deck" do
+      user = user_fixture()
+
+      correction = %{
+        original: "soy 20 años",
+        replacement: "tengo 20 años",
+        explanation: "Age uses tener."
+      }
+
+      assert {:ok, %CustomCard{} = card} =
+               Corrections.create_card(user.id, correction, "Yo soy 20 años", "es")
+
+      assert card.front == "Yo soy 20 años"
+      assert card.back == "soy 20 años → tengo 20 años\n\nAge uses tener."
+      assert Repo.get_by(FSRSItem, custom_card_id: card.id, user_id: user.id)
+    end
+  end
+end
@@ -66,6 +66,27 @@ defmodule Langler.Chat.MessageTest do
     assert older.content == "First"
   end
 
+  test "list_older_messages/3 pages through messages stored in the same second" do
+    user = user_fixture()
+    session = create_session(user)
+
+    ids =
+      for content <- ~w(uno dos tres) do
+        assert {:ok, message} = Message.create_message(session.id, "user", content, nil)
+        message.id
+      end
+
+    now = DateTime.truncate(DateTime.utc_now(), :second)
+
+    from(m in ChatMessage, where: m.id in ^ids)
+    |> Repo.update_all(set: [inserted_at: now, updated_at: now])
+
+    assert [%{content: "tres"}, %{content: "dos"} = dos] =
+             Message.list_session_messages(session.id, 2)
+
+    assert [%{content: "uno"}] = Message.list_older_messages(session.id, dos.id, 5)
+  end
+
   test "get_message/1 returns a decrypted message map" do
     user = user_fixture()
     session = create_session(user)
@@ -78,4 +99,89 @@ defmodule Langler.Chat.MessageTest do
     assert result.role == "user"
     assert result.token_count == message.token_count
   end
+
+  test "active_thread/1 follows the active version of each message" do
+    user = user_fixture()
+    session = create_session(user)
+
+    {:ok, question} = Message.create_message(session.id, "user", "Hola")
+    {:ok, first} = Message.create_message(session.id, "assistant", "Hola, ¿qué tal?")
+    {:ok, second} = Message.insert_reply(reply_attrs(first))
+
+    assert second.parent_id == question.id
+    refute Repo.get!(ChatMessage, first.id).active
+
+    assert [{%{id: id}, %{index: 1, count: 1}}, {%{id: second_id}, branch}] =
+             Message.active_thread(session.id)
+
+    assert id == question.id
+    assert second_id == second.id
+    assert branch == %{index: 2, count: 2, previous_id: first.id, next_id: nil}
+  end
+
+  test "active_thread_ids/1 lists the IDs of the active thread in order" do
+    user = user_fixture()
+    session = create_session(user)
+
+    {:ok, question} = Message.create_message(session.id, "user", "Hola")
+    {:ok, first} = Message.create_message(session.id, "assistant", "uno")
+    {:ok, _reply} = Message.create_message(session.id, "user", "gracias")
+    {:ok, second} = Message.insert_reply(reply_attrs(first))
+    {:ok, follow_up} = Message.create_message(session.id, "user", "vale")
+
+    assert Message.active_thread_ids(session.id) == [question.id, second.id, follow_up.id]
+    assert Message.active_thread_ids(session.id + 1) == []
+
+    assert [%{id: id, branch: branch}] = Message.list_older_messages(session.id, follow_up.id, 1)
+    assert id == second.id
+    assert branch == %{index: 2, count: 2, previous_id: first.id, next_id: nil}
+  end
+
+  test "select_branch/2 switches the thread to another version" do
+    user = user_fixture()
+    session = create_session(user)
+
+    {:ok, question} = Message.create_message(session.id, "user", "Hola")
+    {:ok, first} = Message.create_message(session.id, "assistant", "uno")
+    {:ok, _reply} = Message.create_message(session.id, "user", "gracias")
+
+    {:ok, _second} = Message.insert_reply(reply_attrs(first))
+
+    assert {:ok, _} = Message.select_branch(session.id, first.id)
+
+    assert [%{content: "gracias"}, %{content: "uno"}, %{id: id}] =
+             Message.list_session_messages(session.id, 10)
+
+    assert id == question.id
+    assert {:error, :not_found} = Message.select_branch(session.id + 1, first.id)
+  end
+
+  test "hide_branch/2 ends the thread at the message's parent" do
+    user = user_fixture()
+    session = create_session(user)
+
+    {:ok, question} = Message.create_message(session.id, "user", "Hola")
+    {:ok, answer} = Message.create_message(session.id, "assistant", "uno")
+
+    assert {:ok, _} = Message.hide_branch(session.id, answer.id)
+    assert [%{id: id}] = Message.list_session_messages(session.id, 10)
+    assert id == question.id
+
+    # The next reply becomes another version of the hidden one
+    {:ok, again} = Message.create_message(session.id, "assistant", "dos")
+    assert again.parent_id == question.id
+    assert Message.branch(again) == %{index: 2, count: 2, previous_id: answer.id, next_id: nil}
+  end
+
+  # Attributes for another version of the message
+  defp reply_attrs(%ChatMessage{} = message) do
+    Map.take(message, [
+      :chat_session_id,
+      :parent_id,
+      :role,
+      :encrypted_content,
+      :content_hash,
+      :token_count
+    ])
+  end
 end
@@ -73,6 +73,80 @@ defmodule Langler.Chat.SessionTest do
     assert result.content == "Bonjour"
   end
 
+  test "total_tokens/1 sums the token counts of the session's messages" do
+    user = user_fixture()
+    assert {:ok, _config} = create_default_config(user)
+    assert {:ok, session} = Session.create_session(user, %{})
+
+    assert Session.total_tokens(session) == 0
+
+    assert {:ok, first} = Session.add_message(session, "user", "Hola, ¿cómo estás?")
+    assert {:ok, second} = Session.add_message(session, "assistant", "Muy bien")
+
+    assert Session.total_tokens(session) == first.token_count + second.token_count
+  end
+
+  test "edit_message/3 adds another version of a user message" do
+    user = user_fixture()
+    assert {:ok, _config} = create_default_config(user)
+    assert {:ok, session} = Session.create_session(user, %{})
+
+    assert {:ok, _system} = Session.add_message(session, "system", "Be kind")
+    assert {:ok, question} = Session.add_message(session, "user", "Hola")
+    assert {:ok, _answer} = Session.add_message(session, "assistant", "¡Hola!")
+
+    assert {:ok, edited} = Session.edit_message(session, question.id, "Buenos días")
+    assert edited.parent_id == question.parent_id
+    assert edited.branch == %{index: 2, count: 2, previous_id: question.id, next_id: nil}
+
+    assert ["Be kind", "Buenos días"] =
+             session |> Session.get_decrypted_messages() |> Enum.map(& &1.content)
+
+    stored = Repo.get!(ChatMessage, edited.id)
+    refute stored.encrypted_content =~ "Buenos"
+
+    assert {:ok, _} = Session.select_branch(session, question.id)
+
+    assert ["Be kind", "Hola", "¡Hola!"] =
+             session |> Session.get_decrypted_messages() |> Enum.map(& &1.content)
+  end
+
+  test "edit_message/3 only edits the session's user messages" do
+    user = user_fixture()
+    assert {:ok, _config} = create_default_config(user)
+    assert {:ok, session} = Session.create_session(user, %{})
+
+    assert {:ok, answer} = Session.add_message(session, "assistant", "Hola")
+    assert {:error, :not_found} = Session.edit_message(session, answer.id, "Adiós")
+  end
+
+  test "toggle_correction_mode/1 turns correction mode on and off" do
+    user = user_fixture()
+    assert {:ok, _config} = create_default_config(user)
+    assert {:ok, session} = Session.create_session(user, %{})
+    refute session.correction_mode
+
+    assert {:ok, session} = Session.toggle_correction_mode(session)
+    assert session.correction_mode
+    assert Repo.get!(ChatSession, session.id).correction_mode
+
+    assert {:ok, session} = Session.toggle_correction_mode(session)
+    refute session.correction_mode
+  end
+
+  test "toggle_speak_replies/1 turns spoken replies on and off" do
+    user = user_fixture()
+    assert {:ok, _config} = create_default_config(user)
+    assert {:ok, session} = Session.create_session(user, %{})
+    refute session.speak_replies
+
+    assert {:ok, session} = Session.toggle_speak_replies(session)
+    assert Repo.get!(ChatSession, session.id).speak_replies
+
+    assert {:ok, session} = Session.toggle_speak_replies(session)
+    refute session.speak_replies
+  end
+
   test "update_session_title/2 truncates the title" do
     user = user_fixture()
     assert {:ok, _config} = create_default_config(user)
@@ -32,6 +32,23 @@ defmodule Langler.Chat.TokenCounterTest do
     end
   end
 
+  describe "estimate_usage/2" do
+    test "counts the prompt and the partial completion" do
+      messages = [%{role: "system", content: "12345678"}, %{role: "user", content: "1234"}]
+
+      assert TokenCounter.estimate_usage(messages, "123456789012") == %{
+               prompt_tokens: 3,
+               completion_tokens: 3,
+               total_tokens: 6
+             }
+    end
+
+    test "counts no completion tokens for an empty reply" do
+      assert %{completion_tokens: 0, total_tokens: 1} =
+               TokenCounter.estimate_usage([%{content: "1234"}], "")
+    end
+  end
+
   describe "format_count/1" do
     test "formats large counts with a k suffix" do
       assert TokenCounter.format_count(1_234) == "~1.2k tokens"
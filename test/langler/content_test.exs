@@ -1443,6 +1443,76 @@ defmodule Langler.ContentTest do
     end
   end
 
+  describe "update_reading_position/4" do
+    test "saves the topmost sentence and progress" do
+      user = AccountsFixtures.user_fixture()
+      article = article_fixture(%{user: user})
+      sentence = sentence_fixture(article, %{position: 3})
+
+      assert {:ok, article_user} =
+               Content.update_reading_position(user.id, article.id, sentence.id, 0.4)
+
+      assert article_user.last_sentence_id == sentence.id
+      assert article_user.reading_progress == 0.4
+      assert article_user.status == "imported"
+      assert %DateTime{} = article_user.last_read_at
+
+      assert Content.reading_progress_by_article(user.id, [article.id]) == %{article.id => 0.4}
+    end
+
+    test "ignores a sentence from another article" do
+      user = AccountsFixtures.user_fixture()
+      article = article_fixture(%{user: user})
+      other_sentence = sentence_fixture()
+
+      assert {:ok, article_user} =
+               Content.update_reading_position(user.id, article.id, other_sentence.id, 0.2)
+
+      assert article_user.last_sentence_id == nil
+      assert article_user.reading_progress == 0.2
+    end
+
+    test "finishes an imported article at the end" do
+      user = AccountsFixtures.user_fixture()
+      article = article_fixture(%{user: user})
+      sentence = sentence_fixture(article)
+
+      assert {:ok, %{status: "finished", reading_progress: 1.0}} =
+               Content.update_reading_position(user.id, article.id, sentence.id, 1.2)
+    end
+
+    test "leaves archived articles archived" do
+      user = AccountsFixtures.user_fixture()
+      article = article_fixture(%{user: user})
+      sentence = sentence_fixture(article)
+      Content.archive_article_for_user(user.id, article.id)
+
+      assert {:ok, %{status: "archived"}} =
+               Content.update_reading_position(user.id, article.id, sentence.id, 1.0)
+    end
+
+    test "returns an error for an article outside the user's library" do
+      user = AccountsFixtures.user_fixture()
+      article = article_fixture()
+
+      assert {:error, :not_found} = Content.update_reading_position(user.id, article.id, nil, 0.5)
+    end
+  end
+
+  describe "reading_progress_by_article/2" do
+    test "only includes started articles" do
+      user = AccountsFixtures.user_fixture()
+      started = article_fixture(%{user: user})
+      unread = article_fixture(%{user: user})
+      sentence = sentence_fixture(started)
+
+      Content.update_reading_position(user.id, started.id, sentence.id, 0.5)
+
+      assert Content.reading_progress_by_article(user.id, [started.id, unread.id]) ==
+               %{started.id => 0.5}
+    end
+  end
+
   describe "get_article_by_url/1" do
     test "returns article when URL matches" do
       article = article_fixture(%{url: "https://example.com/test"})
@@ -1523,4 +1593,39 @@ defmodule Langler.ContentTest do
       assert result == nil
     end
   end
+
+  describe "list_example_sentences/3" do
+    test "finds whole-word matches in the user's library, skipping archived articles" do
+      user = AccountsFixtures.user_fixture()
+      article = article_fixture(%{user: user, title: "Viaje"})
+      current = sentence_fixture(article, %{position: 0, content: "Hablo con ella."})
+      match = sentence_fixture(article, %{position: 1, content: "Ellos hablaron mucho."})
+      _partial = sentence_fixture(article, %{position: 2, content: "Los hablantes llegaron."})
+
+      archived = article_fixture(%{user: user})
+      Content.ensure_article_user(archived, user.id, %{status: "archived"})
+      sentence_fixture(archived, %{content: "Hablaron otra vez."})
+
+      other_user_article = article_fixture()
+      sentence_fixture(other_user_article, %{content: "Hablaron de nuevo."})
+
+      assert [example] =
+               Content.list_example_sentences(user.id, ["hablo", "hablaron"],
+                 language: "spanish",
+                 exclude_sentence_id: current.id
+               )
+
+      assert example.sentence_id == match.id
+      assert example.article_id == article.id
+      assert example.article_title == "Viaje"
+    end
+
+    test "returns nothing without usable forms" do
+      user = AccountsFixtures.user_fixture()
+      article = article_fixture(%{user: user})
+      sentence_fixture(article, %{content: "Hola mundo."})
+
+      assert Content.list_example_sentences(user.id, [nil, "", "hola mundo"]) == []
+    end
+  end
 end
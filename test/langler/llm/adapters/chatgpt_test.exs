@@ -83,4 +83,69 @@ defmodule Langler.LLM.Adapters.ChatGPTTest do
     assert {:error, :invalid_response} =
              ChatGPT.chat([%{role: "user", content: "Hi"}], %{api_key: "key"})
   end
+
+  describe "stream_chat/3" do
+    test "hands each piece of the reply to the callback and reports usage" do
+      Req.Test.stub(__MODULE__, fn conn ->
+        Plug.Conn.send_resp(
+          conn,
+          200,
+          sse([
+            chunk(%{"content" => "Hola"}),
+            chunk(%{"content" => ", ¿qué tal?"}),
+            %{
+              "model" => "gpt-4o-mini",
+              "choices" => [],
+              "usage" => %{"prompt_tokens" => 4, "completion_tokens" => 6, "total_tokens" => 10}
+            }
+          ])
+        )
+      end)
+
+      test_pid = self()
+
+      assert {:ok, response} =
+               ChatGPT.stream_chat([%{role: "user", content: "Hi"}], %{api_key: "key"}, fn text ->
+                 send(test_pid, {:chunk, text})
+                 :cont
+               end)
+
+      assert_received {:chunk, "Hola, ¿qué tal?"}
+      assert response.content == "Hola, ¿qué tal?"
+      assert response.token_count == 10
+      refute response.cancelled
+    end
+
+    test "stops when the callback halts and estimates usage for the partial reply" do
+      Req.Test.stub(__MODULE__, fn conn ->
+        Plug.Conn.send_resp(conn, 200, sse([chunk(%{"content" => "Una respuesta"})]))
+      end)
+
+      messages = [%{role: "user", content: "12345678"}]
+
+      assert {:ok, response} = ChatGPT.stream_chat(messages, %{api_key: "key"}, fn _ -> :halt end)
+
+      assert response.cancelled
+      assert response.content == "Una respuesta"
+      assert response.usage == %{prompt_tokens: 2, completion_tokens: 3, total_tokens: 5}
+    end
+
+    test "reports API errors" do
+      Req.Test.stub(__MODULE__, fn conn ->
+        conn = Plug.Conn.put_status(conn, 401)
+        Req.Test.json(conn, %{"error" => %{"message" => "Unauthorized"}})
+      end)
+
+      assert {:error, :invalid_api_key} =
+               ChatGPT.stream_chat([%{role: "user", content: "Hi"}], %{api_key: "bad"}, fn _ ->
+                 :cont
+               end)
+    end
+  end
+
+  defp chunk(delta), do: %{"model" => "gpt-4o-mini", "choices" => [%{"delta" => delta}]}
+
+  defp sse(payloads) do
+    Enum.map_join(payloads, &"data: #{Jason.encode!(&1)}\n\n") <> "data: [DONE]\n\n"
+  end
 end
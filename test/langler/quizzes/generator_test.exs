@@ -0,0 +1,120 @@
+defmodule Langler.Quizzes.GeneratorTest do
+  use ExUnit.Case, async: true
+
+  alias Langler.Content.Sentence
+  alias Langler.Quizzes.Generator
+  alias Langler.Quizzes.Result
+  alias Langler.Vocabulary.Word
+  alias Langler.Vocabulary.WordOccurrence
+
+  @contents [
+    "La ciudad despertó temprano con el ruido de los mercados.",
+    "Los vecinos compraban pan fresco antes de trabajar.",
+    "Una huelga de transporte complicaba todos los viajes.",
+    "Muchos caminaron largas distancias bajo la lluvia.",
+    "Por la tarde, el alcalde anunció un acuerdo con los sindicatos.",
+    "Esa noche las calles volvieron a llenarse de gente."
+  ]
+
+  @words %{
+    "mercados" => "markets",
+    "huelga" => "strike",
+    "lluvia" => "rain",
+    "alcalde" => "mayor",
+    "calles" => "streets"
+  }
+
+  defp sentences do
+    @contents
+    |> Enum.with_index()
+    |> Enum.map(fn {content, position} ->
+      occurrences =
+        for {form, translation} <- @words, String.contains?(content, form) do
+          %WordOccurrence{
+            word: %Word{normalized_form: form, lemma: form, translation: translation}
+          }
+        end
+
+      %Sentence{position: position, content: content, word_occurrences: occurrences}
+    end)
+  end
+
+  describe "generate/2" do
+    test "mixes cloze, matching and order questions" do
+      questions = Generator.generate(sentences())
+
+      assert length(questions) == 5
+      assert Enum.map(questions, & &1.id) == ["q1", "q2", "q3", "q4", "q5"]
+
+      assert questions |> Enum.take(3) |> Enum.map(& &1.type) == ["cloze", "matching", "order"]
+
+      for question <- questions do
+        assert length(question.options) == 4
+        assert question.answer in question.options
+        assert question.options == Enum.uniq(question.options)
+      end
+    end
+
+    test "blanks an extracted word out of the sentence" do
+      clozes =
+        sentences()
+        |> Generator.generate(count: 20)
+        |> Enum.filter(&(&1.type == "cloze"))
+
+      assert length(clozes) == length(@contents)
+
+      for cloze <- clozes, {form, _translation} <- @words, cloze.sentence =~ form do
+        assert cloze.answer == form
+        assert cloze.vocabulary == [form]
+        assert cloze.prompt ==
+                 "Fill in the blank: " <> String.replace(cloze.sentence, form, "_____")
+      end
+    end
+
+    test "asks for the meaning of words and the next sentence" do
+      questions = Generator.generate(sentences(), count: 10)
+
+      matching = Enum.find(questions, &(&1.type == "matching"))
+      assert @words[hd(matching.vocabulary)] == matching.answer
+
+      order = Enum.find(questions, &(&1.type == "order"))
+      index = Enum.find_index(@contents, &(&1 == order.sentence))
+      assert order.answer == Enum.at(@contents, index + 1)
+    end
+
+    test "is deterministic for a seed" do
+      assert Generator.generate(sentences(), seed: 3) == Generator.generate(sentences(), seed: 3)
+
+      refute Generator.generate(sentences(), seed: 1, count: 10) ==
+               Generator.generate(sentences(), seed: 2, count: 10)
+    end
+
+    test "returns no questions for a too short article" do
+      sentence = %Sentence{position: 0, content: "Hola.", word_occurrences: []}
+      assert Generator.generate([sentence]) == []
+    end
+  end
+
+  describe "grade/2" do
+    test "returns a quiz result" do
+      [first, second | _] = questions = Generator.generate(sentences(), count: 3)
+      wrong = Enum.find(second.options, &(&1 != second.answer))
+
+      result = Generator.grade(questions, %{"q1" => first.answer, "q2" => wrong})
+
+      assert %Result{score: 1, max_score: 3} = result
+      assert {:ok, ^result} = result |> Result.to_map() |> Result.from_map()
+
+      assert [
+               %{"correct" => true, "user_answer" => answer},
+               %{"correct" => false, "correct_answer" => correct},
+               %{"correct" => false, "user_answer" => ""}
+             ] = result.questions
+
+      assert answer == first.answer
+      assert correct == second.answer
+      assert Result.missed_vocabulary(result) ==
+               second.vocabulary ++ Enum.at(questions, 2).vocabulary
+    end
+  end
+end
@@ -90,4 +90,21 @@ defmodule Langler.Quizzes.ResultTest do
              }
     end
   end
+
+  describe "missed_vocabulary/1" do
+    test "lists the vocabulary of incorrect answers once, in question order" do
+      result = %Result{
+        score: 1,
+        max_score: 3,
+        questions: [
+          %{"correct" => false, "vocabulary" => ["la huelga", " sindicato "]},
+          %{"correct" => true, "vocabulary" => ["trabajo"]},
+          %{"correct" => false, "vocabulary" => ["Sindicato", "", 42]},
+          %{"correct" => false}
+        ]
+      }
+
+      assert Result.missed_vocabulary(result) == ["la huelga", "sindicato"]
+    end
+  end
 end
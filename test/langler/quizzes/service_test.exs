@@ -221,6 +221,57 @@ defmodule Langler.Quizzes.ServiceTest do
       assert {:ok, %ChatSession{} = session} = Service.start_quiz_session(assigns, user)
       assert session.context_type == "article_quiz"
     end
+
+    test "starts a listening quiz session", %{user: user, article: article} do
+      assigns = %{article_id: article.id, context_type: Quizzes.listening_context_type()}
+
+      assert {:ok, %ChatSession{} = session} = Service.start_quiz_session(assigns, user)
+      assert session.context_type == "article_listening_quiz"
+      assert :ok = Service.validate_quiz_session(session)
+    end
+  end
+
+  describe "retake_assigns/2" do
+    setup %{user: user, article: article} do
+      {:ok, attempt} =
+        Quizzes.create_attempt(user.id, article.id, %{
+          score: 1,
+          max_score: 2,
+          quiz_type: "listening",
+          result_json: %{
+            "questions" => [
+              %{"question" => "¿Quién habla?", "correct" => true},
+              %{"question" => "¿Dónde ocurre?", "correct" => false}
+            ]
+          }
+        })
+
+      %{attempt: attempt}
+    end
+
+    test "repeats the attempt's questions", %{attempt: attempt} do
+      assigns = Service.retake_assigns(attempt, "same")
+
+      assert assigns == %{
+               retake_questions: ["¿Quién habla?", "¿Dónde ocurre?"],
+               context_type: "article_listening_quiz"
+             }
+
+      prompt = Service.build_quiz_prompt(Map.put(assigns, :article_content, "Texto"))
+      assert prompt =~ "This is a retake"
+      assert prompt =~ "1. ¿Quién habla?\n2. ¿Dónde ocurre?"
+    end
+
+    test "asks new questions for a fresh retake", %{attempt: attempt} do
+      assigns = Service.retake_assigns(attempt, "fresh")
+
+      assert assigns.previous_questions == ["¿Quién habla?", "¿Dónde ocurre?"]
+      refute Map.has_key?(assigns, :retake_questions)
+
+      prompt = Service.build_quiz_prompt(assigns)
+      assert prompt =~ "¿Dónde ocurre?"
+      refute prompt =~ "This is a retake"
+    end
   end
 
   describe "handle_quiz_result/2" do
@@ -263,6 +314,22 @@ defmodule Langler.Quizzes.ServiceTest do
       assert 1 == Quizzes.count_attempts_for_article(user.id, article.id)
     end
 
+    test "records listening quizzes as listening attempts", %{user: user, article: article} do
+      {:ok, session} =
+        Session.create_session(user, %{
+          context_type: Quizzes.listening_context_type(),
+          context_id: article.id,
+          title: "Listening Quiz"
+        })
+
+      json = Jason.encode!(Result.to_map(%Result{score: 2, max_score: 3, questions: []}))
+
+      assert {:quiz_completed, %Result{}} =
+               Service.handle_quiz_result(session, "BEGIN_QUIZ_RESULT\n#{json}\nEND_QUIZ_RESULT")
+
+      assert %{quiz_type: "listening"} = Quizzes.latest_attempt_for_article(user.id, article.id)
+    end
+
     test "ignores invalid sessions", %{article: article} do
       session = %ChatSession{context_type: "general", context_id: article.id, user_id: 1}
 
@@ -25,6 +25,29 @@ defmodule Langler.QuizzesTest do
     %{"score" => score, "max_score" => max_score, "questions" => questions}
   end
 
+  defp leveled_article(title, difficulty, language \\ "spanish") do
+    {:ok, article} =
+      Content.create_article(%{
+        title: title,
+        url: "https://example.com/#{System.unique_integer()}",
+        language: language,
+        difficulty_score: difficulty
+      })
+
+    article
+  end
+
+  defp scored_attempt(user, article, score, completed_at) do
+    {:ok, attempt} =
+      Quizzes.create_attempt(user.id, article.id, %{
+        score: score,
+        max_score: 4,
+        completed_at: completed_at
+      })
+
+    attempt
+  end
+
   describe "create_attempt/3" do
     test "creates attempt with correct attempt_number", %{user: user, article: article} do
       attrs = %{
@@ -539,4 +562,66 @@ defmodule Langler.QuizzesTest do
       assert stats.average_score == 3.0
     end
   end
+
+  describe "add_missed_vocabulary/3" do
+    test "schedules the vocabulary of missed questions for study", %{user: user} do
+      result = %Langler.Quizzes.Result{
+        score: 1,
+        max_score: 2,
+        questions: [
+          %{"correct" => false, "vocabulary" => ["huelga", "a pesar de"]},
+          %{"correct" => true, "vocabulary" => ["trabajo"]}
+        ]
+      }
+
+      assert {:ok, [huelga, phrase]} = Quizzes.add_missed_vocabulary(user.id, result, "es")
+
+      assert huelga.normalized_form == "huelga"
+      assert phrase.type == "phrase"
+      assert Langler.Study.get_item_by_user_and_word(user.id, huelga.id)
+      assert Langler.Study.get_item_by_user_and_word(user.id, phrase.id)
+      refute Langler.Vocabulary.get_word_by_normalized_form("trabajo", "es")
+    end
+  end
+
+  describe "similar_difficulty_progress/3" do
+    test "lists first attempts on similar articles, oldest first", %{user: user} do
+      current = leveled_article("Current", 5.0)
+      earlier = leveled_article("Earlier", 4.5)
+      later = leveled_article("Later", 5.8)
+      harder = leveled_article("Harder", 7.0)
+      french = leveled_article("Français", 5.0, "french")
+
+      scored_attempt(user, later, 3, ~U[2026-02-03 10:00:00Z])
+      scored_attempt(user, later, 4, ~U[2026-02-04 10:00:00Z])
+      scored_attempt(user, earlier, 1, ~U[2026-02-01 10:00:00Z])
+      scored_attempt(user, harder, 2, ~U[2026-02-02 10:00:00Z])
+      scored_attempt(user, french, 2, ~U[2026-02-02 10:00:00Z])
+      Quizzes.create_skip_attempt(user.id, current.id)
+
+      assert [
+               %{title: "Earlier", percentage: 25.0, quiz_type: "reading"},
+               %{title: "Later", percentage: 75.0}
+             ] = Quizzes.similar_difficulty_progress(user.id, current)
+
+      assert [%{title: "Later"}] = Quizzes.similar_difficulty_progress(user.id, current, limit: 1)
+    end
+
+    test "is empty when the difficulty is unknown", %{user: user, article: article} do
+      scored_attempt(user, article, 2, ~U[2026-02-01 10:00:00Z])
+
+      assert Quizzes.similar_difficulty_progress(user.id, article) == []
+    end
+  end
+
+  describe "attempts_topic/2" do
+    test "create_attempt/3 broadcasts new attempts", %{user: user, article: article} do
+      Phoenix.PubSub.subscribe(Langler.PubSub, Quizzes.attempts_topic(user.id, article.id))
+
+      {:ok, attempt} = Quizzes.create_attempt(user.id, article.id, %{score: 2, max_score: 4})
+
+      assert_receive {:quiz_attempt_created, ^attempt}
+      assert Quizzes.attempt_percentage(attempt) == 50.0
+    end
+  end
 end
@@ -0,0 +1,52 @@
+defmodule Langler.STT.Adapters.OpenAITest do
+  use ExUnit.Case, async: false
+
+  import Req.Test, only: [set_req_test_from_context: 1]
+
+  alias Langler.STT.Adapters.OpenAI
+
+  @req Langler.STT.OpenAIReq
+
+  setup :set_req_test_from_context
+
+  setup do
+    Application.put_env(:langler, OpenAI,
+      endpoint: "https://openai.test/v1/audio/transcriptions",
+      req_options: [plug: {Req.Test, @req}]
+    )
+
+    on_exit(fn -> Application.delete_env(:langler, OpenAI) end)
+  end
+
+  test "uploads the recording and returns the transcript" do
+    Req.Test.stub(@req, fn conn ->
+      assert ["Bearer sk-test"] = Plug.Conn.get_req_header(conn, "authorization")
+      assert [content_type] = Plug.Conn.get_req_header(conn, "content-type")
+      assert content_type =~ "multipart/form-data"
+
+      {:ok, body, conn} = Plug.Conn.read_body(conn)
+      assert body =~ ~s(filename="recording.ogg")
+      assert body =~ "whisper-1"
+      assert body =~ "opus-bytes"
+
+      Req.Test.json(conn, %{"text" => " Hola, ¿qué tal? ", "language" => "spanish"})
+    end)
+
+    config = %{api_key: "sk-test", mime_type: "audio/ogg;codecs=opus", language: "es"}
+
+    assert {:ok, %{text: "Hola, ¿qué tal?", metadata: %{"language" => "spanish"}}} =
+             OpenAI.transcribe("opus-bytes", config)
+  end
+
+  test "maps API errors" do
+    Req.Test.stub(@req, &Plug.Conn.send_resp(&1, 401, "unauthorized"))
+    assert {:error, :invalid_api_key} = OpenAI.transcribe("audio", %{api_key: "sk-test"})
+
+    Req.Test.stub(@req, &Plug.Conn.send_resp(&1, 500, "oops"))
+    assert {:error, {:api_error, 500}} = OpenAI.transcribe("audio", %{api_key: "sk-test"})
+  end
+
+  test "needs an API key" do
+    assert {:error, :missing_api_key} = OpenAI.transcribe("audio", %{})
+  end
+end
@@ -0,0 +1,38 @@
+defmodule Langler.STT.ServiceTest do
+  use Langler.DataCase, async: true
+
+  import Langler.AccountsFixtures
+
+  alias Langler.Accounts.LlmConfig
+  alias Langler.STT.Service
+
+  defp create_default_config(user) do
+    LlmConfig.create_config(user, %{
+      provider_name: "openai",
+      api_key: "secret-key-1234",
+      model: "gpt-4o-mini"
+    })
+  end
+
+  test "transcribes a recording through the configured adapter" do
+    user = user_fixture()
+    assert {:ok, _config} = create_default_config(user)
+
+    assert {:ok, "Hola, ¿qué tal?"} =
+             Service.transcribe(user.id, "recording", mime_type: "audio/webm", language: "es")
+  end
+
+  test "needs an LLM config" do
+    assert {:error, :no_llm_config} = Service.transcribe(user_fixture().id, "recording")
+  end
+
+  test "rejects empty and oversized recordings" do
+    user = user_fixture()
+    assert {:ok, _config} = create_default_config(user)
+
+    assert {:error, :empty_audio} = Service.transcribe(user.id, "")
+
+    too_large = :binary.copy(<<0>>, Service.max_audio_bytes() + 1)
+    assert {:error, :audio_too_large} = Service.transcribe(user.id, too_large)
+  end
+end
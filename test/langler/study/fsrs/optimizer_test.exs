@@ -0,0 +1,64 @@
+defmodule Langler.Study.FSRS.OptimizerTest do
+  use ExUnit.Case, async: true
+
+  alias Langler.Study.FSRS
+  alias Langler.Study.FSRS.Optimizer
+
+  @start ~U[2026-01-01 09:00:00Z]
+
+  # Two learning steps, then reviews after growing gaps
+  defp history(ratings, days \\ [0, 4, 15, 45]) do
+    times =
+      [@start, DateTime.add(@start, 10, :minute)] ++
+        Enum.map(tl(days), &DateTime.add(@start, &1, :day))
+
+    Enum.zip_with([:good | ratings], times, fn rating, at ->
+      %{rating: rating, reviewed_at: at}
+    end)
+  end
+
+  defp params, do: FSRS.params(weights: [])
+
+  test "fits weights that predict a strong learner's retention better than the defaults" do
+    histories = for _ <- 1..30, do: history(~w(good good good good)a)
+
+    assert {:ok, result} = Optimizer.optimize(histories, params())
+
+    assert result.review_count == 90
+    assert result.observed_retention == 1.0
+    assert length(result.weights) == 12
+    assert result.log_loss < result.baseline_log_loss
+    assert result.predicted_retention > result.default_predicted_retention
+  end
+
+  test "keeps weights the scheduler doesn't read" do
+    weights = [5.0, 0.3, 2.5, 1.2, 0.15, 0.5, 0.3, 0.2, 0.85, 0.15, 0.5, 0.5, 9.9, 8.8]
+    histories = for _ <- 1..20, do: history(~w(good again good good)a)
+
+    assert {:ok, %{weights: fitted}} =
+             Optimizer.optimize(histories, FSRS.params(weights: weights), min_reviews: 10)
+
+    assert Enum.take(fitted, -2) == [9.9, 8.8]
+  end
+
+  test "refuses to fit a short history" do
+    histories = [history(~w(good good good good)a)]
+
+    assert {:error, :not_enough_reviews} = Optimizer.optimize(histories, params())
+  end
+
+  test "evaluate/2 only scores reviews at least a day after the previous one" do
+    same_day = [
+      %{rating: :good, reviewed_at: @start},
+      %{rating: :good, reviewed_at: DateTime.add(@start, 10, :minute)},
+      %{rating: :again, reviewed_at: DateTime.add(@start, 2, :hour)}
+    ]
+
+    assert %{samples: 0, log_loss: nil} = Optimizer.evaluate([same_day], params())
+
+    assert %{samples: 3, observed_retention: retention} =
+             Optimizer.evaluate([history(~w(good good again good)a)], params())
+
+    assert_in_delta retention, 2 / 3, 1.0e-9
+  end
+end
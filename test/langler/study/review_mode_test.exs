@@ -0,0 +1,68 @@
+defmodule Langler.Study.ReviewModeTest do
+  use ExUnit.Case, async: true
+
+  alias Langler.Study.ReviewMode
+
+  @word %{
+    lemma: "hablar",
+    normalized_form: "hablo",
+    type: "word",
+    translation: nil,
+    definitions: ["to speak; to talk", "to say"]
+  }
+
+  describe "parse/1" do
+    test "accepts known modes and falls back to flip" do
+      assert ReviewMode.parse("cloze") == "cloze"
+      assert ReviewMode.parse("type_word") == "type_word"
+      assert ReviewMode.parse("nope") == "flip"
+      assert ReviewMode.parse(nil) == "flip"
+    end
+  end
+
+  describe "expected_answers/3" do
+    test "splits translations into separate accepted meanings" do
+      assert ReviewMode.expected_answers(@word, "type_translation") ==
+               ["to speak", "to talk", "to say"]
+    end
+
+    test "accepts the lemma or the form the word was saved as" do
+      assert ReviewMode.expected_answers(@word, "type_word") == ["hablar", "hablo"]
+    end
+
+    test "uses the blanked form for cloze cards" do
+      cloze = %{before: "Yo ", answer: "Hablo", after: " poco."}
+      assert ReviewMode.expected_answers(@word, "cloze", cloze) == ["Hablo"]
+      assert ReviewMode.expected_answers(@word, "cloze", nil) == []
+    end
+
+    test "returns nothing for the flip mode" do
+      assert ReviewMode.expected_answers(@word, "flip") == []
+    end
+  end
+
+  describe "build_cloze/2" do
+    test "blanks the first whole-word match, keeping its casing" do
+      assert %{before: "", answer: "Hablo", after: " español con mi abuela."} =
+               ReviewMode.build_cloze(["Hablo español con mi abuela."], @word)
+    end
+
+    test "does not match inside longer words" do
+      assert ReviewMode.build_cloze(["Ellos hablaron ayer."], @word) == nil
+    end
+
+    test "falls back to the lemma and later sentences" do
+      sentences = ["No aparece aquí.", "Quiero hablar contigo."]
+
+      assert %{before: "Quiero ", answer: "hablar", after: " contigo."} =
+               ReviewMode.build_cloze(sentences, @word)
+    end
+
+    test "handles multi-byte characters around the match" do
+      word = %{@word | normalized_form: "está", lemma: "estar"}
+
+      assert %{before: "¿Dónde ", answer: "está", after: " él?"} =
+               ReviewMode.build_cloze(["¿Dónde está él?"], word)
+    end
+  end
+end
@@ -3,7 +3,9 @@ defmodule Langler.StudyTest do
 
   alias Langler.AccountsFixtures
   alias Langler.Study
+  alias Langler.Study.{FSRS, FSRSParameters, ReviewLog}
   alias Langler.StudyFixtures
+  alias Langler.Vocabulary
   alias Langler.VocabularyFixtures
 
   test "create_item/1 persists FSRS item" do
@@ -199,4 +201,410 @@ defmodule Langler.StudyTest do
     assert {:ok, _} = Study.review_item(item, "easy")
     assert {:ok, _} = Study.review_item(item, "again")
   end
+
+  describe "apply_offline_review/4" do
+    test "applies the review with its original timestamp" do
+      item = StudyFixtures.fsrs_item_fixture()
+      reviewed_at = DateTime.add(DateTime.utc_now(), -3600, :second) |> DateTime.truncate(:second)
+
+      assert {:ok, updated} =
+               Study.apply_offline_review(item.user_id, item.id, :good, reviewed_at)
+
+      assert updated.last_reviewed_at == reviewed_at
+      assert List.last(updated.quality_history) == 3
+    end
+
+    test "rejects reviews older than the latest review from another device" do
+      now = DateTime.utc_now() |> DateTime.truncate(:second)
+      item = StudyFixtures.fsrs_item_fixture(%{last_reviewed_at: now})
+
+      assert {:error, :conflict} =
+               Study.apply_offline_review(
+                 item.user_id,
+                 item.id,
+                 :again,
+                 DateTime.add(now, -60, :second)
+               )
+
+      assert Study.get_item!(item.id).quality_history == []
+    end
+
+    test "treats a review that was already synced as a conflict" do
+      item = StudyFixtures.fsrs_item_fixture()
+      reviewed_at = DateTime.add(DateTime.utc_now(), -60, :second)
+
+      assert {:ok, _} = Study.apply_offline_review(item.user_id, item.id, :good, reviewed_at)
+
+      assert {:error, :conflict} =
+               Study.apply_offline_review(item.user_id, item.id, :good, reviewed_at)
+    end
+
+    test "clamps timestamps from the future to now" do
+      item = StudyFixtures.fsrs_item_fixture()
+      future = DateTime.add(DateTime.utc_now(), 86_400, :second)
+
+      assert {:ok, updated} = Study.apply_offline_review(item.user_id, item.id, :good, future)
+      assert DateTime.compare(updated.last_reviewed_at, DateTime.utc_now()) != :gt
+    end
+
+    test "does not apply reviews to another user's items" do
+      item = StudyFixtures.fsrs_item_fixture()
+      other_user = AccountsFixtures.user_fixture()
+
+      assert {:error, :not_found} =
+               Study.apply_offline_review(other_user.id, item.id, :good, DateTime.utc_now())
+    end
+  end
+
+  describe "apply_offline_reviews/2" do
+    test "replays reviews in the order they were recorded" do
+      item = StudyFixtures.fsrs_item_fixture()
+      now = DateTime.utc_now()
+
+      reviews = [
+        %{item_id: item.id, rating: :easy, reviewed_at: DateTime.add(now, -60, :second)},
+        %{item_id: item.id, rating: :again, reviewed_at: DateTime.add(now, -600, :second)}
+      ]
+
+      assert [{%{rating: :again}, {:ok, _}}, {%{rating: :easy}, {:ok, _}}] =
+               Study.apply_offline_reviews(item.user_id, reviews)
+
+      assert Study.get_item!(item.id).quality_history == [0, 4]
+    end
+  end
+
+  describe "undo_review/1" do
+    test "restores the scheduling state from before the review" do
+      now = DateTime.utc_now() |> DateTime.truncate(:second)
+
+      item =
+        StudyFixtures.fsrs_item_fixture(%{
+          stability: 30.0,
+          difficulty: 4.0,
+          interval: 30,
+          repetitions: 6,
+          state: "review",
+          quality_history: [3, 3, 4],
+          due_date: DateTime.add(now, -60, :second),
+          last_reviewed_at: DateTime.add(now, -30 * 86_400, :second)
+        })
+
+      assert {:ok, reviewed} = Study.review_item(item, :again, now: now)
+      assert reviewed.state == "relearning"
+
+      assert {:ok, restored} = Study.undo_review(item)
+      assert restored.stability == 30.0
+      assert restored.difficulty == 4.0
+      assert restored.interval == 30
+      assert restored.repetitions == 6
+      assert restored.state == "review"
+      assert restored.quality_history == [3, 3, 4]
+      assert restored.due_date == item.due_date
+      assert restored.last_reviewed_at == item.last_reviewed_at
+    end
+
+    test "refuses to undo when the item was reviewed again since" do
+      item = StudyFixtures.fsrs_item_fixture()
+
+      assert {:ok, once} = Study.review_item(item, :good)
+      assert {:ok, _twice} = Study.review_item(once, :good)
+
+      assert {:error, :stale} = Study.undo_review(item)
+      assert Study.get_item!(item.id).quality_history == [3, 3]
+    end
+
+    test "cannot undo the same review twice" do
+      item = StudyFixtures.fsrs_item_fixture()
+
+      assert {:ok, _} = Study.review_item(item, :good)
+      assert {:ok, _} = Study.undo_review(item)
+      assert {:error, :stale} = Study.undo_review(item)
+    end
+  end
+
+  describe "suspend_items/3, reset_items/2 and restore_items/2" do
+    test "suspended items are never due until the suspension is lifted" do
+      due_date = DateTime.add(DateTime.utc_now(), -60, :second)
+      item = StudyFixtures.fsrs_item_fixture(%{due_date: due_date})
+      selection = %{word_ids: [item.word_id], custom_card_ids: []}
+
+      assert {:ok, [previous]} = Study.suspend_items(item.user_id, selection)
+      assert previous.suspended_at == nil
+
+      suspended = Study.get_item!(item.id)
+      assert suspended.suspended_at
+      refute Study.due_now?(suspended, DateTime.utc_now())
+      assert Study.due_items(item.user_id) == []
+      assert MapSet.to_list(Study.suspended_cards(item.user_id, selection)) == [
+               {"word", item.word_id}
+             ]
+
+      assert {:ok, [_]} = Study.suspend_items(item.user_id, selection, false)
+      assert [_] = Study.due_items(item.user_id)
+    end
+
+    test "resets progress and restores it" do
+      item =
+        StudyFixtures.fsrs_item_fixture(%{
+          stability: 12.0,
+          difficulty: 6.0,
+          interval: 12,
+          repetitions: 4,
+          state: "review",
+          quality_history: [3, 3, 4, 3]
+        })
+
+      other = StudyFixtures.fsrs_item_fixture(%{repetitions: 2})
+      selection = %{word_ids: [item.word_id, other.word_id]}
+
+      assert {:ok, [previous]} = Study.reset_items(item.user_id, selection)
+
+      reset = Study.get_item!(item.id)
+      assert %{state: "learning", repetitions: 0, quality_history: [], stability: nil} = reset
+      assert Study.get_item!(other.id).repetitions == 2
+
+      assert {:ok, 1} = Study.restore_items(item.user_id, [previous])
+
+      restored = Study.get_item!(item.id)
+      assert %{state: "review", repetitions: 4, stability: 12.0, interval: 12} = restored
+      assert restored.quality_history == [3, 3, 4, 3]
+    end
+  end
+
+  describe "order_study_queue/3" do
+    setup do
+      user = AccountsFixtures.user_fixture()
+      now = DateTime.utc_now()
+
+      items =
+        for {form, rank, minutes_ago} <- [{"uno", 30, 10}, {"dos", nil, 30}, {"tres", 5, 20}] do
+          word = VocabularyFixtures.word_fixture(%{normalized_form: form, frequency_rank: rank})
+
+          item =
+            StudyFixtures.fsrs_item_fixture(%{
+              user: user,
+              word: word,
+              due_date: DateTime.add(now, -minutes_ago * 60, :second)
+            })
+
+          %{item | word: word}
+        end
+
+      %{user: user, items: items}
+    end
+
+    test "sorts by due date by default", %{items: items} do
+      assert forms(Study.order_study_queue(items, "due")) == ~w(dos tres uno)
+    end
+
+    test "sorts by word frequency with unranked words last", %{items: items} do
+      assert forms(Study.order_study_queue(items, "frequency")) == ~w(tres uno dos)
+    end
+
+    test "follows the deck order", %{user: user, items: items} do
+      deck = VocabularyFixtures.deck_fixture(%{user: user})
+      [uno, dos, tres] = Enum.map(items, & &1.word)
+      Enum.each([uno, dos, tres], &Vocabulary.add_word_to_deck(deck.id, &1.id, user.id))
+
+      {:ok, _} =
+        Vocabulary.Decks.reorder_deck_cards(deck.id, user.id, "word", [tres.id, uno.id, dos.id])
+
+      assert forms(Study.order_study_queue(items, "deck", deck.id)) == ~w(tres uno dos)
+    end
+
+    test "shuffles without losing cards", %{items: items} do
+      assert Enum.sort(forms(Study.order_study_queue(items, "random"))) == ~w(dos tres uno)
+    end
+  end
+
+  describe "review log" do
+    test "review_item/3 records the review with its response timings" do
+      item = StudyFixtures.fsrs_item_fixture()
+
+      assert {:ok, updated} =
+               Study.review_item(item, :good, time_to_flip_ms: 1_800, time_to_rate_ms: 2_400)
+
+      assert [log] = Repo.all(ReviewLog)
+      assert log.fsrs_item_id == item.id
+      assert log.user_id == item.user_id
+      assert log.rating == "good"
+      assert log.state == "learning"
+      assert log.scheduled_days == updated.interval
+      assert log.time_to_flip_ms == 1_800
+      assert log.time_to_rate_ms == 2_400
+    end
+
+    test "review_item/3 drops implausible timings instead of failing the review" do
+      item = StudyFixtures.fsrs_item_fixture()
+
+      assert {:ok, _} =
+               Study.review_item(item, :good, time_to_flip_ms: -5, time_to_rate_ms: 86_400_000)
+
+      assert [%ReviewLog{time_to_flip_ms: nil, time_to_rate_ms: nil}] = Repo.all(ReviewLog)
+    end
+
+    test "undo_review/1 removes the undone review from the log" do
+      item = StudyFixtures.fsrs_item_fixture()
+
+      assert {:ok, reviewed} = Study.review_item(item, :good)
+      assert {:ok, _} = Study.review_item(reviewed, :again)
+      assert {:ok, _} = Study.undo_review(reviewed)
+
+      assert [%ReviewLog{rating: "good"}] = Repo.all(ReviewLog)
+    end
+
+    test "replay_history/3 applies past reviews in order and logs each one" do
+      item = StudyFixtures.fsrs_item_fixture()
+      due = ~U[2026-11-20 00:00:00Z]
+
+      reviews = [
+        %{rating: :good, reviewed_at: ~U[2026-10-01 09:00:00.123Z], time_to_rate_ms: 2_000},
+        %{rating: :again, reviewed_at: ~U[2026-10-03 09:00:00Z]},
+        %{rating: :easy, reviewed_at: ~U[2026-10-10 09:00:00Z], time_to_rate_ms: 86_400_000}
+      ]
+
+      assert {:ok, updated} = Study.replay_history(item, reviews, schedule: %{due_date: due})
+
+      assert updated.quality_history == [3, 0, 4]
+      assert updated.repetitions == 3
+      assert updated.last_reviewed_at == ~U[2026-10-10 09:00:00Z]
+      assert updated.due_date == due
+      assert updated.stability
+
+      logs = Repo.all(from l in ReviewLog, order_by: l.reviewed_at)
+      assert Enum.map(logs, & &1.rating) == ~w(good again easy)
+      assert Enum.map(logs, & &1.time_to_rate_ms) == [2_000, nil, nil]
+      assert Enum.map(logs, & &1.elapsed_days) == [0, 2, 7]
+      assert hd(logs).state == "learning"
+    end
+  end
+
+  describe "review_timing_stats/2" do
+    test "summarises response times overall, per deck, per card and per week" do
+      user = AccountsFixtures.user_fixture()
+      deck = VocabularyFixtures.deck_fixture(%{user: user, name: "Verbs"})
+      slow_word = VocabularyFixtures.word_fixture(%{lemma: "desarrollar"})
+      fast_word = VocabularyFixtures.word_fixture(%{lemma: "casa"})
+      {:ok, _} = Vocabulary.add_word_to_deck(deck.id, slow_word.id, user.id)
+
+      slow = StudyFixtures.fsrs_item_fixture(%{user: user, word: slow_word})
+      fast = StudyFixtures.fsrs_item_fixture(%{user: user, word: fast_word})
+
+      {:ok, slow} = Study.review_item(slow, :hard, time_to_rate_ms: 9_000)
+      {:ok, _} = Study.review_item(slow, :good, time_to_rate_ms: 7_000)
+      {:ok, _} = Study.review_item(fast, :easy, time_to_rate_ms: 1_000)
+      # Untimed reviews (e.g. replayed offline) are left out
+      {:ok, _} = Study.review_item(StudyFixtures.fsrs_item_fixture(%{user: user}), :good)
+
+      stats = Study.review_timing_stats(user.id)
+
+      assert stats.reviews == 3
+      assert stats.median_ms == 7_000
+      assert [%{label: "desarrollar", median_ms: 8_000, reviews: 2}, %{label: "casa"}] =
+               stats.slowest
+      assert [%{name: "Verbs", median_ms: 8_000, reviews: 2}] = stats.decks
+      assert [%{reviews: 3, median_ms: 7_000}] = stats.weekly
+    end
+
+    test "returns empty stats when nothing has been timed" do
+      user = AccountsFixtures.user_fixture()
+
+      assert %{median_ms: nil, reviews: 0, slowest: [], decks: [], weekly: []} =
+               Study.review_timing_stats(user.id)
+    end
+  end
+
+  describe "personalised FSRS parameters" do
+    defp review_on_days(item, ratings_and_days) do
+      start = ~U[2026-01-01 09:00:00Z]
+
+      Enum.reduce(ratings_and_days, item, fn {rating, minutes}, item ->
+        {:ok, item} = Study.review_item(item, rating, now: DateTime.add(start, minutes, :minute))
+        item
+      end)
+    end
+
+    defp build_history(user, count) do
+      for _ <- 1..count do
+        item = StudyFixtures.fsrs_item_fixture(%{user: user})
+        review_on_days(item, [{:good, 0}, {:good, 10}, {:good, 4 * 1440}, {:good, 15 * 1440}])
+      end
+    end
+
+    test "review_histories/2 groups the log per card in review order" do
+      user = AccountsFixtures.user_fixture()
+      build_history(user, 1)
+
+      other_language = VocabularyFixtures.word_fixture(%{language: "french"})
+
+      StudyFixtures.fsrs_item_fixture(%{user: user, word: other_language})
+      |> Study.review_item(:again)
+
+      assert [history] = Study.review_histories(user.id, "spanish")
+      assert Enum.map(history, & &1.rating) == [:good, :good, :good, :good]
+      reviewed_at = Enum.map(history, & &1.reviewed_at)
+      assert reviewed_at == Enum.sort(reviewed_at, DateTime)
+      assert Study.review_log_languages(user.id) == ["french", "spanish"]
+    end
+
+    test "optimize_fsrs_params/3 stores fitted weights used for scheduling" do
+      user = AccountsFixtures.user_fixture()
+      build_history(user, 5)
+
+      assert {:ok, %FSRSParameters{} = params} =
+               Study.optimize_fsrs_params(user.id, "spanish", min_reviews: 5, rounds: 2)
+
+      assert params.enabled
+      assert params.review_count == 10
+      assert params.observed_retention == 1.0
+      assert params.optimized_at
+      assert Study.fsrs_params_for(user.id, "spanish").weights == params.weights
+      assert Study.fsrs_params_for(user.id, "french") == FSRS.params()
+
+      # Re-running replaces the earlier fit rather than adding another
+      assert {:ok, _} = Study.optimize_fsrs_params(user.id, "spanish", min_reviews: 5, rounds: 1)
+      assert [_] = Study.list_fsrs_parameters(user.id)
+    end
+
+    test "optimize_fsrs_params/3 needs enough history" do
+      user = AccountsFixtures.user_fixture()
+      build_history(user, 1)
+
+      assert {:error, :not_enough_reviews} = Study.optimize_fsrs_params(user.id, "spanish")
+      assert Study.list_fsrs_parameters(user.id) == []
+    end
+
+    test "set_fsrs_parameters_enabled/3 reverts to the defaults and keeps the fit" do
+      user = AccountsFixtures.user_fixture()
+      build_history(user, 5)
+      {:ok, fitted} = Study.optimize_fsrs_params(user.id, "spanish", min_reviews: 5, rounds: 1)
+
+      assert {:ok, %FSRSParameters{enabled: false}} =
+               Study.set_fsrs_parameters_enabled(user.id, "spanish", false)
+
+      assert Study.fsrs_params_for(user.id, "spanish") == FSRS.params()
+      assert Study.get_fsrs_parameters(user.id, "spanish").weights == fitted.weights
+
+      # A later fit respects the user's choice
+      {:ok, refitted} = Study.optimize_fsrs_params(user.id, "spanish", min_reviews: 5, rounds: 1)
+      refute refitted.enabled
+
+      assert {:error, :not_found} = Study.set_fsrs_parameters_enabled(user.id, "french", true)
+    end
+
+    test "review_item/3 schedules with the user's enabled weights" do
+      user = AccountsFixtures.user_fixture()
+      weights = List.replace_at(FSRS.params().weights, 2, 50.0)
+
+      Repo.insert!(%FSRSParameters{user_id: user.id, language: "spanish", weights: weights})
+
+      item = StudyFixtures.fsrs_item_fixture(%{user: user})
+      reviewed = review_on_days(item, [{:good, 0}, {:good, 10}])
+      default_item = review_on_days(StudyFixtures.fsrs_item_fixture(), [{:good, 0}, {:good, 10}])
+
+      assert reviewed.stability > default_item.stability
+    end
+  end
+
+  defp forms(items), do: Enum.map(items, & &1.word.normalized_form)
 end
@@ -0,0 +1,81 @@
+defmodule Langler.TTS.AlignmentTest do
+  use ExUnit.Case, async: true
+
+  alias Langler.TTS.Alignment
+
+  describe "build/2" do
+    test "returns nil without segments or sentences" do
+      assert Alignment.build([], [%{content: "Hola."}]) == nil
+      assert Alignment.build([%{text: "Hola.", duration: 1.0}], []) == nil
+    end
+
+    test "interpolates sentence and word timings within a segment" do
+      segments = [%{text: "Hola mundo. Adios amigo.", duration: 24.0}]
+      sentences = [%{content: "Hola mundo."}, %{content: "Adios amigo."}]
+
+      assert %{"version" => 1, "sentences" => [first, second]} =
+               Alignment.build(segments, sentences)
+
+      assert first["start"] == 0.0
+      assert first["end"] == 11.0
+      assert first["words"] == [[0.0, 4.0], [5.0, 11.0]]
+
+      assert second["start"] == 12.0
+      assert second["end"] == 24.0
+      assert second["words"] == [[12.0, 17.0], [18.0, 24.0]]
+    end
+
+    test "anchors sentences to chunk boundaries" do
+      segments = [
+        %{text: "Uno dos. ", duration: 10.0},
+        %{text: "Tres cuatro.", duration: 2.0}
+      ]
+
+      sentences = [%{content: "Uno dos."}, %{content: "Tres cuatro."}]
+
+      %{"sentences" => [first, second]} = Alignment.build(segments, sentences)
+
+      assert first["start"] == 0.0
+      assert second["start"] == 10.0
+      assert second["end"] == 12.0
+    end
+
+    test "uses adapter timepoints as additional anchors" do
+      segments = [
+        %{text: "Uno dos.", duration: 8.0, timepoints: [%{offset: 4, time: 1.0}]}
+      ]
+
+      %{"sentences" => [sentence]} = Alignment.build(segments, [%{content: "Uno dos."}])
+
+      assert sentence["words"] == [[0.0, 0.75], [1.0, 8.0]]
+    end
+
+    test "places sentences missing from the spoken text after the previous one" do
+      segments = [%{text: "Hola mundo.", duration: 11.0}]
+      sentences = [%{content: "Hola"}, %{content: "otra cosa"}]
+
+      %{"sentences" => [first, second]} = Alignment.build(segments, sentences)
+
+      assert first["end"] == 4.0
+      assert second["start"] == 4.0
+      assert second["end"] == 11.0
+    end
+  end
+
+  describe "words/1" do
+    test "splits on whitespace" do
+      assert Alignment.words("Hola,  mundo\nbonito.") == ["Hola,", "mundo", "bonito."]
+      assert Alignment.words(nil) == []
+    end
+  end
+
+  describe "sentence_timings/2" do
+    test "returns timings only when they match the sentence count" do
+      alignment = %{"sentences" => [%{"start" => 0.0}, %{"start" => 1.0}]}
+
+      assert length(Alignment.sentence_timings(alignment, 2)) == 2
+      assert Alignment.sentence_timings(alignment, 3) == []
+      assert Alignment.sentence_timings(nil, 2) == []
+    end
+  end
+end
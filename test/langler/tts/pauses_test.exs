@@ -0,0 +1,47 @@
+defmodule Langler.TTS.PausesTest do
+  use ExUnit.Case, async: true
+
+  alias Langler.TTS.Pauses
+
+  @sample_rate 24_000
+
+  describe "timepoints/3" do
+    test "marks the sentence end and the next start at a pause" do
+      pcm = tone(1.0) <> silence(0.4) <> tone(1.0)
+
+      assert Pauses.timepoints("Hola mundo. Adiós amigo.", pcm, @sample_rate) == [
+               %{offset: 11, time: 1.0},
+               %{offset: 12, time: 1.4}
+             ]
+    end
+
+    test "ignores silence before the first and after the last sentence" do
+      pcm = silence(0.5) <> tone(1.0) <> silence(0.4) <> tone(1.0) <> silence(0.5)
+
+      assert [%{offset: 11, time: 1.5}, %{offset: 12, time: 1.9}] =
+               Pauses.timepoints("Hola mundo. Adiós amigo.", pcm, @sample_rate)
+    end
+
+    test "ignores pauses too short to end a sentence" do
+      pcm = tone(1.0) <> silence(0.1) <> tone(1.0)
+
+      assert Pauses.timepoints("Hola mundo. Adiós amigo.", pcm, @sample_rate) == []
+    end
+
+    test "returns no timepoints without audio or sentence boundaries" do
+      assert Pauses.timepoints("Hola mundo. Adiós amigo.", "", @sample_rate) == []
+
+      pcm = tone(1.0) <> silence(0.4) <> tone(1.0)
+      assert Pauses.timepoints("Hola mundo", pcm, @sample_rate) == []
+    end
+  end
+
+  defp tone(seconds) do
+    for i <- 1..round(seconds * @sample_rate), into: <<>> do
+      sample = if rem(i, 2) == 0, do: 3000, else: -3000
+      <<sample::little-signed-16>>
+    end
+  end
+
+  defp silence(seconds), do: :binary.copy(<<0::little-signed-16>>, round(seconds * @sample_rate))
+end
@@ -0,0 +1,231 @@
+defmodule Langler.Vocabulary.AnkiImportTest do
+  use Langler.DataCase, async: true
+
+  import Langler.{AccountsFixtures, VocabularyFixtures}
+
+  alias Langler.Study
+  alias Langler.Study.{FSRSItem, ReviewLog}
+  alias Langler.Vocabulary
+  alias Langler.Vocabulary.{AnkiImport, CustomCard, Deck}
+
+  # 2023-11-14, the day the collection was created
+  @crt 1_699_920_000
+  @day 86_400
+
+  # A collection as returned by AnkiPackage.read/1
+  defp collection do
+    %{
+      "crt" => @crt,
+      "models" => %{
+        "100" => model(100, "Basic", 0, ["Front", "Back"]),
+        "200" => model(200, "Cloze", 1, ["Text", "Back Extra"]),
+        "300" => model(300, "Grammar", 0, ["Question", "Answer"])
+      },
+      "decks" => %{
+        "1" => %{"id" => 1, "name" => "Default"},
+        "10" => %{"id" => 10, "name" => "Spanish::Food"},
+        "20" => %{"id" => 20, "name" => "Spanish::Grammar"}
+      },
+      "notes" => [
+        note(1, 100, "la manzana\x1fthe <b>apple</b>[sound:manzana.mp3]"),
+        note(2, 100, "el pan\x1fbread"),
+        note(3, 200, "{{c1::Hola}} mundo\x1f"),
+        note(4, 300, "ser vs estar<br>permanent?\x1f<div>ser</div>")
+      ],
+      "cards" => [
+        card(11, 1, 10, %{"type" => 2, "queue" => 2, "due" => 400, "ivl" => 12, "reps" => 3}),
+        card(12, 2, 10, %{"type" => 0, "queue" => 0, "due" => 2}),
+        card(13, 3, 1, %{"type" => 0, "queue" => 0, "due" => 3}),
+        card(14, 4, 20, %{
+          "type" => 2,
+          "queue" => 2,
+          "due" => 410,
+          "ivl" => 20,
+          "factor" => 2300,
+          "reps" => 5
+        })
+      ],
+      "revlog" => [
+        review(11, 380, 3, 4_200),
+        review(11, 381, 1, 9_000),
+        review(11, 385, 0, 0),
+        review(11, 388, 3, 700_000)
+      ]
+    }
+  end
+
+  defp model(id, name, type, fields) do
+    %{
+      "id" => id,
+      "name" => name,
+      "type" => type,
+      "flds" =>
+        fields
+        |> Enum.with_index()
+        |> Enum.map(fn {field, ord} -> %{"name" => field, "ord" => ord} end)
+    }
+  end
+
+  defp note(id, mid, flds), do: %{"id" => id, "mid" => mid, "tags" => "", "flds" => flds}
+
+  defp card(id, nid, did, scheduling) do
+    Map.merge(
+      %{
+        "id" => id,
+        "nid" => nid,
+        "did" => did,
+        "ord" => 0,
+        "ivl" => 0,
+        "factor" => 2500,
+        "reps" => 0,
+        "lapses" => 0,
+        "odue" => 0,
+        "odid" => 0
+      },
+      scheduling
+    )
+  end
+
+  defp review(cid, day, ease, time) do
+    %{
+      "id" => (@crt + day * @day) * 1000,
+      "cid" => cid,
+      "ease" => ease,
+      "time" => time,
+      "type" => 1
+    }
+  end
+
+  defp mapping do
+    collection()
+    |> AnkiImport.default_mapping()
+    |> Map.update!("300", &AnkiImport.retarget(&1, "custom_card"))
+  end
+
+  describe "preview/1" do
+    test "lists note types with samples and suggested roles, and decks with cards" do
+      preview = AnkiImport.preview(collection())
+
+      assert [basic, cloze, grammar] = preview.note_types
+      assert %{name: "Basic", note_count: 2} = basic
+
+      assert [
+               %{name: "Front", samples: ["la manzana", "el pan"]},
+               %{name: "Back", samples: ["the apple", "bread"]}
+             ] = basic.fields
+
+      assert basic.mapping == %{
+               "target" => "word",
+               "fields" => %{"0" => "word", "1" => "translation"}
+             }
+
+      assert cloze.mapping["target"] == "skip"
+      assert grammar.mapping["fields"] == %{"0" => "word", "1" => "translation"}
+
+      assert [
+               %{name: "Default", card_count: 1},
+               %{name: "Spanish::Food", card_count: 2},
+               %{name: "Spanish::Grammar", card_count: 1}
+             ] = preview.decks
+
+      assert preview.review_count == 4
+    end
+  end
+
+  describe "retarget/2" do
+    test "gives the first fields the target's main roles" do
+      mapping = %{
+        "target" => "word",
+        "fields" => %{"0" => "word", "1" => "translation", "2" => "ignore"}
+      }
+
+      assert AnkiImport.retarget(mapping, "custom_card") == %{
+               "target" => "custom_card",
+               "fields" => %{"0" => "front", "1" => "back", "2" => "ignore"}
+             }
+
+      assert %{"fields" => %{"0" => "ignore", "1" => "ignore"}} =
+               AnkiImport.retarget(%{"fields" => %{"0" => "word", "1" => "ignore"}}, "skip")
+    end
+  end
+
+  describe "import_collection/4" do
+    setup do
+      %{user: user_fixture()}
+    end
+
+    test "creates a deck per Anki deck and skips unmapped note types", %{user: user} do
+      assert {:ok, %{successful: 3, errors: 0, total: 3, decks: 2}} =
+               AnkiImport.import_collection(collection(), user.id, mapping(), "es")
+
+      food = Repo.get_by!(Deck, user_id: user.id, name: "Spanish::Food")
+      assert food.language == "es"
+
+      words = Vocabulary.list_words_in_deck(food.id, user.id)
+      assert Enum.map(words, & &1.normalized_form) == ["el pan", "la manzana"]
+
+      # The cloze note type is skipped by default
+      assert Repo.aggregate(Vocabulary.Word, :count) == 2
+      refute Repo.get_by(Deck, user_id: user.id, name: "Default", is_default: false)
+    end
+
+    test "maps fields to words without a dictionary lookup", %{user: user} do
+      {:ok, _} = AnkiImport.import_collection(collection(), user.id, mapping(), "es")
+
+      word = Vocabulary.get_word_by_normalized_form("la manzana", "es")
+      assert word.translation == "the apple"
+      assert word.definitions == []
+    end
+
+    test "replays the review history and keeps Anki's due date", %{user: user} do
+      {:ok, _} = AnkiImport.import_collection(collection(), user.id, mapping(), "es")
+
+      word = Vocabulary.get_word_by_normalized_form("la manzana", "es")
+      item = Study.get_item_by_user_and_word(user.id, word.id)
+
+      assert item.quality_history == [3, 0, 3]
+      assert item.repetitions == 3
+      assert item.interval == 12
+      assert item.due_date == DateTime.from_unix!(@crt + 400 * @day)
+      assert item.last_reviewed_at == DateTime.from_unix!(@crt + 388 * @day)
+      assert item.stability
+
+      logs =
+        Repo.all(from l in ReviewLog, where: l.fsrs_item_id == ^item.id, order_by: l.reviewed_at)
+
+      assert Enum.map(logs, & &1.rating) == ~w(good again good)
+      assert Enum.map(logs, & &1.time_to_rate_ms) == [4_200, 9_000, nil]
+
+      new_word = Vocabulary.get_word_by_normalized_form("el pan", "es")
+
+      assert %FSRSItem{state: "learning", repetitions: 0} =
+               Study.get_item_by_user_and_word(user.id, new_word.id)
+    end
+
+    test "creates custom cards and estimates their state without history", %{user: user} do
+      {:ok, _} = AnkiImport.import_collection(collection(), user.id, mapping(), "es")
+
+      custom_card = Repo.get_by!(CustomCard, user_id: user.id)
+      assert custom_card.front == "ser vs estar\npermanent?"
+      assert custom_card.back == "ser"
+
+      item = Repo.get_by!(FSRSItem, custom_card_id: custom_card.id)
+      assert %{state: "review", stability: 20.0, ease_factor: 2.3, repetitions: 5} = item
+      assert item.due_date == DateTime.from_unix!(@crt + 410 * @day)
+      assert item.difficulty > 5
+    end
+
+    test "reuses decks with the same name and keeps existing study items", %{user: user} do
+      deck = deck_fixture(%{user: user, name: "Spanish::Food"})
+      word = word_fixture(%{normalized_form: "el pan", language: "es"})
+      {:ok, existing} = Study.schedule_new_item(user.id, word.id)
+
+      assert {:ok, %{decks: 2}} =
+               AnkiImport.import_collection(collection(), user.id, mapping(), "es")
+
+      assert Repo.aggregate(from(d in Deck, where: d.name == "Spanish::Food"), :count) == 1
+      assert length(Vocabulary.list_words_in_deck(deck.id, user.id)) == 2
+      assert Study.get_item_by_user_and_word(user.id, word.id).id == existing.id
+    end
+  end
+end
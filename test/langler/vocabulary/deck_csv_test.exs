@@ -0,0 +1,87 @@
+defmodule Langler.Vocabulary.DeckCsvTest do
+  use ExUnit.Case, async: true
+
+  alias Langler.Vocabulary.DeckCsv
+
+  describe "dump/2 and parse/1" do
+    test "round-trips quoted values, commas and multi-line cells" do
+      rows = [
+        %{
+          "word" => "hablar",
+          "language" => "es",
+          "translation" => "to speak, to talk",
+          "definitions" => ["to speak", "to \"talk\""],
+          "fsrs_step" => 2
+        }
+      ]
+
+      for format <- [:csv, :tsv] do
+        assert {:ok, [row]} = rows |> DeckCsv.dump(format) |> DeckCsv.parse()
+
+        assert row == %{
+                 "word" => "hablar",
+                 "language" => "es",
+                 "translation" => "to speak, to talk",
+                 "definitions" => "to speak\nto \"talk\"",
+                 "fsrs_step" => "2"
+               }
+      end
+    end
+
+    test "writes a header row with every column" do
+      [header | _] = [] |> DeckCsv.dump(:tsv) |> String.split("\n")
+      assert String.split(header, "\t") == DeckCsv.columns()
+    end
+  end
+
+  describe "parse/1" do
+    test "reads headerless word and word,language rows" do
+      assert {:ok, rows} = DeckCsv.parse("gato\nchat,fr\n\n  perro , es  \n")
+
+      assert rows == [
+               %{"word" => "gato"},
+               %{"word" => "chat", "language" => "fr"},
+               %{"word" => "perro", "language" => "es"}
+             ]
+    end
+
+    test "detects tab separated content" do
+      assert {:ok, [%{"word" => "casa", "translation" => "house, home"}]} =
+               DeckCsv.parse("word\ttranslation\ncasa\thouse, home\n")
+    end
+
+    test "reads a headerless second column as a translation unless it holds language codes" do
+      assert {:ok, rows} = DeckCsv.parse("el perro\tthe dog\nla casa\thouse, home\n")
+
+      assert rows == [
+               %{"word" => "el perro", "translation" => "the dog"},
+               %{"word" => "la casa", "translation" => "house, home"}
+             ]
+    end
+
+    test "maps headerless columns explicitly" do
+      content = "perro,dog,a domestic animal\ngato,cat,\n"
+
+      assert {:ok, [perro, gato]} =
+               DeckCsv.parse(content, columns: ["word", "ignore", "definitions"])
+
+      assert perro == %{"word" => "perro", "definitions" => "a domestic animal"}
+      assert gato == %{"word" => "gato"}
+    end
+
+    test "returns an error for malformed quoting" do
+      assert {:error, :invalid_csv} = DeckCsv.parse("word\n\"unterminated\n")
+    end
+  end
+
+  describe "preview_headerless/2" do
+    test "returns the first rows with the detected column roles" do
+      assert {:ok, %{columns: ["word", "translation"], rows: [["perro", "dog"]]}} =
+               DeckCsv.preview_headerless("perro\tdog\ngato\tcat\n", 1)
+    end
+
+    test "returns nil for files with a header row" do
+      assert {:ok, nil} = DeckCsv.preview_headerless("word,language\nperro,es\n")
+    end
+  end
+end
@@ -0,0 +1,184 @@
+defmodule Langler.Vocabulary.DeckExportTest do
+  use Langler.DataCase, async: true
+
+  import Langler.{AccountsFixtures, ContentFixtures, VocabularyFixtures}
+
+  alias Langler.Study
+  alias Langler.Vocabulary
+  alias Langler.Vocabulary.{AnkiPackage, DeckCsv, DeckExport, Decks}
+
+  setup do
+    user = user_fixture()
+    deck = deck_fixture(%{user: user, name: "Viaje: día 1"})
+
+    word =
+      word_fixture(%{
+        normalized_form: "maleta",
+        language: "es",
+        lemma: "maleta",
+        part_of_speech: "noun",
+        translation: "suitcase",
+        definitions: ["suitcase", "bag, for travel"]
+      })
+
+    phrase =
+      word_fixture(%{
+        normalized_form: "buen viaje",
+        language: "es",
+        lemma: nil,
+        part_of_speech: nil,
+        type: "phrase",
+        translation: "have a good trip"
+      })
+
+    {:ok, _} = Vocabulary.add_word_to_deck(deck.id, word.id, user.id)
+    {:ok, _} = Vocabulary.add_word_to_deck(deck.id, phrase.id, user.id)
+
+    {:ok, _item} =
+      Study.create_item(%{
+        user_id: user.id,
+        word_id: word.id,
+        state: "review",
+        step: nil,
+        due_date: ~U[2026-11-02 09:30:00Z],
+        interval: 14,
+        stability: 13.75,
+        difficulty: 4.2,
+        retrievability: 0.91,
+        ease_factor: 2.6,
+        repetitions: 4,
+        last_reviewed_at: ~U[2026-10-19 09:30:00Z],
+        quality_history: [3, 0, 3, 4]
+      })
+
+    {:ok, _item} = Study.schedule_new_item(user.id, phrase.id)
+
+    sentence = sentence_fixture(article_fixture(%{user: user}), %{content: "Perdí la maleta."})
+    occurrence_fixture(%{word: word, sentence: sentence})
+
+    %{user: user, deck: deck, word: word, phrase: phrase}
+  end
+
+  describe "export/3" do
+    test "exports words with translation, definitions, context and FSRS state", %{
+      user: user,
+      deck: deck
+    } do
+      assert {:ok, %{filename: "viaje-dia-1.csv", content: content}} =
+               DeckExport.export(deck.id, user.id, "csv")
+
+      assert {:ok, [phrase_row, word_row]} = DeckCsv.parse(content)
+
+      assert word_row["translation"] == "suitcase"
+      assert word_row["definitions"] == "suitcase\nbag, for travel"
+      assert word_row["context"] == "Perdí la maleta."
+      assert word_row["fsrs_state"] == "review"
+      assert word_row["fsrs_due_date"] == "2026-11-02T09:30:00Z"
+      assert word_row["fsrs_quality_history"] == "3 0 3 4"
+
+      assert phrase_row["type"] == "phrase"
+      assert phrase_row["fsrs_state"] == "learning"
+    end
+
+    test "allows followed decks but not other users' decks", %{deck: deck} do
+      other = user_fixture()
+      assert {:error, :deck_not_found} = DeckExport.export(deck.id, other.id, "tsv")
+
+      {:ok, _} = Vocabulary.update_deck(deck.id, deck.user_id, %{visibility: "public"})
+      {:ok, _} = Decks.follow_deck(deck.id, other.id)
+
+      assert {:ok, %{filename: "viaje-dia-1.tsv", content: content}} =
+               DeckExport.export(deck.id, other.id, "tsv")
+
+      assert {:ok, [_phrase_row, word_row]} = DeckCsv.parse(content)
+      refute Map.has_key?(word_row, "fsrs_state")
+      assert word_row["context"] in [nil, ""]
+    end
+
+    test "rejects unknown formats", %{user: user, deck: deck} do
+      assert {:error, :unsupported_format} = DeckExport.export(deck.id, user.id, "xlsx")
+    end
+  end
+
+  describe "CSV round trip" do
+    test "re-importing an export restores words and FSRS state", %{
+      user: user,
+      deck: deck,
+      word: word,
+      phrase: phrase
+    } do
+      {:ok, %{content: exported}} = DeckExport.export(deck.id, user.id, "csv")
+
+      # Deleting the words also removes their deck entries, study items and occurrences
+      Repo.delete!(word)
+      Repo.delete!(phrase)
+
+      assert {:ok, %{successful: 2, errors: 0, total: 2}} =
+               Vocabulary.import_words_from_csv(exported, deck.id, user.id)
+
+      {:ok, %{content: reexported}} = DeckExport.export(deck.id, user.id, "csv")
+
+      without_context = fn content ->
+        {:ok, rows} = DeckCsv.parse(content)
+        Enum.map(rows, &Map.delete(&1, "context"))
+      end
+
+      assert without_context.(reexported) == without_context.(exported)
+    end
+
+    test "keeps an existing study item when the word is already scheduled", %{
+      user: user,
+      deck: deck,
+      word: word
+    } do
+      {:ok, %{content: exported}} = DeckExport.export(deck.id, user.id, "csv")
+      other_deck = deck_fixture(%{user: user})
+
+      assert {:ok, %{successful: 2}} =
+               Vocabulary.import_words_from_csv(exported, other_deck.id, user.id)
+
+      item = Study.get_item_by_user_and_word(user.id, word.id)
+      assert item.repetitions == 4
+      assert Repo.aggregate(Langler.Study.FSRSItem, :count) == 2
+    end
+  end
+
+  describe "AnkiPackage.collection/3" do
+    test "builds notes with the Langler note type and maps FSRS scheduling", %{
+      user: user,
+      deck: deck
+    } do
+      entries = DeckExport.list_entries(deck.id, user.id)
+      collection = AnkiPackage.collection(deck, entries, ~U[2026-10-19 12:00:00Z])
+
+      [phrase_note, word_note] = collection.notes
+      [phrase_card, word_card] = collection.cards
+
+      assert String.split(word_note.flds, "\x1f") == [
+               "maleta",
+               "suitcase",
+               "suitcase<br>bag, for travel",
+               "Perdí la maleta.",
+               "[anki:tts lang=es_ES]maleta[/anki:tts]"
+             ]
+
+      assert phrase_note.sfld == "buen viaje"
+
+      assert %{type: 2, queue: 2, due: 14, ivl: 14, factor: 2600, reps: 4, lapses: 1} =
+               word_card
+
+      assert %{type: 0, queue: 0, due: 1} = phrase_card
+
+      models = Jason.decode!(collection.col.models)
+      assert [%{"name" => "Langler Vocabulary", "flds" => fields}] = Map.values(models)
+
+      assert Enum.map(fields, & &1["name"]) == [
+               "Word",
+               "Translation",
+               "Definitions",
+               "Context",
+               "Audio"
+             ]
+    end
+  end
+end
@@ -76,6 +76,22 @@ defmodule Langler.Vocabulary.DecksTest do
     end
   end
 
+  describe "get_exportable_deck/2" do
+    test "returns owned and followed decks only" do
+      owner = user_fixture()
+      follower = user_fixture()
+      stranger = user_fixture()
+      deck = deck_fixture(%{user: owner, visibility: "public"})
+
+      {:ok, _} = Decks.follow_deck(deck.id, follower.id)
+
+      assert %{id: id} = Decks.get_exportable_deck(deck.id, owner.id)
+      assert id == deck.id
+      assert %{id: ^id} = Decks.get_exportable_deck(deck.id, follower.id)
+      assert is_nil(Decks.get_exportable_deck(deck.id, stranger.id))
+    end
+  end
+
   describe "copy_deck_to_user/2" do
     test "copies deck with words to new owner" do
       original_owner = user_fixture()
@@ -246,6 +262,114 @@ defmodule Langler.Vocabulary.DecksTest do
     end
   end
 
+  describe "reorder_deck_cards/4" do
+    test "stores the new order of a deck's words" do
+      user = user_fixture()
+      deck = deck_fixture(%{user: user})
+      words = for form <- ~w(uno dos tres), do: word_fixture(%{normalized_form: form})
+      Enum.each(words, &Langler.Vocabulary.add_word_to_deck(deck.id, &1.id, user.id))
+
+      ids = words |> Enum.reverse() |> Enum.map(& &1.id)
+      assert {:ok, 3} = Decks.reorder_deck_cards(deck.id, user.id, "word", ids)
+
+      assert Enum.map(Decks.list_deck_words(deck.id, user.id), & &1.id) == ids
+      assert Decks.deck_word_order(deck.id) == ids
+    end
+
+    test "returns error when the user does not own the deck" do
+      deck = deck_fixture()
+      other_user = user_fixture()
+
+      assert {:error, :deck_not_found} =
+               Decks.reorder_deck_cards(deck.id, other_user.id, "word", [])
+    end
+  end
+
+  describe "bulk card operations" do
+    setup do
+      user = user_fixture()
+      from_deck = deck_fixture(%{user: user, name: "From"})
+      to_deck = deck_fixture(%{user: user, name: "To"})
+      words = [word_fixture(), word_fixture()]
+      {:ok, card} = Decks.create_custom_card(user.id, %{front: "F", back: "B", language: "es"})
+
+      Enum.each(words, &Langler.Vocabulary.add_word_to_deck(from_deck.id, &1.id, user.id))
+      {:ok, _} = Decks.add_custom_card_to_deck(from_deck.id, card.id, user.id)
+
+      selection = %{word_ids: Enum.map(words, & &1.id), custom_card_ids: [card.id]}
+
+      %{user: user, from_deck: from_deck, to_deck: to_deck, selection: selection}
+    end
+
+    test "moves a selection in one step and undoes it", %{
+      user: user,
+      from_deck: from_deck,
+      to_deck: to_deck,
+      selection: selection
+    } do
+      assert {:ok, %{count: 3, undo: undo}} =
+               Decks.move_cards_between_decks(selection, from_deck.id, to_deck.id, user.id)
+
+      assert Decks.list_deck_words(from_deck.id, user.id) == []
+      assert length(Decks.list_deck_words(to_deck.id, user.id)) == 2
+      assert [_] = Decks.list_deck_custom_cards(to_deck.id, user.id)
+
+      assert {:ok, 6} = Decks.undo_bulk_change(undo, user.id)
+      assert length(Decks.list_deck_words(from_deck.id, user.id)) == 2
+      assert [_] = Decks.list_deck_custom_cards(from_deck.id, user.id)
+      assert Decks.list_deck_words(to_deck.id, user.id) == []
+      assert Decks.list_deck_custom_cards(to_deck.id, user.id) == []
+    end
+
+    test "copying only undoes the cards it added", %{
+      user: user,
+      from_deck: from_deck,
+      to_deck: to_deck,
+      selection: selection
+    } do
+      [already_there | _] = selection.word_ids
+      Langler.Vocabulary.add_word_to_deck(to_deck.id, already_there, user.id)
+
+      assert {:ok, %{count: 2, undo: undo}} =
+               Decks.copy_cards_to_deck(selection, to_deck.id, user.id)
+
+      assert length(Decks.list_deck_words(from_deck.id, user.id)) == 2
+      assert length(Decks.list_deck_words(to_deck.id, user.id)) == 2
+
+      assert {:ok, 2} = Decks.undo_bulk_change(undo, user.id)
+      assert [%{id: ^already_there}] = Decks.list_deck_words(to_deck.id, user.id)
+    end
+
+    test "removes a selection and undoes it", %{
+      user: user,
+      from_deck: from_deck,
+      selection: selection
+    } do
+      assert {:ok, %{count: 3, undo: undo}} =
+               Decks.remove_cards_from_deck(selection, from_deck.id, user.id)
+
+      assert Decks.list_deck_words(from_deck.id, user.id) == []
+
+      assert {:ok, 3} = Decks.undo_bulk_change(undo, user.id)
+      assert length(Decks.list_deck_words(from_deck.id, user.id)) == 2
+    end
+
+    test "rejects decks owned by someone else", %{
+      user: user,
+      from_deck: from_deck,
+      selection: selection
+    } do
+      other_deck = deck_fixture(%{user: user_fixture()})
+
+      assert {:error, :to_deck_not_found} =
+               Decks.move_cards_between_decks(selection, from_deck.id, other_deck.id, user.id)
+
+      assert {:error, :deck_not_found} =
+               Decks.copy_cards_to_deck(selection, other_deck.id, user.id)
+      assert length(Decks.list_deck_words(from_deck.id, user.id)) == 2
+    end
+  end
+
   describe "bulk_add_words_to_deck/3" do
     test "adds multiple words to deck at once" do
       user = user_fixture()
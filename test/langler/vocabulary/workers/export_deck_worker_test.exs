@@ -0,0 +1,81 @@
+defmodule Langler.Vocabulary.Workers.ExportDeckWorkerTest do
+  use Langler.DataCase, async: true
+  use Oban.Testing, repo: Langler.Repo
+
+  import Langler.AccountsFixtures
+  import Langler.VocabularyFixtures
+
+  alias Langler.Vocabulary
+  alias Langler.Vocabulary.Workers.ExportDeckWorker
+
+  describe "perform/1" do
+    test "writes the export and broadcasts the file to download" do
+      user = user_fixture()
+      deck = deck_fixture(%{user: user, name: "Cocina"})
+      word = word_fixture(%{normalized_form: "cuchara", language: "es"})
+      {:ok, _} = Vocabulary.add_word_to_deck(deck.id, word.id, user.id)
+
+      Phoenix.PubSub.subscribe(Langler.PubSub, "deck_export:#{user.id}")
+
+      assert :ok =
+               perform_job(ExportDeckWorker, %{
+                 deck_id: deck.id,
+                 user_id: user.id,
+                 format: "tsv",
+                 job_id: 42
+               })
+
+      assert_receive {:deck_export_ready, 42, {:ok, %{file: file, filename: "cocina.tsv"}}}
+
+      content = File.read!(Path.join(ExportDeckWorker.export_dir(), file))
+      assert content =~ "cuchara\tes"
+    end
+
+    test "deletes exports whose download has expired" do
+      user = user_fixture()
+      deck = deck_fixture(%{user: user})
+      dir = ExportDeckWorker.export_dir()
+      File.mkdir_p!(dir)
+
+      expired = Path.join(dir, "expired-#{System.unique_integer([:positive])}.csv")
+      recent = Path.join(dir, "recent-#{System.unique_integer([:positive])}.csv")
+      File.write!(expired, "word,language\n")
+      File.write!(recent, "word,language\n")
+      File.touch!(expired, System.os_time(:second) - ExportDeckWorker.max_age() - 60)
+      on_exit(fn -> File.rm(recent) end)
+
+      assert :ok =
+               perform_job(ExportDeckWorker, %{
+                 deck_id: deck.id,
+                 user_id: user.id,
+                 format: "csv",
+                 job_id: 3
+               })
+
+      refute File.exists?(expired)
+      assert File.exists?(recent)
+    end
+
+    test "broadcasts an error when the user can't export the deck" do
+      user = user_fixture()
+      deck = deck_fixture()
+
+      Phoenix.PubSub.subscribe(Langler.PubSub, "deck_export:#{user.id}")
+
+      assert {:error, :deck_not_found} =
+               perform_job(ExportDeckWorker, %{
+                 deck_id: deck.id,
+                 user_id: user.id,
+                 format: "csv",
+                 job_id: 7
+               })
+
+      assert_receive {:deck_export_ready, 7, {:error, message}}
+      assert message =~ "deck_not_found"
+    end
+
+    test "returns error for invalid args" do
+      assert {:error, :invalid_args} = ExportDeckWorker.perform(%Oban.Job{args: %{}})
+    end
+  end
+end
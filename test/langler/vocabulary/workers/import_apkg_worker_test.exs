@@ -0,0 +1,54 @@
+defmodule Langler.Vocabulary.Workers.ImportApkgWorkerTest do
+  use Langler.DataCase, async: true
+  use Oban.Testing, repo: Langler.Repo
+
+  import Langler.AccountsFixtures
+
+  alias Langler.Vocabulary.Workers.ImportApkgWorker
+
+  describe "perform/1" do
+    setup do
+      user = user_fixture()
+      {:ok, file} = ImportApkgWorker.store_package("not a zip file")
+      Phoenix.PubSub.subscribe(Langler.PubSub, "csv_import:#{user.id}")
+
+      %{user: user, file: file, path: Path.join(ImportApkgWorker.import_dir(), file)}
+    end
+
+    test "broadcasts an error and keeps the package for a retry", %{
+      user: user,
+      file: file,
+      path: path
+    } do
+      on_exit(fn -> File.rm(path) end)
+
+      assert {:error, :invalid_package} =
+               perform_job(ImportApkgWorker, %{
+                 file: file,
+                 user_id: user.id,
+                 mapping: %{},
+                 language: "es",
+                 job_id: 9
+               })
+
+      assert_receive {:csv_import_complete, 9, {:error, message}}
+      assert message =~ "invalid_package"
+      assert File.exists?(path)
+    end
+
+    test "removes the package after the last attempt", %{user: user, file: file, path: path} do
+      assert {:error, :invalid_package} =
+               perform_job(
+                 ImportApkgWorker,
+                 %{file: file, user_id: user.id, mapping: %{}, language: "es", job_id: 10},
+                 attempt: 3
+               )
+
+      refute File.exists?(path)
+    end
+
+    test "returns error for invalid args" do
+      assert {:error, :invalid_args} = ImportApkgWorker.perform(%Oban.Job{args: %{}})
+    end
+  end
+end
@@ -47,6 +47,45 @@ defmodule Langler.VocabularyTest do
     assert [%{id: ^occurrence_id}] = Vocabulary.list_occurrences_for_sentence(sentence.id)
   end
 
+  test "list_context_sentences/3 returns recent sentences per word" do
+    user = user_fixture()
+    article = ContentFixtures.article_fixture(%{user: user})
+    first = ContentFixtures.sentence_fixture(article, %{position: 0, content: "Hola mundo."})
+    second = ContentFixtures.sentence_fixture(article, %{position: 1, content: "Adiós mundo."})
+    word = word_fixture()
+    other_word = word_fixture()
+
+    for sentence <- [first, second] do
+      {:ok, _} =
+        Vocabulary.create_occurrence(%{word_id: word.id, sentence_id: sentence.id, position: 1})
+    end
+
+    contexts = Vocabulary.list_context_sentences(user.id, [word.id, other_word.id])
+
+    assert Enum.sort(contexts[word.id]) == ["Adiós mundo.", "Hola mundo."]
+    refute Map.has_key?(contexts, other_word.id)
+    assert [_] = Vocabulary.list_context_sentences(user.id, [word.id], 1)[word.id]
+    assert Vocabulary.list_context_sentences(user.id, []) == %{}
+  end
+
+  test "list_context_sentences/3 skips other users' articles" do
+    user = user_fixture()
+    own = ContentFixtures.article_fixture(%{user: user})
+    private = ContentFixtures.article_fixture()
+    own_sentence = ContentFixtures.sentence_fixture(own, %{content: "Mi casa es azul."})
+    other_sentence = ContentFixtures.sentence_fixture(private, %{content: "Su casa secreta."})
+    word = word_fixture()
+
+    for sentence <- [own_sentence, other_sentence] do
+      {:ok, _} =
+        Vocabulary.create_occurrence(%{word_id: word.id, sentence_id: sentence.id, position: 1})
+    end
+
+    assert Vocabulary.list_context_sentences(user.id, [word.id]) == %{
+             word.id => ["Mi casa es azul."]
+           }
+  end
+
   test "get_word/1 returns word by id" do
     {:ok, word} =
       Vocabulary.create_word(%{
@@ -133,6 +172,30 @@ defmodule Langler.VocabularyTest do
     assert updated.conjugations == conjugations
   end
 
+  test "ensure_word_conjugations/1 keeps stored conjugations without fetching" do
+    conjugations = %{"indicative" => %{"present" => %{"yo" => "hablo"}}}
+    word = word_fixture(%{lemma: "hablar", conjugations: conjugations})
+
+    assert {:ok, %{conjugations: ^conjugations}} = Vocabulary.ensure_word_conjugations(word)
+  end
+
+  test "inflected_forms/1 lists the lemma, normalized form and conjugated forms" do
+    word =
+      word_fixture(%{
+        normalized_form: "hablo",
+        lemma: "hablar",
+        conjugations: %{
+          "indicative" => %{"present" => %{"yo" => "hablo", "tú" => "hablas"}},
+          "non_finite" => %{"gerund" => "hablando"}
+        }
+      })
+
+    forms = Vocabulary.inflected_forms(word)
+
+    assert hd(forms) == "hablar"
+    assert Enum.sort(forms) == ["hablando", "hablar", "hablas", "hablo"]
+  end
+
   test "change_word/2 returns changeset" do
     {:ok, word} =
       Vocabulary.create_word(%{
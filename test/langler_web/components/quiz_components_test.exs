@@ -3,6 +3,7 @@ defmodule LanglerWeb.QuizComponentsTest do
 
   import Phoenix.LiveViewTest
 
+  alias Langler.Quizzes.ArticleQuizAttempt
   alias Langler.Quizzes.Result
   alias LanglerWeb.QuizComponents
 
@@ -52,5 +53,127 @@ defmodule LanglerWeb.QuizComponentsTest do
       assert html =~ "Explanation"
       assert html =~ "Correct"
     end
+
+    test "quiz_question_card shows the correct answer and article context of a miss" do
+      question = %{
+        "question" => "¿Por qué protestan?",
+        "user_answer" => "Por el tiempo",
+        "correct" => false,
+        "correct_answer" => "Por los salarios",
+        "explanation" => "El artículo habla de salarios.",
+        "sentence" => "Los trabajadores protestan por los salarios.",
+        "vocabulary" => ["salario", ""]
+      }
+
+      html = render_component(&QuizComponents.quiz_question_card/1, question: question, index: 1)
+      document = LazyHTML.from_fragment(html)
+
+      assert html =~ "Por los salarios"
+      assert html =~ "salario"
+
+      assert document
+             |> LazyHTML.query("[data-quiz-question='1'] button[data-quiz-sentence]")
+             |> LazyHTML.attribute("data-quiz-sentence") == [question["sentence"]]
+    end
+
+    test "quiz_results renders the hook's controls", %{result: result} do
+      missed = %{
+        "question" => "Question 2",
+        "user_answer" => "Answer 2",
+        "correct" => false,
+        "explanation" => "Explanation",
+        "vocabulary" => ["la huelga"]
+      }
+
+      result = %{result | questions: result.questions ++ [missed]}
+
+      html =
+        render_component(&QuizComponents.quiz_results/1,
+          result: result,
+          myself: %Phoenix.LiveComponent.CID{cid: 1}
+        )
+
+      document = LazyHTML.from_fragment(html)
+
+      assert document
+             |> LazyHTML.query("#quiz-results[phx-hook='QuizResults'][data-score='8']")
+             |> Enum.any?()
+
+      assert document |> LazyHTML.query("[data-quiz-nav] [data-quiz-next]") |> Enum.any?()
+      assert document |> LazyHTML.query("[data-quiz-question]") |> Enum.count() == 2
+      assert document |> LazyHTML.query("[data-quiz-add-vocabulary]") |> Enum.any?()
+      assert html =~ "la huelga"
+    end
+
+    test "quiz_history lists attempts with retakes and charts progress" do
+      attempts = [
+        %ArticleQuizAttempt{
+          id: 12,
+          attempt_number: 3,
+          score: nil,
+          max_score: nil,
+          quiz_type: "reading",
+          completed_at: ~U[2026-02-03 10:00:00Z]
+        },
+        %ArticleQuizAttempt{
+          id: 11,
+          attempt_number: 2,
+          score: 4,
+          max_score: 5,
+          quiz_type: "listening",
+          result_json: %{"questions" => [%{"question" => "¿Quién habla?"}]},
+          completed_at: ~U[2026-02-02 10:00:00Z]
+        },
+        %ArticleQuizAttempt{
+          id: 10,
+          attempt_number: 1,
+          score: 2,
+          max_score: 5,
+          quiz_type: "reading",
+          result_json: %{"questions" => []},
+          completed_at: ~U[2026-02-01 10:00:00Z]
+        }
+      ]
+
+      html = render_component(&QuizComponents.quiz_history/1, attempts: attempts)
+      document = LazyHTML.from_fragment(html)
+
+      assert html =~ "3 attempts"
+      assert html =~ "Feb 2, 2026"
+      assert html =~ "Listening"
+      assert html =~ "Skipped"
+      assert html =~ "+40.0 pts"
+
+      assert document
+             |> LazyHTML.query(
+               "#quiz-history-attempt-11 [phx-click='retake_quiz'][phx-value-mode='same']"
+             )
+             |> Enum.any?()
+
+      refute document
+             |> LazyHTML.query("#quiz-history-attempt-10 [phx-value-mode='same']")
+             |> Enum.any?()
+
+      circles = LazyHTML.query(document, "#quiz-history-attempts-chart circle")
+      assert Enum.count(circles) == 2
+      refute document |> LazyHTML.query("#quiz-history-similar-chart") |> Enum.any?()
+    end
+
+    test "quiz_history charts articles of similar difficulty" do
+      similar = [
+        %{article_id: 1, title: "Uno", quiz_type: "reading", percentage: 50.0},
+        %{article_id: 2, title: "Dos", quiz_type: "listening", percentage: 80.0}
+      ]
+
+      html =
+        render_component(&QuizComponents.quiz_history/1, attempts: [], similar_progress: similar)
+
+      assert html =~ "No quiz attempts yet"
+      assert html =~ "Uno 50.0%"
+      assert html
+             |> LazyHTML.from_fragment()
+             |> LazyHTML.query("#quiz-history-similar-chart polyline")
+             |> Enum.any?()
+    end
   end
 end
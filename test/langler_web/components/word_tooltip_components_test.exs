@@ -0,0 +1,175 @@
+defmodule LanglerWeb.WordTooltipComponentsTest do
+  use LanglerWeb.ConnCase, async: true
+
+  import Phoenix.LiveViewTest
+
+  alias LanglerWeb.WordTooltipComponents
+
+  @entry %{
+    dom_id: "token-1-2",
+    word: "hablo",
+    translation: "I speak",
+    definitions: ["first-person singular present of hablar"],
+    part_of_speech: "verb",
+    source_url: "https://en.wiktionary.org/wiki/hablo",
+    context: "Hablo con ella.",
+    word_id: 42,
+    word_type: "word",
+    studied: false,
+    cefr_level: "A1",
+    frequency_rank: 120
+  }
+
+  describe "word_tooltip/1" do
+    test "renders the entry with untracked actions visible" do
+      html = render_component(&WordTooltipComponents.word_tooltip/1, entry: @entry)
+
+      assert html =~ ~s(id="word-tooltip-title")
+      assert html =~ "I speak"
+      assert html =~ "first-person singular present of hablar"
+      assert html =~ "#120 most common"
+      assert html =~ "A1"
+      assert html =~ ~s(data-studied="false")
+      assert html =~ ~s(href="https://en.wiktionary.org/wiki/hablo")
+      assert html =~ ~r/data-show-when="unstudied"[^>]*class="btn btn-circle/
+      assert html =~ ~r/data-show-when="studied"[^>]*class="[^"]*hidden/
+    end
+
+    test "shows the tracked actions and ratings for studied words" do
+      html =
+        render_component(&WordTooltipComponents.word_tooltip/1,
+          entry: %{@entry | studied: true}
+        )
+
+      assert html =~ ~s(data-studied="true")
+      assert html =~ ~s(data-quality="hard")
+      assert html =~ ~s(aria-keyshortcuts="3")
+      assert html =~ ~r/data-show-when="unstudied"[^>]*class="[^"]*hidden/
+    end
+
+    test "escapes every field and drops unsafe source links" do
+      entry = %{
+        @entry
+        | word: "<script>alert(1)</script>",
+          translation: ~s(" onmouseover="alert(1)),
+          definitions: ["<b>bold</b>"],
+          source_url: "javascript:alert(1)"
+      }
+
+      html = render_component(&WordTooltipComponents.word_tooltip/1, entry: entry)
+
+      refute html =~ "<script>"
+      refute html =~ "<b>bold</b>"
+      refute html =~ ~s(data-translations="" onmouseover)
+      refute html =~ "javascript:"
+      assert html =~ "&lt;script&gt;"
+    end
+
+    test "falls back to a translated empty state without definitions" do
+      html =
+        render_component(&WordTooltipComponents.word_tooltip/1,
+          entry: %{@entry | definitions: [], word_id: nil}
+        )
+
+      assert html =~ "No definitions available."
+      refute html =~ "data-action"
+    end
+  end
+
+  describe "conjugations and examples" do
+    @conjugations %{
+      "indicative" => %{
+        "present" => %{"yo" => "hablo", "tú" => "hablas"},
+        "preterite" => %{"yo" => "hablé", "él/ella/usted" => "habló"}
+      },
+      "non_finite" => %{"infinitive" => "hablar", "gerund" => "hablando"}
+    }
+
+    test "verbs without stored conjugations get a section that loads on open" do
+      html = render_component(&WordTooltipComponents.word_tooltip/1, entry: @entry)
+
+      assert html =~ ~s(data-conjugations)
+      assert html =~ ~s(data-loaded="false")
+      assert html =~ "Loading conjugations…"
+    end
+
+    test "stored conjugations render inline with the clicked form highlighted" do
+      html =
+        render_component(&WordTooltipComponents.word_tooltip/1,
+          entry: Map.put(@entry, :conjugations, @conjugations)
+        )
+
+      assert html =~ ~s(data-loaded="true")
+      assert html =~ "Present indicative, yo"
+      assert html =~ ~r/data-conjugation-match[^>]*>\s*hablo\s*</
+      refute html =~ ~r/data-conjugation-match[^>]*>\s*hablas\s*</
+    end
+
+    test "non-verbs and phrases get no conjugation section" do
+      for entry <- [%{@entry | part_of_speech: "noun"}, %{@entry | word_type: "phrase"}] do
+        html = render_component(&WordTooltipComponents.word_tooltip/1, entry: entry)
+        refute html =~ "data-conjugations"
+      end
+    end
+
+    test "lists example sentences linked to their articles" do
+      examples = [
+        %{
+          sentence_id: 7,
+          content: "Ellos hablaron mucho.",
+          article_id: 3,
+          article_title: "Viaje"
+        }
+      ]
+
+      html =
+        render_component(&WordTooltipComponents.word_tooltip/1,
+          entry: Map.put(@entry, :examples, examples)
+        )
+
+      assert html =~ "In your library"
+      assert html =~ ~s(href="/articles/3")
+      assert html =~ "Ellos hablaron mucho."
+    end
+
+    test "conjugations_to_string/2 matches accent-insensitively and handles missing data" do
+      assert WordTooltipComponents.conjugations_to_string(@conjugations, "hablo") =~
+               "Present indicative, yo"
+
+      assert WordTooltipComponents.conjugations_to_string(@conjugations, "hablando") =~
+               ~r/data-conjugation-summary[^>]*>.*Gerund/s
+
+      assert WordTooltipComponents.conjugations_to_string(@conjugations, "hable") =~
+               "Preterite indicative, yo"
+
+      assert WordTooltipComponents.conjugations_to_string(nil, nil) =~
+               "Conjugations aren&#39;t available for this verb."
+    end
+
+    test "conjugations_payload/2 renders the async result for the hook" do
+      word = %Langler.Vocabulary.Word{id: 42, conjugations: @conjugations}
+
+      payload =
+        WordTooltipComponents.conjugations_payload("token-1-2", {:ok, {42, "hablo", {:ok, word}}})
+
+      assert payload.dom_id == "token-1-2"
+      assert payload.word_id == 42
+      assert payload.html =~ "Present indicative, yo"
+
+      failed =
+        WordTooltipComponents.conjugations_payload(
+          "token-1-2",
+          {:ok, {42, "hablo", {:error, :not_found}}}
+        )
+
+      assert failed.html =~ "available for this verb"
+    end
+  end
+
+  test "with_html/1 adds the rendered tooltip to the payload" do
+    payload = WordTooltipComponents.with_html(@entry)
+
+    assert payload.word == "hablo"
+    assert payload.html =~ ~s(data-tooltip-entry)
+  end
+end
@@ -0,0 +1,40 @@
+defmodule LanglerWeb.ChatAudioControllerTest do
+  use LanglerWeb.ConnCase, async: true
+
+  import Langler.AccountsFixtures
+
+  alias Langler.Accounts.LlmConfig
+  alias Langler.Chat.Session
+
+  setup do
+    user = user_fixture()
+
+    {:ok, _config} =
+      LlmConfig.create_config(user, %{
+        provider_name: "openai",
+        api_key: "secret-key-1234",
+        model: "gpt-4o-mini"
+      })
+
+    {:ok, session} = Session.create_session(user, %{})
+    {:ok, question} = Session.add_message(session, "user", "¿Qué tal?")
+    {:ok, reply} = Session.add_message(session, "assistant", "**Muy bien**, gracias.")
+
+    %{user: user, question: question, reply: reply}
+  end
+
+  test "needs a TTS config to read a reply", %{conn: conn, user: user, reply: reply} do
+    conn = conn |> log_in_user(user) |> get(~p"/chat/messages/#{reply.id}/audio")
+
+    assert response(conn, 422)
+  end
+
+  test "only reads the user's own assistant replies", %{conn: conn, user: user} = context do
+    reply_path = ~p"/chat/messages/#{context.reply.id}/audio"
+    question_path = ~p"/chat/messages/#{context.question.id}/audio"
+
+    assert conn |> log_in_user(user_fixture()) |> get(reply_path) |> response(404)
+    assert conn |> log_in_user(user) |> get(question_path) |> response(404)
+    assert conn |> log_in_user(user) |> get(~p"/chat/messages/nope/audio") |> response(404)
+  end
+end
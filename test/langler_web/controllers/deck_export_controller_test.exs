@@ -0,0 +1,36 @@
+defmodule LanglerWeb.DeckExportControllerTest do
+  use LanglerWeb.ConnCase, async: true
+
+  import Langler.AccountsFixtures
+
+  alias Langler.Vocabulary.Workers.ExportDeckWorker
+  alias LanglerWeb.DeckExportController
+
+  setup do
+    file = "test-#{System.unique_integer([:positive])}.csv"
+    File.mkdir_p!(ExportDeckWorker.export_dir())
+    File.write!(Path.join(ExportDeckWorker.export_dir(), file), "word,language\ngato,es\n")
+    on_exit(fn -> File.rm(Path.join(ExportDeckWorker.export_dir(), file)) end)
+    %{file: file}
+  end
+
+  test "downloads the export for the user it was generated for", %{conn: conn, file: file} do
+    user = user_fixture()
+    path = DeckExportController.download_path(user.id, file, "animales.csv")
+
+    conn = conn |> log_in_user(user) |> get(path)
+
+    assert response(conn, 200) == "word,language\ngato,es\n"
+    assert [disposition] = get_resp_header(conn, "content-disposition")
+    assert disposition =~ ~s(filename="animales.csv")
+  end
+
+  test "redirects other users back to decks", %{conn: conn, file: file} do
+    path = DeckExportController.download_path(user_fixture().id, file, "animales.csv")
+
+    conn = conn |> log_in_user(user_fixture()) |> get(path)
+
+    assert redirected_to(conn) == ~p"/decks"
+    assert Phoenix.Flash.get(conn.assigns.flash, :error) =~ "expired"
+  end
+end
@@ -57,6 +57,18 @@ defmodule LanglerWeb.ArticleLive.IndexTest do
     assert has_element?(view, "a[href='/articles/#{article.id}']")
   end
 
+  test "shows reading progress and resumes started articles", %{conn: conn, user: user} do
+    article = article_fixture(%{user: user})
+    sentence = sentence_fixture(article)
+    {:ok, _} = Content.update_reading_position(user.id, article.id, sentence.id, 0.3)
+
+    {:ok, view, _html} = live(conn, "/articles")
+    wait_for_async_loading(view)
+
+    assert has_element?(view, "[data-reading-progress='#{article.id}']", "30% read")
+    assert has_element?(view, "a[href='/articles/#{article.id}?resume=1']")
+  end
+
   describe "search functionality" do
     test "filters articles immediately as user types", %{conn: conn, user: user} do
       article1 = article_fixture(%{user: user, title: "Spanish article about culture"})
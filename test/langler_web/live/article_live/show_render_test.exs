@@ -3,6 +3,7 @@ defmodule LanglerWeb.ArticleLive.ShowRenderTest do
 
   import Phoenix.LiveViewTest
 
+  alias Langler.Accounts.UserPreference
   alias Langler.Content.Article
   alias Langler.Content.Sentence
   alias Langler.Vocabulary.Word
@@ -92,7 +93,13 @@ defmodule LanglerWeb.ArticleLive.ShowRenderTest do
       article_short_title: "Sample",
       page_title: "Sample Article",
       article_status: "imported",
-      tts_enabled: false
+      tts_enabled: false,
+      quiz_attempts: [],
+      similar_quiz_progress: [],
+      resume_on_load: false,
+      resume_sentence_id: nil,
+      reading_percent: 0,
+      reader_settings: Map.take(%UserPreference{}, UserPreference.reader_fields())
     }
 
     Map.merge(defaults, overrides)
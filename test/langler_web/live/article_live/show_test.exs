@@ -192,6 +192,199 @@ defmodule LanglerWeb.ArticleLive.ShowTest do
       refute normalized_text =~ "que ,"
     end
 
+    test "renders a keyboard-navigable reader with a screen-reader live region", %{conn: conn} do
+      user = Langler.AccountsFixtures.user_fixture()
+      article = article_fixture(%{user: user})
+      _sentence_one = sentence_fixture(article, %{position: 0, content: "Hola mundo."})
+      _sentence_two = sentence_fixture(article, %{position: 1, content: "Buenos días."})
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/articles/#{article}")
+
+      assert has_element?(
+               view,
+               "#article-reader[phx-hook='ReaderKeyboard'][tabindex='0'][aria-describedby='article-reader-keys']"
+             )
+
+      assert has_element?(view, "#article-reader-announcer[aria-live='polite']")
+      assert has_element?(view, "#article-reader-keys", "arrow keys")
+
+      assert has_element?(view, "#article-reader p[data-reader-sentence]", "Buenos")
+
+      [announcements] =
+        view
+        |> render()
+        |> LazyHTML.from_fragment()
+        |> LazyHTML.query("#article-reader")
+        |> LazyHTML.attribute("data-announcements")
+
+      assert %{"added" => "Added to study", "selected" => "Selected: {phrase}." <> _} =
+               Jason.decode!(announcements)
+    end
+
+    test "pushes the conjugation grid for a tooltip verb", %{conn: conn} do
+      user = Langler.AccountsFixtures.user_fixture()
+      article = article_fixture(%{user: user})
+      _sentence = sentence_fixture(article, %{position: 0, content: "Hablo con ella."})
+
+      word =
+        Langler.VocabularyFixtures.word_fixture(%{
+          lemma: "hablar",
+          part_of_speech: "verb",
+          conjugations: %{"indicative" => %{"present" => %{"yo" => "hablo"}}}
+        })
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/articles/#{article}")
+
+      render_hook(view, "fetch_word_conjugations", %{
+        "word_id" => to_string(word.id),
+        "dom_id" => "token-1",
+        "form" => "Hablo"
+      })
+
+      assert_push_event(view, "word-conjugations", %{dom_id: "token-1", html: html})
+      assert html =~ "Present indicative, yo"
+    end
+
+    test "shows the quiz history and refreshes it after a new attempt", %{conn: conn} do
+      user = Langler.AccountsFixtures.user_fixture()
+      article = article_fixture(%{user: user})
+      _sentence = sentence_fixture(article, %{position: 0, content: "Hola mundo."})
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/articles/#{article}")
+
+      refute has_element?(view, "#quiz-history")
+
+      {:ok, attempt} =
+        Langler.Quizzes.create_attempt(user.id, article.id, %{
+          score: 3,
+          max_score: 4,
+          quiz_type: "listening"
+        })
+
+      assert has_element?(view, "#quiz-history-attempt-#{attempt.id}", "Listening")
+      assert has_element?(view, "#quiz-history-attempt-#{attempt.id} [phx-value-mode='fresh']")
+    end
+
+    test "runs an offline quiz and records the attempt", %{conn: conn} do
+      user = Langler.AccountsFixtures.user_fixture()
+      article = article_fixture(%{user: user})
+
+      [
+        "La ciudad despertó temprano con el ruido de los mercados.",
+        "Los vecinos compraban pan fresco antes de trabajar.",
+        "Una huelga de transporte complicaba todos los viajes.",
+        "Muchos caminaron largas distancias bajo la lluvia.",
+        "Esa noche las calles volvieron a llenarse de gente."
+      ]
+      |> Enum.with_index()
+      |> Enum.each(fn {content, position} ->
+        sentence_fixture(article, %{position: position, content: content})
+      end)
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/articles/#{article}")
+
+      render_click(view, "start_offline_quiz", %{})
+      assert has_element?(view, "#offline-quiz-form fieldset[data-question-type='cloze']")
+
+      view
+      |> form("#offline-quiz-form")
+      |> render_submit(%{"answers" => %{"q1" => "ciudad"}})
+
+      assert has_element?(view, "#offline-quiz-results[phx-hook='QuizResults']")
+      refute has_element?(view, "#offline-quiz-form")
+      assert [%{quiz_type: "reading", max_score: 5}] =
+               Langler.Quizzes.list_attempts_for_article(user.id, article.id)
+      assert has_element?(view, "#quiz-history")
+    end
+
+    test "offers to resume at the saved reading position", %{conn: conn} do
+      user = Langler.AccountsFixtures.user_fixture()
+      article = article_fixture(%{user: user})
+      _first = sentence_fixture(article, %{position: 0, content: "Hola mundo."})
+      second = sentence_fixture(article, %{position: 1, content: "Buenos días."})
+
+      {:ok, _} = Content.update_reading_position(user.id, article.id, second.id, 0.45)
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/articles/#{article}")
+
+      assert has_element?(view, "#reader-resume", "45%")
+      assert has_element?(view, "#reader-resume [data-reader-resume='#{second.id}']")
+      assert has_element?(view, "#article-reader [data-sentence-id='#{second.id}']")
+
+      {:ok, view, _html} = live(conn, ~p"/articles/#{article}?resume=1")
+
+      refute has_element?(view, "#reader-resume")
+      assert has_element?(view, "#article-hero[data-resume-on-load='#{second.id}']")
+    end
+
+    test "saves the reading position and finishes the article at the end", %{conn: conn} do
+      user = Langler.AccountsFixtures.user_fixture()
+      article = article_fixture(%{user: user})
+      sentence = sentence_fixture(article, %{position: 0, content: "Hola mundo."})
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/articles/#{article}")
+
+      render_hook(view, "save_reading_position", %{
+        "sentence_id" => to_string(sentence.id),
+        "progress" => 0.5
+      })
+
+      assert %{reading_progress: 0.5, status: "imported"} =
+               Repo.get_by!(Content.ArticleUser, user_id: user.id, article_id: article.id)
+
+      html =
+        render_hook(view, "save_reading_position", %{
+          "sentence_id" => to_string(sentence.id),
+          "progress" => 1.0
+        })
+
+      assert html =~ "marked as finished"
+
+      assert %{status: "finished"} =
+               Repo.get_by!(Content.ArticleUser, user_id: user.id, article_id: article.id)
+    end
+
+    test "applies and saves the reader settings", %{conn: conn} do
+      user = Langler.AccountsFixtures.user_fixture()
+      article = article_fixture(%{user: user})
+      _sentence = sentence_fixture(article, %{position: 0, content: "Hola mundo."})
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/articles/#{article}")
+
+      assert has_element?(view, "#reader-settings-form[phx-hook='ReaderSettings']")
+      assert has_element?(view, "#article-reader[data-reader-font='sans']")
+      refute has_element?(view, "#article-reader[data-reader-sentence-lines]")
+
+      view
+      |> form("#reader-settings-form")
+      |> render_change(%{
+        "reader" => %{
+          "reader_font" => "serif",
+          "reader_font_scale" => "130",
+          "reader_line_height" => "2.0",
+          "reader_width" => "wide",
+          "reader_sentence_per_line" => "true"
+        }
+      })
+
+      assert has_element?(
+               view,
+               "#article-reader[data-reader-font='serif'][data-reader-width='wide']"
+             )
+      assert has_element?(view, "#article-reader[data-reader-sentence-lines]")
+      assert render(view) =~ "--reader-font-scale: 1.3"
+
+      assert %{reader_font: "serif", reader_font_scale: 130} =
+               Langler.Accounts.get_reader_settings(user.id)
+    end
+
     test "redirects to /articles with error when article does not exist", %{conn: conn} do
       user = Langler.AccountsFixtures.user_fixture()
       conn = log_in_user(conn, user)
@@ -240,6 +433,32 @@ defmodule LanglerWeb.ArticleLive.ShowTest do
                "Add an LLM provider"
     end
 
+    test "retake_quiz shows error for another article's attempt", %{
+      socket: socket,
+      user: user
+    } do
+      Repo.insert!(%UserLlmConfig{
+        user_id: user.id,
+        provider_name: "test",
+        encrypted_api_key: :crypto.strong_rand_bytes(16),
+        model: "gpt",
+        is_default: true
+      })
+
+      other = article_fixture(%{user: user})
+      {:ok, attempt} =
+        Langler.Quizzes.create_attempt(user.id, other.id, %{score: 1, max_score: 2})
+
+      {:noreply, updated} =
+        Show.handle_event(
+          "retake_quiz",
+          %{"attempt-id" => to_string(attempt.id), "mode" => "same"},
+          socket
+        )
+
+      assert Phoenix.Flash.get(updated.assigns.flash, :error) =~ "Quiz attempt not found"
+    end
+
     test "finish_without_quiz marks article finished", %{
       socket: socket,
       user: user,
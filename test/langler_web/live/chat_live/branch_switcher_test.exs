@@ -0,0 +1,66 @@
+defmodule LanglerWeb.ChatLive.BranchSwitcherTest do
+  use LanglerWeb.ConnCase, async: true
+
+  import Phoenix.LiveViewTest
+
+  alias LanglerWeb.ChatLive.BranchSwitcher
+
+  defp document(html), do: LazyHTML.from_fragment(html)
+
+  defp has_selector?(document, selector) do
+    document
+    |> LazyHTML.query(selector)
+    |> LazyHTML.to_tree()
+    |> Enum.any?()
+  end
+
+  describe "branch_switcher/1" do
+    test "renders the version count and links to the neighbouring versions" do
+      myself = %Phoenix.LiveComponent.CID{cid: 1}
+
+      html =
+        render_component(&BranchSwitcher.branch_switcher/1, %{
+          branch: %{index: 2, count: 3, previous_id: 10, next_id: 12},
+          myself: myself
+        })
+
+      document = document(html)
+
+      assert LazyHTML.text(document) =~ "2/3"
+
+      assert has_selector?(
+               document,
+               "button[phx-click='switch_branch'][phx-value-message-id='10']"
+             )
+
+      assert has_selector?(
+               document,
+               "button[phx-click='switch_branch'][phx-value-message-id='12']"
+             )
+    end
+
+    test "disables the button past the last version" do
+      myself = %Phoenix.LiveComponent.CID{cid: 1}
+
+      html =
+        render_component(&BranchSwitcher.branch_switcher/1, %{
+          branch: %{index: 2, count: 2, previous_id: 10, next_id: nil},
+          myself: myself
+        })
+
+      assert has_selector?(document(html), "button[aria-label='Next version'][disabled]")
+    end
+
+    test "renders nothing for a single version" do
+      myself = %Phoenix.LiveComponent.CID{cid: 1}
+
+      html =
+        render_component(&BranchSwitcher.branch_switcher/1, %{
+          branch: %{index: 1, count: 1, previous_id: nil, next_id: nil},
+          myself: myself
+        })
+
+      refute has_selector?(document(html), "[data-branch-switcher]")
+    end
+  end
+end
@@ -68,6 +68,46 @@ defmodule LanglerWeb.ChatLive.ChatHeaderTest do
       assert text_for(document, "h3") =~ "New Chat"
     end
 
+    test "shows whether correction mode is on" do
+      session = chat_session_fixture(%{correction_mode: true})
+      myself = %Phoenix.LiveComponent.CID{cid: 1}
+
+      html =
+        render_component(&ChatHeader.chat_header/1, %{
+          current_session: session,
+          myself: myself
+        })
+
+      document = document(html)
+
+      assert has_selector?(
+               document,
+               "button[phx-click='toggle_correction_mode'][aria-pressed='true']"
+             )
+    end
+
+    test "offers spoken replies only when TTS is enabled" do
+      session = chat_session_fixture(%{speak_replies: true})
+      myself = %Phoenix.LiveComponent.CID{cid: 1}
+
+      html =
+        render_component(&ChatHeader.chat_header/1, %{
+          current_session: session,
+          myself: myself,
+          tts_enabled: true
+        })
+
+      assert has_selector?(
+               document(html),
+               "button[phx-click='toggle_speak_replies'][aria-pressed='true']"
+             )
+
+      html =
+        render_component(&ChatHeader.chat_header/1, %{current_session: session, myself: myself})
+
+      refute has_selector?(document(html), "button[phx-click='toggle_speak_replies']")
+    end
+
     test "has all action buttons" do
       myself = %Phoenix.LiveComponent.CID{cid: 1}
 
@@ -83,6 +123,7 @@ defmodule LanglerWeb.ChatLive.ChatHeaderTest do
       assert has_selector?(document, "button[phx-click='toggle_keyboard']")
       assert has_selector?(document, "button[phx-click='toggle_fullscreen']")
       assert has_selector?(document, "button[phx-click='toggle_chat']")
+      refute has_selector?(document, "button[phx-click='toggle_correction_mode']")
     end
 
     test "shows fullscreen icon when not in fullscreen" do
@@ -50,6 +50,7 @@ defmodule LanglerWeb.ChatLive.ChatInputTest do
       document = document(html)
 
       assert has_selector?(document, "span.loading-spinner")
+      assert has_selector?(document, "button[phx-click='stop_streaming']")
     end
 
     test "shows paper airplane icon when not sending" do
@@ -66,6 +67,22 @@ defmodule LanglerWeb.ChatLive.ChatInputTest do
 
       assert has_selector?(document, "span.hero-paper-airplane")
       refute has_selector?(document, "span.loading-spinner")
+      refute has_selector?(document, "button[phx-click='stop_streaming']")
+    end
+
+    test "shows a microphone button that spins while transcribing" do
+      myself = %Phoenix.LiveComponent.CID{cid: 1}
+
+      html = render_component(&ChatInput.chat_input/1, %{myself: myself})
+      document = document(html)
+
+      assert has_selector?(document, "button#chat-voice-button[phx-hook='VoiceRecorder']")
+      assert has_selector?(document, "#chat-voice-button span.hero-microphone")
+
+      html = render_component(&ChatInput.chat_input/1, %{myself: myself, transcribing: true})
+      document = document(html)
+
+      assert has_selector?(document, "button#chat-voice-button[disabled] span.loading-spinner")
     end
 
     test "disables input when llm_config_missing" do
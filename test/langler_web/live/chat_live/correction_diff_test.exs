@@ -0,0 +1,73 @@
+defmodule LanglerWeb.ChatLive.CorrectionDiffTest do
+  use LanglerWeb.ConnCase, async: true
+
+  import Phoenix.LiveViewTest
+
+  alias LanglerWeb.ChatLive.CorrectionDiff
+
+  defp document(html), do: LazyHTML.from_fragment(html)
+
+  defp has_selector?(document, selector) do
+    document
+    |> LazyHTML.query(selector)
+    |> LazyHTML.to_tree()
+    |> Enum.any?()
+  end
+
+  describe "correction_diff/1" do
+    test "renders the original message with its corrections for the hook" do
+      corrections = [
+        %{
+          offset: 3,
+          length: 11,
+          original: "soy 20 años",
+          replacement: "tengo 20 años",
+          category: "grammar",
+          explanation: "Age uses tener.",
+          source: "llm"
+        }
+      ]
+
+      html =
+        render_component(&CorrectionDiff.correction_diff/1, %{
+          id: "corrections-msg-7",
+          correction: %{text: "Yo soy 20 años", corrections: corrections},
+          message_id: 7
+        })
+
+      document = document(html)
+
+      assert has_selector?(
+               document,
+               "#corrections-msg-7[phx-hook='CorrectionDiff'][data-message-id='7']"
+             )
+
+      assert has_selector?(
+               document,
+               "#corrections-msg-7[data-save-label='Save as card'][data-saved-label='Saved']"
+             )
+
+      assert LazyHTML.text(LazyHTML.query(document, "[data-correction-diff]")) =~
+               "Yo soy 20 años"
+
+      assert LazyHTML.text(document) =~ "1 correction"
+
+      [encoded] =
+        document
+        |> LazyHTML.query("#corrections-msg-7")
+        |> LazyHTML.attribute("data-corrections")
+
+      assert [%{"replacement" => "tengo 20 años", "offset" => 3}] = Jason.decode!(encoded)
+    end
+
+    test "renders nothing without corrections" do
+      html =
+        render_component(&CorrectionDiff.correction_diff/1, %{
+          id: "corrections-msg-7",
+          correction: nil
+        })
+
+      refute has_selector?(document(html), "[phx-hook='CorrectionDiff']")
+    end
+  end
+end
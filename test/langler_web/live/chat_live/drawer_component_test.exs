@@ -79,6 +79,30 @@ defmodule LanglerWeb.ChatLive.DrawerComponentTest do
       assert %Result{} = updated.assigns.quiz_result
     end
 
+    test "accumulates streamed chunks until the reply is stored" do
+      socket = build_socket()
+
+      {:ok, socket} = Drawer.update(%{action: :stream_chunk, delta: "Hola"}, socket)
+      {:ok, socket} = Drawer.update(%{action: :stream_chunk, delta: " mundo"}, socket)
+      assert socket.assigns.streaming_content == "Hola mundo"
+
+      params = %{action: :add_assistant_message, message: assistant_message(), tokens: 4}
+      {:ok, updated} = Drawer.update(params, socket)
+
+      assert updated.assigns.streaming_content == nil
+      assert updated.assigns.stream_pid == nil
+    end
+
+    test "clears the streamed reply when sending completes without one" do
+      socket = build_socket()
+
+      {:ok, socket} = Drawer.update(%{action: :stream_chunk, delta: "Hola"}, socket)
+      {:ok, updated} = Drawer.update(%{action: :sending_complete}, socket)
+
+      assert updated.assigns.streaming_content == nil
+      refute updated.assigns.sending
+    end
+
     test "surfaces quiz errors to the flash" do
       socket = build_socket()
 
@@ -95,6 +119,15 @@ defmodule LanglerWeb.ChatLive.DrawerComponentTest do
     end
   end
 
+  describe "handle_event/3" do
+    test "stop_streaming asks the request task to stop" do
+      {:ok, socket} = Drawer.update(%{stream_pid: self(), sending: true}, build_socket())
+
+      assert {:noreply, _socket} = Drawer.handle_event("stop_streaming", %{}, socket)
+      assert_received :stop_streaming
+    end
+  end
+
   describe "assistant message UI" do
     test "renders copy and download buttons for assistant responses" do
       message = assistant_message(id: "assistant-1", content: "Hello world from assistant")
@@ -119,6 +152,22 @@ defmodule LanglerWeb.ChatLive.DrawerComponentTest do
       refute html =~ "id=\"download-message-#{dom_id}\""
       refute html =~ "data-copy-text=\"#{message.content}\""
     end
+
+    test "renders the reply being streamed" do
+      myself = %Phoenix.LiveComponent.CID{cid: 1}
+      message = assistant_message()
+
+      assigns =
+        myself
+        |> drawer_assigns(stream_dom_id(message.id), message)
+        |> Map.merge(%{sending: true, streaming_content: "**Hola**, ¿qué"})
+
+      html = render_component(&Drawer.render/1, assigns)
+
+      assert html =~ ~s(id="chat-streaming-message")
+      assert html =~ "<strong>Hola</strong>"
+      refute html =~ "Thinking..."
+    end
   end
 
   defp assistant_message(attrs \\ %{}) do
@@ -154,6 +203,8 @@ defmodule LanglerWeb.ChatLive.DrawerComponentTest do
       studied_forms: MapSet.new(),
       streams: %{messages: [{dom_id, message}]},
       sending: false,
+      streaming_content: nil,
+      has_older_messages: false,
       llm_config_missing: false,
       total_tokens: 0,
       input_value: "",
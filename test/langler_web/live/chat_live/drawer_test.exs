@@ -4,8 +4,10 @@ defmodule LanglerWeb.ChatLive.DrawerTest do
   import Phoenix.LiveViewTest
   import Langler.AccountsFixtures
 
-  alias Langler.Accounts.LlmConfig
-  alias Langler.Chat.Session
+  alias Langler.Accounts.{LlmConfig, TtsConfig}
+  alias Langler.Chat.{ChatSession, Session}
+  alias Langler.Repo
+  alias Langler.Vocabulary.CustomCard
 
   defp create_default_config(user) do
     LlmConfig.create_config(user, %{
@@ -132,5 +134,150 @@ defmodule LanglerWeb.ChatLive.DrawerTest do
       # Menu should be closed
       refute has_element?(view, "button[aria-label='Chat options'][aria-expanded='true']")
     end
+
+    test "shows the latest messages and loads older ones on request", %{conn: conn} do
+      user = user_fixture()
+      assert {:ok, _config} = create_default_config(user)
+      assert {:ok, session} = Session.create_session(user, %{})
+
+      messages =
+        for n <- 1..35 do
+          assert {:ok, message} = Session.add_message(session, "user", "Mensaje #{n}")
+          message
+        end
+
+      [first | _] = messages
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/articles")
+
+      view
+      |> element("button[aria-label='Open chat']")
+      |> render_click()
+
+      assert has_element?(view, "#chat-history-sentinel")
+      assert has_element?(view, "#msg-#{List.last(messages).id}")
+      refute has_element?(view, "#msg-#{first.id}")
+      assert has_element?(view, "#chat-new-messages [data-new-messages-pill]")
+
+      view
+      |> element("#chat-main-area")
+      |> render_hook("load_older_messages", %{})
+
+      assert has_element?(view, "#msg-#{first.id}")
+      refute has_element?(view, "#chat-history-sentinel")
+
+      html = render(view)
+      positions = Enum.map(messages, &(:binary.match(html, ~s(id="msg-#{&1.id}")) |> elem(0)))
+      assert positions == Enum.sort(positions)
+    end
+
+    test "switches between versions of an edited message", %{conn: conn} do
+      user = user_fixture()
+      assert {:ok, _config} = create_default_config(user)
+      assert {:ok, session} = Session.create_session(user, %{})
+      assert {:ok, question} = Session.add_message(session, "user", "Hola")
+      assert {:ok, answer} = Session.add_message(session, "assistant", "¡Hola!")
+      assert {:ok, edited} = Session.edit_message(session, question.id, "Buenos días")
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/articles")
+
+      view
+      |> element("button[aria-label='Open chat']")
+      |> render_click()
+
+      assert has_element?(view, "#msg-#{edited.id} [data-branch-switcher]", "2/2")
+      refute has_element?(view, "#msg-#{answer.id}")
+
+      view
+      |> element("#msg-#{edited.id} button[aria-label='Previous version']")
+      |> render_click()
+
+      assert has_element?(view, "#msg-#{question.id} [data-branch-switcher]", "1/2")
+      assert has_element?(view, "#msg-#{answer.id}")
+      refute has_element?(view, "#msg-#{edited.id}")
+    end
+
+    test "toggles correction mode and saves a correction as a card", %{conn: conn} do
+      user = user_fixture()
+      assert {:ok, _config} = create_default_config(user)
+      assert {:ok, session} = Session.create_session(user, %{})
+      assert {:ok, _question} = Session.add_message(session, "user", "Yo soy 20 años")
+
+      correction = %{
+        offset: 3,
+        length: 11,
+        original: "soy 20 años",
+        replacement: "tengo 20 años",
+        category: "grammar",
+        explanation: "Age uses tener.",
+        source: "llm"
+      }
+
+      block = Jason.encode!(%{text: "Yo soy 20 años", corrections: [correction]})
+      content = "¡Qué bien!\n\nBEGIN_CORRECTIONS\n#{block}\nEND_CORRECTIONS"
+      assert {:ok, answer} = Session.add_message(session, "assistant", content)
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/articles")
+
+      view
+      |> element("button[aria-label='Open chat']")
+      |> render_click()
+
+      assert has_element?(view, "#msg-#{answer.id}", "bien")
+      refute has_element?(view, "#msg-#{answer.id}", "BEGIN_CORRECTIONS")
+      assert has_element?(view, "#corrections-msg-#{answer.id} [data-correction-diff]")
+
+      view
+      |> element("button[aria-label='Correction mode']")
+      |> render_click()
+
+      assert has_element?(view, "button[aria-label='Correction mode'][aria-pressed='true']")
+      assert Repo.get!(ChatSession, session.id).correction_mode
+
+      view
+      |> element("#corrections-msg-#{answer.id}")
+      |> render_hook("save_correction_card", %{message_id: nil, index: 0})
+
+      assert render(view) =~ "Failed to save the card"
+      refute Repo.get_by(CustomCard, user_id: user.id)
+
+      view
+      |> element("#corrections-msg-#{answer.id}")
+      |> render_hook("save_correction_card", %{message_id: "#{answer.id}", index: "0"})
+
+      card = Repo.get_by!(CustomCard, user_id: user.id)
+      assert card.front == "Yo soy 20 años"
+      assert card.back =~ "tengo 20 años"
+    end
+
+    test "offers to read replies aloud when TTS is enabled", %{conn: conn} do
+      user = user_fixture()
+      assert {:ok, _config} = create_default_config(user)
+      assert {:ok, _tts_config} = TtsConfig.create_config(user, %{api_key: "tts-key-1234"})
+      assert {:ok, session} = Session.create_session(user, %{})
+      assert {:ok, answer} = Session.add_message(session, "assistant", "¡Hola!")
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/articles")
+
+      view
+      |> element("button[aria-label='Open chat']")
+      |> render_click()
+
+      assert has_element?(
+               view,
+               "#reply-audio-msg-#{answer.id}[data-autoplay='false'] .audio-play-button"
+             )
+
+      view
+      |> element("button[aria-label='Read replies aloud']")
+      |> render_click()
+
+      assert has_element?(view, "button[aria-label='Read replies aloud'][aria-pressed='true']")
+      assert Repo.get!(ChatSession, session.id).speak_replies
+    end
   end
 end
@@ -0,0 +1,45 @@
+defmodule LanglerWeb.ChatLive.ReplyPlayerTest do
+  use LanglerWeb.ConnCase, async: true
+
+  import Phoenix.LiveViewTest
+
+  alias LanglerWeb.ChatLive.ReplyPlayer
+
+  defp document(html), do: LazyHTML.from_fragment(html)
+
+  defp has_selector?(document, selector) do
+    document
+    |> LazyHTML.query(selector)
+    |> LazyHTML.to_tree()
+    |> Enum.any?()
+  end
+
+  describe "reply_player/1" do
+    test "renders the audio player controls for the reply" do
+      html = render_component(&ReplyPlayer.reply_player/1, %{id: "reply-audio-1", message_id: 42})
+      document = document(html)
+
+      assert has_selector?(
+               document,
+               "#reply-audio-1[phx-hook='ReplyAudio'][data-audio-url='/chat/messages/42/audio']"
+             )
+
+      assert has_selector?(document, "[data-autoplay='false']")
+      assert has_selector?(document, "button.audio-play-button[aria-label='Play']")
+      assert has_selector?(document, "button.audio-skip-back-button")
+      assert has_selector?(document, "button.audio-skip-forward-button")
+      assert has_selector?(document, "select.audio-rate-select option[value='2.0']")
+    end
+
+    test "can start playing as soon as it is rendered" do
+      html =
+        render_component(&ReplyPlayer.reply_player/1, %{
+          id: "reply-audio-1",
+          message_id: 42,
+          autoplay: true
+        })
+
+      assert has_selector?(document(html), "#reply-audio-1[data-autoplay='true']")
+    end
+  end
+end
@@ -5,7 +5,9 @@ defmodule LanglerWeb.DeckLive.IndexTest do
   import Langler.AccountsFixtures
   import Langler.VocabularyFixtures
 
+  alias Langler.Study
   alias Langler.Vocabulary
+  alias Langler.Vocabulary.Decks
 
   describe "deck kebab menu actions" do
     setup %{conn: conn} do
@@ -148,6 +150,29 @@ defmodule LanglerWeb.DeckLive.IndexTest do
       assert render(view) =~ "My New Deck"
     end
 
+    test "saves the study order chosen for a new deck", %{conn: conn} do
+      user = user_fixture()
+      _ = Vocabulary.get_or_create_default_deck(user.id)
+
+      {:ok, view, _html} =
+        conn
+        |> log_in_user(user)
+        |> live(~p"/decks")
+
+      view |> element("button", "Create New Deck") |> render_click()
+
+      view
+      |> form("#deck-modal-form", %{
+        "name" => "Ordered Deck",
+        "visibility" => "private",
+        "study_order" => "frequency"
+      })
+      |> render_submit()
+
+      assert %{study_order: "frequency"} =
+               Enum.find(Decks.list_decks_with_words(user.id), &(&1.name == "Ordered Deck"))
+    end
+
     test "toggle deck expanded loads and shows deck contents", %{conn: conn} do
       user = user_fixture()
       _ = Vocabulary.get_or_create_default_deck(user.id)
@@ -169,4 +194,199 @@ defmodule LanglerWeb.DeckLive.IndexTest do
       assert has_element?(view, "tr#word-row-#{deck.id}-#{word.id}")
     end
   end
+
+  describe "bulk card actions" do
+    setup %{conn: conn} do
+      user = user_fixture()
+      _ = Vocabulary.get_or_create_default_deck(user.id)
+      deck = deck_fixture(%{user: user, name: "Source"})
+      target = deck_fixture(%{user: user, name: "Target"})
+      words = [word_fixture(), word_fixture()]
+      Enum.each(words, &Vocabulary.add_word_to_deck(deck.id, &1.id, user.id))
+
+      %{conn: log_in_user(conn, user), user: user, deck: deck, target: target, words: words}
+    end
+
+    test "moves the selected cards and undoes the move", %{
+      conn: conn,
+      user: user,
+      deck: deck,
+      target: target,
+      words: [first, _second] = words
+    } do
+      {:ok, view, _html} = live(conn, ~p"/decks")
+      view |> element("#deck-card-#{deck.id} button", "Expand") |> render_click()
+
+      select_cards(view, deck, words)
+
+      assert has_element?(view, "#deck-bulk-actions", "2 selected")
+      assert has_element?(view, "tr#word-row-#{deck.id}-#{first.id}[data-selected='true']")
+
+      view
+      |> element(
+        "#deck-bulk-actions button[phx-value-action='move'][phx-value-deck-id='#{target.id}']"
+      )
+      |> render_click()
+
+      assert has_element?(view, "#deck-bulk-undo", "Moved 2 cards.")
+      refute has_element?(view, "#deck-bulk-actions")
+      refute has_element?(view, "tr#word-row-#{deck.id}-#{first.id}")
+      assert length(Decks.list_deck_words(target.id, user.id)) == 2
+
+      view |> element("#deck-bulk-undo button", "Undo") |> render_click()
+
+      assert render(view) =~ "Change undone."
+      assert has_element?(view, "tr#word-row-#{deck.id}-#{first.id}")
+      assert Decks.list_deck_words(target.id, user.id) == []
+    end
+
+    test "copies dropped cards to another deck", %{
+      conn: conn,
+      user: user,
+      deck: deck,
+      target: target,
+      words: words
+    } do
+      {:ok, view, _html} = live(conn, ~p"/decks")
+
+      view
+      |> element("#deck-#{target.id}")
+      |> render_hook("move_word_between_decks", %{
+        from_deck_id: deck.id,
+        to_deck_id: target.id,
+        cards: Enum.map(words, &%{type: "word", id: &1.id}),
+        copy: true
+      })
+
+      assert has_element?(view, "#deck-bulk-undo", "Copied 2 cards.")
+      assert length(Decks.list_deck_words(deck.id, user.id)) == 2
+      assert length(Decks.list_deck_words(target.id, user.id)) == 2
+    end
+
+    test "moves a single dropped card", %{
+      conn: conn,
+      user: user,
+      deck: deck,
+      target: target,
+      words: [word | _]
+    } do
+      {:ok, view, _html} = live(conn, ~p"/decks")
+
+      view
+      |> element("#deck-#{target.id}")
+      |> render_hook("move_word_between_decks", %{
+        "word_id" => to_string(word.id),
+        "from_deck_id" => to_string(deck.id),
+        "to_deck_id" => to_string(target.id),
+        "card_type" => "word"
+      })
+
+      assert has_element?(view, "#deck-bulk-undo", "Moved 1 card.")
+      assert [%{id: id}] = Decks.list_deck_words(target.id, user.id)
+      assert id == word.id
+    end
+
+    test "describes the keyboard alternative on editable rows", %{conn: conn, deck: deck} do
+      {:ok, view, _html} = live(conn, ~p"/decks")
+      view |> element("#deck-card-#{deck.id} button", "Expand") |> render_click()
+
+      assert has_element?(view, "#deck-move-keys")
+      assert has_element?(view, "#deck-move-announcer[aria-live='polite']")
+
+      assert has_element?(
+               view,
+               "#deck-card-#{deck.id} tr[tabindex='0'][aria-describedby='deck-move-keys']"
+             )
+    end
+
+    test "suspends the selected cards", %{conn: conn, user: user, deck: deck, words: words} do
+      items = Enum.map(words, &elem(Study.schedule_new_item(user.id, &1.id), 1))
+
+      {:ok, view, _html} = live(conn, ~p"/decks")
+      view |> element("#deck-card-#{deck.id} button", "Expand") |> render_click()
+
+      select_cards(view, deck, words)
+
+      view
+      |> element("#deck-bulk-actions button[phx-value-action='suspend']")
+      |> render_click()
+
+      assert has_element?(view, "#deck-bulk-undo", "Suspended 2 cards.")
+      assert has_element?(view, "tr#word-row-#{deck.id}-#{hd(words).id}", "suspended")
+      assert Enum.all?(items, &Study.get_item!(&1.id).suspended_at)
+    end
+
+    test "reorders the deck's cards", %{conn: conn, user: user, deck: deck, words: words} do
+      {:ok, view, _html} = live(conn, ~p"/decks")
+      view |> element("#deck-card-#{deck.id} button", "Expand") |> render_click()
+
+      ids = words |> Enum.reverse() |> Enum.map(& &1.id)
+
+      view
+      |> element("#deck-card-#{deck.id}")
+      |> render_hook("reorder_deck_cards", %{deck_id: deck.id, type: "word", ids: ids})
+
+      assert Enum.map(Decks.list_deck_words(deck.id, user.id), & &1.id) == ids
+
+      html = render(view)
+      [second, first] = Enum.map(ids, &~s(id="word-row-#{deck.id}-#{&1}"))
+      assert :binary.match(html, second) < :binary.match(html, first)
+    end
+  end
+
+  describe "deck export" do
+    test "exports an owned deck in the background and starts the download", %{conn: conn} do
+      user = user_fixture()
+      _ = Vocabulary.get_or_create_default_deck(user.id)
+      deck = deck_fixture(%{user: user, name: "Exportable"})
+      word = word_fixture(%{normalized_form: "tenedor", language: "es"})
+      Vocabulary.add_word_to_deck(deck.id, word.id, user.id)
+
+      {:ok, view, _html} =
+        conn
+        |> log_in_user(user)
+        |> live(~p"/decks")
+
+      view
+      |> element(
+        "#deck-card-#{deck.id} button[phx-click='export_deck'][phx-value-format='csv']"
+      )
+      |> render_click()
+
+      assert_push_event(view, "download", %{url: "/decks/exports/" <> _token = url})
+      assert render(view) =~ "Export ready: exportable.csv"
+
+      conn = get(log_in_user(build_conn(), user), url)
+      assert response(conn, 200) =~ "tenedor,es"
+    end
+
+    test "offers export on followed decks", %{conn: conn} do
+      user = user_fixture()
+      deck = deck_fixture(%{user: user_fixture(), visibility: "public"})
+      {:ok, _} = Langler.Vocabulary.Decks.follow_deck(deck.id, user.id)
+
+      {:ok, view, _html} =
+        conn
+        |> log_in_user(user)
+        |> live(~p"/decks")
+
+      view |> element("button[role='tab']", "Following") |> render_click()
+
+      assert has_element?(
+               view,
+               "#followed-#{deck.id} button[phx-click='export_deck'][phx-value-format='apkg']"
+             )
+    end
+  end
+
+  defp select_cards(view, deck, words) do
+    [first | _] = words
+
+    view
+    |> element("tr#word-row-#{deck.id}-#{first.id}")
+    |> render_hook("select_cards", %{
+      deck_id: deck.id,
+      cards: Enum.map(words, &%{type: "word", id: &1.id})
+    })
+  end
 end
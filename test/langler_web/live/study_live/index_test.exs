@@ -4,6 +4,7 @@ defmodule LanglerWeb.StudyLive.IndexTest do
   import Phoenix.LiveViewTest
 
   alias Langler.AccountsFixtures
+  alias Langler.Study
   alias Langler.StudyFixtures
   alias Langler.VocabularyFixtures
 
@@ -302,6 +303,22 @@ defmodule LanglerWeb.StudyLive.IndexTest do
       refute html =~ "Loading recommendations..."
     end
 
+    test "shows recall speed from timed reviews", %{conn: conn} do
+      user = AccountsFixtures.user_fixture()
+      word = VocabularyFixtures.word_fixture(%{lemma: "despacio"})
+      item = StudyFixtures.fsrs_item_fixture(%{user: user, word: word})
+      {:ok, _} = Study.review_item(item, :good, time_to_rate_ms: 4_200)
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/study")
+
+      html = render_async(view)
+
+      assert html =~ "Recall speed"
+      assert has_element?(view, "#review-timing-median", "4.2s")
+      assert has_element?(view, "#review-timing-slowest", "despacio")
+    end
+
     test "shows loading spinner while fetching conjugations", %{conn: conn} do
       user = AccountsFixtures.user_fixture()
 
@@ -467,5 +484,62 @@ defmodule LanglerWeb.StudyLive.IndexTest do
       html = render(view)
       assert html =~ "Test Deck"
     end
+
+    test "asks for an Anki package when importing without one", %{conn: conn} do
+      user = AccountsFixtures.user_fixture()
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/study")
+
+      html = render_hook(view, "import_apkg", %{})
+
+      assert html =~ "No Anki package to import"
+      refute html =~ "No CSV file to import"
+    end
+
+    test "maps the columns of a headerless Quizlet export before importing", %{conn: conn} do
+      user = AccountsFixtures.user_fixture()
+      deck = VocabularyFixtures.deck_fixture(%{user: user, name: "Quizlet"})
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/study")
+
+      view
+      |> element("button[phx-click='show_csv_import']")
+      |> render_click()
+
+      view
+      |> element("select[phx-change='validate_csv_deck']")
+      |> render_change(%{"deck_id" => "#{deck.id}"})
+
+      quizlet_export = "el perro\tthe dog\nla casa\thouse\n"
+
+      view
+      |> file_input("#csv-import-form", :csv_file, [
+        %{name: "quizlet.txt", content: quizlet_export, type: "text/plain"}
+      ])
+      |> render_upload("quizlet.txt")
+
+      view
+      |> form("#csv-import-form")
+      |> render_submit()
+
+      # The second column holds translations, not language codes
+      assert has_element?(view, "#csv-column-1 option[value='translation'][selected]")
+
+      view
+      |> form("#csv-column-mapping")
+      |> render_change(%{"columns" => %{"0" => "word", "1" => "definitions"}})
+
+      assert has_element?(view, "#csv-column-1 option[value='definitions'][selected]")
+
+      view
+      |> element("button[phx-click='import_csv']")
+      |> render_click()
+
+      word = Langler.Repo.get_by!(Langler.Vocabulary.Word, normalized_form: "el perro")
+      assert word.definitions == ["the dog"]
+      assert word.translation == nil
+    end
   end
 end
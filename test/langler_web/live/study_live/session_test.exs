@@ -4,9 +4,11 @@ defmodule LanglerWeb.StudyLive.SessionTest do
   import Phoenix.LiveViewTest
 
   alias Langler.AccountsFixtures
+  alias Langler.ContentFixtures
   alias Langler.Repo
-  alias Langler.Study.FSRSItem
+  alias Langler.Study.{FSRSItem, ReviewLog}
   alias Langler.StudyFixtures
+  alias Langler.Vocabulary
   alias Langler.VocabularyFixtures
 
   describe "mount" do
@@ -514,4 +516,256 @@ defmodule LanglerWeb.StudyLive.SessionTest do
              |> follow_redirect(conn, ~p"/study")
     end
   end
+
+  describe "review modes" do
+    test "renders a cloze card from the sentence the word was read in", %{conn: conn} do
+      user = AccountsFixtures.user_fixture()
+      word = VocabularyFixtures.word_fixture(%{normalized_form: "mundo", lemma: "mundo"})
+      sentence = ContentFixtures.sentence_fixture()
+
+      {:ok, _} =
+        Vocabulary.create_occurrence(%{word_id: word.id, sentence_id: sentence.id, position: 1})
+
+      _item =
+        StudyFixtures.fsrs_item_fixture(%{
+          user: user,
+          word: word,
+          due_date: DateTime.add(DateTime.utc_now(), -3600, :second)
+        })
+
+      conn = log_in_user(conn, user)
+      {:ok, view, html} = live(conn, ~p"/study/session?mode=cloze")
+
+      assert html =~ "Fill in the blank"
+      assert html =~ "Hola"
+      assert has_element?(view, "#study-typed-card form[data-expected='[\"mundo\"]']")
+      refute has_element?(view, "#study-card")
+    end
+
+    test "switches modes and falls back to the flip card when there is nothing to type", %{
+      conn: conn
+    } do
+      user = AccountsFixtures.user_fixture()
+      word = VocabularyFixtures.word_fixture(%{definitions: []})
+
+      _item =
+        StudyFixtures.fsrs_item_fixture(%{
+          user: user,
+          word: word,
+          due_date: DateTime.add(DateTime.utc_now(), -3600, :second)
+        })
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/study/session")
+
+      view
+      |> form("#review-mode-form", review_mode: %{mode: "type_translation"})
+      |> render_change()
+
+      assert has_element?(view, "#study-card")
+
+      view
+      |> form("#review-mode-form", review_mode: %{mode: "type_word"})
+      |> render_change()
+
+      assert has_element?(view, "#study-card")
+    end
+
+    test "type the translation shows the word and accepts any meaning", %{conn: conn} do
+      user = AccountsFixtures.user_fixture()
+      word =
+        VocabularyFixtures.word_fixture(%{lemma: "hablar", definitions: ["to speak, to talk"]})
+
+      _item =
+        StudyFixtures.fsrs_item_fixture(%{
+          user: user,
+          word: word,
+          due_date: DateTime.add(DateTime.utc_now(), -3600, :second)
+        })
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/study/session?mode=type_translation")
+
+      assert has_element?(view, "#study-typed-card", "hablar")
+
+      assert has_element?(
+               view,
+               "form[data-answer-form][data-expected='[\"to speak\",\"to talk\"]'][data-ignore-accents='true']"
+             )
+
+      view
+      |> form("#review-mode-form",
+        review_mode: %{mode: "type_translation", ignore_accents: "false"}
+      )
+      |> render_change()
+
+      assert has_element?(view, "form[data-answer-form][data-ignore-accents='false']")
+    end
+  end
+
+  describe "response timings" do
+    test "records time-to-flip and time-to-rate sent with the rating", %{conn: conn} do
+      user = AccountsFixtures.user_fixture()
+
+      item =
+        StudyFixtures.fsrs_item_fixture(%{
+          user: user,
+          word: VocabularyFixtures.word_fixture(%{definitions: ["test"]}),
+          due_date: DateTime.add(DateTime.utc_now(), -3600, :second)
+        })
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/study/session")
+
+      render_hook(view, "rate_card", %{
+        "quality" => "3",
+        "item_id" => to_string(item.id),
+        "time_to_flip_ms" => 1_250,
+        "time_to_rate_ms" => 3_400
+      })
+
+      assert [%ReviewLog{time_to_flip_ms: 1_250, time_to_rate_ms: 3_400, rating: "good"}] =
+               Repo.all(ReviewLog)
+    end
+  end
+
+  describe "undo" do
+    test "restores the previous card and its schedule", %{conn: conn} do
+      user = AccountsFixtures.user_fixture()
+      word1 = VocabularyFixtures.word_fixture(%{lemma: "hablar", definitions: ["to speak"]})
+      word2 = VocabularyFixtures.word_fixture(%{lemma: "comer", definitions: ["to eat"]})
+
+      now = DateTime.utc_now()
+
+      item1 =
+        StudyFixtures.fsrs_item_fixture(%{
+          user: user,
+          word: word1,
+          stability: 20.0,
+          difficulty: 5.0,
+          interval: 20,
+          repetitions: 4,
+          state: "review",
+          quality_history: [3, 3],
+          due_date: DateTime.add(now, -3600, :second)
+        })
+
+      _item2 =
+        StudyFixtures.fsrs_item_fixture(%{
+          user: user,
+          word: word2,
+          due_date: DateTime.add(now, -1800, :second)
+        })
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/study/session")
+
+      refute has_element?(view, "#study-session-undo")
+
+      view
+      |> element("button[phx-click='rate_card'][phx-value-quality='0']")
+      |> render_click()
+
+      assert render(view) =~ "Card 2 of 2"
+      assert Repo.get!(FSRSItem, item1.id).state == "relearning"
+
+      html = view |> element("#study-session-undo") |> render_click()
+
+      assert html =~ "Card 1 of 2"
+      assert html =~ "hablar"
+      refute has_element?(view, "#study-session-undo")
+
+      restored = Repo.get!(FSRSItem, item1.id)
+      assert restored.state == "review"
+      assert restored.stability == 20.0
+      assert restored.repetitions == 4
+      assert restored.quality_history == [3, 3]
+    end
+
+    test "undoes several ratings in reverse order, including from the completion screen", %{
+      conn: conn
+    } do
+      user = AccountsFixtures.user_fixture()
+      now = DateTime.utc_now()
+
+      items =
+        for offset <- [-3600, -1800] do
+          StudyFixtures.fsrs_item_fixture(%{
+            user: user,
+            word: VocabularyFixtures.word_fixture(%{definitions: ["test"]}),
+            due_date: DateTime.add(now, offset, :second)
+          })
+        end
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/study/session")
+
+      for _ <- items do
+        view
+        |> element("button[phx-click='rate_card'][phx-value-quality='3']")
+        |> render_click()
+      end
+
+      assert has_element?(view, "#study-session-complete")
+
+      assert render_hook(view, "undo_rating", %{}) =~ "Card 2 of 2"
+      assert render_hook(view, "undo_rating", %{}) =~ "Card 1 of 2"
+
+      for item <- items do
+        assert Repo.get!(FSRSItem, item.id).quality_history == []
+      end
+    end
+  end
+
+  describe "offline reviews" do
+    test "replays queued ratings and reports conflicts", %{conn: conn} do
+      user = AccountsFixtures.user_fixture()
+      now = DateTime.utc_now()
+
+      item =
+        StudyFixtures.fsrs_item_fixture(%{
+          user: user,
+          word: VocabularyFixtures.word_fixture(%{lemma: "hablar"}),
+          due_date: DateTime.add(now, -3600, :second)
+        })
+
+      rated_elsewhere =
+        StudyFixtures.fsrs_item_fixture(%{
+          user: user,
+          word: VocabularyFixtures.word_fixture(%{lemma: "comer"}),
+          due_date: DateTime.add(now, -3600, :second),
+          last_reviewed_at: DateTime.truncate(now, :second)
+        })
+
+      conn = log_in_user(conn, user)
+      {:ok, view, _html} = live(conn, ~p"/study/session")
+
+      reviewed_at = now |> DateTime.add(-600, :second) |> DateTime.to_iso8601()
+
+      render_hook(view, "sync_offline_reviews", %{
+        "reviews" => [
+          %{"id" => 1, "item_id" => item.id, "quality" => 3, "reviewed_at" => reviewed_at},
+          %{
+            "id" => 2,
+            "item_id" => rated_elsewhere.id,
+            "quality" => 0,
+            "reviewed_at" => reviewed_at
+          },
+          %{"id" => 3, "item_id" => item.id, "quality" => 9, "reviewed_at" => reviewed_at}
+        ]
+      })
+
+      assert_reply(view, %{
+        results: [
+          %{id: 1, status: "applied"},
+          %{id: 2, status: "conflict"},
+          %{id: 3, status: "rejected"}
+        ]
+      })
+
+      assert Repo.get!(FSRSItem, item.id).quality_history == [3]
+      assert Repo.get!(FSRSItem, rated_elsewhere.id).quality_history == []
+      assert render(view) =~ "already reviewed on another device"
+    end
+  end
 end
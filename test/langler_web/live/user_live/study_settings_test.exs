@@ -0,0 +1,64 @@
+defmodule LanglerWeb.UserLive.StudySettingsTest do
+  use LanglerWeb.ConnCase, async: true
+
+  import Phoenix.LiveViewTest
+
+  alias Langler.Repo
+  alias Langler.Study
+  alias Langler.Study.FSRSParameters
+  alias Langler.StudyFixtures
+
+  setup :register_and_log_in_user
+
+  test "shows an empty state before any reviews", %{conn: conn} do
+    {:ok, view, _html} = live(conn, "/users/settings/study")
+
+    assert has_element?(view, "#study-settings-empty")
+  end
+
+  test "reports when there isn't enough history to optimise", %{conn: conn, user: user} do
+    item = StudyFixtures.fsrs_item_fixture(%{user: user})
+    {:ok, _} = Study.review_item(item, :good)
+
+    {:ok, view, _html} = live(conn, "/users/settings/study")
+
+    assert has_element?(view, "#fsrs-params-spanish", "Not optimised yet")
+
+    view
+    |> element("#fsrs-params-spanish button[phx-click='optimize']")
+    |> render_click()
+
+    assert render(view) =~ "Not enough reviews"
+    assert Study.list_fsrs_parameters(user.id) == []
+  end
+
+  test "compares retention and toggles personal weights", %{conn: conn, user: user} do
+    Repo.insert!(%FSRSParameters{
+      user_id: user.id,
+      language: "spanish",
+      weights: [6.0, 0.3, 4.0],
+      review_count: 120,
+      log_loss: 0.31,
+      baseline_log_loss: 0.42,
+      observed_retention: 0.93,
+      predicted_retention: 0.92,
+      default_predicted_retention: 0.85,
+      optimized_at: ~U[2026-02-01 10:00:00Z]
+    })
+
+    {:ok, view, _html} = live(conn, "/users/settings/study")
+
+    html = view |> element("#fsrs-params-spanish") |> render()
+    assert html =~ "93.0%"
+    assert html =~ "85.0%"
+    assert html =~ "92.0%"
+    assert html =~ "Personalised"
+
+    view
+    |> element("#fsrs-params-spanish input[phx-click='toggle_params']")
+    |> render_click()
+
+    refute Study.get_fsrs_parameters(user.id, "spanish").enabled
+    assert has_element?(view, "#fsrs-params-spanish", "Defaults")
+  end
+end
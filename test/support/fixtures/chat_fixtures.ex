@@ -23,6 +23,8 @@ defmodule Langler.ChatFixtures do
       target_language: "spanish",
       native_language: "en",
       pinned: false,
+      correction_mode: false,
+      speak_replies: false,
       inserted_at: DateTime.utc_now()
     }
 
@@ -40,6 +42,8 @@ defmodule Langler.ChatFixtures do
       target_language: attrs.target_language,
       native_language: attrs.native_language,
       pinned: attrs.pinned || false,
+      correction_mode: attrs.correction_mode || false,
+      speak_replies: attrs.speak_replies || false,
       inserted_at: attrs.inserted_at || DateTime.utc_now(),
       updated_at: DateTime.utc_now()
     }